@@ -1,66 +1,437 @@
 // Expense Tracker App
-// Local Storage Manager with 12-month data retention
+// Data manager with pluggable storage (see storage.js) and configurable data retention
 
 class ExpenseTracker {
-    constructor() {
+    constructor(storage = null) {
         this.storageKey = 'expenseTrackerData';
-        this.init();
+        this.schemaVersion = 5;
+        this.defaultSettings = {
+            retentionMonths: 12,
+            baseCurrency: 'INR',
+            carryForwardLimits: true,
+            alertThresholds: [80, 100],
+            paceAlerts: true,
+            remainingIncomeAlertPercent: 10,
+            browserNotifications: false,
+            periodStartDay: 1,
+            language: 'en',
+            numberFormat: 'international',
+            currencySymbol: false,
+            autoLockMinutes: 5
+        };
+        this.categoryColors = ['#007AFF', '#34C759', '#FF9500', '#AF52DE', '#FF3B30', '#5AC8FA', '#FFCC00', '#FF2D55', '#8E8E93', '#30B0C7'];
+        this.storage = storage || createStorageAdapter(this.storageKey);
+        this.data = this.createEmptyData();
+        // Called with the error when a background write fails (set by the UI)
+        this.onSaveError = null;
+        // Called with each new alert raised by checkAlerts (set by the UI)
+        this.onAlert = null;
+        // Settles when the most recent background write has finished
+        this.lastSave = Promise.resolve();
+        // Oldest activity log entries are dropped beyond this many
+        this.activityLimit = 500;
+        // Longest category name, category icon and expense comment the API accepts
+        this.categoryNameMaxLength = 40;
+        this.categoryIconMaxLength = 4;
+        this.commentMaxLength = 200;
+        // Shortest PIN or passphrase accepted for the PIN lock and backup passwords
+        this.pinMinLength = 4;
+        // Settings shared by every synced device; the others (language, number
+        // format, notifications, auto-lock) stay per device
+        this.syncedSettings = ['baseCurrency', 'periodStartDay', 'retentionMonths', 'carryForwardLimits', 'alertThresholds', 'paceAlerts', 'remainingIncomeAlertPercent'];
+        this.syncProtocolVersion = 1;
+        // Transport used by sync(); null sends HTTP requests to the configured endpoint (see sync.js)
+        this.syncTransport = null;
+        // Called when the sync status changes or local changes start waiting to be synced (set by the UI)
+        this.onSyncStatus = null;
+        this.syncStatus = { state: 'idle', error: null };
+        // Sync record JSON as last saved, used to spot the records each save changes
+        this.syncSnapshot = null;
+        // Settles when the sync in progress has finished
+        this.syncRun = null;
+        this.recordingActivity = false;
+        this.ready = this.init();
     }
 
+    // Load the data from storage once; every method then works on the in-memory copy.
+    // Expired data is not purged here; the UI warns and offers an archive first.
+    // Data protected by a PIN stays unread until unlock() is given the PIN.
     init() {
-        this.cleanupOldData();
-        this.loadData();
+        return this.loadData().then(() => {
+            if (this.isLocked()) return;
+            this.postDueRecurringExpenses();
+            this.checkAlerts();
+            this.pruneAttachments().catch(error => console.error('Error pruning attachments:', error));
+        });
+    }
+
+    createEmptyData() {
+        return { expenses: [], categories: [], income: {}, limits: {} };
+    }
+
+    // -------- SETTINGS --------
+
+    // Get app settings merged over the defaults
+    getSettings() {
+        const data = this.getStoredData();
+        return { ...this.defaultSettings, ...(data.settings || {}) };
     }
 
-    // Clean up data older than 12 months
-    cleanupOldData() {
+    // Update one or more settings
+    updateSettings(changes) {
         const data = this.getStoredData();
-        if (!data || !data.expenses) return;
+        data.settings = { ...this.defaultSettings, ...(data.settings || {}), ...changes };
+        this.saveData(data);
+        return data.settings;
+    }
+
+    // -------- CURRENCIES --------
 
-        const twelveMonthsAgo = new Date();
-        twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
+    // Get the currency every total is reported in
+    getBaseCurrency() {
+        return this.getSettings().baseCurrency;
+    }
 
-        data.expenses = data.expenses.filter(expense => {
-            const expenseDate = new Date(expense.date);
-            return expenseDate >= twelveMonthsAgo;
+    // Change the base currency. Expenses without a currency were recorded in
+    // the old base, so they are tagged with it before the switch, and the
+    // exchange rates are restated in the new base.
+    setBaseCurrency(currency) {
+        const code = currency.trim().toUpperCase();
+        const previous = this.getBaseCurrency();
+        if (code === previous) return code;
+        const data = this.getStoredData();
+        data.expenses.forEach(exp => {
+            if (!exp.currency) exp.currency = previous;
         });
+        data.exchangeRates = this.convertExchangeRates(previous, code);
+        this.updateSettings({ baseCurrency: code });
+        return code;
+    }
+
+    // Restate every month's rates (1 unit = N old base) in the new base, dividing
+    // by the rate getExchangeRate finds for the new base in that month. Without
+    // any rate for the new base nothing can be converted and no rates are kept.
+    convertExchangeRates(previous, code) {
+        const converted = {};
+        for (const [monthKey, rates] of Object.entries(this.getStoredData().exchangeRates || {})) {
+            const rate = this.getExchangeRate(code, monthKey);
+            if (rate === null) return {};
+            converted[monthKey] = { [previous]: 1 / rate };
+            Object.entries(rates).forEach(([other, value]) => {
+                if (other !== code && other !== previous) converted[monthKey][other] = value / rate;
+            });
+        }
+        return converted;
+    }
 
+    // Check whether switching to this base currency would clear the exchange
+    // rates (there are some, but none for the new base)
+    wouldClearExchangeRates(currency) {
+        const code = currency.trim().toUpperCase();
+        return code !== this.getBaseCurrency() &&
+            Object.keys(this.getStoredData().exchangeRates || {}).length > 0 &&
+            this.getExchangeRate(code) === null;
+    }
+
+    // Get the currency an expense was paid in
+    getExpenseCurrency(expense) {
+        return expense.currency || this.getBaseCurrency();
+    }
+
+    // Get every currency used by an expense or the rate table (base first)
+    getUsedCurrencies() {
+        const data = this.getStoredData();
+        const used = new Set([this.getBaseCurrency()]);
+        data.expenses.forEach(exp => used.add(this.getExpenseCurrency(exp)));
+        Object.values(data.exchangeRates || {}).forEach(rates => Object.keys(rates).forEach(code => used.add(code)));
+        return [...used];
+    }
+
+    // Get the exchange rates entered for a month: { USD: 83.2, ... },
+    // each rate being the value of one unit in the base currency
+    getExchangeRates(monthKey = null) {
+        const data = this.getStoredData();
+        const key = monthKey || this.getPeriodKey();
+        return { ...((data.exchangeRates || {})[key] || {}) };
+    }
+
+    // Replace the exchange rates for a month
+    setExchangeRates(rates, monthKey = null) {
+        const data = this.getStoredData();
+        const key = monthKey || this.getPeriodKey();
+        data.exchangeRates = data.exchangeRates || {};
+        if (Object.keys(rates).length) data.exchangeRates[key] = rates;
+        else delete data.exchangeRates[key];
         this.saveData(data);
+        return this.getExchangeRates(key);
     }
 
-    // Get data from local storage
-    getStoredData() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : { expenses: [], categories: [], income: {}, limits: {} };
-        } catch (error) {
-            console.error('Error reading from local storage:', error);
-            return { expenses: [], categories: [], income: {}, limits: {} };
+    // Get the rate used for a currency in a month: the month's own rate, else the
+    // closest earlier month, else the closest later month; null when none was entered
+    getExchangeRate(currency, monthKey = null) {
+        if (!currency || currency === this.getBaseCurrency()) return 1;
+        const key = monthKey || this.getPeriodKey();
+        const months = Object.keys(this.getStoredData().exchangeRates || {})
+            .filter(month => this.getExchangeRates(month)[currency] > 0)
+            .sort();
+        const earlier = months.filter(month => month <= key).pop();
+        const match = earlier || months.find(month => month > key);
+        return match ? this.getExchangeRates(match)[currency] : null;
+    }
+
+    // Get an expense's amount in the base currency. Without any rate the
+    // original amount is used; getCurrenciesMissingRates() reports those.
+    getExpenseBaseAmount(expense) {
+        const amt = parseFloat(expense.amount);
+        if (isNaN(amt)) return 0;
+        if (!expense.date) return amt;
+        const rate = this.getExchangeRate(this.getExpenseCurrency(expense), this.getExpensePeriodKey(expense));
+        return rate === null ? amt : amt * rate;
+    }
+
+    // Get the currencies used in a month (or overall) that have no exchange rate
+    getCurrenciesMissingRates(monthKey = null) {
+        const expenses = monthKey ? this.getExpensesForMonth(monthKey) : this.getExpenses().filter(exp => exp.date);
+        const missing = new Set();
+        expenses.forEach(exp => {
+            const currency = this.getExpenseCurrency(exp);
+            if (this.getExchangeRate(currency, this.getExpensePeriodKey(exp)) === null) missing.add(currency);
+        });
+        return [...missing];
+    }
+
+    // -------- DATA RETENTION --------
+
+    // Get the first day that is kept, or null when data is kept forever.
+    // Whole periods are kept so expenses, income and limits expire together.
+    getRetentionCutoff() {
+        const months = this.getSettings().retentionMonths;
+        if (!months) return null;
+        const current = this.getPeriodMonth();
+        const firstKept = this.getMonthKey(new Date(current.getFullYear(), current.getMonth() - months + 1, 1));
+        return this.parseDayKey(this.getPeriodRange(firstKept).start);
+    }
+
+    // Get the expenses, income and limits that fall before the retention cutoff
+    getExpiredData() {
+        const data = this.getStoredData();
+        const expired = this.createEmptyData();
+        const cutoff = this.getRetentionCutoff();
+        if (!cutoff) return expired;
+        const cutoffKey = this.getPeriodKey(cutoff);
+
+        expired.expenses = (data.expenses || []).filter(exp => exp.date && this.getExpensePeriodKey(exp) < cutoffKey);
+        const usedIds = new Set(expired.expenses.flatMap(exp => this.getExpenseLines(exp).map(line => line.categoryId)));
+        expired.categories = (data.categories || []).filter(cat => usedIds.has(cat.id) || (data.categories || []).some(child => child.parentId === cat.id && usedIds.has(child.id)));
+        for (const [key, value] of Object.entries(data.income || {})) {
+            if (key < cutoffKey) expired.income[key] = value;
+        }
+        for (const [key, value] of Object.entries(data.limits || {})) {
+            if (key < cutoffKey) expired.limits[key] = value;
+        }
+        const settlements = (data.settlements || []).filter(s => s.monthKey < cutoffKey);
+        if (settlements.length || expired.expenses.some(exp => exp.paidBy)) {
+            expired.settlements = settlements;
+            expired.members = data.members || [];
         }
+        return expired;
     }
 
-    // Save data to local storage
-    saveData(data) {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-        } catch (error) {
-            console.error('Error saving to local storage:', error);
+    // Check whether anything is due to be purged
+    hasExpiredData() {
+        const counts = this.getDataCounts(this.getExpiredData());
+        return counts.expenses + counts.incomeMonths + counts.limitMonths + counts.settlements > 0;
+    }
+
+    // Delete expenses, income, limits and settlements older than the retention cutoff
+    purgeExpiredData() {
+        const cutoff = this.getRetentionCutoff();
+        if (!cutoff) return this.getDataCounts({});
+        const expired = this.getExpiredData();
+        const data = this.getStoredData();
+        const cutoffKey = this.getPeriodKey(cutoff);
+
+        data.expenses = (data.expenses || []).filter(exp => !exp.date || this.getExpensePeriodKey(exp) >= cutoffKey);
+        for (const key of Object.keys(data.income || {})) {
+            if (key < cutoffKey) delete data.income[key];
+        }
+        for (const key of Object.keys(data.limits || {})) {
+            if (key < cutoffKey) delete data.limits[key];
         }
+        if (data.settlements) data.settlements = data.settlements.filter(s => s.monthKey >= cutoffKey);
+        // The History log keeps copies of records, so the copies from purged
+        // periods go as well; entries left without changes are dropped
+        data.activity = (data.activity || []).map(entry => ({
+            ...entry,
+            changes: entry.changes.filter(change => !this.isExpiredActivityRecord(change.key, change.before, cutoffKey) &&
+                !this.isExpiredActivityRecord(change.key, change.after, cutoffKey))
+        })).filter(entry => entry.changes.length);
+        this.saveData(data);
+        return this.getDataCounts(expired);
+    }
+
+    // Check whether a copy of a record in the History log belongs to a period
+    // before the retention cutoff
+    isExpiredActivityRecord(key, value, cutoffKey) {
+        if (!value) return false;
+        const type = key.slice(0, key.indexOf(':'));
+        if (type === 'expense') return !!value.date && this.getExpensePeriodKey(value) < cutoffKey;
+        if (type === 'income' || type === 'settlement') return value.monthKey < cutoffKey;
+        if (type === 'limits') return key.slice(key.indexOf(':') + 1) < cutoffKey;
+        return false;
     }
 
-    // Load data
+    // Get the in-memory data (loaded from storage at start-up)
+    getStoredData() {
+        return this.data;
+    }
+
+    // Update the in-memory data and persist it in the background.
+    // A failed write is reported through onSaveError so it is never silent.
+    // With sync on, the records that changed are stamped for the next sync.
+    saveData(data) {
+        this.data = data;
+        this.trackSyncChanges(data);
+        this.lastSave = this.storage.save(data).catch(error => {
+            console.error('Error saving data:', error);
+            if (this.onSaveError) this.onSaveError(error);
+        });
+        return this.lastSave;
+    }
+
+    // Load data from the storage adapter
     loadData() {
-        return this.getStoredData();
+        return this.storage.load().then(stored => {
+            if (this.isLocked()) return this.data;
+            this.data = this.migrateData({ ...this.createEmptyData(), ...(stored || {}) });
+            this.resetSyncSnapshot();
+            this.saveData(this.data);
+            return this.data;
+        });
     }
 
-    // Add expense
+    // Bring data written by older versions (or older backups) up to the current shape
+    migrateData(data) {
+        // Schema 1 stored a single income number per month; it becomes one entry
+        for (const [key, value] of Object.entries(data.income || {})) {
+            if (Array.isArray(value)) continue;
+            const amount = parseFloat(value) || 0;
+            if (amount) data.income[key] = [{ id: this.generateId(), date: `${key}-01`, source: 'Income', note: '', amount }];
+            else delete data.income[key];
+        }
+        this.migrateCategoryNames(data);
+        // Schema 4 stored expense dates as ISO timestamps; they become day keys
+        // (in the History log too, so earlier changes can still be reverted)
+        const expenseRecords = [...data.expenses, ...(data.activity || []).flatMap(entry => entry.changes
+            .filter(change => change.key.startsWith('expense:')).flatMap(change => [change.before, change.after]))];
+        expenseRecords.forEach(exp => {
+            if (exp && exp.date) exp.date = this.toDayKey(exp.date);
+        });
+        return data;
+    }
+
+    // Schema 2 identified categories by name; each name becomes a category record
+    // and expenses, recurring rules and limits switch to its id. Names that were
+    // used but missing from the list are added back so no spending is lost.
+    migrateCategoryNames(data) {
+        const hasNames = data.categories.some(cat => typeof cat === 'string') ||
+            data.expenses.some(exp => 'category' in exp) ||
+            (data.recurring || []).some(rule => 'category' in rule);
+        if (!hasNames) return;
+
+        const byName = new Map();
+        data.categories = data.categories.filter(cat => typeof cat !== 'string' || cat.trim()).map(cat => {
+            if (typeof cat !== 'string') return cat;
+            const record = { id: this.generateId(), name: cat.trim(), parentId: null, color: this.categoryColors[byName.size % this.categoryColors.length], icon: '' };
+            byName.set(record.name.toLowerCase(), record.id);
+            return record;
+        });
+        const idFor = name => {
+            const key = (name || '').trim().toLowerCase() || 'uncategorised';
+            if (!byName.has(key)) {
+                const record = { id: this.generateId(), name: (name || '').trim() || 'Uncategorised', parentId: null, color: this.categoryColors[data.categories.length % this.categoryColors.length], icon: '' };
+                data.categories.push(record);
+                byName.set(key, record.id);
+            }
+            return byName.get(key);
+        };
+
+        [...data.expenses, ...(data.recurring || [])].forEach(record => {
+            if (!('category' in record)) return;
+            record.categoryId = idFor(record.category);
+            delete record.category;
+        });
+        for (const [key, monthLimits] of Object.entries(data.limits || {})) {
+            const migrated = {};
+            for (const [name, limit] of Object.entries(monthLimits)) migrated[idFor(name)] = limit;
+            data.limits[key] = migrated;
+        }
+    }
+
+    // Generate a unique id (timestamp plus random suffix, safe for bulk inserts)
+    generateId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Check whether text holds line breaks, tabs or other control characters
+    hasControlCharacters(text) {
+        return /[\u0000-\u001f\u007f]/.test(text);
+    }
+
+    // Check an expense or recurring expense comment; returns an error message or null
+    getCommentError(comment) {
+        const trimmed = typeof comment === 'string' ? comment.trim() : '';
+        if (!trimmed) return t('Cannot be blank');
+        if (trimmed.length > this.commentMaxLength) return t('Comments can be at most {max} characters.', { max: this.commentMaxLength });
+        if (this.hasControlCharacters(trimmed)) return t('Comments cannot contain line breaks or control characters.');
+        return null;
+    }
+
+    // Add expense (with a new id unless it brings its own); returns null when
+    // its comment is not valid
     addExpense(expense) {
-        const data = this.getStoredData();
-        expense.id = Date.now().toString();
-        expense.date = expense.date || new Date().toISOString();
-        data.expenses.push(expense);
-        this.saveData(data);
-        return expense;
+        if (this.getCommentError(expense.comment)) return null;
+        return this.recordActivity(expense => ({ text: 'Added expense "{comment}"', params: { comment: expense.comment } }), () => {
+            const data = this.getStoredData();
+            expense.id = expense.id || this.generateId();
+            expense.comment = expense.comment.trim();
+            expense.date = expense.date || this.getDayKey();
+            this.normalizeExpenseSplits(expense);
+            data.expenses.push(expense);
+            this.saveData(data);
+            this.checkAlerts();
+            return expense;
+        });
+    }
+
+    // Add several expenses with a single save (used by CSV import and recurring
+    // expenses); nothing is added when any comment is not valid
+    addExpenses(expenses) {
+        if (expenses.some(expense => this.getCommentError(expense.comment))) return null;
+        return this.recordActivity(added => ({ text: added.length === 1 ? 'Added {count} expense' : 'Added {count} expenses', params: { count: added.length } }), () => {
+            const data = this.getStoredData();
+            const added = expenses.map(expense => this.normalizeExpenseSplits({
+                ...expense,
+                id: expense.id || this.generateId(),
+                comment: expense.comment.trim(),
+                date: expense.date || this.getDayKey()
+            }));
+            data.expenses.push(...added);
+            this.saveData(data);
+            this.checkAlerts();
+            return added;
+        });
+    }
+
+    // Find an existing expense with the same day, amount and comment
+    findDuplicateExpense({ date, amount, comment }, expenses = this.getExpenses()) {
+        const day = this.toDayKey(date);
+        const cents = Math.round(parseFloat(amount) * 100);
+        const text = (comment || '').trim().toLowerCase();
+        return expenses.find(exp => exp.date &&
+            this.toDayKey(exp.date) === day &&
+            Math.round(parseFloat(exp.amount) * 100) === cents &&
+            (exp.comment || '').trim().toLowerCase() === text) || null;
     }
 
     // Get expenses
@@ -71,33 +442,114 @@ class ExpenseTracker {
 
     // Delete expense
     deleteExpense(id) {
-        const data = this.getStoredData();
-        data.expenses = data.expenses.filter(expense => expense.id !== id);
-        this.saveData(data);
+        const expense = this.getExpenses().find(exp => exp.id === id);
+        return this.recordActivity({ text: 'Deleted expense "{comment}"', params: { comment: expense ? expense.comment : id } }, () => {
+            const data = this.getStoredData();
+            data.expenses = data.expenses.filter(expense => expense.id !== id);
+            this.saveData(data);
+        });
     }
 
-    // Update expense
+    // Update expense; returns null when it is missing or the new comment is not valid
     updateExpense(id, updatedExpense) {
-        const data = this.getStoredData();
-        const index = data.expenses.findIndex(expense => expense.id === id);
-        if (index !== -1) {
-            data.expenses[index] = { ...data.expenses[index], ...updatedExpense };
-            this.saveData(data);
-            return data.expenses[index];
+        if ('comment' in updatedExpense && this.getCommentError(updatedExpense.comment)) return null;
+        if ('comment' in updatedExpense) updatedExpense = { ...updatedExpense, comment: updatedExpense.comment.trim() };
+        return this.recordActivity(expense => ({ text: 'Edited expense "{comment}"', params: { comment: expense ? expense.comment : id } }), () => {
+            const data = this.getStoredData();
+            const index = data.expenses.findIndex(expense => expense.id === id);
+            if (index !== -1) {
+                data.expenses[index] = this.normalizeExpenseSplits({ ...data.expenses[index], ...updatedExpense });
+                if (!data.expenses[index].paidBy) {
+                    delete data.expenses[index].paidBy;
+                    delete data.expenses[index].sharing;
+                }
+                if (!(data.expenses[index].attachments || []).length) delete data.expenses[index].attachments;
+                this.saveData(data);
+                this.checkAlerts();
+                return data.expenses[index];
+            }
+            return null;
+        });
+    }
+
+    // -------- SPLIT EXPENSES --------
+    // A split expense keeps its total in amount and its category lines in
+    // splits: [{ categoryId, amount }] (in the expense's currency). categoryId
+    // holds the first line's category, so code that reads one category still works.
+
+    // Get the category lines of an expense (a single line when it is not split)
+    getExpenseLines(expense) {
+        return expense.splits && expense.splits.length
+            ? expense.splits
+            : [{ categoryId: expense.categoryId, amount: parseFloat(expense.amount) }];
+    }
+
+    // Check whether any line of an expense belongs to one of the category ids
+    expenseHasCategory(expense, categoryIds) {
+        return this.getExpenseLines(expense).some(line => categoryIds.includes(line.categoryId));
+    }
+
+    // Get the base currency amount of the lines that belong to the category ids
+    getExpenseBaseAmountForCategories(expense, categoryIds) {
+        const total = parseFloat(expense.amount);
+        if (!total) return 0;
+        const share = this.getExpenseLines(expense)
+            .filter(line => categoryIds.includes(line.categoryId))
+            .reduce((sum, line) => sum + parseFloat(line.amount), 0);
+        return this.getExpenseBaseAmount(expense) * (share / total);
+    }
+
+    // Category names of an expense ("Groceries + Household" when split)
+    getExpenseCategoryName(expense) {
+        return this.getExpenseLines(expense).map(line => this.getCategoryName(line.categoryId)).join(' + ');
+    }
+
+    // Validate split lines against the expense total; returns an error message or null
+    getSplitError(total, splits) {
+        if (splits.length < 2) return t('A split needs at least two lines');
+        if (splits.some(line => !line.categoryId)) return t('Choose a category for every line');
+        if (splits.some(line => !(parseFloat(line.amount) > 0))) return t('Every line needs an amount');
+        const sum = splits.reduce((s, line) => s + parseFloat(line.amount), 0);
+        if (Math.round(sum * 100) !== Math.round(parseFloat(total) * 100)) {
+            return t('Lines add up to {sum}, not {total}', { sum: formatNumber(sum), total: formatNumber(total) });
         }
         return null;
     }
 
-    // Get month key (YYYY-MM format)
+    // Bring a split into its stored shape: lines of the same category are merged,
+    // a split left with one line becomes a plain expense, and categoryId and
+    // amount follow the lines. Changes the expense in place and returns it.
+    normalizeExpenseSplits(expense) {
+        if (!expense.splits) {
+            delete expense.splits;
+            return expense;
+        }
+        const lines = [];
+        expense.splits.forEach(line => {
+            const amount = parseFloat(line.amount);
+            const same = lines.find(l => l.categoryId === line.categoryId);
+            if (same) same.amount = Math.round((same.amount + amount) * 100) / 100;
+            else lines.push({ categoryId: line.categoryId, amount });
+        });
+        if (lines.length) {
+            expense.categoryId = lines[0].categoryId;
+            expense.amount = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+        }
+        if (lines.length > 1) expense.splits = lines;
+        else delete expense.splits;
+        return expense;
+    }
+
+    // Get the calendar month key (YYYY-MM format); getPeriodKey finds a day's budget period
     getMonthKey(date = new Date()) {
         const year = date.getFullYear();
         const month = String(date.getMonth() + 1).padStart(2, '0');
         return `${year}-${month}`;
     }
 
-    // Get month name
+    // Get month name in the current language
     getMonthName(date = new Date()) {
-        return date.toLocaleString('default', { month: 'long' });
+        return formatDate(date, { month: 'long' });
     }
 
     // Get previous month
@@ -107,68 +559,460 @@ class ExpenseTracker {
         return prevMonth;
     }
 
-    // Set income for a month
-    setIncome(amount, monthKey = null) {
+    // Get day key (YYYY-MM-DD format, local time)
+    getDayKey(date = new Date()) {
+        return `${this.getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Parse a day key (YYYY-MM-DD) into a local Date
+    parseDayKey(dayKey) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Get the day key of a stored date. Expense dates are day keys; versions
+    // before schema 5 stored ISO timestamps of UTC midnight for the picked day,
+    // so those keep their UTC date instead of shifting with the time zone.
+    toDayKey(value) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        if (/^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?Z$/.test(value)) return value.slice(0, 10);
+        return this.getDayKey(new Date(value));
+    }
+
+    // Get the day an expense falls on as a local Date
+    getExpenseDate(expense) {
+        return this.parseDayKey(this.toDayKey(expense.date));
+    }
+
+    // -------- BUDGET PERIODS --------
+    // Income, limits, alerts and summaries are kept per period, keyed YYYY-MM by
+    // the month the period starts in. With the default start day 1 a period is a
+    // calendar month; with 25 the '2026-10' period runs from 25 Oct to 24 Nov.
+
+    // Day of the month periods start on (1-28, so every month has it)
+    getPeriodStartDay() {
+        const day = parseInt(this.getSettings().periodStartDay, 10) || 1;
+        return Math.min(Math.max(day, 1), 28);
+    }
+
+    // Get the key of the period a day falls in
+    getPeriodKey(date = new Date()) {
+        return this.getMonthKey(this.getPeriodMonth(date));
+    }
+
+    // Get the first of the month a day's period is keyed by (used by the month screens)
+    getPeriodMonth(date = new Date()) {
+        const offset = date.getDate() < this.getPeriodStartDay() ? 1 : 0;
+        return new Date(date.getFullYear(), date.getMonth() - offset, 1);
+    }
+
+    // Get the period key of an expense
+    getExpensePeriodKey(expense) {
+        return this.getPeriodKey(this.getExpenseDate(expense));
+    }
+
+    // Get the first and last day (YYYY-MM-DD) of a period
+    getPeriodRange(monthKey = null) {
+        const [year, month] = (monthKey || this.getPeriodKey()).split('-').map(Number);
+        const startDay = this.getPeriodStartDay();
+        return {
+            start: this.getDayKey(new Date(year, month - 1, startDay)),
+            end: this.getDayKey(new Date(year, month, startDay - 1))
+        };
+    }
+
+    // Get the number of days in a period
+    getPeriodLength(monthKey = null) {
+        const { start, end } = this.getPeriodRange(monthKey);
+        return Math.round((this.parseDayKey(end) - this.parseDayKey(start)) / 86400000) + 1;
+    }
+
+    // Get the day index (0 = first day) of a day key within a period
+    getPeriodDayIndex(dayKey, monthKey = null) {
+        const start = this.parseDayKey(this.getPeriodRange(monthKey).start);
+        return Math.round((this.parseDayKey(dayKey) - start) / 86400000);
+    }
+
+    // Label for a period: 'October 2026' for calendar months, otherwise its
+    // date range in the current language's date format
+    getPeriodLabel(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const [year, month] = key.split('-').map(Number);
+        if (this.getPeriodStartDay() === 1) return formatDate(new Date(year, month - 1, 1), { month: 'long', year: 'numeric' });
+        const { start, end } = this.getPeriodRange(key);
+        const startDate = this.parseDayKey(start);
+        const endDate = this.parseDayKey(end);
+        const format = (date, withYear) => formatDate(date, withYear ? { day: 'numeric', month: 'short', year: 'numeric' } : { day: 'numeric', month: 'short' });
+        return `${format(startDate, startDate.getFullYear() !== endDate.getFullYear())} - ${format(endDate, true)}`;
+    }
+
+    // Change the period start day; income entries are filed again by their dates
+    setPeriodStartDay(day) {
         const data = this.getStoredData();
-        if (!data.income) {
-            data.income = {};
-        }
-        const key = monthKey || this.getMonthKey();
-        const incomeValue = parseFloat(amount);
-        data.income[key] = incomeValue;
+        data.settings = { ...this.getSettings(), periodStartDay: Math.min(Math.max(parseInt(day, 10) || 1, 1), 28) };
+        this.fileIncomeByPeriod(data);
         this.saveData(data);
-        return data.income[key];
+        return data.settings;
     }
 
-    // Get income for a month
-    getIncome(monthKey = null) {
+    // File every income entry under the period its date falls in
+    fileIncomeByPeriod(data) {
+        const entries = Object.values(data.income || {}).flat();
+        data.income = {};
+        entries.forEach(entry => {
+            const key = this.getPeriodKey(this.parseDayKey(entry.date));
+            data.income[key] = [...(data.income[key] || []), entry];
+        });
+    }
+
+    // -------- INCOME (list of dated entries per month) --------
+    // Entry: { id, date: 'YYYY-MM-DD', source, note, amount }
+
+    // Get the income entries for a month, oldest first
+    getIncomeEntries(monthKey = null) {
         const data = this.getStoredData();
-        if (!data.income) {
-            return 0;
-        }
-        const key = monthKey || this.getMonthKey();
-        return data.income[key] || 0;
+        const key = monthKey || this.getPeriodKey();
+        const entries = (data.income && data.income[key]) || [];
+        return [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Add an income entry; it is filed under the period of its date
+    addIncomeEntry(entry) {
+        return this.recordActivity(added => ({ text: 'Added income "{source}" for {date}', params: { source: added.source, date: { date: added.date } } }), () => {
+            const data = this.getStoredData();
+            if (!data.income) {
+                data.income = {};
+            }
+            const newEntry = {
+                id: this.generateId(),
+                date: entry.date,
+                source: entry.source.trim(),
+                note: (entry.note || '').trim(),
+                amount: parseFloat(entry.amount)
+            };
+            const key = this.getPeriodKey(this.parseDayKey(newEntry.date));
+            data.income[key] = [...(data.income[key] || []), newEntry];
+            this.saveData(data);
+            this.checkAlerts();
+            return newEntry;
+        });
+    }
+
+    // Find the month key holding an income entry
+    findIncomeEntryMonth(id) {
+        const data = this.getStoredData();
+        return Object.keys(data.income || {}).find(key => data.income[key].some(entry => entry.id === id)) || null;
+    }
+
+    // Update an income entry, moving it to another period if its date changed
+    updateIncomeEntry(id, changes) {
+        return this.recordActivity(updated => ({ text: 'Edited income "{source}"', params: { source: updated ? updated.source : id } }), () => {
+            const data = this.getStoredData();
+            const oldKey = this.findIncomeEntryMonth(id);
+            if (!oldKey) return null;
+            const existing = data.income[oldKey].find(entry => entry.id === id);
+            const updated = { ...existing, ...changes, amount: parseFloat(changes.amount ?? existing.amount) };
+            const newKey = this.getPeriodKey(this.parseDayKey(updated.date));
+            data.income[oldKey] = data.income[oldKey].filter(entry => entry.id !== id);
+            if (!data.income[oldKey].length && oldKey !== newKey) delete data.income[oldKey];
+            data.income[newKey] = [...(data.income[newKey] || []), updated];
+            this.saveData(data);
+            this.checkAlerts();
+            return updated;
+        });
+    }
+
+    // Delete an income entry
+    deleteIncomeEntry(id) {
+        const entry = this.getIncomeEntries(this.findIncomeEntryMonth(id) || undefined).find(e => e.id === id);
+        return this.recordActivity({ text: 'Deleted income "{source}"', params: { source: entry ? entry.source : id } }, () => {
+            const data = this.getStoredData();
+            const key = this.findIncomeEntryMonth(id);
+            if (!key) return false;
+            data.income[key] = data.income[key].filter(entry => entry.id !== id);
+            if (!data.income[key].length) delete data.income[key];
+            this.saveData(data);
+            this.checkAlerts();
+            return true;
+        });
+    }
+
+    // Copy a period's income entries into another period (same day of the month,
+    // clamped to the month length)
+    copyIncomeEntries(fromMonthKey, toMonthKey) {
+        return this.recordActivity({ text: 'Carried income from {from} to {to}', params: { from: { period: fromMonthKey }, to: { period: toMonthKey } } }, () => {
+            const [fromYear, fromMonth] = fromMonthKey.split('-').map(Number);
+            const [toYear, toMonth] = toMonthKey.split('-').map(Number);
+            const shift = (toYear - fromYear) * 12 + (toMonth - fromMonth);
+            return this.getIncomeEntries(fromMonthKey).map(entry => {
+                const [year, month, day] = entry.date.split('-').map(Number);
+                const lastDay = new Date(year, month - 1 + shift + 1, 0).getDate();
+                return this.addIncomeEntry({
+                    ...entry,
+                    date: this.getDayKey(new Date(year, month - 1 + shift, Math.min(day, lastDay)))
+                });
+            });
+        });
+    }
+
+    // Get the income sources used so far (for suggestions)
+    getIncomeSources() {
+        const data = this.getStoredData();
+        const sources = new Set();
+        Object.values(data.income || {}).forEach(entries => entries.forEach(entry => sources.add(entry.source)));
+        return [...sources].sort();
+    }
+
+    // Get income for a month (sum of its entries)
+    getIncome(monthKey = null) {
+        return this.getIncomeEntries(monthKey).reduce((sum, entry) => {
+            const amt = parseFloat(entry.amount);
+            return sum + (isNaN(amt) ? 0 : amt);
+        }, 0);
     }
 
-    // Get previous month income
+    // Get previous period income
     getPreviousMonthIncome() {
-        const prevMonth = this.getPreviousMonth();
+        const prevMonth = this.getPreviousMonth(this.getPeriodMonth());
         const prevMonthKey = this.getMonthKey(prevMonth);
         return this.getIncome(prevMonthKey);
     }
 
+    // -------- RECURRING EXPENSES --------
+    // Rule: { id, categoryId, amount, comment, frequency: 'monthly' | 'weekly' | 'yearly',
+    //         dayOfMonth, dayOfWeek, month, startDate, endDate, paused, lastPostedDate }
+
+    // Get all recurring expense rules
+    getRecurringExpenses() {
+        const data = this.getStoredData();
+        return data.recurring || [];
+    }
+
+    // Add a recurring expense rule; returns null when its comment is not valid
+    addRecurringExpense(rule) {
+        if (this.getCommentError(rule.comment)) return null;
+        const data = this.getStoredData();
+        if (!data.recurring) {
+            data.recurring = [];
+        }
+        const newRule = { ...rule, comment: rule.comment.trim(), id: this.generateId(), paused: false, lastPostedDate: null };
+        data.recurring.push(newRule);
+        this.saveData(data);
+        return newRule;
+    }
+
+    // Update a recurring expense rule; returns null when it is missing or the new comment is not valid
+    updateRecurringExpense(id, changes) {
+        if ('comment' in changes && this.getCommentError(changes.comment)) return null;
+        if ('comment' in changes) changes = { ...changes, comment: changes.comment.trim() };
+        const data = this.getStoredData();
+        const index = (data.recurring || []).findIndex(rule => rule.id === id);
+        if (index === -1) return null;
+        data.recurring[index] = { ...data.recurring[index], ...changes };
+        this.saveData(data);
+        return data.recurring[index];
+    }
+
+    // Pause or resume a rule. Occurrences that fall due while paused are skipped.
+    setRecurringExpensePaused(id, paused) {
+        const changes = { paused };
+        if (!paused) {
+            // Posting picks up again from today, so today's occurrence is kept
+            const yesterday = new Date();
+            yesterday.setDate(yesterday.getDate() - 1);
+            changes.lastPostedDate = this.getDayKey(yesterday);
+        }
+        return this.updateRecurringExpense(id, changes);
+    }
+
+    // End a rule; nothing is posted after the end date
+    endRecurringExpense(id, endDate = this.getDayKey()) {
+        return this.updateRecurringExpense(id, { endDate });
+    }
+
+    // Check whether a rule falls due on the given date
+    isRecurringDueOn(rule, date) {
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        const dayOfMonth = Math.min(parseInt(rule.dayOfMonth, 10) || 1, lastDay);
+        switch (rule.frequency) {
+            case 'weekly': return date.getDay() === parseInt(rule.dayOfWeek, 10);
+            case 'yearly': return date.getMonth() === parseInt(rule.month, 10) && date.getDate() === dayOfMonth;
+            default: return date.getDate() === dayOfMonth;
+        }
+    }
+
+    // Create the expenses of every active rule that fell due since it last ran.
+    // They are added together, so the data is saved (and alerts checked) once.
+    // A rule whose comment is not valid (say from an older backup) is left
+    // alone until it is fixed, so none of its occurrences are lost.
+    postDueRecurringExpenses(today = new Date()) {
+        return this.recordActivity(posted => posted ? { text: posted === 1 ? 'Posted {count} recurring expense' : 'Posted {count} recurring expenses', params: { count: posted } } : null, () => {
+            const data = this.getStoredData();
+            const todayKey = this.getDayKey(today);
+            const due = [];
+            let rulesChanged = false;
+
+            (data.recurring || []).forEach((rule, index) => {
+                if (rule.paused || this.getCommentError(rule.comment)) return;
+                const lastKey = rule.endDate && rule.endDate < todayKey ? rule.endDate : todayKey;
+                const day = rule.lastPostedDate ? this.parseDayKey(rule.lastPostedDate) : this.parseDayKey(rule.startDate);
+                if (rule.lastPostedDate) day.setDate(day.getDate() + 1);
+
+                for (; this.getDayKey(day) <= lastKey; day.setDate(day.getDate() + 1)) {
+                    if (!this.isRecurringDueOn(rule, day)) continue;
+                    // The id comes from the rule and the day, so synced devices
+                    // that both post an occurrence end up with the same expense
+                    const id = `${rule.id}-${this.getDayKey(day)}`;
+                    if (data.expenses.some(exp => exp.id === id)) continue;
+                    due.push({
+                        id,
+                        date: this.getDayKey(day),
+                        categoryId: rule.categoryId,
+                        amount: rule.amount,
+                        comment: rule.comment,
+                        recurringId: rule.id
+                    });
+                }
+                if (rule.lastPostedDate !== lastKey && lastKey >= rule.startDate) {
+                    data.recurring[index] = { ...rule, lastPostedDate: lastKey };
+                    rulesChanged = true;
+                }
+            });
+            // addExpenses saves the updated rules along with the expenses
+            const added = due.length ? this.addExpenses(due) : null;
+            if (!added && rulesChanged) this.saveData(data);
+            return added ? added.length : 0;
+        });
+    }
+
     // -------- LIMITS (per month, per category) --------
 
-    // Get all limits for a given month (object: { [category]: limit })
+    // Get the limits that apply to a month (object: { [categoryId]: limit }).
+    // A month without limits of its own uses getLimitsSourceMonth's limits.
     getLimitsForMonth(monthKey = null) {
+        const source = this.getLimitsSourceMonth(monthKey);
+        return source ? { ...this.getStoredData().limits[source] } : {};
+    }
+
+    // Month whose saved limits apply to monthKey: the month itself, or (when the
+    // carryForwardLimits setting is on) the closest earlier month with limits
+    getLimitsSourceMonth(monthKey = null) {
+        const limits = this.getStoredData().limits || {};
+        const key = monthKey || this.getPeriodKey();
+        if (limits[key]) return key;
+        if (!this.getSettings().carryForwardLimits) return null;
+        return Object.keys(limits).filter(k => k < key && Object.keys(limits[k]).length).sort().pop() || null;
+    }
+
+    // Limit available in a month: the month's limit plus, for categories with
+    // rollover on, what was left (or overspent) the month before
+    getEffectiveLimit(categoryId, monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const limit = parseFloat(this.getLimitsForMonth(key)[categoryId]) || 0;
+        return limit + this.getRolloverAmount(categoryId, key);
+    }
+
+    // Amount carried into a month from the previous one. Rollover starts with
+    // the month it was turned on and stops at a month without a limit.
+    getRolloverAmount(categoryId, monthKey = null) {
+        const category = this.getCategory(categoryId);
+        const [year, month] = (monthKey || this.getPeriodKey()).split('-').map(Number);
+        const previousKey = this.getMonthKey(new Date(year, month - 2, 1));
+        if (!category || !category.rolloverSince || previousKey < category.rolloverSince) return 0;
+        if (!(categoryId in this.getLimitsForMonth(previousKey))) return 0;
+        return this.getEffectiveLimit(categoryId, previousKey) - this.getTotalExpensesForCategoryInMonth(categoryId, previousKey);
+    }
+
+    // Effective limits for every category with a limit in the month
+    getEffectiveLimitsForMonth(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const effective = {};
+        Object.keys(this.getLimitsForMonth(key)).forEach(categoryId => {
+            effective[categoryId] = this.getEffectiveLimit(categoryId, key);
+        });
+        return effective;
+    }
+
+    // Turn rollover on or off for a category; it takes effect from sinceMonthKey
+    setCategoryRollover(categoryId, enabled, sinceMonthKey = null) {
+        const data = this.getStoredData();
+        const category = (data.categories || []).find(cat => cat.id === categoryId);
+        if (!category) {
+            return false;
+        }
+        const rolloverSince = enabled ? (category.rolloverSince || sinceMonthKey || this.getPeriodKey()) : null;
+        if (rolloverSince === (category.rolloverSince || null)) return category;
+        category.rolloverSince = rolloverSince;
+        this.saveData(data);
+        return category;
+    }
+
+    // -------- LIMIT TEMPLATES --------
+    // Template: { id, name, limits: { [categoryId]: limit } }
+
+    // Get all saved limit templates
+    getLimitTemplates() {
         const data = this.getStoredData();
-        const key = monthKey || this.getMonthKey();
-        if (!data.limits) return {};
-        return data.limits[key] || {};
+        return data.limitTemplates || [];
     }
 
-    // Set limits for a given month (limitsObj: { [category]: limit })
-    setLimitsForMonth(limitsObj, monthKey = null) {
+    // Save limits under a template name, replacing a template with the same name
+    saveLimitTemplate(name, limits) {
         const data = this.getStoredData();
-        if (!data.limits) {
-            data.limits = {};
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return null;
+        }
+        if (!data.limitTemplates) {
+            data.limitTemplates = [];
         }
-        const key = monthKey || this.getMonthKey();
-        data.limits[key] = limitsObj;
+        let template = data.limitTemplates.find(t => t.name.toLowerCase() === trimmed.toLowerCase());
+        if (template) {
+            template.limits = { ...limits };
+        } else {
+            template = { id: this.generateId(), name: trimmed, limits: { ...limits } };
+            data.limitTemplates.push(template);
+        }
+        this.saveData(data);
+        return template;
+    }
+
+    // Delete a limit template
+    deleteLimitTemplate(id) {
+        const data = this.getStoredData();
+        const before = (data.limitTemplates || []).length;
+        data.limitTemplates = (data.limitTemplates || []).filter(t => t.id !== id);
+        if (data.limitTemplates.length === before) return false;
         this.saveData(data);
-        return data.limits[key];
+        return true;
+    }
+
+    // Set limits for a given month (limitsObj: { [categoryId]: limit })
+    setLimitsForMonth(limitsObj, monthKey = null) {
+        return this.recordActivity({ text: 'Set limits for {period}', params: { period: { period: monthKey || this.getPeriodKey() } } }, () => {
+            const data = this.getStoredData();
+            if (!data.limits) {
+                data.limits = {};
+            }
+            const key = monthKey || this.getPeriodKey();
+            data.limits[key] = limitsObj;
+            this.saveData(data);
+            this.checkAlerts();
+            return data.limits[key];
+        });
     }
 
-    // Get total expenses for a category in a given month
-    getTotalExpensesForCategoryInMonth(category, monthKey = null) {
-        const key = monthKey || this.getMonthKey();
+    // Get total expenses for a category in a given month, optionally rolling up
+    // its subcategories
+    getTotalExpensesForCategoryInMonth(categoryId, monthKey = null, includeSubcategories = false) {
+        const key = monthKey || this.getPeriodKey();
+        const ids = includeSubcategories ? this.getCategoryIdsWithSubcategories(categoryId) : [categoryId];
         const expenses = this.getExpenses();
         return expenses.reduce((sum, exp) => {
-            if (!exp.category || !exp.date) return sum;
-            const expMonthKey = this.getMonthKey(new Date(exp.date));
-            if (expMonthKey === key && exp.category === category) {
-                const amt = parseFloat(exp.amount);
-                return sum + (isNaN(amt) ? 0 : amt);
+            if (!exp.categoryId || !exp.date) return sum;
+            const expMonthKey = this.getExpensePeriodKey(exp);
+            if (expMonthKey === key && this.expenseHasCategory(exp, ids)) {
+                return sum + this.getExpenseBaseAmountForCategories(exp, ids);
             }
             return sum;
         }, 0);
@@ -176,14 +1020,13 @@ class ExpenseTracker {
 
     // Get total expenses for a month (all categories)
     getTotalExpensesForMonth(monthKey = null) {
-        const key = monthKey || this.getMonthKey();
+        const key = monthKey || this.getPeriodKey();
         const expenses = this.getExpenses();
         return expenses.reduce((sum, exp) => {
             if (!exp.date) return sum;
-            const expMonthKey = this.getMonthKey(new Date(exp.date));
+            const expMonthKey = this.getExpensePeriodKey(exp);
             if (expMonthKey === key) {
-                const amt = parseFloat(exp.amount);
-                return sum + (isNaN(amt) ? 0 : amt);
+                return sum + this.getExpenseBaseAmount(exp);
             }
             return sum;
         }, 0);
@@ -196,10 +1039,10 @@ class ExpenseTracker {
         if (!data.income) return 0;
         
         let total = 0;
-        for (const [monthKey, income] of Object.entries(data.income)) {
+        for (const monthKey of Object.keys(data.income)) {
             const [yearStr] = monthKey.split('-');
             if (parseInt(yearStr) === targetYear) {
-                total += parseFloat(income) || 0;
+                total += this.getIncome(monthKey);
             }
         }
         return total;
@@ -211,811 +1054,4577 @@ class ExpenseTracker {
         const expenses = this.getExpenses();
         return expenses.reduce((sum, exp) => {
             if (!exp.date) return sum;
-            const expDate = new Date(exp.date);
-            if (expDate.getFullYear() === targetYear) {
-                const amt = parseFloat(exp.amount);
-                return sum + (isNaN(amt) ? 0 : amt);
+            if (this.getExpensePeriodKey(exp).startsWith(`${targetYear}-`)) {
+                return sum + this.getExpenseBaseAmount(exp);
             }
             return sum;
         }, 0);
     }
 
-    // Get expenses for a specific month
-    getExpensesForMonth(monthKey = null) {
-        const key = monthKey || this.getMonthKey();
-        const expenses = this.getExpenses();
-        return expenses.filter(exp => {
-            if (!exp.date) return false;
-            const expMonthKey = this.getMonthKey(new Date(exp.date));
-            return expMonthKey === key;
+    // Get income, expenses and savings for each month of a year (for the trend charts)
+    getMonthlyTotalsForYear(year = null) {
+        const targetYear = year || new Date().getFullYear();
+        return Array.from({ length: 12 }, (_, monthIndex) => {
+            const monthKey = `${targetYear}-${String(monthIndex + 1).padStart(2, '0')}`;
+            const income = this.getIncome(monthKey);
+            const expenses = this.getTotalExpensesForMonth(monthKey);
+            return { monthKey, income, expenses, savings: income - expenses };
         });
     }
 
-    // Get all categories
-    getCategories() {
-        const data = this.getStoredData();
-        return data.categories || [];
+    // Get the running total of expenses for each day of a period
+    getDailyCumulativeExpenses(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const daily = new Array(this.getPeriodLength(key)).fill(0);
+        this.getExpensesForMonth(key).forEach(exp => {
+            daily[this.getPeriodDayIndex(this.toDayKey(exp.date), key)] += this.getExpenseBaseAmount(exp);
+        });
+        let total = 0;
+        return daily.map(value => (total += value));
     }
 
-    // Add a category
-    addCategory(categoryName) {
+    // Search all expenses. Every filter is optional:
+    // { text, categoryId (includes its subcategories), from, to (YYYY-MM-DD), minAmount, maxAmount, sort }
+    // sort: 'date-desc' (default), 'date-asc', 'amount-desc' or 'amount-asc'
+    // Amounts are compared in the base currency.
+    searchExpenses(filters = {}) {
+        const text = (filters.text || '').trim().toLowerCase();
+        const min = parseFloat(filters.minAmount);
+        const max = parseFloat(filters.maxAmount);
+        const categoryIds = filters.categoryId ? this.getCategoryIdsWithSubcategories(filters.categoryId) : null;
+        const results = this.getExpenses().filter(exp => {
+            if (!exp.date) return false;
+            const day = this.toDayKey(exp.date);
+            const amount = this.getExpenseBaseAmount(exp);
+            if (text && !(exp.comment || '').toLowerCase().includes(text)) return false;
+            if (categoryIds && !this.expenseHasCategory(exp, categoryIds)) return false;
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+            if (!isNaN(min) && amount < min) return false;
+            if (!isNaN(max) && amount > max) return false;
+            return true;
+        });
+
+        const byDate = (a, b) => this.toDayKey(a.date).localeCompare(this.toDayKey(b.date));
+        const byAmount = (a, b) => this.getExpenseBaseAmount(a) - this.getExpenseBaseAmount(b);
+        switch (filters.sort) {
+            case 'date-asc': return results.sort(byDate);
+            case 'amount-desc': return results.sort((a, b) => byAmount(b, a));
+            case 'amount-asc': return results.sort(byAmount);
+            default: return results.sort((a, b) => byDate(b, a));
+        }
+    }
+
+    // Get the month keys (YYYY-MM) that hold any of the requested kinds of data
+    getMonthKeysWithData({ expenses = true, income = false, limits = false } = {}) {
         const data = this.getStoredData();
-        if (!data.categories) {
-            data.categories = [];
+        const keys = new Set();
+        if (expenses) {
+            (data.expenses || []).forEach(exp => {
+                if (exp.date) keys.add(this.getExpensePeriodKey(exp));
+            });
         }
-        
-        // Check if category already exists (case-insensitive)
-        const categoryLower = categoryName.trim().toLowerCase();
-        const exists = data.categories.some(cat => cat.toLowerCase() === categoryLower);
-        
-        if (exists) {
-            return null; // Category already exists
+        if (income) Object.keys(data.income || {}).forEach(key => keys.add(key));
+        if (limits) {
+            for (const [key, monthLimits] of Object.entries(data.limits || {})) {
+                if (Object.keys(monthLimits).length) keys.add(key);
+            }
         }
-        
-        // Add category
-        data.categories.push(categoryName.trim());
+        return keys;
+    }
+
+    // Get the first and last year that hold data (always includes the current year)
+    getDataYearRange() {
+        const currentYear = new Date().getFullYear();
+        const years = [...this.getMonthKeysWithData({ expenses: true, income: true, limits: true })]
+            .map(key => parseInt(key.split('-')[0], 10));
+        return { min: Math.min(currentYear, ...years), max: Math.max(currentYear, ...years) };
+    }
+
+    // Get expenses for a specific month
+    getExpensesForMonth(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const expenses = this.getExpenses();
+        return expenses.filter(exp => {
+            if (!exp.date) return false;
+            const expMonthKey = this.getExpensePeriodKey(exp);
+            return expMonthKey === key;
+        });
+    }
+
+    // -------- ATTACHMENTS (receipt images) --------
+    // Images live in the storage adapter's attachment store, not in the data object:
+    // { id, expenseId, name, type, dataUrl, thumbnail }. An expense lists its
+    // images as attachments: [{ id, name }].
+
+    // Check whether the storage backend can hold attachments (IndexedDB only)
+    supportsAttachments() {
+        return this.storage.supportsAttachments();
+    }
+
+    // Data saved by an older version that could not be read at start-up
+    // (raw text, left untouched in localStorage), or null
+    getUnreadableLegacyData() {
+        return this.storage.getUnreadableLegacyData();
+    }
+
+    // Store compressed images ([{ name, type, dataUrl, thumbnail }]) and resolve to
+    // the [{ id, name }] entries to list on an expense
+    storeAttachments(images) {
+        const records = images.map(image => ({ ...image, id: this.generateId() }));
+        return this.storage.putAttachments(records).then(() => records.map(record => ({ id: record.id, name: record.name })));
+    }
+
+    // Get one stored attachment (resolves to null when it is missing)
+    getAttachment(id) {
+        if (!this.supportsAttachments()) return Promise.resolve(null);
+        return this.storage.getAttachment(id).then(record => record || null);
+    }
+
+    // Ids of attachments an expense or an activity log entry still refers to,
+    // so undoing a deletion brings its receipts back
+    getReferencedAttachmentIds() {
+        const data = this.getStoredData();
+        const ids = new Set();
+        const addFrom = exp => (exp && exp.attachments || []).forEach(a => ids.add(a.id));
+        data.expenses.forEach(addFrom);
+        (data.activity || []).forEach(entry => entry.changes.forEach(change => {
+            if (!change.key.startsWith('expense:')) return;
+            addFrom(change.before);
+            addFrom(change.after);
+        }));
+        return ids;
+    }
+
+    // Delete stored attachments nothing refers to any more (images picked for an
+    // expense that was never saved, or removed long ago). Resolves to the count.
+    pruneAttachments() {
+        if (!this.supportsAttachments()) return Promise.resolve(0);
+        const keep = this.getReferencedAttachmentIds();
+        return this.storage.getAttachmentIds().then(ids => {
+            const unused = ids.filter(id => !keep.has(id));
+            return this.storage.deleteAttachments(unused).then(() => unused.length);
+        });
+    }
+
+    // -------- HOUSEHOLD (members, shared expenses, settlements) --------
+    // Member: { id, name }. A shared expense adds paidBy (member id) and
+    // sharing: { rule: 'equal' | 'percent' | 'exact', shares: [{ memberId, value }] },
+    // where value is unused for 'equal', a percentage for 'percent' and an amount
+    // in the expense's currency for 'exact'.
+    // Settlement: { id, monthKey, date, from, to, amount } - member "from" paid
+    // "to" back, in the base currency.
+
+    // Get household members
+    getMembers() {
+        return this.getStoredData().members || [];
+    }
+
+    // Get a member's name ('Unknown member' when it was removed)
+    getMemberName(id) {
+        const member = this.getMembers().find(m => m.id === id);
+        return member ? member.name : t('Unknown member');
+    }
+
+    // Check a member name; returns an error message or null
+    getMemberError(name, id = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return t('Please enter a name.');
+        const duplicate = this.getMembers().some(m => m.id !== id && m.name.toLowerCase() === trimmed.toLowerCase());
+        return duplicate ? t('Member already exists.') : null;
+    }
+
+    // Add a household member
+    addMember(name) {
+        if (this.getMemberError(name)) return null;
+        return this.recordActivity({ text: 'Added member "{name}"', params: { name: name.trim() } }, () => {
+            const data = this.getStoredData();
+            const member = { id: this.generateId(), name: name.trim() };
+            data.members = [...(data.members || []), member];
+            this.saveData(data);
+            return member;
+        });
+    }
+
+    // Rename a household member
+    renameMember(id, name) {
+        if (this.getMemberError(name, id)) return null;
+        return this.recordActivity({ text: 'Renamed member "{name}" to "{newName}"', params: { name: this.getMemberName(id), newName: name.trim() } }, () => {
+            const data = this.getStoredData();
+            const member = (data.members || []).find(m => m.id === id);
+            if (!member) return null;
+            member.name = name.trim();
+            this.saveData(data);
+            return member;
+        });
+    }
+
+    // Check whether an expense or settlement refers to a member
+    isMemberInUse(id) {
+        const data = this.getStoredData();
+        return data.expenses.some(exp => exp.paidBy === id || (exp.sharing && exp.sharing.shares.some(share => share.memberId === id))) ||
+            (data.settlements || []).some(s => s.from === id || s.to === id);
+    }
+
+    // Delete a member that no expense or settlement refers to
+    deleteMember(id) {
+        if (this.isMemberInUse(id)) return false;
+        return this.recordActivity({ text: 'Deleted member "{name}"', params: { name: this.getMemberName(id) } }, () => {
+            const data = this.getStoredData();
+            data.members = (data.members || []).filter(m => m.id !== id);
+            this.saveData(data);
+            return true;
+        });
+    }
+
+    // Point every expense and settlement of one member id at another
+    moveMemberRecords(data, fromId, toId) {
+        data.expenses.forEach(exp => {
+            if (exp.paidBy === fromId) exp.paidBy = toId;
+            if (exp.sharing) exp.sharing.shares.forEach(share => {
+                if (share.memberId === fromId) share.memberId = toId;
+            });
+        });
+        (data.settlements || []).forEach(s => {
+            if (s.from === fromId) s.from = toId;
+            if (s.to === fromId) s.to = toId;
+        });
+    }
+
+    // Validate who paid and how an expense is shared; returns an error message or null
+    getSharingError(amount, paidBy, sharing) {
+        if (!paidBy) return t('Choose who paid');
+        if (!sharing || !sharing.shares.length) return t('Choose who shares the expense');
+        if (sharing.rule === 'equal') return null;
+        if (sharing.shares.some(share => !(parseFloat(share.value) > 0))) return t('Enter a share for everyone ticked');
+        const sum = sharing.shares.reduce((total, share) => total + parseFloat(share.value), 0);
+        if (sharing.rule === 'percent' && Math.round(sum * 100) !== 10000) return t('Percentages add up to {sum}%, not 100%', { sum: +sum.toFixed(2) });
+        if (sharing.rule === 'exact' && Math.round(sum * 100) !== Math.round(parseFloat(amount) * 100)) {
+            return t('Shares add up to {sum}, not {total}', { sum: formatNumber(sum), total: formatNumber(amount) });
+        }
+        return null;
+    }
+
+    // Get what each member owes for a shared expense, in the base currency:
+    // [{ memberId, amount }] (empty when the expense is not shared)
+    getExpenseShares(expense) {
+        if (!expense.paidBy || !expense.sharing) return [];
+        const base = this.getExpenseBaseAmount(expense);
+        const total = parseFloat(expense.amount);
+        const { rule, shares } = expense.sharing;
+        return shares.map(share => {
+            let amount = base / shares.length;
+            if (rule === 'percent') amount = base * parseFloat(share.value) / 100;
+            if (rule === 'exact') amount = total ? base * parseFloat(share.value) / total : 0;
+            return { memberId: share.memberId, amount };
+        });
+    }
+
+    // Get the settlements recorded for a month
+    getSettlements(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        return (this.getStoredData().settlements || []).filter(s => s.monthKey === key);
+    }
+
+    // Record that one member paid another back for a month's shared expenses
+    recordSettlement({ from, to, amount, monthKey = null }) {
+        const value = Math.round(parseFloat(amount) * 100) / 100;
+        return this.recordActivity({ text: '{from} paid {to} {amount}', params: { from: this.getMemberName(from), to: this.getMemberName(to), amount: { amount: value } } }, () => {
+            const data = this.getStoredData();
+            const settlement = { id: this.generateId(), monthKey: monthKey || this.getPeriodKey(), date: this.getDayKey(), from, to, amount: value };
+            data.settlements = [...(data.settlements || []), settlement];
+            this.saveData(data);
+            return settlement;
+        });
+    }
+
+    // Delete a recorded settlement
+    deleteSettlement(id) {
+        return this.recordActivity({ text: 'Deleted a settlement' }, () => {
+            const data = this.getStoredData();
+            data.settlements = (data.settlements || []).filter(s => s.id !== id);
+            this.saveData(data);
+        });
+    }
+
+    // Get each member's balance for a month: [{ memberId, balance }], positive when
+    // the member is owed money. Paying a shared expense credits the payer and each
+    // share debits its member; a settlement credits the payer and debits the receiver.
+    getMemberBalances(monthKey = null) {
+        const key = monthKey || this.getPeriodKey();
+        const balances = new Map(this.getMembers().map(m => [m.id, 0]));
+        const add = (id, amount) => balances.set(id, (balances.get(id) || 0) + amount);
+        this.getExpensesForMonth(key).forEach(exp => {
+            const shares = this.getExpenseShares(exp);
+            if (!shares.length) return;
+            add(exp.paidBy, this.getExpenseBaseAmount(exp));
+            shares.forEach(share => add(share.memberId, -share.amount));
+        });
+        this.getSettlements(key).forEach(s => {
+            add(s.from, s.amount);
+            add(s.to, -s.amount);
+        });
+        return [...balances].map(([memberId, balance]) => ({ memberId, balance: Math.round(balance * 100) / 100 }));
+    }
+
+    // Get the transfers that settle a month: [{ from, to, amount }]. Whoever owes the
+    // most pays whoever is owed the most until everyone is even, which takes at most
+    // one transfer fewer than the number of members with a balance.
+    getSettleUpTransfers(monthKey = null) {
+        const balances = this.getMemberBalances(monthKey);
+        const debtors = balances.filter(b => b.balance < 0).map(b => ({ memberId: b.memberId, amount: -b.balance }));
+        const creditors = balances.filter(b => b.balance > 0).map(b => ({ memberId: b.memberId, amount: b.balance }));
+        const transfers = [];
+        while (debtors.length && creditors.length) {
+            debtors.sort((a, b) => b.amount - a.amount);
+            creditors.sort((a, b) => b.amount - a.amount);
+            const [debtor, creditor] = [debtors[0], creditors[0]];
+            const amount = Math.round(Math.min(debtor.amount, creditor.amount) * 100) / 100;
+            transfers.push({ from: debtor.memberId, to: creditor.memberId, amount });
+            debtor.amount = Math.round((debtor.amount - amount) * 100) / 100;
+            creditor.amount = Math.round((creditor.amount - amount) * 100) / 100;
+            if (debtor.amount <= 0) debtors.shift();
+            if (creditor.amount <= 0) creditors.shift();
+        }
+        return transfers;
+    }
+
+    // -------- ALERTS --------
+    // Alert: { id, type, monthKey, categoryId, threshold, message, createdAt, read, cleared }.
+    // type is 'limit' (a threshold of a category's limit was reached), 'pace'
+    // (spending runs ahead of the share of the month gone by) or 'income' (little
+    // of the month's income is left). Each fires at most once per month.
+
+    // Get all alerts, newest first
+    getAlerts() {
+        const data = this.getStoredData();
+        return (data.alerts || []).filter(alert => !alert.cleared).reverse();
+    }
+
+    getUnreadAlertCount() {
+        return this.getAlerts().filter(alert => !alert.read).length;
+    }
+
+    // Mark every alert as read
+    markAlertsRead() {
+        const data = this.getStoredData();
+        if (!(data.alerts || []).some(alert => !alert.read)) return;
+        data.alerts.forEach(alert => { alert.read = true; });
         this.saveData(data);
-        return categoryName.trim();
     }
 
-    // Update a category
-    updateCategory(oldName, newName) {
+    // Remove every alert. This month's are kept hidden so they do not fire again.
+    clearAlerts() {
         const data = this.getStoredData();
-        if (!data.categories) {
-            return false;
+        const monthKey = this.getPeriodKey();
+        data.alerts = (data.alerts || []).filter(alert => alert.monthKey === monthKey)
+            .map(alert => ({ ...alert, read: true, cleared: true }));
+        this.saveData(data);
+    }
+
+    // Alert thresholds (percent of the limit) for a category: its own, or the default
+    getAlertThresholds(categoryId) {
+        const category = this.getCategory(categoryId);
+        return (category && category.alertThresholds) || this.getSettings().alertThresholds;
+    }
+
+    // Raise the alerts that are due for the month of `date` and have not fired yet.
+    // Returns the new alerts; onAlert is called with each of them. An alert's
+    // message is { text, params } like an activity summary (see getMessageText).
+    checkAlerts(date = new Date()) {
+        const data = this.getStoredData();
+        const settings = this.getSettings();
+        const monthKey = this.getPeriodKey(date);
+        const existing = (data.alerts || []).filter(alert => alert.monthKey === monthKey);
+        const due = [];
+
+        const elapsed = (this.getPeriodDayIndex(this.getDayKey(date), monthKey) + 1) / this.getPeriodLength(monthKey);
+        for (const [categoryId, limit] of Object.entries(this.getEffectiveLimitsForMonth(monthKey))) {
+            if (limit <= 0 || !this.getCategory(categoryId)) continue;
+            const spent = this.getTotalExpensesForCategoryInMonth(categoryId, monthKey);
+            const percent = (spent / limit) * 100;
+            const name = this.getCategoryName(categoryId);
+            const reached = this.getAlertThresholds(categoryId).filter(threshold => percent >= threshold);
+            const threshold = reached.length ? Math.max(...reached) : null;
+            if (threshold !== null && !existing.some(a => a.type === 'limit' && a.categoryId === categoryId && a.threshold >= threshold)) {
+                due.push({ type: 'limit', categoryId, threshold, message: { text: '{name} has reached {percent}% of its limit ({threshold}% alert)', params: { name, percent: Math.round(percent), threshold } } });
+            }
+            // Pace: more than 10 points ahead of the elapsed share of the month, but not over the limit yet
+            if (settings.paceAlerts && percent < 100 && percent / 100 > elapsed + 0.1 &&
+                !existing.some(a => a.type === 'pace' && a.categoryId === categoryId)) {
+                due.push({ type: 'pace', categoryId, message: { text: '{name} is {percent}% spent with {elapsed}% of the month gone', params: { name, percent: Math.round(percent), elapsed: Math.round(elapsed * 100) } } });
+            }
+        }
+
+        const income = this.getIncome(monthKey);
+        const remainingPercent = settings.remainingIncomeAlertPercent;
+        if (remainingPercent !== null && income > 0 && !existing.some(a => a.type === 'income')) {
+            const remaining = income - this.getTotalExpensesForMonth(monthKey);
+            if ((remaining / income) * 100 < remainingPercent) {
+                due.push({ type: 'income', message: remaining < 0
+                    ? { text: 'Spending this month is {amount} more than income', params: { amount: { amount: Math.abs(remaining) } } }
+                    : { text: 'Only {percent}% of this month\'s income is left', params: { percent: Math.round((remaining / income) * 100) } } });
+            }
+        }
+
+        if (!due.length) return [];
+        const createdAt = new Date().toISOString();
+        const added = due.map(alert => ({ id: this.generateId(), monthKey, categoryId: null, threshold: null, ...alert, createdAt, read: false }));
+        data.alerts = [...(data.alerts || []), ...added];
+        this.saveData(data);
+        if (this.onAlert) added.forEach(alert => this.onAlert(alert));
+        return added;
+    }
+
+    // -------- ACTIVITY LOG --------
+    // Entry: { id, at, summary, changes: [{ key, before, after }], revertOf }.
+    // summary is { text, params }, shown through getMessageText in the
+    // language in use at the time (entries of older versions hold plain text).
+    // Each change holds one record before and after (null when it did not exist);
+    // keys look like 'expense:<id>', 'category:<id>', 'recurring:<id>',
+    // 'member:<id>', 'settlement:<id>', 'income:<id>' (value { monthKey, entry })
+    // and 'limits:<monthKey>'.
+
+    // Get the activity log, newest first
+    getActivity() {
+        const data = this.getStoredData();
+        return [...(data.activity || [])].reverse();
+    }
+
+    // Text of a stored message (an activity summary or alert) in the current
+    // language. text is English with {placeholders} (see t()); a param can be
+    // { period }, { date } or { amount }, shown in the current format, or
+    // another message. Messages of older versions are plain text.
+    getMessageText(message) {
+        if (typeof message === 'string') return message;
+        const params = {};
+        for (const [name, value] of Object.entries(message.params || {})) {
+            if (value && value.text) params[name] = this.getMessageText(value);
+            else if (value && value.period) params[name] = this.getPeriodLabel(value.period);
+            else if (value && value.date) params[name] = formatDate(this.parseDayKey(value.date));
+            else if (value && value.amount !== undefined) params[name] = formatMoney(value.amount, this.getBaseCurrency());
+            else params[name] = value;
+        }
+        return t(message.text, params);
+    }
+
+    // Get the entry that reverted an entry, if any
+    getRevertingActivity(id) {
+        return this.getActivity().find(entry => entry.revertOf === id) || null;
+    }
+
+    // Every record the activity log tracks, as key -> JSON
+    getActivityRecords(data) {
+        const records = new Map();
+        const add = (key, value) => records.set(key, JSON.stringify(value));
+        data.expenses.forEach(exp => add(`expense:${exp.id}`, exp));
+        (data.categories || []).forEach(cat => add(`category:${cat.id}`, cat));
+        (data.recurring || []).forEach(rule => add(`recurring:${rule.id}`, rule));
+        (data.members || []).forEach(member => add(`member:${member.id}`, member));
+        (data.settlements || []).forEach(settlement => add(`settlement:${settlement.id}`, settlement));
+        for (const [monthKey, entries] of Object.entries(data.income || {})) {
+            entries.forEach(entry => add(`income:${entry.id}`, { monthKey, entry }));
+        }
+        for (const [monthKey, limits] of Object.entries(data.limits || {})) {
+            add(`limits:${monthKey}`, limits);
+        }
+        return records;
+    }
+
+    // Write one tracked record back into the data (null removes it)
+    applyActivityRecord(data, key, value) {
+        const type = key.slice(0, key.indexOf(':'));
+        const id = key.slice(key.indexOf(':') + 1);
+        const listName = { expense: 'expenses', category: 'categories', recurring: 'recurring', member: 'members', settlement: 'settlements' }[type];
+        if (listName) {
+            const list = data[listName] = data[listName] || [];
+            const index = list.findIndex(item => item.id === id);
+            if (value && index !== -1) list[index] = value;
+            else if (value) list.push(value);
+            else if (index !== -1) list.splice(index, 1);
+        } else if (type === 'income') {
+            data.income = data.income || {};
+            for (const monthKey of Object.keys(data.income)) {
+                data.income[monthKey] = data.income[monthKey].filter(entry => entry.id !== id);
+                if (!data.income[monthKey].length) delete data.income[monthKey];
+            }
+            if (value) data.income[value.monthKey] = [...(data.income[value.monthKey] || []), value.entry];
+        } else if (type === 'limits') {
+            data.limits = data.limits || {};
+            if (value) data.limits[id] = value;
+            else delete data.limits[id];
+        }
+    }
+
+    // Run a change and append the records it touched to the activity log.
+    // summary is { text, params } or a function of the change's result; a null summary
+    // skips the entry. Changes made while another one runs join that entry.
+    recordActivity(summary, change, extra = {}) {
+        if (this.recordingActivity) return change();
+        const before = this.getActivityRecords(this.getStoredData());
+        this.recordingActivity = true;
+        let result;
+        try {
+            result = change();
+        } finally {
+            this.recordingActivity = false;
+        }
+
+        const data = this.getStoredData();
+        const after = this.getActivityRecords(data);
+        const changes = [];
+        before.forEach((json, key) => {
+            if (after.get(key) !== json) changes.push({ key, before: JSON.parse(json), after: after.has(key) ? JSON.parse(after.get(key)) : null });
+        });
+        after.forEach((json, key) => {
+            if (!before.has(key)) changes.push({ key, before: null, after: JSON.parse(json) });
+        });
+        const text = typeof summary === 'function' ? summary(result) : summary;
+        if (changes.length && text) {
+            const entry = { id: this.generateId(), at: new Date().toISOString(), summary: text, changes, revertOf: null, ...extra };
+            data.activity = [...(data.activity || []), entry].slice(-this.activityLimit);
+            this.saveData(data);
+        }
+        return result;
+    }
+
+    // Undo a logged change by writing back its before values. Returns an error
+    // message, or null when it was reverted. A record that changed again since
+    // blocks the revert until the later change is reverted first.
+    revertActivity(id) {
+        const entry = this.getActivity().find(e => e.id === id);
+        if (!entry) return t('This change is no longer in the history.');
+        if (this.getRevertingActivity(id)) return t('This change has already been reverted.');
+        const current = this.getActivityRecords(this.getStoredData());
+        const changedSince = entry.changes.some(change =>
+            (current.get(change.key) || null) !== (change.after ? JSON.stringify(change.after) : null));
+        if (changedSince) return t('Some of these records have changed since. Revert the later changes first.');
+
+        this.recordActivity({ text: 'Reverted: {summary}', params: { summary: entry.summary } }, () => {
+            const data = this.getStoredData();
+            entry.changes.forEach(change => this.applyActivityRecord(data, change.key, change.before));
+            this.saveData(data);
+            this.checkAlerts();
+        }, { revertOf: id });
+        return null;
+    }
+
+    // -------- CATEGORIES --------
+    // Category: { id, name, parentId, color, icon, rolloverSince, alertThresholds }. Expenses, recurring
+    // rules and limits refer to categories by id. One level of nesting: a parent is top-level.
+
+    // Get all categories, each top-level category followed by its subcategories
+    getCategories() {
+        const data = this.getStoredData();
+        const categories = data.categories || [];
+        const topLevel = categories.filter(cat => !cat.parentId || !categories.some(p => p.id === cat.parentId));
+        return topLevel.flatMap(cat => [cat, ...categories.filter(child => child.parentId === cat.id)]);
+    }
+
+    // Get a category by id
+    getCategory(id) {
+        return this.getCategories().find(cat => cat.id === id) || null;
+    }
+
+    // Get the display name of a category ("Food > Groceries" for a subcategory)
+    getCategoryName(id) {
+        const category = this.getCategory(id);
+        if (!category) return t('Unknown category');
+        const parent = category.parentId ? this.getCategory(category.parentId) : null;
+        return parent ? `${parent.name} > ${category.name}` : category.name;
+    }
+
+    // Find a category by name (case-insensitive); "Parent > Child" finds a subcategory
+    findCategoryByName(name) {
+        const parts = String(name || '').split('>').map(part => part.trim().toLowerCase());
+        const [parentName, childName] = parts.length > 1 ? parts : [null, parts[0]];
+        const parent = parentName ? this.getCategories().find(cat => !cat.parentId && cat.name.toLowerCase() === parentName) : null;
+        if (parentName && !parent) return null;
+        return this.getCategories().find(cat => cat.name.toLowerCase() === childName &&
+            (parent ? cat.parentId === parent.id : !cat.parentId)) || null;
+    }
+
+    // Get the subcategories of a category
+    getSubcategories(id) {
+        return this.getCategories().filter(cat => cat.parentId === id);
+    }
+
+    // Get a category id together with the ids of its subcategories
+    getCategoryIdsWithSubcategories(id) {
+        return [id, ...this.getSubcategories(id).map(cat => cat.id)];
+    }
+
+    // Check the text of a category name on its own; returns an error message or null
+    getCategoryNameError(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) return t('Please enter a name.');
+        if (trimmed.includes('>')) return t('Names cannot contain ">".');
+        if (trimmed.length > this.categoryNameMaxLength) return t('Names can be at most {max} characters.', { max: this.categoryNameMaxLength });
+        if (this.hasControlCharacters(trimmed)) return t('Names cannot contain line breaks or control characters.');
+        return null;
+    }
+
+    // Check a category's colour (#rrggbb) and icon; returns an error message or null
+    getCategoryStyleError(color, icon) {
+        if (color && !/^#[0-9a-f]{6}$/i.test(color)) return t('Colours must look like #34C759.');
+        const text = typeof icon === 'string' ? icon.trim() : '';
+        if ([...text].length > this.categoryIconMaxLength) return t('Icons can be at most {max} characters.', { max: this.categoryIconMaxLength });
+        if (this.hasControlCharacters(text)) return t('Icons cannot contain line breaks or control characters.');
+        return null;
+    }
+
+    // Check a category name and parent; returns an error message or null.
+    // Names must be unique among siblings and a parent must be a top-level category.
+    getCategoryError(name, parentId = null, id = null) {
+        const nameError = this.getCategoryNameError(name);
+        if (nameError) return nameError;
+        const trimmed = name.trim();
+        if (parentId) {
+            const parent = this.getCategory(parentId);
+            if (!parent || parent.parentId || parent.id === id) return t('Choose a top-level parent category.');
+            if (id && this.getSubcategories(id).length) return t('A category with subcategories cannot have a parent.');
         }
+        const duplicate = this.getCategories().some(cat => cat.id !== id &&
+            (cat.parentId || null) === (parentId || null) && cat.name.toLowerCase() === trimmed.toLowerCase());
+        return duplicate ? t('Category already exists.') : null;
+    }
+
+    // Pick the default colour for a new category
+    getNextCategoryColor() {
+        const count = (this.getStoredData().categories || []).length;
+        return this.categoryColors[count % this.categoryColors.length];
+    }
+
+    // Add a category; returns the new record, or null when the name, parent, colour or icon is not valid
+    addCategory(categoryName, { parentId = null, color = null, icon = '', alertThresholds = null } = {}) {
+        return this.recordActivity(category => category && { text: 'Added category "{name}"', params: { name: category.name } }, () => {
+            const data = this.getStoredData();
+            if (!data.categories) {
+                data.categories = [];
+            }
+            if (this.getCategoryError(categoryName, parentId) || this.getCategoryStyleError(color, icon)) {
+                return null;
+            }
+        
+            const category = {
+                id: this.generateId(),
+                name: categoryName.trim(),
+                parentId: parentId || null,
+                color: color || this.getNextCategoryColor(),
+                icon: (icon || '').trim(),
+                alertThresholds
+            };
+            data.categories.push(category);
+            this.saveData(data);
+            return category;
+        });
+    }
+
+    // Update a category's name, parent, colour or icon. Records refer to the id,
+    // so expenses and limits follow a rename without being touched.
+    updateCategory(id, changes) {
+        return this.recordActivity(category => category && { text: 'Edited category "{name}"', params: { name: category.name } }, () => {
+            const data = this.getStoredData();
+            const category = (data.categories || []).find(cat => cat.id === id);
+            if (!category) {
+                return false;
+            }
+            const next = { ...category, ...changes };
+            if (this.getCategoryError(next.name, next.parentId, id) || this.getCategoryStyleError(next.color, next.icon)) {
+                return false;
+            }
+        
+            Object.assign(category, next, { name: next.name.trim(), parentId: next.parentId || null, icon: (next.icon || '').trim() });
+            this.saveData(data);
+            return category;
+        });
+    }
+
+    // Delete a category. Its expenses and recurring rules are moved to
+    // options.reassignTo, or removed when no target is given (archive them first
+    // with getCategoryRecords). Its limits are always removed and its
+    // subcategories become top-level categories.
+    deleteCategory(categoryId, { reassignTo = null } = {}) {
+        const name = this.getCategoryName(categoryId);
+        return this.recordActivity({ text: 'Deleted category "{name}"', params: { name } }, () => {
+            const data = this.getStoredData();
+            if (!data.categories) {
+                return false;
+            }
         
-        const index = data.categories.findIndex(cat => cat === oldName);
-        if (index !== -1) {
-            data.categories[index] = newName.trim();
+            data.categories = data.categories.filter(cat => cat.id !== categoryId);
+            data.categories.forEach(cat => {
+                if (cat.parentId === categoryId) cat.parentId = null;
+            });
+            if (reassignTo) this.moveCategoryRecords(data, categoryId, reassignTo);
+            else this.removeCategoryRecords(data, categoryId);
+            this.saveData(data);
+            return true;
+        });
+    }
+
+    // Point every expense, recurring rule and limit (monthly or in a template) of
+    // one category id at another. A limit already set for the target is kept.
+    moveCategoryRecords(data, fromId, toId) {
+        data.expenses.forEach(exp => {
+            if (exp.categoryId === fromId) exp.categoryId = toId;
+            if (exp.splits) {
+                exp.splits.forEach(line => {
+                    if (line.categoryId === fromId) line.categoryId = toId;
+                });
+                this.normalizeExpenseSplits(exp);
+            }
+        });
+        (data.recurring || []).forEach(rule => {
+            if (rule.categoryId === fromId) rule.categoryId = toId;
+        });
+        [...Object.values(data.limits || {}), ...(data.limitTemplates || []).map(t => t.limits)].forEach(monthLimits => {
+            if (!(fromId in monthLimits)) return;
+            if (!(toId in monthLimits)) monthLimits[toId] = monthLimits[fromId];
+            delete monthLimits[fromId];
+        });
+    }
+
+    // Remove every expense, recurring rule and limit (monthly or in a template) of a
+    // category. A split expense only loses that category's line.
+    removeCategoryRecords(data, categoryId) {
+        data.expenses.forEach(exp => {
+            if (!exp.splits) return;
+            exp.splits = exp.splits.filter(line => line.categoryId !== categoryId);
+            this.normalizeExpenseSplits(exp);
+        });
+        data.expenses = data.expenses.filter(exp => exp.categoryId !== categoryId);
+        if (data.recurring) data.recurring = data.recurring.filter(rule => rule.categoryId !== categoryId);
+        [...Object.values(data.limits || {}), ...(data.limitTemplates || []).map(t => t.limits)].forEach(monthLimits => {
+            delete monthLimits[categoryId];
+        });
+    }
+
+    // Get a category's expenses, limits and recurring rules as a data object
+    // (in the backup format, so an archive can be merged back later)
+    getCategoryRecords(categoryId) {
+        const data = this.getStoredData();
+        const records = this.createEmptyData();
+        const category = this.getCategory(categoryId);
+        records.categories = category ? [{ ...category, parentId: null }] : [];
+        // Split expenses are archived as just this category's line
+        records.expenses = data.expenses.filter(exp => this.expenseHasCategory(exp, [categoryId])).map(exp => {
+            if (!exp.splits) return exp;
+            const { splits, ...plain } = exp;
+            return { ...plain, categoryId, amount: splits.find(line => line.categoryId === categoryId).amount };
+        });
+        records.recurring = (data.recurring || []).filter(rule => rule.categoryId === categoryId);
+        for (const [key, monthLimits] of Object.entries(data.limits || {})) {
+            if (categoryId in monthLimits) records.limits[key] = { [categoryId]: monthLimits[categoryId] };
+        }
+        return records;
+    }
+
+    // Find category ids used by expenses, limits or recurring rules that are not
+    // in the category list. Returns [{ id, expenses, limitMonths, recurring }].
+    getOrphanedCategories() {
+        const data = this.getStoredData();
+        const known = new Set(this.getCategories().map(cat => cat.id));
+        const orphans = new Map();
+        const count = (id, field) => {
+            if (known.has(id)) return;
+            if (!orphans.has(id)) orphans.set(id, { id, expenses: 0, limitMonths: 0, recurring: 0 });
+            orphans.get(id)[field]++;
+        };
+        data.expenses.forEach(exp => new Set(this.getExpenseLines(exp).map(line => line.categoryId || '')).forEach(id => count(id, 'expenses')));
+        (data.recurring || []).forEach(rule => count(rule.categoryId || '', 'recurring'));
+        Object.values(data.limits || {}).forEach(monthLimits => Object.keys(monthLimits).forEach(id => count(id, 'limitMonths')));
+        return [...orphans.values()];
+    }
+
+    // Repair an orphaned category id by moving its records to an existing
+    // category, or by adding a category with that id back under a new name
+    repairOrphanedCategory(orphanId, { reassignTo = null, restoreAs = null } = {}) {
+        const summary = reassignTo
+            ? { text: 'Moved records of a missing category to "{name}"', params: { name: this.getCategoryName(reassignTo) } }
+            : { text: 'Added back missing category "{name}"', params: { name: (restoreAs || '').trim() } };
+        return this.recordActivity(summary, () => {
+            const data = this.getStoredData();
+            if (reassignTo) {
+                this.moveCategoryRecords(data, orphanId, reassignTo);
+            } else {
+                if (!orphanId || this.getCategoryError(restoreAs)) return false;
+                data.categories.push({ id: orphanId, name: restoreAs.trim(), parentId: null, color: this.getNextCategoryColor(), icon: '' });
+            }
             this.saveData(data);
             return true;
+        });
+    }
+
+    // -------- PIN LOCK --------
+    // With a PIN set the storage adapter encrypts the data and receipt images
+    // with a key derived from the PIN (see EncryptedStorageAdapter).
+
+    // Check whether this browser can encrypt the data (Web Crypto needs HTTPS or localhost)
+    supportsPin() {
+        return supportsEncryption() && typeof this.storage.setPassphrase === 'function';
+    }
+
+    hasPin() {
+        return this.supportsPin() && this.storage.isEncrypted();
+    }
+
+    // Whether the data is encrypted and waiting for the PIN
+    isLocked() {
+        return typeof this.storage.isLocked === 'function' && this.storage.isLocked();
+    }
+
+    // Check a new PIN or password; returns an error message or null
+    getPinError(pin) {
+        if (typeof pin !== 'string' || pin.length < this.pinMinLength) return t('Use at least {min} characters.', { min: this.pinMinLength });
+        if (this.hasControlCharacters(pin)) return t('PINs cannot contain line breaks or control characters.');
+        return null;
+    }
+
+    // Unlock the data and finish starting up; resolves to false for a wrong PIN
+    unlock(pin) {
+        return this.storage.unlock(pin).then(unlocked => unlocked && this.init().then(() => true));
+    }
+
+    // Forget the key once pending writes have finished
+    lock() {
+        return this.storage.lock();
+    }
+
+    // Check the current PIN
+    checkPin(pin) {
+        return this.storage.verifyPassphrase(pin);
+    }
+
+    // Turn the PIN lock on, encrypting the stored data; resolves to false when the PIN is not valid
+    setPin(pin) {
+        if (!this.supportsPin() || this.getPinError(pin)) return Promise.resolve(false);
+        return this.storage.setPassphrase(pin, this.getStoredData()).then(() => true);
+    }
+
+    // Re-encrypt the data under a new PIN; resolves to false when the current PIN is wrong
+    changePin(currentPin, newPin) {
+        if (this.getPinError(newPin)) return Promise.resolve(false);
+        return this.checkPin(currentPin).then(correct => correct && this.setPin(newPin));
+    }
+
+    // Turn the PIN lock off, storing the data unencrypted again; resolves to
+    // false when the PIN is wrong
+    removePin(pin) {
+        return this.checkPin(pin).then(correct => correct && this.storage.setPassphrase(null, this.getStoredData()).then(() => true));
+    }
+
+    // Delete all stored data, for when the PIN has been forgotten
+    eraseAllData() {
+        return this.storage.erase();
+    }
+
+    // -------- SYNC --------
+    // Records are synced one by one through a sync server (see sync.js and
+    // "Sync protocol" in README.md). data.sync holds this device's sync state:
+    //   { endpoint, token, deviceId, cursor, lastSyncAt,
+    //     records: { [key]: { modifiedAt, deviceId, deleted } }, pending: [key] }
+    // Keys are those of the activity log plus 'template:<id>', 'rates:<monthKey>'
+    // and 'setting:<name>' (value { value }). Each save stamps the records it
+    // changed with the time and this device; a removed record keeps its entry
+    // as a tombstone (deleted: true) so the deletion reaches the other devices.
+
+    // Get the sync settings and state for display
+    getSyncState() {
+        const sync = this.getStoredData().sync || {};
+        return {
+            enabled: !!sync.endpoint,
+            endpoint: sync.endpoint || '',
+            token: sync.token || '',
+            lastSyncAt: sync.lastSyncAt || null,
+            pending: (sync.pending || []).length,
+            ...this.syncStatus
+        };
+    }
+
+    // Check a sync server address; returns an error message or null
+    getSyncEndpointError(endpoint) {
+        let url = null;
+        try {
+            url = new URL(String(endpoint || '').trim());
+        } catch (error) {
+            url = null;
         }
-        return false;
+        if (!url || !['http:', 'https:'].includes(url.protocol)) return t('Enter an address starting with http:// or https://');
+        return null;
     }
 
-    // Delete a category
-    deleteCategory(categoryName) {
+    // Turn sync on or change the server. A new server gets every record, so
+    // all of them wait to be pushed; the device id is kept.
+    setSyncServer(endpoint, token = '') {
+        if (this.getSyncEndpointError(endpoint)) return false;
         const data = this.getStoredData();
-        if (!data.categories) {
-            return false;
+        const previous = data.sync || {};
+        const url = endpoint.trim();
+        if (previous.endpoint === url) {
+            data.sync = { ...previous, token: token.trim() };
+            this.saveData(data);
+            return true;
         }
-        
-        data.categories = data.categories.filter(cat => cat !== categoryName);
+
+        const sync = { records: {}, ...previous, endpoint: url, token: token.trim(), deviceId: previous.deviceId || this.generateId(), cursor: null, lastSyncAt: null };
+        const now = new Date().toISOString();
+        this.getSyncRecords(data).forEach((json, key) => {
+            if (!sync.records[key] || sync.records[key].deleted) sync.records[key] = { modifiedAt: now, deviceId: sync.deviceId };
+        });
+        sync.pending = Object.keys(sync.records);
+        data.sync = sync;
+        this.resetSyncSnapshot();
         this.saveData(data);
+        this.setSyncStatus('idle');
         return true;
     }
+
+    // Turn sync off; the record stamps are dropped, the device id is kept
+    disableSync() {
+        const data = this.getStoredData();
+        if (!data.sync) return;
+        data.sync = { deviceId: data.sync.deviceId };
+        this.syncSnapshot = null;
+        this.saveData(data);
+        this.setSyncStatus('idle');
+    }
+
+    setSyncStatus(state, error = null) {
+        this.syncStatus = { state, error };
+        if (this.onSyncStatus) this.onSyncStatus(this.getSyncState());
+    }
+
+    // Remember the current records so the next save can tell what changed
+    resetSyncSnapshot() {
+        const sync = this.getStoredData().sync;
+        this.syncSnapshot = sync && sync.endpoint ? this.getSyncRecords(this.getStoredData()) : null;
+    }
+
+    // Every synced record, as key -> JSON
+    getSyncRecords(data) {
+        const records = this.getActivityRecords(data);
+        const add = (key, value) => records.set(key, JSON.stringify(value));
+        (data.limitTemplates || []).forEach(template => add(`template:${template.id}`, template));
+        for (const [monthKey, rates] of Object.entries(data.exchangeRates || {})) {
+            add(`rates:${monthKey}`, rates);
+        }
+        this.syncedSettings.forEach(name => {
+            if (data.settings && name in data.settings) add(`setting:${name}`, { value: data.settings[name] });
+        });
+        return records;
+    }
+
+    // Write one synced record into the data (null removes it)
+    applySyncRecord(data, key, value) {
+        const type = key.slice(0, key.indexOf(':'));
+        const id = key.slice(key.indexOf(':') + 1);
+        if (type === 'template') {
+            const templates = (data.limitTemplates || []).filter(template => template.id !== id);
+            data.limitTemplates = value ? [...templates, value] : templates;
+        } else if (type === 'rates') {
+            data.exchangeRates = data.exchangeRates || {};
+            if (value) data.exchangeRates[id] = value;
+            else delete data.exchangeRates[id];
+        } else if (type === 'setting') {
+            const previous = { ...this.defaultSettings, ...(data.settings || {}) };
+            data.settings = { ...previous, [id]: value ? value.value : this.defaultSettings[id] };
+            // The same follow-up as setBaseCurrency and setPeriodStartDay. The
+            // converted exchange rates arrive as rates: records of their own.
+            if (id === 'baseCurrency' && data.settings.baseCurrency !== previous.baseCurrency) {
+                data.expenses.forEach(exp => {
+                    if (!exp.currency) exp.currency = previous.baseCurrency;
+                });
+            }
+            if (id === 'periodStartDay' && data.settings.periodStartDay !== previous.periodStartDay) this.fileIncomeByPeriod(data);
+        } else {
+            this.applyActivityRecord(data, key, value);
+        }
+    }
+
+    // Stamp the records changed since the last save (called by saveData)
+    trackSyncChanges(data) {
+        const sync = data.sync;
+        if (!sync || !sync.endpoint || !this.syncSnapshot) return;
+        const current = this.getSyncRecords(data);
+        const changed = [];
+        current.forEach((json, key) => {
+            if (this.syncSnapshot.get(key) !== json) changed.push(key);
+        });
+        this.syncSnapshot.forEach((json, key) => {
+            if (!current.has(key)) changed.push(key);
+        });
+        this.syncSnapshot = current;
+        if (!changed.length) return;
+
+        const pending = new Set(sync.pending);
+        const now = Date.now();
+        changed.forEach(key => {
+            // Never go back in time, so a record's newest change always wins here
+            const previous = sync.records[key] ? Date.parse(sync.records[key].modifiedAt) + 1 : 0;
+            const modifiedAt = new Date(Math.max(now, previous)).toISOString();
+            sync.records[key] = current.has(key) ? { modifiedAt, deviceId: sync.deviceId } : { modifiedAt, deviceId: sync.deviceId, deleted: true };
+            pending.add(key);
+        });
+        sync.pending = [...pending];
+        if (this.onSyncStatus) this.onSyncStatus(this.getSyncState());
+    }
+
+    // Check whether change a is newer than b: the later modifiedAt wins and
+    // equal times go to the higher device id, so every device picks the same one
+    isNewerSyncChange(a, b) {
+        const diff = Date.parse(a.modifiedAt) - Date.parse(b.modifiedAt);
+        return diff > 0 || (diff === 0 && a.deviceId > b.deviceId);
+    }
+
+    // Check the shape of a change received from the sync server; records are
+    // held to the same checks as a restored backup's
+    isValidSyncChange(change) {
+        if (!change || typeof change.key !== 'string' || typeof change.deviceId !== 'string' || isNaN(Date.parse(change.modifiedAt))) return false;
+        const type = change.key.slice(0, change.key.indexOf(':'));
+        const id = change.key.slice(change.key.indexOf(':') + 1);
+        if (!id || !['expense', 'category', 'recurring', 'member', 'settlement', 'template', 'income', 'limits', 'rates', 'setting'].includes(type)) return false;
+        if (type === 'setting' && !this.syncedSettings.includes(id)) return false;
+        if (change.deleted) return true;
+        const value = change.value;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+        if (type === 'income') return typeof value.monthKey === 'string' && !!value.entry && value.entry.id === id && this.isValidIncomeRecord(value.entry);
+        if (type === 'setting') return 'value' in value;
+        if (['limits', 'rates'].includes(type)) return Object.values(value).every(amount => !isNaN(parseFloat(amount)));
+        const isValidRecord = {
+            expense: exp => this.isValidExpenseRecord(exp),
+            category: cat => this.isValidCategoryRecord(cat),
+            recurring: rule => this.isValidRecurringRecord(rule),
+            member: member => this.isValidMemberRecord(member),
+            settlement: settlement => this.isValidSettlementRecord(settlement),
+            template: template => this.isValidTemplateRecord(template)
+        }[type];
+        return value.id === id && isValidRecord(value);
+    }
+
+    // Push the records changed here and merge the changes the server sends back.
+    // Resolves to { pushed, pulled } (counts of records).
+    sync() {
+        const data = this.getStoredData();
+        const sync = data.sync;
+        if (!sync || !sync.endpoint || this.isLocked()) return Promise.resolve({ pushed: 0, pulled: 0 });
+        if (this.syncRun) return this.syncRun;
+
+        const current = this.getSyncRecords(data);
+        const changes = sync.pending.filter(key => sync.records[key]).map(key => {
+            const { modifiedAt, deviceId, deleted } = sync.records[key];
+            const change = { key, modifiedAt, deviceId, deleted: !!deleted || !current.has(key) };
+            if (!change.deleted) change.value = JSON.parse(current.get(key));
+            return change;
+        });
+        const request = { protocol: this.syncProtocolVersion, deviceId: sync.deviceId, cursor: sync.cursor, changes };
+        const transport = this.syncTransport || createSyncTransport(sync);
+
+        this.setSyncStatus('syncing');
+        this.syncRun = Promise.resolve()
+            .then(() => transport.sync(request))
+            .then(response => this.mergeSyncResponse(response, changes))
+            .then(result => {
+                this.syncRun = null;
+                this.setSyncStatus('synced');
+                return result;
+            }, error => {
+                this.syncRun = null;
+                this.setSyncStatus('error', error && error.message ? error.message : String(error));
+                throw error;
+            });
+        return this.syncRun;
+    }
+
+    // Merge a sync response. Each record is merged on its own: the newer change
+    // wins, and a local change that lost is dropped.
+    mergeSyncResponse(response, sent) {
+        if (!response || response.protocol !== this.syncProtocolVersion || !Array.isArray(response.changes)) {
+            throw new Error(t('The sync server sent an answer this app does not understand.'));
+        }
+        const data = this.getStoredData();
+        const sync = data.sync;
+        if (!sync || !sync.endpoint) return { pushed: 0, pulled: 0 };
+
+        // Pushed records are done with, unless they changed again meanwhile
+        const pending = new Set(sync.pending);
+        sent.forEach(change => {
+            const record = sync.records[change.key];
+            if (record && record.modifiedAt === change.modifiedAt && record.deviceId === change.deviceId) pending.delete(change.key);
+        });
+
+        const merged = [];
+        const valid = response.changes.filter(change => this.isValidSyncChange(change));
+        if (valid.length < response.changes.length) {
+            console.error('Skipped invalid records from the sync server:', response.changes.filter(change => !valid.includes(change)).map(change => change && change.key));
+        }
+        valid.forEach(change => {
+            const local = sync.records[change.key];
+            if (local && !this.isNewerSyncChange(change, local)) return;
+            this.applySyncRecord(data, change.key, change.deleted ? null : change.value);
+            sync.records[change.key] = change.deleted
+                ? { modifiedAt: change.modifiedAt, deviceId: change.deviceId, deleted: true }
+                : { modifiedAt: change.modifiedAt, deviceId: change.deviceId };
+            pending.delete(change.key);
+            merged.push(change.key);
+        });
+
+        sync.pending = [...pending];
+        if (response.cursor !== undefined) sync.cursor = response.cursor;
+        sync.lastSyncAt = new Date().toISOString();
+        // Merged records are not local changes, so the next save must not stamp them
+        if (this.syncSnapshot) {
+            const records = this.getSyncRecords(data);
+            merged.forEach(key => {
+                if (records.has(key)) this.syncSnapshot.set(key, records.get(key));
+                else this.syncSnapshot.delete(key);
+            });
+        }
+        this.saveData(data);
+        if (merged.length) this.checkAlerts();
+        return { pushed: sent.length, pulled: merged.length };
+    }
+
+    // -------- BACKUP / RESTORE --------
+
+    // Compute a checksum (FNV-1a, 32-bit hex) used to detect corrupted backup files
+    computeChecksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Create a backup of everything, including the receipt images
+    createFullBackup() {
+        if (!this.supportsAttachments()) return Promise.resolve(this.createBackup());
+        const referenced = this.getReferencedAttachmentIds();
+        return this.storage.getAllAttachments().then(attachments => this.createBackup({
+            ...this.getStoredData(),
+            attachments: attachments.filter(record => referenced.has(record.id))
+        }));
+    }
+
+    // Build a full backup of the stored data (or of the given data, e.g. an
+    // archive of expired records) with schema version and checksum
+    createBackup(data = this.getStoredData()) {
+        // Sync settings and state belong to this device and are left out
+        const json = JSON.stringify({ ...data, sync: undefined });
+        return {
+            app: 'munshiji',
+            schemaVersion: this.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            checksum: this.computeChecksum(json),
+            data: JSON.parse(json)
+        };
+    }
+
+    // Password-protect a backup. The whole backup is encrypted the same way as
+    // the stored data; only the app name and the date stay readable.
+    encryptBackup(backup, password) {
+        return derivePassphraseKey(password)
+            .then(keyInfo => encryptJson(keyInfo, backup))
+            .then(encrypted => ({ app: 'munshiji', exportedAt: backup.exportedAt, encrypted }));
+    }
+
+    // Check whether a parsed backup file is password protected
+    isEncryptedBackup(file) {
+        return !!file && typeof file === 'object' && file.app === 'munshiji' && 'encrypted' in file;
+    }
+
+    // Decrypt a password-protected backup; resolves to null when the password is wrong
+    decryptBackup(file, password) {
+        return openEnvelope(password, file.encrypted).then(opened => opened && opened.value);
+    }
+
+    // Check text read from a backup or the sync server: a string without line
+    // breaks or control characters, at most maxLength characters once trimmed
+    isValidStoredText(text, maxLength = Infinity) {
+        return typeof text === 'string' && text.trim().length <= maxLength && !this.hasControlCharacters(text.trim());
+    }
+
+    // Per-record checks shared by validateBackup and isValidSyncChange
+    isValidExpenseRecord(exp) {
+        return !!exp && !!exp.id && !!exp.date && !isNaN(parseFloat(exp.amount)) &&
+            (exp.comment === undefined || this.isValidStoredText(exp.comment, this.commentMaxLength)) &&
+            (!exp.splits || (Array.isArray(exp.splits) && exp.splits.every(line => line && line.categoryId && !isNaN(parseFloat(line.amount))))) &&
+            (!exp.sharing || (!!exp.paidBy && ['equal', 'percent', 'exact'].includes(exp.sharing.rule) && Array.isArray(exp.sharing.shares) &&
+                exp.sharing.shares.every(share => share && share.memberId && (exp.sharing.rule === 'equal' || !isNaN(parseFloat(share.value))))));
+    }
+
+    // Categories from old versions are plain name strings
+    isValidCategoryRecord(cat) {
+        return typeof cat === 'string' ||
+            (!!cat && !!cat.id && !this.getCategoryNameError(cat.name) && !this.getCategoryStyleError(cat.color, cat.icon));
+    }
+
+    isValidRecurringRecord(rule) {
+        return !!rule && !!rule.id && !!rule.categoryId && !isNaN(parseFloat(rule.amount)) && typeof rule.startDate === 'string' &&
+            this.isValidStoredText(rule.comment, this.commentMaxLength);
+    }
+
+    isValidIncomeRecord(entry) {
+        return !!entry && !!entry.id && typeof entry.date === 'string' && !isNaN(parseFloat(entry.amount)) &&
+            this.isValidStoredText(entry.source) && (entry.note === undefined || this.isValidStoredText(entry.note));
+    }
+
+    isValidMemberRecord(member) {
+        return !!member && !!member.id && this.isValidStoredText(member.name) && !!member.name.trim();
+    }
+
+    isValidSettlementRecord(settlement) {
+        return !!settlement && !!settlement.id && !!settlement.from && !!settlement.to && !isNaN(parseFloat(settlement.amount));
+    }
+
+    isValidTemplateRecord(template) {
+        return !!template && !!template.id && this.isValidStoredText(template.name) && !!template.name.trim() &&
+            !!template.limits && typeof template.limits === 'object';
+    }
+
+    // Validate a parsed backup file; returns { valid, errors, data }
+    validateBackup(backup) {
+        const errors = [];
+        if (!backup || typeof backup !== 'object' || backup.app !== 'munshiji') {
+            return { valid: false, errors: [t('This is not a Munshiji backup file.')], data: null };
+        }
+        if (typeof backup.schemaVersion !== 'number' || backup.schemaVersion > this.schemaVersion) {
+            errors.push(t('Unsupported backup version: {version}', { version: backup.schemaVersion }));
+        }
+        const data = backup.data;
+        if (!data || typeof data !== 'object') {
+            errors.push(t('Backup contains no data.'));
+        } else {
+            if (backup.checksum !== this.computeChecksum(JSON.stringify(data))) {
+                errors.push(t('Checksum mismatch - the file is corrupted or was modified.'));
+            }
+            if (!Array.isArray(data.expenses) || !data.expenses.every(exp => this.isValidExpenseRecord(exp))) {
+                errors.push(t('Expenses are missing or invalid.'));
+            }
+            if (!Array.isArray(data.categories) || !data.categories.every(cat => this.isValidCategoryRecord(cat))) {
+                errors.push(t('Categories are missing or invalid.'));
+            }
+            if (data.recurring && (!Array.isArray(data.recurring) || !data.recurring.every(rule => this.isValidRecurringRecord(rule)))) {
+                errors.push(t('Recurring expenses are invalid.'));
+            }
+            if (data.income && typeof data.income !== 'object') errors.push(t('Income is invalid.'));
+            if (data.limits && typeof data.limits !== 'object') errors.push(t('Limits are invalid.'));
+            if (data.exchangeRates && typeof data.exchangeRates !== 'object') errors.push(t('Exchange rates are invalid.'));
+            if (data.attachments && (!Array.isArray(data.attachments) || data.attachments.some(a => !a || !a.id || typeof a.dataUrl !== 'string' || !a.dataUrl.startsWith('data:image/')))) {
+                errors.push(t('Receipt attachments are invalid.'));
+            }
+            if (data.members && (!Array.isArray(data.members) || !data.members.every(member => this.isValidMemberRecord(member)))) {
+                errors.push(t('Household members are invalid.'));
+            }
+            if (data.settlements && (!Array.isArray(data.settlements) || !data.settlements.every(settlement => this.isValidSettlementRecord(settlement)))) {
+                errors.push(t('Settlements are invalid.'));
+            }
+            if (data.limitTemplates && (!Array.isArray(data.limitTemplates) || !data.limitTemplates.every(template => this.isValidTemplateRecord(template)))) {
+                errors.push(t('Limit templates are invalid.'));
+            }
+        }
+        return { valid: errors.length === 0, errors, data: errors.length === 0 ? data : null };
+    }
+
+    // Count the records held in a data object (used for restore previews)
+    getDataCounts(data) {
+        return {
+            expenses: (data.expenses || []).length,
+            categories: (data.categories || []).length,
+            incomeMonths: Object.keys(data.income || {}).length,
+            limitMonths: Object.keys(data.limits || {}).length,
+            settlements: (data.settlements || []).length,
+            attachments: (data.attachments || []).length
+        };
+    }
+
+    // Write a backup's receipt images to the attachment store in the background,
+    // then drop the ones nothing refers to; a failure is reported like a failed save
+    restoreAttachments(attachments) {
+        if (!this.supportsAttachments() || !attachments.length) return Promise.resolve();
+        return this.storage.putAttachments(attachments)
+            .then(() => this.pruneAttachments())
+            .catch(error => {
+                console.error('Error saving attachments:', error);
+                if (this.onSaveError) this.onSaveError(error);
+            });
+    }
+
+    // Restore backup data; mode 'replace' overwrites the store, 'merge' adds
+    // records that are missing and keeps current values on conflicts. Either way
+    // the restore is logged in History (which keeps this device's log rather
+    // than the backup's), so it can be undone.
+    restoreBackup(backupData, mode = 'replace') {
+        const summary = mode === 'replace' ? { text: 'Restored a backup, replacing the data' } : { text: 'Merged a backup into the data' };
+        return this.recordActivity(summary, () => {
+            const incoming = this.migrateData({
+                ...this.createEmptyData(),
+                settings: this.getStoredData().settings,
+                ...JSON.parse(JSON.stringify(backupData)),
+                sync: this.getStoredData().sync
+            });
+            this.restoreAttachments(incoming.attachments || []);
+            delete incoming.attachments;
+
+            if (mode === 'replace') {
+                incoming.activity = this.getStoredData().activity || [];
+                this.saveData(incoming);
+                return this.getDataCounts(incoming);
+            }
+
+            const data = this.getStoredData();
+            data.income = data.income || {};
+            data.limits = data.limits || {};
+
+            // Categories match by id, or else by name under the same parent; a match
+            // by name points the incoming records at the existing id
+            const parentsFirst = [...incoming.categories].sort((a, b) => (a.parentId ? 1 : 0) - (b.parentId ? 1 : 0));
+            const idMap = new Map();
+            parentsFirst.forEach(cat => {
+                const parentId = cat.parentId ? (idMap.get(cat.parentId) || cat.parentId) : null;
+                const existing = data.categories.find(c => c.id === cat.id) ||
+                    data.categories.find(c => (c.parentId || null) === parentId && c.name.toLowerCase() === cat.name.toLowerCase());
+                if (existing) {
+                    idMap.set(cat.id, existing.id);
+                } else {
+                    data.categories.push({ ...cat, parentId });
+                    idMap.set(cat.id, cat.id);
+                }
+            });
+            idMap.forEach((toId, fromId) => {
+                if (toId !== fromId) this.moveCategoryRecords(incoming, fromId, toId);
+            });
+
+            // Members match by id or name, the same way
+            (incoming.members || []).forEach(member => {
+                const existing = (data.members || []).find(m => m.id === member.id) ||
+                    (data.members || []).find(m => m.name.toLowerCase() === member.name.toLowerCase());
+                if (!existing) data.members = [...(data.members || []), member];
+                else if (existing.id !== member.id) this.moveMemberRecords(incoming, member.id, existing.id);
+            });
+            const settlementIds = new Set((data.settlements || []).map(s => s.id));
+            const newSettlements = (incoming.settlements || []).filter(s => !settlementIds.has(s.id));
+            if (newSettlements.length) data.settlements = [...(data.settlements || []), ...newSettlements];
+
+            const existingIds = new Set(data.expenses.map(exp => exp.id));
+            incoming.expenses.forEach(exp => {
+                if (!existingIds.has(exp.id)) data.expenses.push(exp);
+            });
+
+            for (const [key, entries] of Object.entries(incoming.income)) {
+                const current = data.income[key] || [];
+                const currentIds = new Set(current.map(entry => entry.id));
+                data.income[key] = [...current, ...entries.filter(entry => !currentIds.has(entry.id))];
+            }
+            for (const [key, monthLimits] of Object.entries(incoming.limits)) {
+                data.limits[key] = { ...monthLimits, ...(data.limits[key] || {}) };
+            }
+            for (const [key, rates] of Object.entries(incoming.exchangeRates || {})) {
+                data.exchangeRates = data.exchangeRates || {};
+                data.exchangeRates[key] = { ...rates, ...(data.exchangeRates[key] || {}) };
+            }
+
+            const ruleIds = new Set((data.recurring || []).map(rule => rule.id));
+            const newRules = (incoming.recurring || []).filter(rule => !ruleIds.has(rule.id));
+            if (newRules.length) data.recurring = [...(data.recurring || []), ...newRules];
+
+            const templateNames = new Set((data.limitTemplates || []).map(t => t.name.toLowerCase()));
+            const newTemplates = (incoming.limitTemplates || []).filter(t => !templateNames.has(t.name.toLowerCase()));
+            if (newTemplates.length) data.limitTemplates = [...(data.limitTemplates || []), ...newTemplates];
+
+            this.saveData(data);
+            return this.getDataCounts(data);
+        });
+    }
+}
+
+// Initialize the app
+const expenseTracker = new ExpenseTracker();
+
+// Track active timeouts to prevent interference
+let activeTimeouts = [];
+
+// Navigation handling (Logical Flow instead of History)
+let isNavigatingBack = false;
+
+// Store current editing/viewing month data
+let currentEditingMonthKey = null;
+let currentEditingExpenses = [];
+let currentEditingYear = null;
+let currentEditingMonthIndex = null;
+let currentViewYear = null;
+let currentViewMonthIndex = null;
+let currentViewCategory = null;
+
+// Track parameters for data-driven screens to allow refreshing on navigation
+let lastSummaryParams = null;
+let lastCategoryDetailParams = null;
+let lastSavingsDetailParams = null;
+
+// Top-level category ids expanded in the month summary
+const expandedSummaryCategories = new Set();
+
+// Deletion context
+let expenseIdToDelete = null;
+let deletionSourceScreen = null;
+let deletionContext = null;
+
+// Year shown on each month grid ('view', 'edit', 'download', 'savings')
+const monthPickerYears = {};
+
+// Income month being viewed and income entry being edited
+let currentIncomeMonth = null;
+let editingIncomeId = null;
+
+// Recurring rule being edited (null when adding a new one)
+let editingRecurringId = null;
+
+// Validated backup data waiting to be restored, and a password-protected
+// backup file waiting for its password
+let pendingRestoreData = null;
+let pendingEncryptedBackup = null;
+
+// CSV import state (raw parsed rows and the previewed result)
+let importCsvRows = [];
+let importPreviewRows = [];
+
+// Exchange rates screen state (month shown, currencies added but not yet saved)
+let currentRatesMonth = null;
+let addedRateCurrencies = [];
+
+// Month shown on the limits screen (first day of the month)
+let currentLimitsMonth = null;
+
+// Month shown on the balances screen (first day of the month)
+let currentBalancesMonth = null;
+
+// Activity log entry offered by the undo toast, and the timer that hides it
+let undoToastEntryId = null;
+let undoToastTimeout = null;
+
+// Helper function to format amounts in the chosen number format; with currency
+// symbols turned on it shows the symbol of `currency` (the base currency by default)
+function formatCurrency(value, currency = null) {
+    return formatMoney(value, currency || expenseTracker.getBaseCurrency());
+}
+
+// Helper function to parse CSV text into an array of rows (handles quoted fields)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\ufeff/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Helper function to trigger a file download in the browser
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+}
+
+// Show a persistent banner for storage failures
+function showStorageError(message, canDownload = false) {
+    document.getElementById('storage-error-text').textContent = message;
+    document.getElementById('storage-error-download-btn').classList.toggle('hidden', !canDownload);
+    document.getElementById('storage-error-banner').classList.remove('hidden');
+}
+
+// Warn when the data of an older version could not be read, and offer it as a file
+function showUnreadableLegacyDataWarning() {
+    if (!expenseTracker.getUnreadableLegacyData()) return;
+    showStorageError(t('Data saved by an older version of the app is damaged and could not be loaded, so the app has started without it. Download it to keep a copy.'), true);
+}
+
+function handleDownloadLegacyData() {
+    downloadFile(expenseTracker.getUnreadableLegacyData(), `munshiji-old-data-${expenseTracker.getDayKey()}.txt`, 'text/plain');
+}
+
+function hideStorageError() {
+    document.getElementById('storage-error-banner').classList.add('hidden');
+}
+
+// Screen navigation with state management
+function showScreen(screenId, pushToHistory = true) {
+    // Clear any pending timeouts that might interfere
+    activeTimeouts.forEach(timeout => clearTimeout(timeout));
+    activeTimeouts = [];
+    
+    // Get current screen
+    const currentScreen = document.querySelector('.screen.active');
+    const currentScreenId = currentScreen ? currentScreen.id : null;
+    
+    // Push to history only if it's a new screen and requested
+    if (pushToHistory && currentScreenId !== screenId) {
+        history.pushState({ screen: screenId }, '', '');
+    }
+    
+    // Hide all screens first
+    const allScreens = document.querySelectorAll('.screen');
+    allScreens.forEach(screen => {
+        screen.classList.remove('active');
+        screen.style.display = 'none';
+    });
+    
+    // Keep the unread alert count on the main menu current
+    if (screenId === 'main-menu-screen') {
+        updateAlertsMenuButton();
+        updateSyncStatusButton();
+    }
+
+    // Show the target screen
+    const targetScreen = document.getElementById(screenId);
+    if (targetScreen) {
+        targetScreen.classList.add('active');
+        targetScreen.style.display = 'block';
+    } else {
+        console.error('Screen not found:', screenId);
+    }
+}
+
+// Navigate back based on LOGICAL FLOW instead of browsing history
+function navigateBack() {
+    const currentScreen = document.querySelector('.screen.active');
+    const currentId = currentScreen ? currentScreen.id : null;
+    
+    // Back must not get past the unlock screen
+    if (currentId === 'unlock-screen') return;
+
+    if (!currentId || currentId === 'main-menu-screen' || currentId === 'welcome-screen') {
+        showExitConfirmation();
+        return;
+    }
+
+    // An installed app has no browser around it: back on the exit screen
+    // leaves the app, like any other Android app
+    if (currentId === 'exit-confirmation-screen' && isStandaloneDisplay()) {
+        handleAppExit();
+        return;
+    }
+
+    // Mapping of screens to their logical "parent" menu
+    const logicalParent = {
+        'income-view-screen': () => showScreen('main-menu-screen', false),
+        'income-edit-screen': () => showIncomeViewScreen(false),
+        'income-confirmation-screen': () => showIncomeViewScreen(false),
+        'delete-income-confirmation-screen': () => showIncomeViewScreen(false),
+        'categories-main-screen': () => showScreen('main-menu-screen', false),
+        'add-category-screen': () => showCategoriesMainScreen(false),
+        'category-confirmation-screen': () => showCategoriesMainScreen(false),
+        'edit-category-select-screen': () => showCategoriesMainScreen(false),
+        'edit-category-form-screen': () => showEditCategorySelectScreen(false),
+        'delete-category-select-screen': () => showCategoriesMainScreen(false),
+        'delete-category-confirmation-screen': () => showDeleteCategorySelectScreen(false),
+        'repair-categories-screen': () => showCategoriesMainScreen(false),
+        'alerts-screen': () => showScreen('main-menu-screen', false),
+        'history-screen': () => showScreen('main-menu-screen', false),
+        'household-screen': () => showScreen('main-menu-screen', false),
+        'balances-screen': () => showHouseholdScreen(false),
+        'limits-screen': () => showScreen('main-menu-screen', false),
+        'add-expense-screen': () => showScreen('main-menu-screen', false),
+        'expense-added-screen': () => showAddExpenseScreen(false),
+        'recurring-list-screen': () => showScreen('main-menu-screen', false),
+        'recurring-form-screen': () => showRecurringListScreen(false),
+        'view-edit-expenses-screen': () => showScreen('main-menu-screen', false),
+        'view-expenses-month-select-screen': () => showViewEditExpensesScreen(false),
+        'view-expenses-month-summary-screen': () => showViewExpensesMonthSelectScreen(false),
+        'category-expenses-detail-screen': () => {
+            if (lastSummaryParams) showMonthSummaryScreen(lastSummaryParams.year, lastSummaryParams.monthIndex, false);
+            else showViewExpensesMonthSelectScreen(false);
+        },
+        'edit-expenses-month-select-screen': () => showViewEditExpensesScreen(false),
+        'edit-expenses-list-screen': () => showEditExpensesMonthSelectScreen(false),
+        'expense-modified-screen': () => showEditExpensesMonthSelectScreen(false),
+        'download-expenses-screen': () => showViewEditExpensesScreen(false),
+        'download-confirmation-screen': () => showViewEditExpensesScreen(false),
+        'import-expenses-screen': () => showViewEditExpensesScreen(false),
+        'view-savings-screen': () => showScreen('main-menu-screen', false),
+        'monthly-savings-detail-screen': () => showViewSavingsScreen(false),
+        'exit-confirmation-screen': () => showScreen('main-menu-screen', false),
+        'backup-restore-screen': () => showScreen('main-menu-screen', false),
+        'restore-data-screen': () => showBackupRestoreScreen(false),
+        'settings-screen': () => showScreen('main-menu-screen', false),
+        'retention-warning-screen': () => showScreen('main-menu-screen', false),
+        'exchange-rates-screen': () => showSettingsScreen(false),
+        'pin-lock-screen': () => showSettingsScreen(false),
+        'sync-screen': () => showSettingsScreen(false),
+        'search-expenses-screen': () => showViewEditExpensesScreen(false),
+        'delete-expense-confirmation-screen': () => returnToDeletionSource()
+    };
+
+    if (logicalParent[currentId]) {
+        logicalParent[currentId]();
+    } else {
+        showScreen('main-menu-screen', false);
+    }
+}
+
+// Show exit confirmation screen
+function showExitConfirmation() {
+    showScreen('exit-confirmation-screen');
+}
+
+// Handle app exit
+function handleAppExit() {
+    alert(t('Thank you for using Munshiji!'));
+    if (isStandaloneDisplay()) {
+        // An installed app can close its own window; about:blank would leave
+        // an empty app window with no address bar to get back
+        window.close();
+        showScreen('welcome-screen', false);
+        return;
+    }
+    // For mobile browsers, we can't close the tab, but we can show a message
+    window.location.href = 'about:blank';
+}
+
+// -------- APP UPDATES (service worker) --------
+
+// Whether the app runs installed (home screen / desktop app) rather than in a browser tab
+function isStandaloneDisplay() {
+    return (window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) || window.navigator.standalone === true;
+}
+
+// Worker holding the downloaded update until the user applies it
+let waitingServiceWorker = null;
+let reloadOnControllerChange = false;
+
+// Register sw.js so the app loads offline. A new version installs in the
+// background and waits; the update banner lets the user switch to it.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnControllerChange) window.location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // An update downloaded during an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+    }).catch(error => console.error('Service worker registration failed:', error));
+}
+
+function showUpdatePrompt(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('update-banner').classList.remove('hidden');
+}
+
+function hideUpdatePrompt() {
+    document.getElementById('update-banner').classList.add('hidden');
+}
+
+// Switch to the new version once pending changes are written; the page
+// reloads when the new worker takes control
+function handleApplyUpdate() {
+    if (!waitingServiceWorker) return;
+    hideUpdatePrompt();
+    reloadOnControllerChange = true;
+    expenseTracker.lastSave.then(() => waitingServiceWorker.postMessage('skipWaiting'));
+}
+
+// Initialize app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    // Handle browser back button (mobile back button)
+    window.addEventListener('popstate', (e) => {
+        navigateBack();
+    });
+    
+    // Push initial state to history
+    history.pushState({ screen: 'welcome-screen' }, '', '');
+    
+    // Show welcome screen initially
+    showScreen('welcome-screen', false);
+    
+    // Report failed background writes instead of losing them silently
+    expenseTracker.onSaveError = (error) => showStorageError(t('Your last change could not be saved ({error}). Free up space or back up your data.', { error: error && error.message ? error.message : error }));
+    document.getElementById('storage-error-dismiss-btn').addEventListener('click', hideStorageError);
+    document.getElementById('storage-error-download-btn').addEventListener('click', handleDownloadLegacyData);
+    document.getElementById('update-apply-btn').addEventListener('click', handleApplyUpdate);
+    document.getElementById('update-dismiss-btn').addEventListener('click', hideUpdatePrompt);
+    registerServiceWorker();
+    expenseTracker.onAlert = handleNewAlert;
+    expenseTracker.onSyncStatus = handleSyncStatus;
+    // Switch to the saved language as soon as the data has loaded (load errors are reported below).
+    // Data protected by a PIN goes straight to the unlock screen instead.
+    expenseTracker.ready.then(() => {
+        if (expenseTracker.isLocked()) return showUnlockScreen();
+        applyLocaleSettings();
+        showUnreadableLegacyDataWarning();
+        scheduleAutoLock();
+        runSync();
+    }, () => {});
+
+    // Auto-transition from welcome screen after 3 seconds, once the data has loaded
+    // (unless the unlock screen has taken its place)
+    setTimeout(() => {
+        expenseTracker.ready.then(() => {
+            if (document.getElementById('welcome-screen').classList.contains('active')) showStartupScreen();
+        }, (error) => {
+            console.error('Error loading data:', error);
+            showStorageError(t('Your data could not be loaded. Please reload the app.'));
+        });
+    }, 3000);
+
+    // Note every tap and key press for the auto-lock; hidden tabs delay timers,
+    // so the delay is checked again when the app comes back into view (and
+    // changes made on other devices meanwhile are fetched)
+    ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, noteActivity, true));
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        scheduleAutoLock();
+        runSync();
+    });
+    window.addEventListener('online', runSync);
+
+    // Handle unlock and PIN lock screen buttons
+    document.getElementById('unlock-btn').addEventListener('click', handleUnlock);
+    document.getElementById('unlock-pin').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleUnlock();
+    });
+    document.getElementById('forgot-pin-btn').addEventListener('click', handleForgotPin);
+    document.getElementById('pin-lock-btn').addEventListener('click', showPinLockScreen);
+    document.getElementById('save-pin-btn').addEventListener('click', handleSavePin);
+    document.getElementById('remove-pin-btn').addEventListener('click', handleRemovePin);
+    document.getElementById('pin-lock-back-btn').addEventListener('click', () => showSettingsScreen(false));
+
+    // Handle sync buttons
+    document.getElementById('sync-status-btn').addEventListener('click', runSync);
+    document.getElementById('sync-settings-btn').addEventListener('click', showSyncScreen);
+    document.getElementById('save-sync-btn').addEventListener('click', handleSaveSync);
+    document.getElementById('sync-now-btn').addEventListener('click', handleSyncNow);
+    document.getElementById('disable-sync-btn').addEventListener('click', handleDisableSync);
+    document.getElementById('sync-back-btn').addEventListener('click', () => showSettingsScreen(false));
+    
+    // Handle menu button clicks
+    document.querySelectorAll('.menu-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const action = e.currentTarget.getAttribute('data-action');
+            if (action) handleMenuAction(action);
+        });
+    });
+
+    // Handle income screen buttons
+    document.getElementById('continue-income-btn').addEventListener('click', handleContinueIncome);
+    document.getElementById('add-income-btn').addEventListener('click', () => showIncomeEditScreen(null));
+    document.getElementById('income-prev-month-btn').addEventListener('click', () => changeIncomeMonth(-1));
+    document.getElementById('income-next-month-btn').addEventListener('click', () => changeIncomeMonth(1));
+    document.getElementById('income-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('set-income-btn').addEventListener('click', handleSetIncome);
+    document.getElementById('delete-income-btn').addEventListener('click', showDeleteIncomeConfirmation);
+    document.getElementById('income-edit-back-btn').addEventListener('click', () => showIncomeViewScreen(false));
+    document.getElementById('confirm-delete-income-btn').addEventListener('click', handleDeleteIncome);
+    document.getElementById('cancel-delete-income-btn').addEventListener('click', () => showIncomeViewScreen(false));
+    
+    // Handle category screen buttons
+    document.getElementById('add-category-btn').addEventListener('click', showAddCategoryScreen);
+    document.getElementById('edit-category-btn').addEventListener('click', showEditCategorySelectScreen);
+    document.getElementById('delete-category-btn').addEventListener('click', showDeleteCategorySelectScreen);
+    document.getElementById('categories-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('update-category-btn').addEventListener('click', handleUpdateCategory);
+    document.getElementById('cancel-edit-category-btn').addEventListener('click', showCategoriesMainScreen);
+    document.getElementById('delete-category-back-btn').addEventListener('click', showCategoriesMainScreen);
+    document.getElementById('confirm-delete-category-btn').addEventListener('click', () => {
+        if (window.currentDeletingCategory) handleDeleteCategory(window.currentDeletingCategory);
+    });
+    document.getElementById('reassign-delete-category-btn').addEventListener('click', () => {
+        if (window.currentDeletingCategory) handleDeleteCategory(window.currentDeletingCategory, 'reassign');
+    });
+    document.getElementById('archive-delete-category-btn').addEventListener('click', () => {
+        if (window.currentDeletingCategory) handleDeleteCategory(window.currentDeletingCategory, 'archive');
+    });
+    document.getElementById('cancel-delete-category-btn').addEventListener('click', showDeleteCategorySelectScreen);
+    document.getElementById('repair-categories-btn').addEventListener('click', showRepairCategoriesScreen);
+    document.getElementById('repair-categories-back-btn').addEventListener('click', showCategoriesMainScreen);
+    document.getElementById('set-category-btn').addEventListener('click', handleAddCategory);
+    document.getElementById('back-to-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle limits screen buttons
+    document.getElementById('set-limits-btn').addEventListener('click', handleSetLimits);
+    document.getElementById('limits-prev-month-btn').addEventListener('click', () => changeLimitsMonth(-1));
+    document.getElementById('limits-next-month-btn').addEventListener('click', () => changeLimitsMonth(1));
+    document.getElementById('limits-list').addEventListener('change', (e) => {
+        if (e.target.classList.contains('limit-none-input')) updateLimitRow(e.target.closest('.limit-row'));
+    });
+    document.getElementById('apply-limit-template-btn').addEventListener('click', handleApplyLimitTemplate);
+    document.getElementById('delete-limit-template-btn').addEventListener('click', handleDeleteLimitTemplate);
+    document.getElementById('save-limit-template-btn').addEventListener('click', handleSaveLimitTemplate);
+    document.getElementById('back-limits-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle add expense buttons
+    document.getElementById('expense-add-btn').addEventListener('click', handleAddExpenseSubmit);
+    document.getElementById('expense-category').addEventListener('change', (e) => handleExpenseCategoryChange(e.currentTarget));
+    bindSplitEditors(document.querySelector('#add-expense-screen .expense-form'), () => document.getElementById('expense-value').value);
+    bindSplitEditors(document.getElementById('edit-expenses-list'), editor => editor.closest('.edit-expense-row').querySelector('.edit-expense-value').value);
+    document.getElementById('edit-expenses-list').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('edit-expense-category')) return;
+        const row = e.target.closest('.edit-expense-row');
+        const expense = expenseTracker.getExpenses().find(exp => exp.id === row.getAttribute('data-id'));
+        const editor = row.querySelector('.split-editor');
+        toggleSplitEditor(editor, e.target, { categoryId: expense ? expense.categoryId : '', amount: row.querySelector('.edit-expense-value').value });
+        if (!editor.classList.contains('hidden')) updateSplitRemaining(editor, row.querySelector('.edit-expense-value').value);
+    });
+    document.getElementById('expense-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('expense-add-another-btn').addEventListener('click', showAddExpenseScreen);
+    document.getElementById('expense-no-more-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle recurring expense buttons
+    document.getElementById('add-recurring-btn').addEventListener('click', () => showRecurringFormScreen(null));
+    document.getElementById('recurring-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('recurring-frequency').addEventListener('change', updateRecurringScheduleFields);
+    document.getElementById('save-recurring-btn').addEventListener('click', handleSaveRecurring);
+    document.getElementById('recurring-form-back-btn').addEventListener('click', showRecurringListScreen);
+
+    // Handle View/Edit Expenses buttons
+    document.getElementById('view-monthwise-expenses-btn').addEventListener('click', showViewExpensesMonthSelectScreen);
+    document.getElementById('edit-expense-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
+    document.getElementById('edit-month-select-back-btn').addEventListener('click', showViewEditExpensesScreen);
+    document.getElementById('save-expenses-btn').addEventListener('click', handleSaveExpenses);
+    document.getElementById('edit-expenses-list-back-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
+    document.getElementById('edit-more-expenses-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
+    document.getElementById('no-more-edit-expenses-btn').addEventListener('click', showViewEditExpensesScreen);
+    document.getElementById('download-expenses-btn').addEventListener('click', showDownloadExpensesScreen);
+    document.getElementById('download-data-btn').addEventListener('click', handleDownloadExpenses);
+    document.getElementById('download-back-btn').addEventListener('click', showViewEditExpensesScreen);
+    document.getElementById('import-expenses-btn').addEventListener('click', showImportExpensesScreen);
+    document.getElementById('search-expenses-btn').addEventListener('click', () => showSearchExpensesScreen(true, true));
+    document.getElementById('search-run-btn').addEventListener('click', () => showSearchExpensesScreen(false));
+    document.getElementById('search-clear-btn').addEventListener('click', () => showSearchExpensesScreen(false, true));
+    document.getElementById('search-export-btn').addEventListener('click', handleExportSearchResults);
+    document.getElementById('search-back-btn').addEventListener('click', showViewEditExpensesScreen);
+    document.getElementById('search-text').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') showSearchExpensesScreen(false);
+    });
+    document.getElementById('import-file-input').addEventListener('change', handleImportFileSelected);
+    document.querySelectorAll('.import-map-select, #import-date-format, #import-has-header, #import-create-categories').forEach(el => {
+        el.addEventListener('change', renderImportPreview);
+    });
+    document.getElementById('import-confirm-btn').addEventListener('click', handleImportExpenses);
+    document.getElementById('import-back-btn').addEventListener('click', showViewEditExpensesScreen);
+    document.getElementById('back-view-expenses-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    
+    // Handle savings screen buttons
+    document.getElementById('savings-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('monthly-savings-back-btn').addEventListener('click', showViewSavingsScreen);
+
+    // Handle backup/restore screen buttons
+    document.getElementById('backup-data-btn').addEventListener('click', handleBackupData);
+    document.getElementById('restore-data-btn').addEventListener('click', showRestoreDataScreen);
+    document.getElementById('backup-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('restore-file-input').addEventListener('change', handleRestoreFileSelected);
+    document.getElementById('restore-replace-btn').addEventListener('click', () => handleRestoreData('replace'));
+    document.getElementById('restore-merge-btn').addEventListener('click', () => handleRestoreData('merge'));
+    document.getElementById('restore-open-btn').addEventListener('click', handleOpenEncryptedBackup);
+    document.getElementById('restore-password').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleOpenEncryptedBackup();
+    });
+    document.getElementById('restore-back-btn').addEventListener('click', showBackupRestoreScreen);
+
+    // Handle settings and retention screen buttons
+    document.getElementById('retention-mode').addEventListener('change', updateRetentionMonthsVisibility);
+    document.getElementById('save-settings-btn').addEventListener('click', handleSaveSettings);
+    document.getElementById('settings-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle receipt pickers and the receipt viewer
+    bindReceiptFields(document.getElementById('expense-receipts-group'));
+    bindReceiptFields(document.getElementById('edit-expenses-list'));
+    bindReceiptFields(document.getElementById('category-expenses-list'));
+    document.getElementById('receipt-viewer-close-btn').addEventListener('click', hideReceiptViewer);
+
+    // Handle household and balances screens
+    bindSharingFields(document.getElementById('expense-sharing-group'));
+    bindSharingFields(document.getElementById('edit-expenses-list'));
+    document.getElementById('add-member-btn').addEventListener('click', handleAddMember);
+    document.getElementById('member-name').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleAddMember();
+    });
+    document.getElementById('household-list').addEventListener('click', (e) => {
+        const button = e.target.closest('.member-action-btn');
+        if (button) handleMemberAction(button.closest('.household-row').getAttribute('data-id'), button.getAttribute('data-action'));
+    });
+    document.getElementById('balances-btn').addEventListener('click', () => showBalancesScreen(true, expenseTracker.getPeriodMonth()));
+    document.getElementById('household-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('balances-prev-month-btn').addEventListener('click', () => changeBalancesMonth(-1));
+    document.getElementById('balances-next-month-btn').addEventListener('click', () => changeBalancesMonth(1));
+    document.getElementById('settle-up-list').addEventListener('click', (e) => {
+        const button = e.target.closest('.settle-up-btn');
+        if (button) handleRecordSettlement(button.getAttribute('data-from'), button.getAttribute('data-to'), button.getAttribute('data-amount'));
+    });
+    document.getElementById('settlements-list').addEventListener('click', (e) => {
+        const button = e.target.closest('.settlement-delete-btn');
+        if (button) handleDeleteSettlement(button.getAttribute('data-id'));
+    });
+    document.getElementById('balances-back-btn').addEventListener('click', () => showHouseholdScreen());
+
+    // Handle history screen and undo toast buttons
+    document.getElementById('undo-toast-btn').addEventListener('click', handleUndo);
+    document.getElementById('history-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('history-list').addEventListener('click', (e) => {
+        const button = e.target.closest('.history-revert-btn');
+        if (button) handleRevertActivity(button.getAttribute('data-id'));
+    });
+
+    // Handle alerts screen buttons
+    document.getElementById('enable-notifications-btn').addEventListener('click', handleToggleNotifications);
+    document.getElementById('clear-alerts-btn').addEventListener('click', handleClearAlerts);
+    document.getElementById('alerts-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle retention warning screen buttons
+    document.getElementById('retention-archive-btn').addEventListener('click', () => handlePurgeExpiredData(true));
+    document.getElementById('retention-purge-btn').addEventListener('click', () => handlePurgeExpiredData(false));
+    document.getElementById('retention-keep-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    document.getElementById('retention-settings-btn').addEventListener('click', showSettingsScreen);
+
+    // Handle exchange rates screen buttons
+    document.getElementById('exchange-rates-btn').addEventListener('click', () => {
+        addedRateCurrencies = [];
+        showExchangeRatesScreen();
+    });
+    document.getElementById('rates-prev-month-btn').addEventListener('click', () => changeRatesMonth(-1));
+    document.getElementById('rates-next-month-btn').addEventListener('click', () => changeRatesMonth(1));
+    document.getElementById('add-rate-currency-btn').addEventListener('click', handleAddRateCurrency);
+    document.getElementById('save-rates-btn').addEventListener('click', handleSaveRates);
+    document.getElementById('rates-back-btn').addEventListener('click', showSettingsScreen);
+    
+    // Handle exit confirmation buttons
+    document.getElementById('exit-yes-btn').addEventListener('click', handleAppExit);
+    document.getElementById('exit-no-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+
+    // Handle month summary back buttons
+    document.getElementById('month-summary-back-btn').addEventListener('click', showViewExpensesMonthSelectScreen);
+    document.getElementById('month-select-back-btn').addEventListener('click', showViewEditExpensesScreen);
+    
+    // Handle category expenses detail back button
+    document.getElementById('category-expenses-back-btn').addEventListener('click', () => {
+        if (currentViewYear !== null && currentViewMonthIndex !== null) {
+            showMonthSummaryScreen(currentViewYear, currentViewMonthIndex, false);
+        } else {
+            showScreen('view-expenses-month-summary-screen');
+        }
+    });
+
+    // Handle expense deletion confirmation
+    document.getElementById('confirm-delete-expense-btn').addEventListener('click', handleDeleteExpense);
+    document.getElementById('cancel-delete-expense-btn').addEventListener('click', returnToDeletionSource);
+
+    // Event Delegation for month summary clicks (to show category details)
+    document.getElementById('month-summary-list').addEventListener('click', (e) => {
+        const row = e.target.closest('.month-summary-row');
+        if (!row) return;
+        const categoryId = row.getAttribute('data-category-id');
+        const year = parseInt(row.getAttribute('data-year'), 10);
+        const monthIndex = parseInt(row.getAttribute('data-month-index'), 10);
+        if (!categoryId || isNaN(year) || isNaN(monthIndex)) return;
+        // The arrow on a parent row expands or collapses its subcategories
+        if (e.target.closest('.summary-expand-btn')) {
+            if (expandedSummaryCategories.has(categoryId)) expandedSummaryCategories.delete(categoryId);
+            else expandedSummaryCategories.add(categoryId);
+            showMonthSummaryScreen(year, monthIndex, false);
+            return;
+        }
+        showCategoryExpensesDetailScreen(year, monthIndex, categoryId);
+    });
+});
+
+// -------- INCOME FLOW --------
+function showIncomeViewScreen(addToHistory = true) {
+    if (!currentIncomeMonth) currentIncomeMonth = expenseTracker.getPeriodMonth();
+    const monthKey = expenseTracker.getMonthKey(currentIncomeMonth);
+    const prevMonthKey = expenseTracker.getMonthKey(expenseTracker.getPreviousMonth(currentIncomeMonth));
+    const entries = expenseTracker.getIncomeEntries(monthKey);
+    const previousIncome = expenseTracker.getIncome(prevMonthKey);
+
+    document.getElementById('income-header-text').textContent = t('Income for {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('income-total-text').textContent = t('Total income: {amount}', { amount: formatCurrency(expenseTracker.getIncome(monthKey)) });
+    document.getElementById('previous-income-text').textContent = entries.length ? '' : t("Last month's income was {amount}", { amount: formatCurrency(previousIncome) });
+
+    const listEl = document.getElementById('income-entries-list');
+    setHtml(listEl, entries.length ? entries.map(entry => html`
+        <button class="income-entry-row" data-id="${entry.id}">
+            <span class="income-entry-date">${entry.date}</span>
+            <span class="income-entry-source">${entry.source}${entry.note && html`<small>${entry.note}</small>`}</span>
+            <span class="income-entry-amount">${formatCurrency(entry.amount)}</span>
+        </button>
+    `) : html`<p class="no-categories">${t('No income entries for this month.')}</p>`);
+    bindEach(listEl, '.income-entry-row', 'click', row => showIncomeEditScreen(row.getAttribute('data-id')));
+
+    // Carrying over only makes sense for an empty month when last month had income
+    document.getElementById('continue-income-btn').classList.toggle('hidden', entries.length > 0 || previousIncome === 0);
+    showScreen('income-view-screen', addToHistory);
+}
+
+function changeIncomeMonth(offset) {
+    currentIncomeMonth = new Date(currentIncomeMonth.getFullYear(), currentIncomeMonth.getMonth() + offset, 1);
+    showIncomeViewScreen(false);
+}
+
+function handleContinueIncome() {
+    const monthKey = expenseTracker.getMonthKey(currentIncomeMonth);
+    const prevMonthKey = expenseTracker.getMonthKey(expenseTracker.getPreviousMonth(currentIncomeMonth));
+    if (expenseTracker.getIncome(prevMonthKey) === 0) {
+        alert(t('Please add an income using the Add Income button.'));
+        return;
+    }
+    expenseTracker.copyIncomeEntries(prevMonthKey, monthKey);
+    showIncomeConfirmation(expenseTracker.getIncome(monthKey));
+}
+
+function showIncomeConfirmation(income) {
+    document.getElementById('income-confirmation-text').textContent = t('Income has been set to {amount}', { amount: formatCurrency(income) });
+    showScreen('income-confirmation-screen');
+    const timeout = setTimeout(() => showIncomeViewScreen(false), 3000);
+    activeTimeouts.push(timeout);
+}
+
+// Show the income entry form; id is null when adding a new entry
+function showIncomeEditScreen(id = null) {
+    editingIncomeId = typeof id === 'string' ? id : null;
+    const entry = editingIncomeId ? expenseTracker.getIncomeEntries(expenseTracker.findIncomeEntryMonth(editingIncomeId)).find(e => e.id === editingIncomeId) : null;
+    const monthKey = expenseTracker.getMonthKey(currentIncomeMonth);
+    const defaultDate = expenseTracker.getPeriodKey() === monthKey ? expenseTracker.getDayKey() : expenseTracker.getPeriodRange(monthKey).start;
+
+    document.getElementById('income-edit-header-text').textContent = entry ? t('Edit income entry') : t('Add income for {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('income-date').value = entry ? entry.date : defaultDate;
+    document.getElementById('income-source').value = entry ? entry.source : '';
+    document.getElementById('income-input').value = entry ? entry.amount : '';
+    document.getElementById('income-note').value = entry ? entry.note : '';
+    setHtml(document.getElementById('income-source-options'), [...new Set([t('Salary'), t('Freelance'), t('Rental'), ...expenseTracker.getIncomeSources()])]
+        .map(source => html`<option value="${source}"></option>`));
+    document.getElementById('delete-income-btn').classList.toggle('hidden', !entry);
+    document.querySelectorAll('#income-edit-screen .field-error').forEach(el => el.textContent = '');
+    document.querySelectorAll('.income-field').forEach(el => el.classList.remove('input-error'));
+    document.getElementById('income-success-message').textContent = '';
+    showScreen('income-edit-screen');
+}
+
+function handleSetIncome() {
+    const date = document.getElementById('income-date').value;
+    const source = document.getElementById('income-source').value.trim();
+    const incomeValue = parseFloat(document.getElementById('income-input').value);
+    const note = document.getElementById('income-note').value.trim();
+    const setError = (fieldId, message) => {
+        document.getElementById(`${fieldId}-error`).textContent = message;
+        document.getElementById(fieldId).classList.add('input-error');
+        return true;
+    };
+    document.querySelectorAll('#income-edit-screen .field-error').forEach(el => el.textContent = '');
+    document.querySelectorAll('.income-field').forEach(el => el.classList.remove('input-error'));
+
+    let hasError = false;
+    if (!date) hasError = setError('income-date', t('Cannot be blank'));
+    if (!source) hasError = setError('income-source', t('Cannot be blank'));
+    if (isNaN(incomeValue) || incomeValue <= 0) hasError = setError('income-input', t('Please enter a valid income amount'));
+    if (hasError) return;
+
+    const entry = { date, source, note, amount: incomeValue };
+    if (editingIncomeId) runWithUndo(() => expenseTracker.updateIncomeEntry(editingIncomeId, entry));
+    else expenseTracker.addIncomeEntry(entry);
+    editingIncomeId = null;
+    currentIncomeMonth = expenseTracker.getPeriodMonth(expenseTracker.parseDayKey(date));
+
+    document.getElementById('income-success-message').textContent = t('Income of {amount} from {source} has been set', { amount: formatCurrency(incomeValue), source });
+    const timeout = setTimeout(() => showIncomeViewScreen(false), 2000);
+    activeTimeouts.push(timeout);
+}
+
+function showDeleteIncomeConfirmation() {
+    if (!editingIncomeId) return;
+    const source = document.getElementById('income-source').value.trim();
+    document.getElementById('delete-income-confirmation-text').textContent = t('Are you sure you want to delete this income from {source}?', { source });
+    showScreen('delete-income-confirmation-screen');
+}
+
+function handleDeleteIncome() {
+    if (editingIncomeId) runWithUndo(() => expenseTracker.deleteIncomeEntry(editingIncomeId));
+    editingIncomeId = null;
+    showIncomeViewScreen(false);
+}
+
+// -------- CATEGORY FLOW --------
+
+// Category label with its icon as an html`` fragment ("🛒 Food > Groceries")
+function formatCategoryLabel(categoryId) {
+    const category = expenseTracker.getCategory(categoryId);
+    const icon = category && category.icon ? `${category.icon} ` : '';
+    return html`${icon}${expenseTracker.getCategoryName(categoryId)}`;
+}
+
+// <option> list of every category other than excludeId (subcategories shown under their parent)
+// Icon and name of each category an expense is split across
+function formatExpenseCategoryLabel(expense) {
+    return html`${expenseTracker.getExpenseLines(expense).map((line, i) => html`${i ? ' + ' : ''}${formatCategoryLabel(line.categoryId)}`)}`;
+}
+
+function renderCategoryOptions(selectedId = null, excludeId = null) {
+    return html`${expenseTracker.getCategories().filter(cat => cat.id !== excludeId).map(cat =>
+        html`<option value="${cat.id}"${cat.id === selectedId && html` selected`}>${formatCategoryLabel(cat.id)}</option>`
+    )}`;
+}
+
+// <option> list of the categories that can be a parent (top-level, other than excludeId)
+function renderParentCategoryOptions(selectedId = null, excludeId = null) {
+    return html`<option value="">${t('None (top-level)')}</option>${expenseTracker.getCategories()
+        .filter(cat => !cat.parentId && cat.id !== excludeId)
+        .map(cat => html`<option value="${cat.id}"${cat.id === selectedId && html` selected`}>${formatCategoryLabel(cat.id)}</option>`)}`;
+}
+
+function showCategoriesMainScreen(addToHistory = true) {
+    const orphanCount = expenseTracker.getOrphanedCategories().length;
+    document.getElementById('repair-categories-btn').textContent = orphanCount ? t('Repair Categories ({count})', { count: orphanCount }) : t('Repair Categories');
+    showScreen('categories-main-screen', addToHistory);
+    renderCategoriesList('categories-list');
+}
+
+function renderCategoriesList(containerId) {
+    const categories = expenseTracker.getCategories();
+    const container = document.getElementById(containerId);
+    if (categories.length === 0) {
+        setHtml(container, html`<p class="no-categories">${t('No categories added yet.')}</p>`);
+        return;
+    }
+    setHtml(container, categories.map(cat => html`<div class="category-box${cat.parentId && ' subcategory'}" style="background-color: ${cat.color}">${formatCategoryLabel(cat.id)}</div>`));
+}
+
+// Render category boxes that call onSelect(categoryId) when tapped
+function renderCategorySelectList(containerId, onSelect) {
+    const container = document.getElementById(containerId);
+    setHtml(container, expenseTracker.getCategories().map(cat =>
+        html`<button class="category-box category-select-btn${cat.parentId && ' subcategory'}" data-id="${cat.id}" style="background-color: ${cat.color}">${formatCategoryLabel(cat.id)}</button>`
+    ));
+    bindEach(container, '.category-select-btn', 'click', btn => onSelect(btn.getAttribute('data-id')));
+}
+
+function showAddCategoryScreen() {
+    document.getElementById('category-input').value = '';
+    setHtml(document.getElementById('category-parent'), renderParentCategoryOptions());
+    document.getElementById('category-color').value = expenseTracker.getNextCategoryColor();
+    document.getElementById('category-icon').value = '';
+    document.getElementById('category-alerts').value = '';
+    document.getElementById('add-category-error').textContent = '';
+    showScreen('add-category-screen');
+}
+
+function handleAddCategory() {
+    const categoryName = document.getElementById('category-input').value.trim();
+    const parentId = document.getElementById('category-parent').value || null;
+    const alertThresholds = parseAlertThresholds(document.getElementById('category-alerts').value);
+    const error = expenseTracker.getCategoryError(categoryName, parentId) ||
+        expenseTracker.getCategoryStyleError(document.getElementById('category-color').value, document.getElementById('category-icon').value) ||
+        (alertThresholds === false ? t('Alert thresholds must be positive numbers, e.g. 50, 90.') : null);
+    if (error) return (document.getElementById('add-category-error').textContent = error);
+    const added = expenseTracker.addCategory(categoryName, {
+        parentId,
+        color: document.getElementById('category-color').value,
+        icon: document.getElementById('category-icon').value,
+        alertThresholds
+    });
+    
+    document.getElementById('category-confirmation-text').textContent = t('Your new category "{name}" has been set!', { name: expenseTracker.getCategoryName(added.id) });
+    renderCategoriesList('confirmation-categories-list');
+    showScreen('category-confirmation-screen');
+}
+
+function showEditCategorySelectScreen(addToHistory = true) {
+    const categories = expenseTracker.getCategories();
+    if (categories.length === 0) return alert(t('No categories available to edit.'));
+    renderCategorySelectList('edit-category-list', showEditCategoryFormScreen);
+    showScreen('edit-category-select-screen', addToHistory);
+}
+
+function showEditCategoryFormScreen(categoryId) {
+    const category = expenseTracker.getCategory(categoryId);
+    window.currentEditingCategory = categoryId;
+    document.getElementById('edit-category-header-text').textContent = t('Edit {name}', { name: expenseTracker.getCategoryName(categoryId) });
+    document.getElementById('edit-category-input').value = category.name;
+    setHtml(document.getElementById('edit-category-parent'), renderParentCategoryOptions(category.parentId, categoryId));
+    // A category with subcategories has to stay top-level
+    document.getElementById('edit-category-parent').disabled = expenseTracker.getSubcategories(categoryId).length > 0;
+    document.getElementById('edit-category-color').value = category.color;
+    document.getElementById('edit-category-icon').value = category.icon || '';
+    document.getElementById('edit-category-alerts').value = (category.alertThresholds || []).join(', ');
+    document.getElementById('edit-category-error').textContent = '';
+    showScreen('edit-category-form-screen');
+}
+
+function handleUpdateCategory() {
+    const changes = {
+        name: document.getElementById('edit-category-input').value.trim(),
+        parentId: document.getElementById('edit-category-parent').value || null,
+        color: document.getElementById('edit-category-color').value,
+        icon: document.getElementById('edit-category-icon').value,
+        alertThresholds: parseAlertThresholds(document.getElementById('edit-category-alerts').value)
+    };
+    const error = expenseTracker.getCategoryError(changes.name, changes.parentId, window.currentEditingCategory) ||
+        expenseTracker.getCategoryStyleError(changes.color, changes.icon) ||
+        (changes.alertThresholds === false ? t('Alert thresholds must be positive numbers, e.g. 50, 90.') : null);
+    if (error) return (document.getElementById('edit-category-error').textContent = error);
+    if (runWithUndo(() => expenseTracker.updateCategory(window.currentEditingCategory, changes))) showCategoriesMainScreen();
+}
+
+function showDeleteCategorySelectScreen(addToHistory = true) {
+    const categories = expenseTracker.getCategories();
+    if (categories.length === 0) return alert(t('No categories available to delete.'));
+    renderCategorySelectList('delete-category-list', showDeleteCategoryConfirmationScreen);
+    showScreen('delete-category-select-screen', addToHistory);
+}
+
+function showDeleteCategoryConfirmationScreen(categoryId) {
+    window.currentDeletingCategory = categoryId;
+    const subcategories = expenseTracker.getSubcategories(categoryId);
+    document.getElementById('delete-category-confirmation-text').textContent = t('Are you sure you want to delete {name}?', { name: expenseTracker.getCategoryName(categoryId) }) +
+        (subcategories.length ? ' ' + t('Its {count} subcategories will become top-level categories.', { count: subcategories.length }) : '');
+
+    // A category in use needs its expenses moved or archived first
+    const records = expenseTracker.getCategoryRecords(categoryId);
+    const inUse = records.expenses.length + records.recurring.length > 0;
+    const others = expenseTracker.getCategories().filter(cat => cat.id !== categoryId);
+    document.getElementById('delete-category-usage-text').textContent =
+        t('{expenses} expenses and {recurring} recurring expenses use this category.', { expenses: records.expenses.length, recurring: records.recurring.length });
+    setHtml(document.getElementById('delete-category-reassign'), renderCategoryOptions(null, categoryId));
+    document.getElementById('delete-category-reassign-group').classList.toggle('hidden', !others.length);
+    document.getElementById('reassign-delete-category-btn').classList.toggle('hidden', !others.length);
+    document.getElementById('delete-category-options').classList.toggle('hidden', !inUse);
+    document.getElementById('confirm-delete-category-btn').classList.toggle('hidden', inUse);
+    showScreen('delete-category-confirmation-screen');
+}
+
+// mode: 'reassign' moves the category's expenses to the selected category,
+// 'archive' downloads them (in the backup format) and removes them
+function handleDeleteCategory(categoryId, mode = null) {
+    let options = {};
+    if (mode === 'reassign') {
+        options = { reassignTo: document.getElementById('delete-category-reassign').value };
+    } else if (mode === 'archive') {
+        const backup = expenseTracker.createBackup(expenseTracker.getCategoryRecords(categoryId));
+        const fileDate = expenseTracker.getDayKey();
+        downloadFile(JSON.stringify(backup, null, 2), `munshiji-archive-${fileDate}.json`, 'application/json');
+    }
+    if (runWithUndo(() => expenseTracker.deleteCategory(categoryId, options))) showCategoriesMainScreen();
+}
+
+function showRepairCategoriesScreen(addToHistory = true) {
+    const orphans = expenseTracker.getOrphanedCategories();
+    const hasCategories = expenseTracker.getCategories().length > 0;
+    const options = renderCategoryOptions();
+    const listEl = document.getElementById('repair-categories-list');
+    setHtml(listEl, orphans.length ? orphans.map((orphan, i) => html`
+        <div class="repair-category-row">
+            <p class="repair-category-name">${orphan.id ? t('Deleted category') : t('(no category)')}</p>
+            <p class="repair-category-usage">${t('{expenses} expenses, {recurring} recurring, limits in {months} months', { expenses: orphan.expenses, recurring: orphan.recurring, months: orphan.limitMonths })}</p>
+            ${hasCategories && html`<div class="repair-category-actions">
+                <select class="input repair-category-target" data-index="${i}">${options}</select>
+                <button class="btn btn-primary repair-move-btn" data-index="${i}">${t('Move')}</button>
+            </div>`}
+            ${orphan.id && html`<div class="repair-category-actions">
+                <input type="text" class="input repair-category-name-input" data-index="${i}" placeholder="${t('Name for this category')}">
+                <button class="btn btn-secondary repair-restore-btn" data-index="${i}">${t('Add back')}</button>
+            </div>`}
+        </div>
+    `) : html`<p class="no-categories">${t('Every expense, limit and recurring expense uses an existing category.')}</p>`);
+
+    bindEach(listEl, '.repair-move-btn', 'click', btn => {
+        const index = btn.getAttribute('data-index');
+        const target = listEl.querySelector(`.repair-category-target${attrSelector('data-index', index)}`).value;
+        handleRepairCategory(orphans[index].id, { reassignTo: target });
+    });
+    bindEach(listEl, '.repair-restore-btn', 'click', btn => {
+        const index = btn.getAttribute('data-index');
+        const name = listEl.querySelector(`.repair-category-name-input${attrSelector('data-index', index)}`).value.trim();
+        handleRepairCategory(orphans[index].id, { restoreAs: name });
+    });
+    document.getElementById('repair-categories-message').textContent = '';
+    showScreen('repair-categories-screen', addToHistory);
+}
+
+function handleRepairCategory(orphanId, options) {
+    const error = options.restoreAs !== undefined ? expenseTracker.getCategoryError(options.restoreAs) : null;
+    const repaired = !error && runWithUndo(() => expenseTracker.repairOrphanedCategory(orphanId, options));
+    showRepairCategoriesScreen(false);
+    const msg = document.getElementById('repair-categories-message');
+    if (repaired) {
+        msg.textContent = options.reassignTo ? t('Moved to {name}', { name: expenseTracker.getCategoryName(options.reassignTo) }) : t('{name} has been added back', { name: options.restoreAs });
+        msg.className = 'limits-message success';
+    } else {
+        msg.textContent = error || t('The category could not be repaired');
+        msg.className = 'limits-message';
+    }
+}
+
+// -------- LIMITS FLOW --------
+// Show the limits of a period; month is a Date in the month the period is keyed
+// by (the period last shown is kept when omitted, starting with the current one)
+function showLimitsScreen(addToHistory = true, month = null) {
+    if (month) currentLimitsMonth = new Date(month.getFullYear(), month.getMonth(), 1);
+    if (!currentLimitsMonth) currentLimitsMonth = expenseTracker.getPeriodMonth();
+    const categories = expenseTracker.getCategories();
+    const container = document.getElementById('limits-list');
+    const monthKey = expenseTracker.getMonthKey(currentLimitsMonth);
+    const limits = expenseTracker.getLimitsForMonth(monthKey);
+    const sourceMonth = expenseTracker.getLimitsSourceMonth(monthKey);
+    const previousMonthName = expenseTracker.getPeriodLabel(expenseTracker.getMonthKey(expenseTracker.getPreviousMonth(currentLimitsMonth)));
+
+    document.getElementById('limits-header-text').textContent = t('Limits for {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('limits-income-text').textContent = t('Income this month: {amount}', { amount: formatCurrency(expenseTracker.getIncome(monthKey)) });
+    if (categories.length === 0) {
+        setHtml(container, html`<p class="no-categories">${t('No categories added yet.')}</p>`);
+    } else {
+        setHtml(container, categories.map(cat => {
+            const hasLimit = cat.id in limits;
+            const carried = expenseTracker.getRolloverAmount(cat.id, monthKey);
+            const note = carried ? t('{amount} from {period}', { amount: `${carried > 0 ? '+' : ''}${formatCurrency(carried)}`, period: previousMonthName }) : '';
+            return html`
+            <div class="limit-row${cat.parentId ? ' subcategory' : ''}" data-category-id="${cat.id}">
+                <div class="limit-category-name">${formatCategoryLabel(cat.id)}</div>
+                <div class="limit-input-wrapper">
+                    <input type="number" class="limit-input" value="${hasLimit ? limits[cat.id] : ''}" placeholder="${t('No limit')}" min="0" step="0.01"${hasLimit ? '' : ' disabled'}>
+                    <div class="limit-options">
+                        <label class="limit-option"><input type="checkbox" class="limit-none-input"${hasLimit ? '' : ' checked'}> ${t('No limit')}</label>
+                        <label class="limit-option"><input type="checkbox" class="limit-rollover-input"${cat.rolloverSince ? ' checked' : ''}> ${t('Roll over')}</label>
+                    </div>
+                    ${note && html`<div class="limit-rollover-note">${note}</div>`}
+                    <div class="limit-error-text"></div>
+                </div>
+            </div>
+        `;
+        }));
+    }
+    const sourceNote = document.getElementById('limits-source-note');
+    sourceNote.textContent = '';
+    if (sourceMonth && sourceMonth !== monthKey) {
+        sourceNote.textContent = t('Carried forward from {period} - press Set to keep them for this month', { period: expenseTracker.getPeriodLabel(sourceMonth) });
+    }
+    renderLimitTemplateOptions();
+    document.getElementById('limit-template-name').value = '';
+    document.getElementById('limits-message').textContent = '';
+    showScreen('limits-screen', addToHistory);
+}
+
+function changeLimitsMonth(offset) {
+    showLimitsScreen(false, new Date(currentLimitsMonth.getFullYear(), currentLimitsMonth.getMonth() + offset, 1));
+}
+
+// Ticking "No limit" clears and disables the row's input
+function updateLimitRow(row) {
+    const input = row.querySelector('.limit-input');
+    const noLimit = row.querySelector('.limit-none-input').checked;
+    input.disabled = noLimit;
+    if (noLimit) input.value = '';
+    input.classList.remove('input-error');
+    row.querySelector('.limit-error-text').textContent = '';
+}
+
+function renderLimitTemplateOptions() {
+    const templates = expenseTracker.getLimitTemplates();
+    const select = document.getElementById('limit-template-select');
+    setHtml(select, templates.length
+        ? templates.map(template => html`<option value="${template.id}">${template.name}</option>`)
+        : html`<option value="">${t('No templates saved')}</option>`);
+    select.disabled = !templates.length;
+    document.getElementById('apply-limit-template-btn').disabled = !templates.length;
+    document.getElementById('delete-limit-template-btn').disabled = !templates.length;
+}
+
+function showLimitsMessage(text, success = true) {
+    const msg = document.getElementById('limits-message');
+    msg.textContent = text;
+    msg.className = success ? 'limits-message success' : 'limits-message error';
+}
+
+// Fill the inputs from the chosen template; nothing is saved until Set
+function handleApplyLimitTemplate() {
+    const template = expenseTracker.getLimitTemplates().find(t => t.id === document.getElementById('limit-template-select').value);
+    if (!template) return;
+    document.querySelectorAll('#limits-list .limit-row').forEach(row => {
+        const value = template.limits[row.getAttribute('data-category-id')];
+        row.querySelector('.limit-none-input').checked = !value;
+        updateLimitRow(row);
+        if (value) row.querySelector('.limit-input').value = value;
+    });
+    showLimitsMessage(t('"{name}" applied - press Set to save', { name: template.name }));
+}
+
+function handleSaveLimitTemplate() {
+    const name = document.getElementById('limit-template-name').value.trim();
+    if (!name) return showLimitsMessage(t('Enter a template name'), false);
+    const limits = {};
+    document.querySelectorAll('#limits-list .limit-row').forEach(row => {
+        const value = parseFloat(row.querySelector('.limit-input').value);
+        if (!row.querySelector('.limit-none-input').checked && value > 0) limits[row.getAttribute('data-category-id')] = value;
+    });
+    const template = expenseTracker.saveLimitTemplate(name, limits);
+    renderLimitTemplateOptions();
+    document.getElementById('limit-template-select').value = template.id;
+    document.getElementById('limit-template-name').value = '';
+    showLimitsMessage(t('Template "{name}" saved', { name: template.name }));
+}
+
+function handleDeleteLimitTemplate() {
+    const select = document.getElementById('limit-template-select');
+    const template = expenseTracker.getLimitTemplates().find(t => t.id === select.value);
+    if (!template || !confirm(t('Delete the template "{name}"?', { name: template.name }))) return;
+    expenseTracker.deleteLimitTemplate(template.id);
+    renderLimitTemplateOptions();
+    showLimitsMessage(t('Template "{name}" deleted', { name: template.name }));
+}
+
+// Validate against the shown month's income: each limit and their sum must fit in it
+function handleSetLimits() {
+    const monthKey = expenseTracker.getMonthKey(currentLimitsMonth);
+    const monthLabel = expenseTracker.getPeriodLabel(monthKey);
+    const income = expenseTracker.getIncome(monthKey);
+    const newLimits = {};
+    let hasError = false;
+
+    document.querySelectorAll('#limits-list .limit-row').forEach(row => {
+        const input = row.querySelector('.limit-input');
+        const errorEl = row.querySelector('.limit-error-text');
+        const value = parseFloat(input.value);
+        input.classList.remove('input-error');
+        errorEl.textContent = '';
+
+        if (row.querySelector('.limit-none-input').checked) return;
+        if (isNaN(value) || value <= 0) {
+            errorEl.textContent = t('Enter a limit or tick No limit');
+            input.classList.add('input-error');
+            hasError = true;
+        } else if (value > income) {
+            errorEl.textContent = t('Higher than income');
+            input.classList.add('input-error');
+            hasError = true;
+        } else {
+            newLimits[row.getAttribute('data-category-id')] = value;
+        }
+    });
+
+    const total = Object.values(newLimits).reduce((sum, value) => sum + value, 0);
+    if (hasError && income === 0) {
+        return showLimitsMessage(t('No income recorded for {period} - add income before setting limits', { period: monthLabel }), false);
+    }
+    if (hasError) return;
+    if (total > income) {
+        return showLimitsMessage(t('Limits add up to {total}, more than the {income} income for {period}', { total: formatCurrency(total), income: formatCurrency(income), period: monthLabel }), false);
+    }
+
+    runWithUndo(() => expenseTracker.recordActivity({ text: 'Set limits for {period}', params: { period: { period: monthKey } } }, () => {
+        expenseTracker.setLimitsForMonth(newLimits, monthKey);
+        document.querySelectorAll('#limits-list .limit-row').forEach(row => {
+            expenseTracker.setCategoryRollover(row.getAttribute('data-category-id'), row.querySelector('.limit-rollover-input').checked, monthKey);
+        });
+    }));
+    document.getElementById('limits-source-note').textContent = '';
+    showLimitsMessage(t('Limits for {period} have been set', { period: monthLabel }));
+}
+
+// -------- EXPENSE FLOW --------
+function showAddExpenseScreen(addToHistory = true) {
+    const today = expenseTracker.getDayKey();
+    document.getElementById('expense-date').value = today;
+    const categories = expenseTracker.getCategories();
+    const select = document.getElementById('expense-category');
+    setHtml(select, categories.length
+        ? html`<option value="" disabled selected>${t('Select a category')}</option>${renderCategoryOptions()}<option value="${SPLIT_CATEGORY_VALUE}">${t('Split across categories...')}</option>`
+        : html`<option value="">${t('No categories')}</option>`);
+    select.disabled = !categories.length;
+    const splitEditor = document.getElementById('expense-split-editor');
+    splitEditor.textContent = '';
+    splitEditor.classList.add('hidden');
+    document.getElementById('expense-value').value = '';
+    document.getElementById('expense-currency').value = expenseTracker.getBaseCurrency();
+    renderCurrencyOptions();
+    document.getElementById('expense-comment').value = '';
+    document.querySelectorAll('.field-error').forEach(e => e.textContent = '');
+    document.querySelectorAll('.expense-input').forEach(i => i.classList.remove('input-error'));
+    document.getElementById('expense-limit-message').textContent = '';
+    const receiptsGroup = document.getElementById('expense-receipts-group');
+    setHtml(receiptsGroup, renderReceiptField());
+    receiptsGroup.classList.toggle('hidden', !expenseTracker.supportsAttachments());
+    const sharingGroup = document.getElementById('expense-sharing-group');
+    setHtml(sharingGroup, renderSharingFields());
+    sharingGroup.classList.toggle('hidden', !expenseTracker.getMembers().length);
+    showScreen('add-expense-screen', addToHistory);
+}
+
+// Category select value that opens the split editor instead of choosing one category
+const SPLIT_CATEGORY_VALUE = '__split__';
+
+// Split editor lines: a category and an amount each, at least two lines
+function renderSplitEditor(lines = []) {
+    const shown = [...lines];
+    while (shown.length < 2) shown.push({ categoryId: '', amount: '' });
+    return html`<div class="split-lines">${shown.map(line => renderSplitLine(line))}</div>
+        <div class="split-footer">
+            <button type="button" class="btn btn-secondary split-add-btn">${t('Add line')}</button>
+            <span class="split-remaining"></span>
+        </div>
+        <div class="field-error split-error"></div>`;
+}
+
+function renderSplitLine(line = { categoryId: '', amount: '' }) {
+    return html`<div class="split-line">
+        <select class="input split-category"><option value="">${t('Category')}</option>${renderCategoryOptions(line.categoryId)}</select>
+        <input type="number" class="input split-amount" min="0" step="0.01" placeholder="${t('Amount')}" value="${line.amount}">
+        <button type="button" class="split-remove-btn" aria-label="${t('Remove line')}">×</button>
+    </div>`;
+}
+
+function readSplitLines(editor) {
+    return [...editor.querySelectorAll('.split-line')].map(line => ({
+        categoryId: line.querySelector('.split-category').value,
+        amount: parseFloat(line.querySelector('.split-amount').value)
+    }));
+}
+
+// Show how much of the total is still to be assigned to a line
+function updateSplitRemaining(editor, total) {
+    const assigned = readSplitLines(editor).reduce((sum, line) => sum + (line.amount || 0), 0);
+    const remaining = (parseFloat(total) || 0) - assigned;
+    editor.querySelector('.split-remaining').textContent = !(parseFloat(total) > 0) ? ''
+        : Math.round(remaining * 100) === 0
+        ? t('Lines match the total')
+        : t(remaining > 0 ? 'Left to assign: {amount}' : 'Over by: {amount}', { amount: formatCurrency(Math.abs(remaining)) });
+}
+
+// Wire the split editors inside a container. Events are delegated so editors can
+// be re-rendered; getTotal(editor) reads the expense total an editor belongs to.
+function bindSplitEditors(container, getTotal) {
+    const refresh = () => container.querySelectorAll('.split-editor:not(.hidden)').forEach(editor => updateSplitRemaining(editor, getTotal(editor)));
+    container.addEventListener('click', (e) => {
+        const editor = e.target.closest('.split-editor');
+        if (!editor) return;
+        if (e.target.closest('.split-add-btn')) appendHtml(editor.querySelector('.split-lines'), renderSplitLine());
+        const remove = e.target.closest('.split-remove-btn');
+        if (remove && editor.querySelectorAll('.split-line').length > 2) remove.closest('.split-line').remove();
+        refresh();
+    });
+    container.addEventListener('input', refresh);
+}
+
+// Open or close a split editor when its category select changes
+function toggleSplitEditor(editor, select, firstLine) {
+    if (select.value === SPLIT_CATEGORY_VALUE) {
+        if (editor.classList.contains('hidden')) setHtml(editor, renderSplitEditor([firstLine]));
+        editor.classList.remove('hidden');
+    } else {
+        editor.classList.add('hidden');
+        editor.textContent = '';
+    }
+}
+
+function handleExpenseCategoryChange(select) {
+    const editor = document.getElementById('expense-split-editor');
+    toggleSplitEditor(editor, select, { categoryId: '', amount: document.getElementById('expense-value').value });
+    if (!editor.classList.contains('hidden')) updateSplitRemaining(editor, document.getElementById('expense-value').value);
+    updateExpenseLimitMessage(select.value === SPLIT_CATEGORY_VALUE ? null : select.value);
+}
+
+function updateExpenseLimitMessage(categoryId) {
+    const msgEl = document.getElementById('expense-limit-message');
+    msgEl.textContent = '';
+    if (!categoryId) return;
+    const limit = expenseTracker.getEffectiveLimitsForMonth()[categoryId];
+    if (!limit || limit <= 0) return;
+    const spent = expenseTracker.getTotalExpensesForCategoryInMonth(categoryId);
+    const percent = Math.round((spent / limit) * 100);
+    if (percent >= 80) {
+        msgEl.textContent = t('Expense is at {percent}% limit for {period}', { percent, period: expenseTracker.getPeriodLabel() });
+        msgEl.className = 'expense-limit-message ' + (percent >= 100 ? 'expense-limit-critical' : 'expense-limit-warning');
+    }
+}
+
+function handleAddExpenseSubmit() {
+    const date = document.getElementById('expense-date').value;
+    const cat = document.getElementById('expense-category').value;
+    const val = parseFloat(document.getElementById('expense-value').value);
+    const comment = document.getElementById('expense-comment').value.trim();
+    const currency = parseCurrencyCode(document.getElementById('expense-currency').value);
+    let hasError = false;
+
+    if (!date) hasError = !!(document.getElementById('expense-date-error').textContent = t('Cannot be blank'));
+    if (!cat) hasError = !!(document.getElementById('expense-category-error').textContent = t('Cannot be blank'));
+    if (isNaN(val) || val <= 0) hasError = !!(document.getElementById('expense-value-error').textContent = t('Cannot be blank'));
+    const commentError = expenseTracker.getCommentError(comment);
+    if (commentError) hasError = !!(document.getElementById('expense-comment-error').textContent = commentError);
+    if (!currency) hasError = !!(document.getElementById('expense-currency-error').textContent = t('Enter a 3-letter currency code'));
+
+    const expense = { date, categoryId: cat, amount: val, currency, comment };
+    if (cat === SPLIT_CATEGORY_VALUE) {
+        const editor = document.getElementById('expense-split-editor');
+        expense.splits = readSplitLines(editor);
+        const splitError = expenseTracker.getSplitError(val, expense.splits);
+        editor.querySelector('.split-error').textContent = splitError || '';
+        if (splitError) hasError = true;
+    }
+
+    const receiptField = document.querySelector('#expense-receipts-group .receipt-field');
+    const attachments = receiptField ? readReceiptAttachments(receiptField) : [];
+    if (attachments.length) expense.attachments = attachments;
+
+    const { paidBy, sharing } = readSharingFields(document.getElementById('expense-sharing-group'));
+    if (paidBy) {
+        const sharingError = expenseTracker.getSharingError(val, paidBy, sharing);
+        document.querySelector('#expense-sharing-group .sharing-error').textContent = sharingError || '';
+        if (sharingError) hasError = true;
+        Object.assign(expense, { paidBy, sharing });
+    }
+
+    if (!hasError) {
+        expenseTracker.addExpense(expense);
+        showScreen('expense-added-screen');
+    }
+}
+
+// -------- RECURRING EXPENSES FLOW --------
+function describeRecurringSchedule(rule) {
+    switch (rule.frequency) {
+        case 'weekly': return t('Every {weekday}', { weekday: getWeekdayNames()[rule.dayOfWeek] });
+        case 'yearly': return t('Every year on {day} {month}', { day: rule.dayOfMonth, month: getMonthNames()[rule.month] });
+        default: return t('Monthly on day {day}', { day: rule.dayOfMonth });
+    }
+}
+
+function getRecurringStatus(rule) {
+    if (rule.endDate && rule.endDate < expenseTracker.getDayKey()) return 'Ended';
+    return rule.paused ? 'Paused' : 'Active';
+}
+
+function showRecurringListScreen(addToHistory = true) {
+    const rules = expenseTracker.getRecurringExpenses();
+    const listEl = document.getElementById('recurring-list');
+    if (!rules.length) {
+        setHtml(listEl, html`<p class="no-categories">${t('No recurring expenses yet.')}</p>`);
+    } else {
+        setHtml(listEl, rules.map(rule => {
+            const status = getRecurringStatus(rule);
+            const ended = status === 'Ended';
+            return html`<div class="recurring-row recurring-${status.toLowerCase()}" data-id="${rule.id}">
+                <div class="recurring-row-info">
+                    <span class="recurring-row-title">${rule.comment} - ${formatCurrency(rule.amount)}</span>
+                    <span class="recurring-row-detail">${formatCategoryLabel(rule.categoryId)} | ${describeRecurringSchedule(rule)}${rule.endDate && ` | ${t('until {date}', { date: formatDate(expenseTracker.parseDayKey(rule.endDate)) })}`}</span>
+                    <span class="recurring-row-status">${t(status)}</span>
+                    ${status === 'Active' && expenseTracker.getCommentError(rule.comment) && html`<span class="field-error">${t('Nothing is posted until the comment is fixed.')}</span>`}
+                </div>
+                <div class="recurring-row-actions">
+                    <button class="btn btn-secondary recurring-action-btn" data-action="edit">${t('Edit')}</button>
+                    ${!ended && html`<button class="btn btn-secondary recurring-action-btn" data-action="${rule.paused ? 'resume' : 'pause'}">${rule.paused ? t('Resume') : t('Pause')}</button>
+                    <button class="btn btn-secondary btn-danger recurring-action-btn" data-action="end">${t('End')}</button>`}
+                </div>
+            </div>`;
+        }));
+        bindEach(listEl, '.recurring-action-btn', 'click', btn =>
+            handleRecurringAction(btn.closest('.recurring-row').getAttribute('data-id'), btn.getAttribute('data-action')));
+    }
+    showScreen('recurring-list-screen', addToHistory);
+}
+
+function handleRecurringAction(id, action) {
+    if (action === 'edit') return showRecurringFormScreen(id);
+    if (action === 'pause') expenseTracker.setRecurringExpensePaused(id, true);
+    if (action === 'resume') expenseTracker.setRecurringExpensePaused(id, false);
+    if (action === 'end') expenseTracker.endRecurringExpense(id);
+    showRecurringListScreen(false);
+}
+
+function showRecurringFormScreen(id) {
+    editingRecurringId = id;
+    const rule = id ? expenseTracker.getRecurringExpenses().find(r => r.id === id) : null;
+    const today = new Date();
+    const catSelect = document.getElementById('recurring-category');
+    setHtml(catSelect, html`<option value="" disabled selected>${t('Select a category')}</option>${renderCategoryOptions()}`);
+    setHtml(document.getElementById('recurring-month'), getMonthNames().map((name, i) => html`<option value="${i}">${name}</option>`));
+    setHtml(document.getElementById('recurring-day-of-week'), getWeekdayNames().map((name, i) => html`<option value="${i}">${name}</option>`));
+
+    document.getElementById('recurring-form-title').textContent = rule ? t('Edit recurring expense') : t('Add a recurring expense');
+    catSelect.value = rule ? rule.categoryId : '';
+    document.getElementById('recurring-amount').value = rule ? rule.amount : '';
+    document.getElementById('recurring-comment').value = rule ? rule.comment : '';
+    document.getElementById('recurring-frequency').value = rule ? rule.frequency : 'monthly';
+    document.getElementById('recurring-month').value = String(rule ? rule.month : today.getMonth());
+    document.getElementById('recurring-day-of-month').value = rule ? rule.dayOfMonth : today.getDate();
+    document.getElementById('recurring-day-of-week').value = String(rule ? rule.dayOfWeek : today.getDay());
+    document.getElementById('recurring-start-date').value = rule ? rule.startDate : expenseTracker.getDayKey(today);
+    document.getElementById('recurring-end-date').value = rule && rule.endDate ? rule.endDate : '';
+    document.querySelectorAll('#recurring-form-screen .field-error').forEach(el => el.textContent = '');
+    document.querySelectorAll('.recurring-input').forEach(el => el.classList.remove('input-error'));
+    updateRecurringScheduleFields();
+    showScreen('recurring-form-screen');
+}
+
+function updateRecurringScheduleFields() {
+    const frequency = document.getElementById('recurring-frequency').value;
+    document.getElementById('recurring-month-group').classList.toggle('hidden', frequency !== 'yearly');
+    document.getElementById('recurring-day-of-month-group').classList.toggle('hidden', frequency === 'weekly');
+    document.getElementById('recurring-day-of-week-group').classList.toggle('hidden', frequency !== 'weekly');
+}
+
+function handleSaveRecurring() {
+    const categoryId = document.getElementById('recurring-category').value;
+    const amount = parseFloat(document.getElementById('recurring-amount').value);
+    const comment = document.getElementById('recurring-comment').value.trim();
+    const frequency = document.getElementById('recurring-frequency').value;
+    const dayOfMonth = parseInt(document.getElementById('recurring-day-of-month').value, 10);
+    const startDate = document.getElementById('recurring-start-date').value;
+    const endDate = document.getElementById('recurring-end-date').value || null;
+    const setError = (field, message) => {
+        document.getElementById(`recurring-${field}-error`).textContent = message;
+        document.getElementById(`recurring-${field}`).classList.add('input-error');
+        return true;
+    };
+    document.querySelectorAll('#recurring-form-screen .field-error').forEach(el => el.textContent = '');
+    document.querySelectorAll('.recurring-input').forEach(el => el.classList.remove('input-error'));
+
+    let hasError = false;
+    if (!categoryId) hasError = setError('category', t('Cannot be blank'));
+    if (isNaN(amount) || amount <= 0) hasError = setError('amount', t('Cannot be blank'));
+    const commentError = expenseTracker.getCommentError(comment);
+    if (commentError) hasError = setError('comment', commentError);
+    if (frequency !== 'weekly' && (isNaN(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) hasError = setError('day-of-month', t('Enter a day from 1 to 31'));
+    if (!startDate) hasError = setError('start-date', t('Cannot be blank'));
+    if (startDate && endDate && endDate < startDate) hasError = setError('end-date', t('Must be after the start date'));
+    if (hasError) return;
+
+    const rule = {
+        categoryId,
+        amount,
+        comment,
+        frequency,
+        dayOfMonth: frequency === 'weekly' ? null : dayOfMonth,
+        dayOfWeek: frequency === 'weekly' ? parseInt(document.getElementById('recurring-day-of-week').value, 10) : null,
+        month: frequency === 'yearly' ? parseInt(document.getElementById('recurring-month').value, 10) : null,
+        startDate,
+        endDate
+    };
+    if (editingRecurringId) expenseTracker.updateRecurringExpense(editingRecurringId, rule);
+    else expenseTracker.addRecurringExpense(rule);
+    expenseTracker.postDueRecurringExpenses();
+    editingRecurringId = null;
+    showRecurringListScreen();
+}
+
+// -------- MONTH PICKER --------
+// Short date range of a period for the month grid ('25 Oct - 24 Nov'); empty for calendar months
+function formatPeriodRangeShort(monthKey) {
+    if (expenseTracker.getPeriodStartDay() === 1) return '';
+    const { start, end } = expenseTracker.getPeriodRange(monthKey);
+    const format = dayKey => formatDate(expenseTracker.parseDayKey(dayKey), { day: 'numeric', month: 'short' });
+    return `${format(start)} - ${format(end)}`;
+}
+
+// Get the year a month grid should show (the last one chosen, else the current year)
+function getMonthPickerYear(pickerId) {
+    return monthPickerYears[pickerId] || new Date().getFullYear();
+}
+
+// Render previous/next year controls and the 12 month buttons of a month grid.
+// Months without data are disabled; onSelect(monthIndex) runs when one is clicked.
+function renderMonthPicker(pickerId, containerId, { monthKeys, onSelect, onYearChange }) {
+    const year = getMonthPickerYear(pickerId);
+    const range = expenseTracker.getDataYearRange();
+    const nav = document.getElementById(`${pickerId}-year-nav`);
+    setHtml(nav, html`
+        <button class="btn btn-secondary year-nav-btn" data-offset="-1" aria-label="${t('Previous year')}" ${year <= range.min ? 'disabled' : ''}>&lsaquo;</button>
+        <span class="year-nav-label">${year}</span>
+        <button class="btn btn-secondary year-nav-btn" data-offset="1" aria-label="${t('Next year')}" ${year >= range.max ? 'disabled' : ''}>&rsaquo;</button>
+    `);
+    bindEach(nav, '.year-nav-btn', 'click', btn => {
+        monthPickerYears[pickerId] = year + parseInt(btn.getAttribute('data-offset'), 10);
+        onYearChange();
+    });
+
+    const container = document.getElementById(containerId);
+    setHtml(container, getMonthNames().map((name, i) => {
+        const monthKey = `${year}-${String(i + 1).padStart(2, '0')}`;
+        const range = formatPeriodRangeShort(monthKey);
+        return html`<button class="btn btn-secondary month-btn" data-month="${i}" ${monthKeys.has(monthKey) ? '' : 'disabled'}>${name}${range && html`<small class="month-btn-range">${range}</small>`}</button>`;
+    }));
+    bindEach(container, '.month-btn:not([disabled])', 'click', btn => onSelect(parseInt(btn.getAttribute('data-month'), 10), btn));
+    return year;
+}
+
+// -------- VIEW/EDIT FLOW --------
+function showViewEditExpensesScreen(addToHistory = true) { showScreen('view-edit-expenses-screen', addToHistory); }
+
+function showViewExpensesMonthSelectScreen(addToHistory = true) {
+    const year = renderMonthPicker('view', 'month-buttons-container', {
+        monthKeys: expenseTracker.getMonthKeysWithData({ expenses: true, limits: true }),
+        onSelect: (monthIndex) => showMonthSummaryScreen(year, monthIndex),
+        onYearChange: () => showViewExpensesMonthSelectScreen(false)
+    });
+    const totals = expenseTracker.getMonthlyTotalsForYear(year);
+    renderBarChart(document.getElementById('view-year-chart'), getMonthNames('short'), [
+        { label: t('Expenses'), values: totals.map(total => total.expenses), color: '#FF9500' },
+        { label: t('Income'), values: totals.map(total => total.income), color: '#34C759' }
+    ], {
+        formatValue: formatCurrency,
+        onSelect: (monthIndex) => showMonthSummaryScreen(year, monthIndex)
+    });
+    showScreen('view-expenses-month-select-screen', addToHistory);
+}
+
+function showMonthSummaryScreen(year, monthIndex, addToHistory = true) {
+    lastSummaryParams = { year, monthIndex };
+    currentViewYear = year;
+    currentViewMonthIndex = monthIndex;
+    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+    const totals = expenseTracker.getTotalExpensesForMonth(monthKey);
+    const limitsObj = expenseTracker.getEffectiveLimitsForMonth(monthKey);
+    const totalLimit = Object.values(limitsObj).reduce((s, v) => s + v, 0);
+
+    document.getElementById('month-summary-title').textContent = t('{period} - Summary', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('month-summary-totals').textContent = t('Total expenses: {expenses} | Total limits: {limits}', { expenses: formatCurrency(totals), limits: formatCurrency(totalLimit) });
+    document.getElementById('month-summary-percentage').textContent = totalLimit > 0 ? t('Overall usage: {percent}%', { percent: formatNumber((totals / totalLimit) * 100, 1) }) : t('No limits set');
+    const missingRates = expenseTracker.getCurrenciesMissingRates(monthKey);
+    document.getElementById('month-summary-currency-note').textContent = missingRates.length
+        ? t('No exchange rate for {currencies} - those amounts are counted as {base}', { currencies: missingRates.join(', '), base: expenseTracker.getBaseCurrency() })
+        : '';
+
+    // Subcategory spending and limits roll up into the top-level row; expanded
+    // parents also list each subcategory underneath
+    const summaryRow = (categoryId, label, tot, lim, extraClass = '') => {
+        const pct = lim > 0 ? (tot / lim) * 100 : 0;
+        const cls = lim > 0 ? (pct > 100 ? ' critical' : (pct >= 80 ? ' warning' : '')) : '';
+        return html`<div class="month-summary-row${extraClass}${cls}" data-category-id="${categoryId}" data-year="${year}" data-month-index="${monthIndex}">
+            <span>${label}</span><span>${formatCurrency(tot)}</span><span>${formatCurrency(lim)}</span><span>${lim > 0 ? pct.toFixed(1)+'%' : '-'}</span>
+        </div>`;
+    };
+    const topLevel = expenseTracker.getCategories().filter(cat => !cat.parentId);
+    const listEl = document.getElementById('month-summary-list');
+    const rows = topLevel.map(cat => {
+        const children = expenseTracker.getSubcategories(cat.id);
+        const lim = expenseTracker.getCategoryIdsWithSubcategories(cat.id).reduce((sum, id) => sum + (limitsObj[id] || 0), 0);
+        const tot = expenseTracker.getTotalExpensesForCategoryInMonth(cat.id, monthKey, true);
+        if (tot === 0 && lim === 0) return null;
+        const expanded = expandedSummaryCategories.has(cat.id);
+        const toggle = children.length > 0 &&
+            html`<button class="summary-expand-btn" data-category-id="${cat.id}" aria-expanded="${expanded}">${expanded ? '▾' : '▸'}</button>`;
+        const childRows = expanded ? children.map(child => {
+            const childLim = limitsObj[child.id] || 0;
+            const childTot = expenseTracker.getTotalExpensesForCategoryInMonth(child.id, monthKey);
+            if (childTot === 0 && childLim === 0) return null;
+            return summaryRow(child.id, `${child.icon ? child.icon + ' ' : ''}${child.name}`, childTot, childLim, ' subcategory');
+        }) : [];
+        return [summaryRow(cat.id, html`${toggle}${formatCategoryLabel(cat.id)}`, tot, lim), ...childRows];
+    }).filter(Boolean);
+    
+    setHtml(listEl, rows.length ? rows : html`<div class="month-summary-row"><span>${t('No data')}</span></div>`);
+
+    const spent = topLevel.map(cat => ({
+        label: `${cat.icon ? cat.icon + ' ' : ''}${cat.name}`,
+        value: expenseTracker.getTotalExpensesForCategoryInMonth(cat.id, monthKey, true),
+        color: cat.color
+    }));
+    renderDonutChart(document.getElementById('month-summary-donut'), spent, {
+        centerLabel: t('Spent'),
+        formatValue: formatCurrency,
+        onSelect: (index) => showCategoryExpensesDetailScreen(year, monthIndex, topLevel[index].id)
+    });
+
+    // Stop the running total at today when looking at the current period
+    const cumulative = expenseTracker.getDailyCumulativeExpenses(monthKey);
+    const lastDay = monthKey === expenseTracker.getPeriodKey() ? expenseTracker.getPeriodDayIndex(expenseTracker.getDayKey(), monthKey) + 1 : cumulative.length;
+    const periodStart = expenseTracker.parseDayKey(expenseTracker.getPeriodRange(monthKey).start);
+    const dayAt = index => new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + index);
+    const dailySeries = [{ label: t('Spent so far'), values: cumulative.map((v, i) => i < lastDay ? v : null), color: '#007AFF' }];
+    if (totalLimit > 0) dailySeries.push({ label: t('Total limit'), values: cumulative.map(() => totalLimit), color: '#FF3B30', dashed: true });
+    renderLineChart(document.getElementById('month-summary-daily-chart'), cumulative.map((_, i) => String(dayAt(i).getDate())), dailySeries, {
+        formatValue: formatCurrency,
+        onSelect: (index) => {
+            const dayKey = expenseTracker.getDayKey(dayAt(index));
+            showSearchExpensesScreen(true, true, { from: dayKey, to: dayKey });
+        }
+    });
+
+    showScreen('view-expenses-month-summary-screen', addToHistory);
+}
+
+// Expenses of one category in a month; a parent category also lists its subcategories' expenses
+function showCategoryExpensesDetailScreen(year, monthIndex, categoryId, addToHistory = true) {
+    lastCategoryDetailParams = { year, monthIndex, categoryId };
+    currentViewYear = year;
+    currentViewMonthIndex = monthIndex;
+    currentViewCategory = categoryId;
+    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+    const categoryIds = expenseTracker.getCategoryIdsWithSubcategories(categoryId);
+    const expenses = expenseTracker.getExpensesForMonth(monthKey).filter(e => expenseTracker.expenseHasCategory(e, categoryIds)).sort((a,b) => new Date(a.date) - new Date(b.date));
+
+    document.getElementById('category-expenses-title').textContent = `${expenseTracker.getCategoryName(categoryId)} - ${expenseTracker.getPeriodLabel(monthKey)}`;
+    const listEl = document.getElementById('category-expenses-list');
+    setHtml(listEl, expenses.length ? expenses.map(e => {
+        const d = expenseTracker.getExpenseDate(e);
+        const dStr = formatDate(d, { day: '2-digit', month: 'short' });
+        // A split expense shows only this category's lines, with the full total alongside
+        const lines = expenseTracker.getExpenseLines(e).filter(line => categoryIds.includes(line.categoryId));
+        const otherIds = lines.map(line => line.categoryId).filter(id => id !== categoryId);
+        const sub = otherIds.length > 0 && html` <small>(${otherIds.map(id => (expenseTracker.getCategory(id) || {}).name).join(', ')})</small>`;
+        const share = lines.reduce((sum, line) => sum + parseFloat(line.amount), 0);
+        const split = e.splits && html` <small>(${t('split, {amount} in total', { amount: formatExpenseAmount(e) })})</small>`;
+        return html`<div class="category-expense-row">
+            <button class="btn-delete-expense" data-id="${e.id}">-</button>
+            <span>${dStr}</span><span>${formatExpenseAmount({ ...e, amount: share })}</span><span>${e.comment}${sub}${split}</span>
+            ${(e.attachments || []).length > 0 && html`<div class="receipt-thumbs">${renderReceiptThumbs(e.attachments)}</div>`}
+        </div>`;
+    }) : html`<div class="category-expense-row"><span>${t('No expenses')}</span></div>`);
+    loadReceiptThumbs(listEl);
+
+    bindEach(listEl, '.btn-delete-expense', 'click', btn =>
+        showDeleteExpenseConfirmation(btn.getAttribute('data-id'), 'category-expenses-detail-screen', { year, monthIndex, categoryId }));
+
+    showScreen('category-expenses-detail-screen', addToHistory);
+}
+
+function showEditExpensesMonthSelectScreen(addToHistory = true) {
+    const year = renderMonthPicker('edit', 'edit-month-buttons-container', {
+        monthKeys: expenseTracker.getMonthKeysWithData({ expenses: true }),
+        onSelect: (monthIndex) => showEditExpensesListScreen(year, monthIndex),
+        onYearChange: () => showEditExpensesMonthSelectScreen(false)
+    });
+    showScreen('edit-expenses-month-select-screen', addToHistory);
+}
+
+function showEditExpensesListScreen(year, monthIndex, addToHistory = true) {
+    currentEditingYear = year;
+    currentEditingMonthIndex = monthIndex;
+    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+    const expenses = expenseTracker.getExpensesForMonth(monthKey).sort((a,b) => new Date(b.date) - new Date(a.date));
+    
+    document.getElementById('edit-expenses-month-title').textContent = t('Edit Expenses - {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+    const listEl = document.getElementById('edit-expenses-list');
+    const hasMembers = expenseTracker.getMembers().length > 0;
+    if (!expenses.length) {
+        setHtml(listEl, html`<div class="edit-expense-row-empty"><p>${t('No expenses found')}</p></div>`);
+    } else {
+        setHtml(listEl, expenses.map(e => {
+            const dateStr = expenseTracker.toDayKey(e.date);
+            const catOptions = html`${renderCategoryOptions(e.splits ? null : e.categoryId)}<option value="${SPLIT_CATEGORY_VALUE}"${e.splits ? ' selected' : ''}>${t('Split...')}</option>`;
+            return html`<div class="edit-expense-row${e.recurringId ? ' recurring' : ''}" data-id="${e.id}"${e.recurringId && html` title="${t('Posted by a recurring expense')}"`}>
+                <button class="btn-delete-expense" data-id="${e.id}">-</button>
+                <input type="date" class="edit-expense-date" value="${dateStr}">
+                <select class="edit-expense-category">${catOptions}</select>
+                <input type="number" class="edit-expense-value" value="${e.amount || 0}" step="0.01">
+                <input type="text" class="edit-expense-currency currency-input" value="${expenseTracker.getExpenseCurrency(e)}" list="currency-options" maxlength="3">
+                <input type="text" class="edit-expense-comment" value="${e.comment}">
+                <div class="split-editor edit-expense-splits${e.splits ? '' : ' hidden'}">${e.splits && renderSplitEditor(e.splits)}</div>
+                ${hasMembers && html`<div class="edit-expense-sharing">${renderSharingFields(e.paidBy, e.sharing)}</div>`}
+                ${expenseTracker.supportsAttachments() && html`<div class="edit-expense-receipts">${renderReceiptField(e.attachments)}</div>`}
+            </div>`;
+        }));
+        bindEach(listEl, '.btn-delete-expense', 'click', btn => showDeleteExpenseConfirmation(btn.getAttribute('data-id'), 'edit-expenses-list-screen'));
+        listEl.querySelectorAll('.split-editor:not(.hidden)').forEach(editor =>
+            updateSplitRemaining(editor, editor.closest('.edit-expense-row').querySelector('.edit-expense-value').value));
+        loadReceiptThumbs(listEl);
+        renderCurrencyOptions();
+    }
+    showScreen('edit-expenses-list-screen', addToHistory);
+}
+
+// Validate every row, then write only the rows that were changed (as one undoable change)
+function handleSaveExpenses() {
+    const rows = document.querySelectorAll('#edit-expenses-list .edit-expense-row');
+    const updates = [];
+    let hasError = false;
+    rows.forEach(row => {
+        const id = row.getAttribute('data-id');
+        const date = row.querySelector('.edit-expense-date').value;
+        const categoryId = row.querySelector('.edit-expense-category').value;
+        const amt = parseFloat(row.querySelector('.edit-expense-value').value);
+        const currency = parseCurrencyCode(row.querySelector('.edit-expense-currency').value);
+        const comm = row.querySelector('.edit-expense-comment').value.trim();
+        
+        const editor = row.querySelector('.split-editor');
+        const splits = categoryId === SPLIT_CATEGORY_VALUE ? readSplitLines(editor) : null;
+        const splitError = splits ? expenseTracker.getSplitError(amt, splits) : null;
+        if (editor.querySelector('.split-error')) editor.querySelector('.split-error').textContent = splitError || '';
+        const sharingFields = row.querySelector('.sharing-fields');
+        const { paidBy, sharing } = sharingFields ? readSharingFields(sharingFields) : { paidBy: null, sharing: null };
+        const sharingError = paidBy ? expenseTracker.getSharingError(amt, paidBy, sharing) : null;
+        if (sharingFields) sharingFields.querySelector('.sharing-error').textContent = sharingError || '';
+        const expense = expenseTracker.getExpenses().find(e => e.id === id);
+        // Only an edited comment has to pass the comment rules, so older ones can stay as they are
+        const commentError = expense && (expense.comment || '') === comm && comm ? null : expenseTracker.getCommentError(comm);
+        if (!date || !categoryId || isNaN(amt) || amt <= 0 || !currency || commentError || splitError || sharingError) {
+            row.querySelectorAll('input, select').forEach(i => i.classList.add('input-error'));
+            hasError = true;
+            return;
+        }
+        if (!expense) return;
+        const changes = {};
+        if (expenseTracker.toDayKey(expense.date) !== date) changes.date = date;
+        if (splits) {
+            if (JSON.stringify(expense.splits || null) !== JSON.stringify(splits)) changes.splits = splits;
+        } else {
+            if (expense.categoryId !== categoryId) changes.categoryId = categoryId;
+            if (expense.splits) changes.splits = null;
+        }
+        if (sharingFields && JSON.stringify([expense.paidBy || null, expense.sharing || null]) !== JSON.stringify([paidBy, sharing])) {
+            Object.assign(changes, { paidBy, sharing });
+        }
+        const receiptField = row.querySelector('.receipt-field');
+        const attachments = receiptField ? readReceiptAttachments(receiptField) : null;
+        if (attachments && JSON.stringify(expense.attachments || []) !== JSON.stringify(attachments)) changes.attachments = attachments;
+        if (parseFloat(expense.amount) !== amt) changes.amount = amt;
+        if (expenseTracker.getExpenseCurrency(expense) !== currency) changes.currency = currency;
+        if ((expense.comment || '') !== comm) changes.comment = comm;
+        if (Object.keys(changes).length) updates.push({ id, changes });
+    });
+    if (hasError) return alert(t('Please fix highlighted fields.'));
+
+    runWithUndo(() => expenseTracker.recordActivity({ text: updates.length === 1 ? 'Edited {count} expense' : 'Edited {count} expenses', params: { count: updates.length } }, () => {
+        updates.forEach(({ id, changes }) => expenseTracker.updateExpense(id, changes));
+    }));
+    showScreen('expense-modified-screen');
+}
+
+// -------- SEARCH FLOW --------
+function getSearchFilters() {
+    return {
+        text: document.getElementById('search-text').value,
+        categoryId: document.getElementById('search-category').value,
+        from: document.getElementById('search-from-date').value,
+        to: document.getElementById('search-to-date').value,
+        minAmount: document.getElementById('search-min-amount').value,
+        maxAmount: document.getElementById('search-max-amount').value,
+        sort: document.getElementById('search-sort').value
+    };
+}
+
+// Show the search screen and run the current filters; reset clears them first,
+// preset fills in filters (e.g. { from, to }) before searching
+function showSearchExpensesScreen(addToHistory = true, reset = false, preset = {}) {
+    const categorySelect = document.getElementById('search-category');
+    const selectedCategory = reset ? '' : categorySelect.value;
+    setHtml(categorySelect, html`<option value="">${t('All categories')}</option>${renderCategoryOptions()}`);
+    categorySelect.value = selectedCategory;
+    if (reset) {
+        ['search-text', 'search-from-date', 'search-to-date', 'search-min-amount', 'search-max-amount'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('search-sort').value = 'date-desc';
+    }
+    if (preset.from) document.getElementById('search-from-date').value = preset.from;
+    if (preset.to) document.getElementById('search-to-date').value = preset.to;
+
+    const filters = getSearchFilters();
+    const summaryEl = document.getElementById('search-summary');
+    if (filters.from && filters.to && filters.from > filters.to) {
+        summaryEl.textContent = t('Invalid date range');
+        document.getElementById('search-results-list').textContent = '';
+        document.getElementById('search-export-btn').disabled = true;
+        return showScreen('search-expenses-screen', addToHistory);
+    }
+
+    const results = expenseTracker.searchExpenses(filters);
+    let runningTotal = 0;
+    const listEl = document.getElementById('search-results-list');
+    setHtml(listEl, results.length ? results.map(e => {
+        runningTotal += expenseTracker.getExpenseBaseAmount(e);
+        const dateStr = expenseTracker.toDayKey(e.date);
+        return html`<div class="edit-expense-row search-result-row" data-id="${e.id}">
+            <button class="btn-delete-expense" data-id="${e.id}">-</button>
+            <span>${dateStr}</span>
+            <span>${formatExpenseCategoryLabel(e)}</span>
+            <span class="search-result-amount">${formatExpenseAmount(e)}</span>
+            <span class="search-result-comment">${e.comment}</span>
+            <span class="search-running-total">${formatCurrency(runningTotal)}</span>
+        </div>`;
+    }) : html`<div class="edit-expense-row-empty"><p>${t('No matching expenses')}</p></div>`);
+
+    bindEach(listEl, '.btn-delete-expense', 'click', (btn, e) => {
+        e.stopPropagation();
+        showDeleteExpenseConfirmation(btn.getAttribute('data-id'), 'search-expenses-screen');
+    });
+    bindEach(listEl, '.search-result-row', 'click', row => {
+        const expense = results.find(r => r.id === row.getAttribute('data-id'));
+        const [year, month] = expenseTracker.getExpensePeriodKey(expense).split('-').map(Number);
+        showEditExpensesListScreen(year, month - 1);
+    });
+
+    summaryEl.textContent = t(results.length === 1 ? '{count} expense found | Total: {total}' : '{count} expenses found | Total: {total}',
+        { count: results.length, total: formatCurrency(runningTotal) });
+    document.getElementById('search-export-btn').disabled = results.length === 0;
+    showScreen('search-expenses-screen', addToHistory);
+}
+
+function handleExportSearchResults() {
+    const results = expenseTracker.searchExpenses(getSearchFilters());
+    if (!results.length) return alert(t('No expenses found'));
+    exportExpensesCsv(results, () => showSearchExpensesScreen(false));
+}
+
+// -------- DOWNLOAD FLOW --------
+function showDownloadExpensesScreen(addToHistory = true) {
+    const container = document.getElementById('download-month-buttons-container');
+    window.selectedDownloadMonth = null;
+    window.selectedDownloadYear = null;
+    const fromDate = document.getElementById('download-from-date');
+    const toDate = document.getElementById('download-to-date');
+    fromDate.value = ''; toDate.value = '';
+
+    const year = renderMonthPicker('download', 'download-month-buttons-container', {
+        monthKeys: expenseTracker.getMonthKeysWithData({ expenses: true }),
+        onSelect: (monthIndex, btn) => {
+            container.querySelectorAll('.month-btn').forEach(b => b.className = 'btn btn-secondary month-btn');
+            btn.className = 'btn btn-primary month-btn';
+            window.selectedDownloadMonth = monthIndex;
+            window.selectedDownloadYear = year;
+            fromDate.value = ''; toDate.value = '';
+        },
+        onYearChange: () => showDownloadExpensesScreen(false)
+    });
+    showScreen('download-expenses-screen', addToHistory);
+}
+
+function handleDownloadExpenses() {
+    const from = document.getElementById('download-from-date').value;
+    const to = document.getElementById('download-to-date').value;
+    let expenses = [];
+    
+    if (from && to) {
+        if (from > to) return alert(t('Invalid date range'));
+        expenses = expenseTracker.searchExpenses({ from, to, sort: 'date-asc' });
+    } else if (window.selectedDownloadMonth !== null) {
+        const key = `${window.selectedDownloadYear}-${String(window.selectedDownloadMonth + 1).padStart(2, '0')}`;
+        expenses = expenseTracker.getExpensesForMonth(key);
+    } else {
+        return alert(t('Please select a month or range'));
+    }
+
+    if (!expenses.length) return alert(t('No expenses found'));
+    exportExpensesCsv(expenses, () => showViewEditExpensesScreen());
+}
+
+// Download expenses as CSV (sorted by date), then return via onDone
+function exportExpensesCsv(expenses, onDone) {
+    const sorted = [...expenses].sort((a,b) => expenseTracker.toDayKey(a.date).localeCompare(expenseTracker.toDayKey(b.date)));
+    const base = expenseTracker.getBaseCurrency();
+    // Column names follow the chosen language; a split expense stays one row
+    // and its lines are listed in the Split column
+    const header = [...Object.values(EXPENSE_CSV_COLUMNS).map(name => t(name)), t('Value in {currency}', { currency: base }), t('Split')];
+    const csv = [header.map(name => `"${name.replace(/"/g,'""')}"`).join(','), ...sorted.map(e => {
+        const d = expenseTracker.getExpenseDate(e);
+        const split = e.splits ? e.splits.map(line => `${expenseTracker.getCategoryName(line.categoryId)}: ${formatNumber(line.amount)}`).join('; ') : '';
+        return `"${formatDate(d)}","${expenseTracker.getExpenseCategoryName(e).replace(/"/g,'""')}","${formatNumber(e.amount)}","${(e.comment||'').replace(/"/g,'""')}","${expenseTracker.getExpenseCurrency(e)}","${formatNumber(expenseTracker.getExpenseBaseAmount(e))}","${split.replace(/"/g,'""')}"`;
+    })].join('\n');
+
+    downloadFile('\ufeff' + csv, 'expenses.csv', 'text/csv;charset=utf-8;');
+    
+    showScreen('download-confirmation-screen');
+    const timeout = setTimeout(onDone, 2000);
+    activeTimeouts.push(timeout);
+}
+
+// -------- IMPORT FLOW --------
+const IMPORT_FIELD_PATTERNS = {
+    date: /date/i,
+    category: /categ/i,
+    amount: /expense value|amount|value|debit/i,
+    comment: /comment|item|description|narration|note/i,
+    currency: /currency/i
+};
+
+// English names of the first columns of the expense CSV download, per import field
+const EXPENSE_CSV_COLUMNS = {
+    date: 'Date',
+    category: 'Category',
+    amount: 'Expense Value',
+    comment: 'Item/Comment',
+    currency: 'Currency'
+};
+
+// Check whether a header cell names an import field: by the patterns above,
+// or as the translated column name of a download made in any language
+function isImportFieldHeader(cell, field) {
+    const name = cell.trim().toLowerCase();
+    return IMPORT_FIELD_PATTERNS[field].test(cell) ||
+        Object.values(TRANSLATIONS).some(catalogue => (catalogue[EXPENSE_CSV_COLUMNS[field]] || '').toLowerCase() === name);
+}
+
+function showImportExpensesScreen(addToHistory = true) {
+    importCsvRows = [];
+    importPreviewRows = [];
+    document.getElementById('import-file-input').value = '';
+    document.getElementById('import-mapping').classList.add('hidden');
+    document.getElementById('import-preview-container').classList.add('hidden');
+    document.getElementById('import-preview-list').textContent = '';
+    document.getElementById('import-summary').textContent = '';
+    document.getElementById('import-message').textContent = '';
+    document.getElementById('import-confirm-btn').disabled = true;
+    document.getElementById('import-date-format').value = detectLocaleDateFormat();
+    showScreen('import-expenses-screen', addToHistory);
+}
+
+// The download writes dates with formatDate(), so default to the current language's order
+function detectLocaleDateFormat() {
+    const sample = formatDate(new Date(2001, 10, 22));
+    const parts = sample.split(/[^0-9]+/).filter(Boolean);
+    if (parts[0] === '2001') return 'ymd';
+    if (parts[0] === '22') return 'dmy';
+    return 'mdy';
+}
+
+// Parse a date cell into YYYY-MM-DD using the chosen format; returns null when invalid
+function parseImportDate(value, format) {
+    const text = (value || '').trim();
+    const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    let year, month, day;
+    if (isoMatch) {
+        [, year, month, day] = isoMatch.map(Number);
+    } else {
+        const parts = text.split(/[\/.\-\s]+/).map(Number);
+        if (parts.length < 3 || parts.some(isNaN)) return null;
+        if (format === 'ymd') [year, month, day] = parts;
+        else if (format === 'dmy') [day, month, year] = parts;
+        else [month, day, year] = parts;
+    }
+    const d = new Date(year, month - 1, day);
+    if (d.getFullYear() !== year || d.getMonth() !== month - 1 || d.getDate() !== day) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function handleImportFileSelected(e) {
+    const file = e.currentTarget.files[0];
+    importCsvRows = [];
+    if (!file) return showImportExpensesScreen(false);
+
+    const reader = new FileReader();
+    reader.onload = () => loadImportCsv(reader.result);
+    reader.onerror = () => {
+        document.getElementById('import-summary').textContent = t('The file could not be read.');
+    };
+    reader.readAsText(file);
+}
+
+// Parse the CSV, guess the header and column mapping, then show the preview
+function loadImportCsv(text) {
+    importCsvRows = parseCsv(text);
+    if (!importCsvRows.length) {
+        document.getElementById('import-summary').textContent = t('The file contains no rows.');
+        return;
+    }
+    const firstRow = importCsvRows[0];
+    const hasHeader = firstRow.some(cell => isImportFieldHeader(cell, 'date'));
+    document.getElementById('import-has-header').checked = hasHeader;
+
+    const columnCount = Math.max(...importCsvRows.map(r => r.length));
+    const labels = Array.from({ length: columnCount }, (_, i) => hasHeader && firstRow[i] ? firstRow[i] : t('Column {number}', { number: i + 1 }));
+    document.querySelectorAll('.import-map-select').forEach((select, fieldIndex) => {
+        const field = select.getAttribute('data-field');
+        const optional = field === 'currency';
+        setHtml(select, html`${optional && html`<option value="-1">${t('(none - base currency)')}</option>`}${labels.map((label, i) => html`<option value="${i}">${label}</option>`)}`);
+        const matched = hasHeader ? firstRow.findIndex(cell => isImportFieldHeader(cell, field)) : -1;
+        select.value = String(matched !== -1 || optional ? matched : Math.min(fieldIndex, columnCount - 1));
+    });
+    document.getElementById('import-mapping').classList.remove('hidden');
+    renderImportPreview();
+}
+
+// Validate every CSV row against the current mapping and render the preview
+function renderImportPreview() {
+    if (!importCsvRows.length) return;
+    const mapping = {};
+    document.querySelectorAll('.import-map-select').forEach(select => {
+        mapping[select.getAttribute('data-field')] = parseInt(select.value, 10);
+    });
+    const dateFormat = document.getElementById('import-date-format').value;
+    const hasHeader = document.getElementById('import-has-header').checked;
+    const createCategories = document.getElementById('import-create-categories').checked;
+    const existingExpenses = expenseTracker.getExpenses();
+    const newCategories = new Map();
+
+    importPreviewRows = importCsvRows.slice(hasHeader ? 1 : 0).map((cells, i) => {
+        const raw = {
+            date: (cells[mapping.date] || '').trim(),
+            category: (cells[mapping.category] || '').trim(),
+            amount: (cells[mapping.amount] || '').trim(),
+            comment: (cells[mapping.comment] || '').trim(),
+            currency: mapping.currency >= 0 ? (cells[mapping.currency] || '').trim() : ''
+        };
+        const errors = [];
+        const day = parseImportDate(raw.date, dateFormat);
+        if (!day) errors.push(t('Invalid date'));
+
+        const amount = parseFloat(raw.amount.replace(/[^0-9.\-]/g, ''));
+        if (isNaN(amount) || amount <= 0) errors.push(t('Invalid amount'));
+
+        // "Parent > Child" names a subcategory, as in exported CSV files
+        const existingCategory = expenseTracker.findCategoryByName(raw.category);
+        let newCategory = null;
+        if (!raw.category) {
+            errors.push(t('Category is blank'));
+        } else if (!existingCategory) {
+            const parts = raw.category.split('>').map(part => part.trim());
+            if (!createCategories) {
+                errors.push(t('Unknown category'));
+            } else if (parts.length > 2 || parts.some(part => expenseTracker.getCategoryNameError(part))) {
+                errors.push(t('Invalid category name'));
+            } else {
+                const key = parts.join(' > ').toLowerCase();
+                if (!newCategories.has(key)) newCategories.set(key, parts.join(' > '));
+                newCategory = newCategories.get(key);
+            }
+        }
+        const commentError = raw.comment ? expenseTracker.getCommentError(raw.comment) : t('Comment is blank');
+        if (commentError) errors.push(commentError);
+        const currency = raw.currency ? parseCurrencyCode(raw.currency) : null;
+        if (raw.currency && !currency) errors.push(t('Invalid currency'));
+
+        const expense = errors.length ? null : { date: day, categoryId: existingCategory ? existingCategory.id : null, amount, ...(currency ? { currency } : {}), comment: raw.comment };
+        const duplicate = expense ? !!expenseTracker.findDuplicateExpense(expense, existingExpenses) : false;
+        const status = errors.length ? 'error' : (duplicate ? 'duplicate' : 'ok');
+        return { line: i + (hasHeader ? 2 : 1), raw, errors, expense, newCategory, status };
+    });
+
+    const counts = { ok: 0, duplicate: 0, error: 0 };
+    importPreviewRows.forEach(row => counts[row.status]++);
+    const newCategoryNames = [...newCategories.values()].filter(name => importPreviewRows.some(r => r.status === 'ok' && r.newCategory === name));
+    setHtml(document.getElementById('import-summary'), html`
+        <p>${t('{ready} of {total} rows ready to import', { ready: counts.ok, total: importPreviewRows.length })}</p>
+        <p>${t('{duplicates} duplicates will be skipped, {errors} rows have errors', { duplicates: counts.duplicate, errors: counts.error })}</p>
+        ${newCategoryNames.length > 0 && html`<p>${t('New categories: {names}', { names: newCategoryNames.join(', ') })}</p>`}
+    `);
+
+    setHtml(document.getElementById('import-preview-list'), importPreviewRows.map(row => {
+        const note = row.status === 'error' ? row.errors.join(', ') : (row.status === 'duplicate' ? t('Duplicate - will be skipped') : '');
+        return html`<div class="import-preview-row import-row-${row.status}">
+            <span>${row.raw.date}</span><span>${row.raw.category}</span><span>${row.raw.amount}${row.raw.currency && ` ${row.raw.currency}`}</span><span>${row.raw.comment}</span>
+            ${note && html`<span class="import-row-note">${t('Row {line}: {note}', { line: row.line, note })}</span>`}
+        </div>`;
+    }));
+    document.getElementById('import-preview-container').classList.remove('hidden');
+    document.getElementById('import-confirm-btn').disabled = counts.ok === 0;
+}
+
+function handleImportExpenses() {
+    const rowsToImport = importPreviewRows.filter(row => row.status === 'ok');
+    if (!rowsToImport.length) return alert(t('There are no valid rows to import.'));
+
+    // Create the new categories (and any missing parent) before adding the expenses,
+    // logged as one change so the whole import can be undone
+    const added = runWithUndo(() => expenseTracker.recordActivity({ text: rowsToImport.length === 1 ? 'Imported {count} expense' : 'Imported {count} expenses', params: { count: rowsToImport.length } }, () => {
+        const createdIds = new Map();
+        rowsToImport.filter(row => row.newCategory).forEach(row => {
+            if (!createdIds.has(row.newCategory)) {
+                const [first, second] = row.newCategory.split(' > ');
+                const parent = expenseTracker.findCategoryByName(first) || expenseTracker.addCategory(first);
+                const category = parent && second ? expenseTracker.addCategory(second, { parentId: parent.id, color: parent.color }) : parent;
+                createdIds.set(row.newCategory, category ? category.id : null);
+            }
+            row.expense.categoryId = createdIds.get(row.newCategory);
+        });
+        return expenseTracker.addExpenses(rowsToImport.filter(row => row.expense.categoryId).map(row => row.expense));
+    }));
+    const skipped = importPreviewRows.length - added.length;
+
+    importCsvRows = [];
+    importPreviewRows = [];
+    document.getElementById('import-confirm-btn').disabled = true;
+    const msg = document.getElementById('import-message');
+    msg.textContent = t('{imported} expenses imported, {skipped} rows skipped', { imported: added.length, skipped });
+    msg.className = 'limits-message success';
+    const timeout = setTimeout(() => showViewEditExpensesScreen(), 2000);
+    activeTimeouts.push(timeout);
+}
+
+// -------- SAVINGS FLOW --------
+function showViewSavingsScreen(addToHistory = true) {
+    const year = renderMonthPicker('savings', 'savings-month-buttons-container', {
+        monthKeys: expenseTracker.getMonthKeysWithData({ expenses: true, income: true }),
+        onSelect: (monthIndex) => showMonthlySavingsDetailScreen(year, monthIndex),
+        onYearChange: () => showViewSavingsScreen(false)
+    });
+    const yearlySavings = expenseTracker.getTotalIncomeForYear(year) - expenseTracker.getTotalExpensesForYear(year);
+    document.getElementById('yearly-savings-label').textContent = t('Total savings for {year}', { year });
+    document.getElementById('yearly-savings-total').textContent = formatCurrency(yearlySavings);
+    const totals = expenseTracker.getMonthlyTotalsForYear(year);
+    renderLineChart(document.getElementById('savings-trend-chart'), getMonthNames('short'), [
+        { label: t('Savings'), values: totals.map(total => total.savings), color: '#34C759' }
+    ], {
+        formatValue: formatCurrency,
+        onSelect: (monthIndex) => showMonthlySavingsDetailScreen(year, monthIndex)
+    });
+    showScreen('view-savings-screen', addToHistory);
+}
+
+function showMonthlySavingsDetailScreen(year, monthIndex, addToHistory = true) {
+    lastSavingsDetailParams = { year, monthIndex };
+    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+    const income = expenseTracker.getIncome(monthKey);
+    const expenses = expenseTracker.getTotalExpensesForMonth(monthKey);
+    
+    document.getElementById('monthly-savings-title').textContent = t('{period} - Savings', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('monthly-savings-total').textContent = formatCurrency(income - expenses);
+    
+    const cats = expenseTracker.getCategories();
+    const limits = expenseTracker.getEffectiveLimitsForMonth(monthKey);
+    const listEl = document.getElementById('category-savings-list');
+    const rows = cats.map(cat => {
+        const lim = parseFloat(limits[cat.id]) || 0;
+        if (lim <= 0) return null;
+        const exp = expenseTracker.getTotalExpensesForCategoryInMonth(cat.id, monthKey);
+        return html`<div class="month-summary-row${cat.parentId ? ' subcategory' : ''}">
+            <span>${formatCategoryLabel(cat.id)}</span><span>${formatCurrency(lim)}</span><span>${formatCurrency(exp)}</span><span>${formatCurrency(lim - exp)}</span>
+        </div>`;
+    }).filter(Boolean);
+    
+    setHtml(listEl, rows.length ? rows : html`<div class="month-summary-row"><span>${t('No limits set')}</span></div>`);
+    showScreen('monthly-savings-detail-screen', addToHistory);
+}
+
+// -------- BACKUP/RESTORE FLOW --------
+function showBackupRestoreScreen(addToHistory = true) {
+    document.getElementById('backup-message').textContent = '';
+    document.getElementById('backup-password').value = '';
+    document.getElementById('backup-password-repeat').value = '';
+    document.getElementById('backup-password-error').textContent = '';
+    document.getElementById('backup-password-group').classList.toggle('hidden', !supportsEncryption());
+    showScreen('backup-restore-screen', addToHistory);
+}
+
+// Download a backup, encrypted with the password when one was typed
+function handleBackupData() {
+    const msg = document.getElementById('backup-message');
+    const passwordInput = document.getElementById('backup-password');
+    const repeatInput = document.getElementById('backup-password-repeat');
+    const errorEl = document.getElementById('backup-password-error');
+    const password = passwordInput.value;
+    msg.textContent = '';
+    errorEl.textContent = '';
+    if (password || repeatInput.value) {
+        errorEl.textContent = expenseTracker.getPinError(password) || (password !== repeatInput.value ? t('The passwords do not match.') : '');
+        if (errorEl.textContent) return;
+    }
+
+    expenseTracker.createFullBackup().then(backup => {
+        return password ? expenseTracker.encryptBackup(backup, password) : backup;
+    }).then(backup => {
+        const fileDate = expenseTracker.getDayKey();
+        downloadFile(JSON.stringify(backup, null, 2), `munshiji-backup-${fileDate}.json`, 'application/json');
+        passwordInput.value = '';
+        repeatInput.value = '';
+        msg.textContent = password ? t('Password-protected backup downloaded') : t('Backup downloaded');
+        msg.className = 'limits-message success';
+    }).catch(error => {
+        msg.textContent = t('Backup failed: {error}', { error: error.message });
+        msg.className = 'limits-message error';
+    });
+}
+
+function showRestoreDataScreen(addToHistory = true) {
+    pendingRestoreData = null;
+    pendingEncryptedBackup = null;
+    hideRestorePassword();
+    document.getElementById('restore-file-input').value = '';
+    document.getElementById('restore-errors').textContent = '';
+    document.getElementById('restore-preview').textContent = '';
+    document.getElementById('restore-message').textContent = '';
+    document.getElementById('restore-replace-btn').disabled = true;
+    document.getElementById('restore-merge-btn').disabled = true;
+    showScreen('restore-data-screen', addToHistory);
+}
+
+function handleRestoreFileSelected(e) {
+    const file = e.currentTarget.files[0];
+    pendingRestoreData = null;
+    pendingEncryptedBackup = null;
+    hideRestorePassword();
+    document.getElementById('restore-errors').textContent = '';
+    document.getElementById('restore-preview').textContent = '';
+    document.getElementById('restore-replace-btn').disabled = true;
+    document.getElementById('restore-merge-btn').disabled = true;
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let parsed;
+        try {
+            parsed = JSON.parse(reader.result);
+        } catch (error) {
+            showRestoreErrors([t('The file is not valid JSON.')]);
+            return;
+        }
+        if (expenseTracker.isEncryptedBackup(parsed)) {
+            if (!supportsEncryption()) return showRestoreErrors([t('This browser cannot decrypt data. Open the app over HTTPS.')]);
+            pendingEncryptedBackup = parsed;
+            document.getElementById('restore-password-group').classList.remove('hidden');
+            document.getElementById('restore-password').focus();
+            return;
+        }
+        showRestorePreview(parsed);
+    };
+    reader.onerror = () => {
+        showRestoreErrors([t('The file could not be read.')]);
+    };
+    reader.readAsText(file);
+}
+
+// Validate a parsed backup and preview it against the current data
+function showRestorePreview(parsed) {
+    const result = expenseTracker.validateBackup(parsed);
+    if (!result.valid) {
+        showRestoreErrors(result.errors);
+        return;
+    }
+    pendingRestoreData = result.data;
+    const incoming = expenseTracker.getDataCounts(result.data);
+    const current = expenseTracker.getDataCounts(expenseTracker.getStoredData());
+    setHtml(document.getElementById('restore-preview'), html`
+        <p>${t('Backup from {date}', { date: formatDate(new Date(parsed.exportedAt)) })}</p>
+        <p>${t('Expenses: {incoming} (currently {current})', { incoming: incoming.expenses, current: current.expenses })}</p>
+        <p>${t('Categories: {incoming} (currently {current})', { incoming: incoming.categories, current: current.categories })}</p>
+        <p>${t('Income months: {incoming} (currently {current})', { incoming: incoming.incomeMonths, current: current.incomeMonths })}</p>
+        <p>${t('Limit months: {incoming} (currently {current})', { incoming: incoming.limitMonths, current: current.limitMonths })}</p>
+        <p>${t('Receipt images: {count}', { count: incoming.attachments })}</p>
+    `);
+    document.getElementById('restore-replace-btn').disabled = false;
+    document.getElementById('restore-merge-btn').disabled = false;
+}
+
+function hideRestorePassword() {
+    document.getElementById('restore-password-group').classList.add('hidden');
+    document.getElementById('restore-password').value = '';
+    document.getElementById('restore-password-error').textContent = '';
+}
+
+// Decrypt the chosen password-protected backup and preview it
+function handleOpenEncryptedBackup() {
+    const password = document.getElementById('restore-password').value;
+    const errorEl = document.getElementById('restore-password-error');
+    const openBtn = document.getElementById('restore-open-btn');
+    errorEl.textContent = '';
+    if (!pendingEncryptedBackup) return;
+    if (!password) {
+        errorEl.textContent = t('Cannot be blank');
+        return;
+    }
+    openBtn.disabled = true;
+    expenseTracker.decryptBackup(pendingEncryptedBackup, password).then(backup => {
+        openBtn.disabled = false;
+        if (!backup) {
+            errorEl.textContent = t('Wrong password, or the file is damaged.');
+            return;
+        }
+        pendingEncryptedBackup = null;
+        hideRestorePassword();
+        showRestorePreview(backup);
+    });
 }
 
-// Initialize the app
-const expenseTracker = new ExpenseTracker();
+function showRestoreErrors(errors) {
+    setHtml(document.getElementById('restore-errors'), errors.map(err => html`<p class="field-error">${err}</p>`));
+}
 
-// Track active timeouts to prevent interference
-let activeTimeouts = [];
+function handleRestoreData(mode) {
+    if (!pendingRestoreData) return alert(t('Please choose a valid backup file.'));
+    const counts = expenseTracker.restoreBackup(pendingRestoreData, mode);
+    pendingRestoreData = null;
+    document.getElementById('restore-replace-btn').disabled = true;
+    document.getElementById('restore-merge-btn').disabled = true;
+    const msg = document.getElementById('restore-message');
+    msg.textContent = t('Data restored: {expenses} expenses, {categories} categories', { expenses: counts.expenses, categories: counts.categories });
+    msg.className = 'limits-message success';
+    const timeout = setTimeout(() => showScreen('main-menu-screen'), 2000);
+    activeTimeouts.push(timeout);
+}
 
-// Navigation handling (Logical Flow instead of History)
-let isNavigatingBack = false;
+// -------- ALERTS FLOW --------
+// Parse "80, 100" into [80, 100]; blank gives null, anything invalid gives false
+function parseAlertThresholds(value) {
+    const text = (value || '').trim();
+    if (!text) return null;
+    const thresholds = text.split(/[\s,]+/).filter(Boolean).map(Number);
+    if (thresholds.some(n => isNaN(n) || n <= 0)) return false;
+    return [...new Set(thresholds)].sort((a, b) => a - b);
+}
 
-// Store current editing/viewing month data
-let currentEditingMonthKey = null;
-let currentEditingExpenses = [];
-let currentEditingYear = null;
-let currentEditingMonthIndex = null;
-let currentViewYear = null;
-let currentViewMonthIndex = null;
-let currentViewCategory = null;
+// Show the unread count on the main menu button
+function updateAlertsMenuButton() {
+    const unread = expenseTracker.getUnreadAlertCount();
+    document.getElementById('alerts-menu-btn').textContent = unread ? t('Alerts ({count})', { count: unread }) : t('Alerts');
+}
 
-// Track parameters for data-driven screens to allow refreshing on navigation
-let lastSummaryParams = null;
-let lastCategoryDetailParams = null;
-let lastSavingsDetailParams = null;
+function areNotificationsEnabled() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted' &&
+        expenseTracker.getSettings().browserNotifications;
+}
 
-// Deletion context
-let expenseIdToDelete = null;
-let deletionSourceScreen = null;
-let deletionContext = null;
+// Called by the tracker for every new alert
+function handleNewAlert(alert) {
+    updateAlertsMenuButton();
+    if (areNotificationsEnabled()) new Notification('Munshiji', { body: expenseTracker.getMessageText(alert.message), tag: alert.id });
+}
 
-// Helper function to format numbers with comma separators
-function formatCurrency(value) {
-    const num = parseFloat(value) || 0;
-    return num.toLocaleString('en-US', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    });
+function showAlertsScreen(addToHistory = true) {
+    const alerts = expenseTracker.getAlerts();
+    setHtml(document.getElementById('alerts-list'), alerts.length ? alerts.map(alert => html`
+        <div class="alert-row alert-${alert.type}${alert.read ? '' : ' unread'}">
+            ${expenseTracker.getMessageText(alert.message)}<small>${formatDateTime(new Date(alert.createdAt))}</small>
+        </div>
+    `) : html`<p class="no-categories">${t('No alerts.')}</p>`);
+    document.getElementById('clear-alerts-btn').disabled = !alerts.length;
+    expenseTracker.markAlertsRead();
+    updateAlertsMenuButton();
+    updateNotificationsStatus();
+    showScreen('alerts-screen', addToHistory);
 }
 
-// Screen navigation with state management
-function showScreen(screenId, pushToHistory = true) {
-    // Clear any pending timeouts that might interfere
-    activeTimeouts.forEach(timeout => clearTimeout(timeout));
-    activeTimeouts = [];
-    
-    // Get current screen
-    const currentScreen = document.querySelector('.screen.active');
-    const currentScreenId = currentScreen ? currentScreen.id : null;
-    
-    // Push to history only if it's a new screen and requested
-    if (pushToHistory && currentScreenId !== screenId) {
-        history.pushState({ screen: screenId }, '', '');
-    }
-    
-    // Hide all screens first
-    const allScreens = document.querySelectorAll('.screen');
-    allScreens.forEach(screen => {
-        screen.classList.remove('active');
-        screen.style.display = 'none';
-    });
-    
-    // Show the target screen
-    const targetScreen = document.getElementById(screenId);
-    if (targetScreen) {
-        targetScreen.classList.add('active');
-        targetScreen.style.display = 'block';
-    } else {
-        console.error('Screen not found:', screenId);
+function updateNotificationsStatus() {
+    const status = document.getElementById('notifications-status');
+    const button = document.getElementById('enable-notifications-btn');
+    if (typeof Notification === 'undefined') {
+        status.textContent = t('This browser does not support notifications.');
+        button.classList.add('hidden');
+        return;
     }
+    const enabled = areNotificationsEnabled();
+    button.classList.toggle('hidden', Notification.permission === 'denied');
+    button.textContent = enabled ? t('Turn Off Notifications') : t('Enable Notifications');
+    status.textContent = Notification.permission === 'denied'
+        ? t('Notifications are blocked in your browser settings.')
+        : (enabled ? t('New alerts are also shown as notifications.') : t('New alerts are only shown here.'));
 }
 
-// Navigate back based on LOGICAL FLOW instead of browsing history
-function navigateBack() {
-    const currentScreen = document.querySelector('.screen.active');
-    const currentId = currentScreen ? currentScreen.id : null;
-    
-    if (!currentId || currentId === 'main-menu-screen' || currentId === 'welcome-screen') {
-        showExitConfirmation();
+function handleToggleNotifications() {
+    if (areNotificationsEnabled()) {
+        expenseTracker.updateSettings({ browserNotifications: false });
+        updateNotificationsStatus();
         return;
     }
+    Notification.requestPermission().then(permission => {
+        expenseTracker.updateSettings({ browserNotifications: permission === 'granted' });
+        updateNotificationsStatus();
+    });
+}
 
-    // Mapping of screens to their logical "parent" menu
-    const logicalParent = {
-        'income-view-screen': () => showScreen('main-menu-screen', false),
-        'income-edit-screen': () => showIncomeViewScreen(false),
-        'income-confirmation-screen': () => showScreen('main-menu-screen', false),
-        'categories-main-screen': () => showScreen('main-menu-screen', false),
-        'add-category-screen': () => showCategoriesMainScreen(false),
-        'category-confirmation-screen': () => showCategoriesMainScreen(false),
-        'edit-category-select-screen': () => showCategoriesMainScreen(false),
-        'edit-category-form-screen': () => showEditCategorySelectScreen(false),
-        'delete-category-select-screen': () => showCategoriesMainScreen(false),
-        'delete-category-confirmation-screen': () => showDeleteCategorySelectScreen(false),
-        'limits-screen': () => showScreen('main-menu-screen', false),
-        'add-expense-screen': () => showScreen('main-menu-screen', false),
-        'expense-added-screen': () => showAddExpenseScreen(false),
-        'view-edit-expenses-screen': () => showScreen('main-menu-screen', false),
-        'view-expenses-month-select-screen': () => showViewEditExpensesScreen(false),
-        'view-expenses-month-summary-screen': () => showViewExpensesMonthSelectScreen(false),
-        'category-expenses-detail-screen': () => {
-            if (lastSummaryParams) showMonthSummaryScreen(lastSummaryParams.year, lastSummaryParams.monthIndex, false);
-            else showViewExpensesMonthSelectScreen(false);
-        },
-        'edit-expenses-month-select-screen': () => showViewEditExpensesScreen(false),
-        'edit-expenses-list-screen': () => showEditExpensesMonthSelectScreen(false),
-        'expense-modified-screen': () => showEditExpensesMonthSelectScreen(false),
-        'download-expenses-screen': () => showViewEditExpensesScreen(false),
-        'download-confirmation-screen': () => showViewEditExpensesScreen(false),
-        'view-savings-screen': () => showScreen('main-menu-screen', false),
-        'monthly-savings-detail-screen': () => showViewSavingsScreen(false),
-        'exit-confirmation-screen': () => showScreen('main-menu-screen', false),
-        'delete-expense-confirmation-screen': () => {
-            if (deletionSourceScreen === 'category-expenses-detail-screen' && deletionContext) {
-                showCategoryExpensesDetailScreen(deletionContext.year, deletionContext.monthIndex, deletionContext.category, false);
-            } else if (deletionSourceScreen === 'edit-expenses-list-screen') {
-                showEditExpensesListScreen(currentEditingYear, currentEditingMonthIndex, false);
-            } else {
-                showScreen('main-menu-screen', false);
-            }
-        }
-    };
+function handleClearAlerts() {
+    expenseTracker.clearAlerts();
+    showAlertsScreen(false);
+}
 
-    if (logicalParent[currentId]) {
-        logicalParent[currentId]();
-    } else {
-        showScreen('main-menu-screen', false);
-    }
+// -------- RECEIPTS FLOW --------
+// Longest side, in pixels, of a stored receipt image and of its thumbnail
+const RECEIPT_MAX_SIZE = 1600;
+const RECEIPT_THUMB_SIZE = 160;
+
+// Read an image file and shrink it to a JPEG receipt plus a thumbnail
+function prepareReceiptImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        const toJpeg = (maxSize, quality) => {
+            const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', quality);
+        };
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve({ name: file.name, type: 'image/jpeg', dataUrl: toJpeg(RECEIPT_MAX_SIZE, 0.8), thumbnail: toJpeg(RECEIPT_THUMB_SIZE, 0.7) });
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(t('{name} could not be read as an image', { name: file.name })));
+        };
+        img.src = url;
+    });
 }
 
-// Show exit confirmation screen
-function showExitConfirmation() {
-    showScreen('exit-confirmation-screen');
+// Thumbnails of an expense's receipts; images are filled in by loadReceiptThumbs
+function renderReceiptThumbs(attachments = [], removable = false) {
+    return html`${attachments.map(a => html`<span class="receipt-thumb-wrap" data-attachment-id="${a.id}" data-name="${a.name}">
+        <img class="receipt-thumb" alt="${a.name}" title="${a.name}">
+        ${removable && html`<button type="button" class="receipt-remove-btn" aria-label="${t('Remove receipt')}">×</button>`}
+    </span>`)}`;
 }
 
-// Handle app exit
-function handleAppExit() {
-    // For mobile browsers, we can't close the tab, but we can show a message
-    alert('Thank you for using Munshiji!');
-    window.location.href = 'about:blank';
+// Receipt thumbnails plus buttons to pick images or take a photo
+function renderReceiptField(attachments = []) {
+    if (!expenseTracker.supportsAttachments()) return html``;
+    return html`<div class="receipt-field">
+        <span class="receipt-label">${t('Receipts')}</span>
+        <div class="receipt-thumbs">${renderReceiptThumbs(attachments, true)}</div>
+        <div class="receipt-buttons">
+            <label class="btn btn-secondary receipt-btn">${t('Add images')}<input type="file" class="receipt-file-input" accept="image/*" multiple hidden></label>
+            <label class="btn btn-secondary receipt-btn">${t('Take photo')}<input type="file" class="receipt-file-input" accept="image/*" capture="environment" hidden></label>
+        </div>
+        <div class="field-error receipt-error"></div>
+    </div>`;
 }
 
-// Initialize app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Handle browser back button (mobile back button)
-    window.addEventListener('popstate', (e) => {
-        navigateBack();
+// The [{ id, name }] attachments currently shown in a receipt field
+function readReceiptAttachments(field) {
+    return [...field.querySelectorAll('.receipt-thumb-wrap')].map(el => ({ id: el.getAttribute('data-attachment-id'), name: el.getAttribute('data-name') }));
+}
+
+// Load the thumbnail image of every receipt shown in a container
+function loadReceiptThumbs(container) {
+    container.querySelectorAll('.receipt-thumb-wrap').forEach(wrap => {
+        const img = wrap.querySelector('.receipt-thumb');
+        if (img.getAttribute('src')) return;
+        expenseTracker.getAttachment(wrap.getAttribute('data-attachment-id')).then(record => {
+            if (record) img.src = record.thumbnail;
+            else wrap.classList.add('missing');
+        }).catch(error => {
+            console.error('Error loading a receipt:', error);
+            wrap.classList.add('missing');
+        });
     });
-    
-    // Push initial state to history
-    history.pushState({ screen: 'welcome-screen' }, '', '');
-    
-    // Show welcome screen initially
-    showScreen('welcome-screen', false);
-    
-    // Auto-transition from welcome screen to main menu after 3 seconds
-    setTimeout(() => {
-        showScreen('main-menu-screen');
-    }, 3000);
-    
-    // Handle menu button clicks
-    document.querySelectorAll('.menu-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.preventDefault();
-            const action = e.currentTarget.getAttribute('data-action');
-            if (action) handleMenuAction(action);
+}
+
+// Compress and store picked images straight away, so saving the expense only
+// has to list them; images that end up unused are pruned at the next start
+function handleReceiptFiles(input) {
+    const field = input.closest('.receipt-field');
+    const errorEl = field.querySelector('.receipt-error');
+    const files = [...input.files];
+    input.value = '';
+    if (!files.length) return;
+    errorEl.textContent = t('Adding receipts...');
+    Promise.all(files.map(prepareReceiptImage))
+        .then(images => expenseTracker.storeAttachments(images))
+        .then(attachments => {
+            errorEl.textContent = '';
+            appendHtml(field.querySelector('.receipt-thumbs'), renderReceiptThumbs(attachments, true));
+            loadReceiptThumbs(field);
+        })
+        .catch(error => {
+            errorEl.textContent = error.message;
         });
+}
+
+function showReceiptViewer(attachmentId) {
+    expenseTracker.getAttachment(attachmentId).then(record => {
+        if (!record) return;
+        const img = document.getElementById('receipt-viewer-image');
+        img.src = record.dataUrl;
+        img.alt = record.name;
+        document.getElementById('receipt-viewer').classList.remove('hidden');
+    }).catch(error => {
+        console.error('Error loading a receipt:', error);
+        hideReceiptViewer();
+        showStorageError(t('The receipt could not be loaded ({error}).', { error: error && error.message ? error.message : error }));
     });
+}
 
-    // Handle income screen buttons
-    document.getElementById('continue-income-btn').addEventListener('click', handleContinueIncome);
-    document.getElementById('edit-income-btn').addEventListener('click', showIncomeEditScreen);
-    document.getElementById('set-income-btn').addEventListener('click', handleSetIncome);
-    
-    // Handle category screen buttons
-    document.getElementById('add-category-btn').addEventListener('click', showAddCategoryScreen);
-    document.getElementById('edit-category-btn').addEventListener('click', showEditCategorySelectScreen);
-    document.getElementById('delete-category-btn').addEventListener('click', showDeleteCategorySelectScreen);
-    document.getElementById('categories-back-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
-    document.getElementById('update-category-btn').addEventListener('click', handleUpdateCategory);
-    document.getElementById('cancel-edit-category-btn').addEventListener('click', showCategoriesMainScreen);
-    document.getElementById('delete-category-back-btn').addEventListener('click', showCategoriesMainScreen);
-    document.getElementById('confirm-delete-category-btn').addEventListener('click', () => {
-        if (window.currentDeletingCategory) handleDeleteCategory(window.currentDeletingCategory);
+function hideReceiptViewer() {
+    document.getElementById('receipt-viewer').classList.add('hidden');
+    document.getElementById('receipt-viewer-image').removeAttribute('src');
+}
+
+// Wire picking, removing and opening receipts inside a container
+function bindReceiptFields(container) {
+    container.addEventListener('change', (e) => {
+        if (e.target.classList.contains('receipt-file-input')) handleReceiptFiles(e.target);
     });
-    document.getElementById('cancel-delete-category-btn').addEventListener('click', showDeleteCategorySelectScreen);
-    document.getElementById('set-category-btn').addEventListener('click', handleAddCategory);
-    document.getElementById('back-to-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+    container.addEventListener('click', (e) => {
+        const remove = e.target.closest('.receipt-remove-btn');
+        if (remove) return remove.closest('.receipt-thumb-wrap').remove();
+        const thumb = e.target.closest('.receipt-thumb');
+        if (thumb) showReceiptViewer(thumb.closest('.receipt-thumb-wrap').getAttribute('data-attachment-id'));
+    });
+}
 
-    // Handle limits screen buttons
-    document.getElementById('set-limits-btn').addEventListener('click', handleSetLimits);
-    document.getElementById('back-limits-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+// -------- HOUSEHOLD FLOW --------
+const SHARING_RULES = { equal: 'Split equally', percent: 'By percentage', exact: 'Exact amounts' };
 
-    // Handle add expense buttons
-    document.getElementById('expense-add-btn').addEventListener('click', handleAddExpenseSubmit);
-    document.getElementById('expense-category').addEventListener('change', (e) => updateExpenseLimitMessage(e.currentTarget.value));
-    document.getElementById('expense-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
-    document.getElementById('expense-add-another-btn').addEventListener('click', showAddExpenseScreen);
-    document.getElementById('expense-no-more-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+// "Paid by" select plus the share editor (who shares the expense and how).
+// Without a sharing every member is ticked and the expense is split equally.
+function renderSharingFields(paidBy = null, sharing = null) {
+    const members = expenseTracker.getMembers();
+    const rule = sharing ? sharing.rule : 'equal';
+    const shareFor = id => sharing ? sharing.shares.find(share => share.memberId === id) : { memberId: id };
+    return html`<div class="sharing-fields" data-rule="${rule}">
+        <label class="sharing-label">${t('Paid by')}
+            <select class="input sharing-paid-by">
+                <option value="">${t('Not shared')}</option>
+                ${members.map(m => html`<option value="${m.id}"${m.id === paidBy ? ' selected' : ''}>${m.name}</option>`)}
+            </select>
+        </label>
+        <div class="sharing-editor${paidBy ? '' : ' hidden'}">
+            <select class="input sharing-rule">
+                ${Object.entries(SHARING_RULES).map(([value, label]) => html`<option value="${value}"${value === rule ? ' selected' : ''}>${t(label)}</option>`)}
+            </select>
+            ${members.map(m => {
+                const share = shareFor(m.id);
+                return html`<div class="sharing-member">
+                    <label class="import-checkbox"><input type="checkbox" class="sharing-member-input" value="${m.id}"${share ? ' checked' : ''}> ${m.name}</label>
+                    <input type="number" class="input sharing-value" min="0" step="0.01" value="${share && share.value}">
+                </div>`;
+            })}
+        </div>
+        <div class="field-error sharing-error"></div>
+    </div>`;
+}
 
-    // Handle View/Edit Expenses buttons
-    document.getElementById('view-monthwise-expenses-btn').addEventListener('click', showViewExpensesMonthSelectScreen);
-    document.getElementById('edit-expense-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
-    document.getElementById('edit-month-select-back-btn').addEventListener('click', showViewEditExpensesScreen);
-    document.getElementById('save-expenses-btn').addEventListener('click', handleSaveExpenses);
-    document.getElementById('edit-expenses-list-back-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
-    document.getElementById('edit-more-expenses-btn').addEventListener('click', showEditExpensesMonthSelectScreen);
-    document.getElementById('no-more-edit-expenses-btn').addEventListener('click', showViewEditExpensesScreen);
-    document.getElementById('download-expenses-btn').addEventListener('click', showDownloadExpensesScreen);
-    document.getElementById('download-data-btn').addEventListener('click', handleDownloadExpenses);
-    document.getElementById('download-back-btn').addEventListener('click', showViewEditExpensesScreen);
-    document.getElementById('back-view-expenses-menu-btn').addEventListener('click', () => showScreen('main-menu-screen'));
-    
-    // Handle savings screen buttons
-    document.getElementById('savings-back-btn').addEventListener('click', () => showScreen('main-menu-screen'));
-    document.getElementById('monthly-savings-back-btn').addEventListener('click', showViewSavingsScreen);
-    
-    // Handle exit confirmation buttons
-    document.getElementById('exit-yes-btn').addEventListener('click', handleAppExit);
-    document.getElementById('exit-no-btn').addEventListener('click', () => showScreen('main-menu-screen'));
+// Read { paidBy, sharing } from sharing fields ({ paidBy: null, sharing: null } when not shared)
+function readSharingFields(container) {
+    const paidBy = container.querySelector('.sharing-paid-by').value;
+    if (!paidBy) return { paidBy: null, sharing: null };
+    const rule = container.querySelector('.sharing-rule').value;
+    const shares = [...container.querySelectorAll('.sharing-member')]
+        .filter(row => row.querySelector('.sharing-member-input').checked)
+        .map(row => {
+            const memberId = row.querySelector('.sharing-member-input').value;
+            return rule === 'equal' ? { memberId } : { memberId, value: parseFloat(row.querySelector('.sharing-value').value) };
+        });
+    return { paidBy, sharing: { rule, shares } };
+}
 
-    // Handle month summary back buttons
-    document.getElementById('month-summary-back-btn').addEventListener('click', showViewExpensesMonthSelectScreen);
-    document.getElementById('month-select-back-btn').addEventListener('click', showViewEditExpensesScreen);
-    
-    // Handle category expenses detail back button
-    document.getElementById('category-expenses-back-btn').addEventListener('click', () => {
-        if (currentViewYear !== null && currentViewMonthIndex !== null) {
-            showMonthSummaryScreen(currentViewYear, currentViewMonthIndex, false);
-        } else {
-            showScreen('view-expenses-month-summary-screen');
-        }
+// Show the share editor once a payer is chosen, and only the inputs the rule needs
+function bindSharingFields(container) {
+    container.addEventListener('change', (e) => {
+        const fields = e.target.closest('.sharing-fields');
+        if (!fields) return;
+        if (e.target.classList.contains('sharing-paid-by')) fields.querySelector('.sharing-editor').classList.toggle('hidden', !e.target.value);
+        if (e.target.classList.contains('sharing-rule')) fields.setAttribute('data-rule', e.target.value);
     });
+}
 
-    // Handle expense deletion confirmation
-    document.getElementById('confirm-delete-expense-btn').addEventListener('click', handleDeleteExpense);
-    document.getElementById('cancel-delete-expense-btn').addEventListener('click', () => {
-        if (deletionSourceScreen === 'category-expenses-detail-screen' && deletionContext) {
-            const { year, monthIndex, category } = deletionContext;
-            showCategoryExpensesDetailScreen(year, monthIndex, category, false);
-        } else if (deletionSourceScreen === 'edit-expenses-list-screen') {
-            showEditExpensesListScreen(currentEditingYear, currentEditingMonthIndex, false);
-        } else {
-            showScreen('main-menu-screen');
-        }
-    });
+function showHouseholdScreen(addToHistory = true) {
+    const members = expenseTracker.getMembers();
+    setHtml(document.getElementById('household-list'), members.length ? members.map(m => html`
+        <div class="household-row" data-id="${m.id}">
+            <input type="text" class="input member-name-input" value="${m.name}" aria-label="${t('Name')}">
+            <button class="btn btn-secondary member-action-btn" data-action="rename">${t('Rename')}</button>
+            <button class="btn btn-secondary btn-danger member-action-btn" data-action="delete">${t('Delete')}</button>
+        </div>`) : html`<p class="no-categories">${t('No household members yet.')}</p>`);
+    document.getElementById('member-name').value = '';
+    document.getElementById('balances-btn').disabled = !members.length;
+    showScreen('household-screen', addToHistory);
+}
 
-    // Event Delegation for month summary clicks (to show category details)
-    document.getElementById('month-summary-list').addEventListener('click', (e) => {
-        const row = e.target.closest('.month-summary-row');
-        if (!row) return;
-        const category = row.getAttribute('data-category');
-        const year = parseInt(row.getAttribute('data-year'), 10);
-        const monthIndex = parseInt(row.getAttribute('data-month-index'), 10);
-        if (category && !isNaN(year) && !isNaN(monthIndex)) {
-            showCategoryExpensesDetailScreen(year, monthIndex, category);
-        }
-    });
-});
+function showHouseholdMessage(text, success = true) {
+    const msg = document.getElementById('household-message');
+    msg.textContent = text;
+    msg.className = success ? 'limits-message success' : 'limits-message error';
+}
 
-// -------- INCOME FLOW --------
-function showIncomeViewScreen(addToHistory = true) {
-    const currentDate = new Date();
-    const currentMonth = expenseTracker.getMonthName(currentDate);
-    const currentMonthKey = expenseTracker.getMonthKey();
-    const currentIncome = expenseTracker.getIncome(currentMonthKey);
-    let incomeToShow = currentIncome || expenseTracker.getPreviousMonthIncome();
-
-    document.getElementById('income-header-text').textContent = `Set Income for ${currentMonth}`;
-    document.getElementById('previous-income-text').textContent = `Your Income considered is ${incomeToShow}`;
-    showScreen('income-view-screen', addToHistory);
+function handleAddMember() {
+    const name = document.getElementById('member-name').value;
+    const error = expenseTracker.getMemberError(name);
+    if (error) return showHouseholdMessage(error, false);
+    runWithUndo(() => expenseTracker.addMember(name));
+    showHouseholdScreen(false);
+    showHouseholdMessage(t('{name} has been added', { name: name.trim() }));
+}
+
+function handleMemberAction(id, action) {
+    const name = expenseTracker.getMemberName(id);
+    if (action === 'rename') {
+        const row = document.querySelector(`#household-list .household-row${attrSelector('data-id', id)}`);
+        const newName = row.querySelector('.member-name-input').value;
+        const error = expenseTracker.getMemberError(newName, id);
+        if (error) return showHouseholdMessage(error, false);
+        runWithUndo(() => expenseTracker.renameMember(id, newName));
+        showHouseholdScreen(false);
+        return showHouseholdMessage(t('{name} is now {newName}', { name, newName: newName.trim() }));
+    }
+    if (expenseTracker.isMemberInUse(id)) {
+        return showHouseholdMessage(t('{name} paid for or shares expenses, so they cannot be deleted', { name }), false);
+    }
+    runWithUndo(() => expenseTracker.deleteMember(id));
+    showHouseholdScreen(false);
+    showHouseholdMessage(t('{name} has been deleted', { name }));
+}
+
+// Balances, settle-up transfers and recorded settlements for one month
+function showBalancesScreen(addToHistory = true, month = null) {
+    if (month) currentBalancesMonth = new Date(month.getFullYear(), month.getMonth(), 1);
+    if (!currentBalancesMonth) currentBalancesMonth = expenseTracker.getPeriodMonth();
+    const monthKey = expenseTracker.getMonthKey(currentBalancesMonth);
+    document.getElementById('balances-header-text').textContent = t('Balances - {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+
+    const balances = expenseTracker.getMemberBalances(monthKey);
+    setHtml(document.getElementById('balances-list'), balances.map(({ memberId, balance }) => {
+        const state = balance > 0 ? 'owed' : (balance < 0 ? 'owes' : 'even');
+        const text = { owed: t('is owed {amount}', { amount: formatCurrency(balance) }), owes: t('owes {amount}', { amount: formatCurrency(-balance) }), even: t('is settled up') }[state];
+        return html`<div class="balance-row balance-${state}"><span>${expenseTracker.getMemberName(memberId)}</span><span>${text}</span></div>`;
+    }));
+
+    const transfers = expenseTracker.getSettleUpTransfers(monthKey);
+    setHtml(document.getElementById('settle-up-list'), transfers.length ? transfers.map(transfer => html`
+        <div class="balance-row">
+            <span>${t('{from} pays {to} {amount}', { from: expenseTracker.getMemberName(transfer.from), to: expenseTracker.getMemberName(transfer.to), amount: formatCurrency(transfer.amount) })}</span>
+            <button class="btn btn-secondary settle-up-btn" data-from="${transfer.from}" data-to="${transfer.to}" data-amount="${transfer.amount}">${t('Record')}</button>
+        </div>`) : html`<p class="no-categories">${t('Everyone is settled up.')}</p>`);
+
+    const settlements = expenseTracker.getSettlements(monthKey);
+    setHtml(document.getElementById('settlements-list'), settlements.length ? settlements.map(s => html`
+        <div class="balance-row">
+            <span>${s.date}: ${t('{from} paid {to} {amount}', { from: expenseTracker.getMemberName(s.from), to: expenseTracker.getMemberName(s.to), amount: formatCurrency(s.amount) })}</span>
+            <button class="btn btn-secondary btn-danger settlement-delete-btn" data-id="${s.id}">${t('Delete')}</button>
+        </div>`) : html`<p class="no-categories">${t('No settlements recorded.')}</p>`);
+
+    document.getElementById('balances-message').textContent = '';
+    showScreen('balances-screen', addToHistory);
+}
+
+function changeBalancesMonth(offset) {
+    showBalancesScreen(false, new Date(currentBalancesMonth.getFullYear(), currentBalancesMonth.getMonth() + offset, 1));
+}
+
+function handleRecordSettlement(from, to, amount) {
+    runWithUndo(() => expenseTracker.recordSettlement({ from, to, amount, monthKey: expenseTracker.getMonthKey(currentBalancesMonth) }));
+    showBalancesScreen(false);
+    const msg = document.getElementById('balances-message');
+    msg.textContent = t('Recorded: {from} paid {to} {amount}', { from: expenseTracker.getMemberName(from), to: expenseTracker.getMemberName(to), amount: formatCurrency(amount) });
+    msg.className = 'limits-message success';
+}
+
+function handleDeleteSettlement(id) {
+    runWithUndo(() => expenseTracker.deleteSettlement(id));
+    showBalancesScreen(false);
+}
+
+// -------- HISTORY / UNDO FLOW --------
+// Run a change and, when it was written to the activity log, offer to undo it
+function runWithUndo(change) {
+    const previous = expenseTracker.getActivity()[0];
+    const result = change();
+    const entry = expenseTracker.getActivity()[0];
+    if (entry && entry !== previous) showUndoToast(entry);
+    return result;
+}
+
+function showUndoToast(entry) {
+    undoToastEntryId = entry.id;
+    document.getElementById('undo-toast-text').textContent = expenseTracker.getMessageText(entry.summary);
+    document.getElementById('undo-toast').classList.remove('hidden');
+    // Not in activeTimeouts: the toast stays while the user moves between screens
+    clearTimeout(undoToastTimeout);
+    undoToastTimeout = setTimeout(hideUndoToast, 8000);
+}
+
+function hideUndoToast() {
+    clearTimeout(undoToastTimeout);
+    undoToastEntryId = null;
+    document.getElementById('undo-toast').classList.add('hidden');
 }
 
-function handleContinueIncome() {
-    const currentMonthKey = expenseTracker.getMonthKey();
-    const currentIncome = expenseTracker.getIncome(currentMonthKey);
-    if (currentIncome > 0) {
-        showIncomeConfirmation(currentIncome);
-        return;
-    }
-    const previousIncome = expenseTracker.getPreviousMonthIncome();
-    if (previousIncome === 0) {
-        alert('Please enter an income using the Edit button.');
-        return;
-    }
-    expenseTracker.setIncome(previousIncome, currentMonthKey);
-    showIncomeConfirmation(previousIncome);
+function handleUndo() {
+    const error = undoToastEntryId ? expenseTracker.revertActivity(undoToastEntryId) : null;
+    hideUndoToast();
+    if (error) return alert(error);
+    refreshCurrentScreen();
 }
 
-function showIncomeConfirmation(income) {
-    document.getElementById('income-confirmation-text').textContent = `Income has been set to ${income}`;
-    showScreen('income-confirmation-screen');
-    const timeout = setTimeout(() => showScreen('main-menu-screen'), 3000);
-    activeTimeouts.push(timeout);
+// Re-render the screen on display after its data changed underneath it
+function refreshCurrentScreen() {
+    const current = document.querySelector('.screen.active');
+    const refresh = {
+        'edit-expenses-list-screen': () => showEditExpensesListScreen(currentEditingYear, currentEditingMonthIndex, false),
+        'category-expenses-detail-screen': () => lastCategoryDetailParams && showCategoryExpensesDetailScreen(lastCategoryDetailParams.year, lastCategoryDetailParams.monthIndex, lastCategoryDetailParams.categoryId, false),
+        'view-expenses-month-summary-screen': () => lastSummaryParams && showMonthSummaryScreen(lastSummaryParams.year, lastSummaryParams.monthIndex, false),
+        'search-expenses-screen': () => showSearchExpensesScreen(false),
+        'categories-main-screen': () => showCategoriesMainScreen(false),
+        'income-view-screen': () => showIncomeViewScreen(false),
+        'limits-screen': () => showLimitsScreen(false),
+        'history-screen': () => showHistoryScreen(false),
+        'household-screen': () => showHouseholdScreen(false),
+        'balances-screen': () => showBalancesScreen(false)
+    }[current ? current.id : null];
+    if (refresh) refresh();
 }
 
-function showIncomeEditScreen() {
-    const currentMonth = expenseTracker.getMonthName(new Date());
-    const currentIncome = expenseTracker.getIncome(expenseTracker.getMonthKey());
-    document.getElementById('income-edit-header-text').textContent = `Please set your income for ${currentMonth}`;
-    document.getElementById('income-input').value = currentIncome > 0 ? currentIncome : '';
-    document.getElementById('income-success-message').textContent = '';
-    showScreen('income-edit-screen');
+// One line for a changed record: what it was and what it became
+function describeActivityChange(change) {
+    const type = change.key.slice(0, change.key.indexOf(':'));
+    const label = record => {
+        switch (type) {
+            case 'expense': return `${record.comment} - ${formatExpenseAmount(record)} (${expenseTracker.getExpenseCategoryName(record)}, ${formatDate(expenseTracker.getExpenseDate(record))})`;
+            case 'category': return record.name;
+            case 'recurring': return `${record.comment} - ${formatCurrency(record.amount)}${record.paused ? ` (${t('paused')})` : ''}`;
+            case 'income': return `${record.entry.source} - ${formatCurrency(record.entry.amount)} (${record.entry.date})`;
+            case 'limits': return Object.entries(record).map(([id, value]) => `${expenseTracker.getCategoryName(id)} ${formatCurrency(value)}`).join(', ') || t('No limits');
+            case 'member': return record.name;
+            case 'settlement': return `${t('{from} paid {to} {amount}', { from: expenseTracker.getMemberName(record.from), to: expenseTracker.getMemberName(record.to), amount: formatCurrency(record.amount) })} (${record.monthKey})`;
+            default: return '';
+        }
+    };
+    const noun = { expense: t('Expense'), category: t('Category'), recurring: t('Recurring expense'), income: t('Income'), member: t('Member'), settlement: t('Settlement'),
+        limits: t('Limits for {period}', { period: change.key.slice(7) }) }[type] || type;
+    if (!change.before) return t('{record} added: {details}', { record: noun, details: label(change.after) });
+    if (!change.after) return t('{record} removed: {details}', { record: noun, details: label(change.before) });
+    return `${noun}: ${label(change.before)} → ${label(change.after)}`;
 }
 
-function handleSetIncome() {
-    const incomeValue = parseFloat(document.getElementById('income-input').value);
-    if (isNaN(incomeValue) || incomeValue < 0) {
-        alert('Please enter a valid income amount.');
-        return;
-    }
-    expenseTracker.setIncome(incomeValue);
-    document.getElementById('income-success-message').textContent = `Your income has been set to ${incomeValue}`;
-    const timeout = setTimeout(() => showScreen('main-menu-screen'), 2000);
-    activeTimeouts.push(timeout);
+function showHistoryScreen(addToHistory = true) {
+    const entries = expenseTracker.getActivity();
+    const listEl = document.getElementById('history-list');
+    setHtml(listEl, entries.length ? entries.map(entry => {
+        const reverted = !!expenseTracker.getRevertingActivity(entry.id);
+        const shown = entry.changes.slice(0, 5).map(change => html`<li>${describeActivityChange(change)}</li>`);
+        const more = entry.changes.length > 5 && html`<li>${t('...and {count} more', { count: entry.changes.length - 5 })}</li>`;
+        return html`<div class="history-row${reverted ? ' reverted' : ''}">
+            <div class="history-row-header">
+                <span class="history-summary">${expenseTracker.getMessageText(entry.summary)}</span>
+                <small>${formatDateTime(new Date(entry.at))}</small>
+            </div>
+            <ul class="history-changes">${shown}${more}</ul>
+            ${reverted ? html`<span class="history-tag">${t('Reverted')}</span>` : html`<button class="btn btn-secondary history-revert-btn" data-id="${entry.id}">${t('Revert')}</button>`}
+        </div>`;
+    }) : html`<p class="no-categories">${t('No changes recorded yet.')}</p>`);
+    document.getElementById('history-message').textContent = '';
+    showScreen('history-screen', addToHistory);
 }
 
-// -------- CATEGORY FLOW --------
-function showCategoriesMainScreen(addToHistory = true) {
-    showScreen('categories-main-screen', addToHistory);
-    renderCategoriesList('categories-list');
+function handleRevertActivity(id) {
+    const error = expenseTracker.revertActivity(id);
+    showHistoryScreen(false);
+    const msg = document.getElementById('history-message');
+    msg.textContent = error || t('The change has been reverted');
+    msg.className = error ? 'limits-message error' : 'limits-message success';
 }
 
-function renderCategoriesList(containerId) {
-    const categories = expenseTracker.getCategories();
-    const container = document.getElementById(containerId);
-    if (categories.length === 0) {
-        container.innerHTML = '<p class="no-categories">No categories added yet.</p>';
-        return;
-    }
-    container.innerHTML = categories.map(cat => `<div class="category-box">${cat}</div>`).join('');
+// -------- SETTINGS FLOW --------
+// Use the language and number format settings and translate the page
+function applyLocaleSettings() {
+    setLocaleOptions(expenseTracker.getSettings());
+    applyTranslations();
 }
 
-function showAddCategoryScreen() {
-    document.getElementById('category-input').value = '';
-    showScreen('add-category-screen');
+function showSettingsScreen(addToHistory = true) {
+    const { retentionMonths } = expenseTracker.getSettings();
+    document.getElementById('retention-mode').value = retentionMonths ? 'months' : 'forever';
+    document.getElementById('retention-months').value = retentionMonths || 12;
+    document.getElementById('retention-months-error').textContent = '';
+    document.getElementById('base-currency').value = expenseTracker.getBaseCurrency();
+    document.getElementById('base-currency-error').textContent = '';
+    const settings = expenseTracker.getSettings();
+    document.getElementById('period-start-day').value = expenseTracker.getPeriodStartDay();
+    document.getElementById('period-start-day-error').textContent = '';
+    document.getElementById('carry-forward-limits').checked = settings.carryForwardLimits;
+    document.getElementById('alert-thresholds').value = settings.alertThresholds.join(', ');
+    document.getElementById('alert-thresholds-error').textContent = '';
+    document.getElementById('pace-alerts').checked = settings.paceAlerts;
+    document.getElementById('remaining-income-alert').value = settings.remainingIncomeAlertPercent ?? '';
+    document.getElementById('remaining-income-alert-error').textContent = '';
+    renderPinLockSettings(settings);
+    renderSyncSettings();
+    setHtml(document.getElementById('language'), Object.entries(LANGUAGES)
+        .map(([code, language]) => html`<option value="${code}">${language.name}</option>`));
+    document.getElementById('language').value = settings.language;
+    document.getElementById('number-format').value = settings.numberFormat;
+    document.getElementById('currency-symbol').checked = settings.currencySymbol;
+    renderCurrencyOptions();
+    document.getElementById('settings-message').textContent = '';
+    updateRetentionMonthsVisibility();
+    showScreen('settings-screen', addToHistory);
 }
 
-function handleAddCategory() {
-    const categoryName = document.getElementById('category-input').value.trim();
-    if (!categoryName) return alert('Please enter a category name.');
-    const added = expenseTracker.addCategory(categoryName);
-    if (!added) return alert('This category already exists.');
-    
-    document.getElementById('category-confirmation-text').textContent = `Your new category "${added}" has been set!`;
-    renderCategoriesList('confirmation-categories-list');
-    showScreen('category-confirmation-screen');
+function updateRetentionMonthsVisibility() {
+    const keepForever = document.getElementById('retention-mode').value === 'forever';
+    document.getElementById('retention-months-group').classList.toggle('hidden', keepForever);
 }
 
-function showEditCategorySelectScreen(addToHistory = true) {
-    const categories = expenseTracker.getCategories();
-    if (categories.length === 0) return alert('No categories available to edit.');
-    const container = document.getElementById('edit-category-list');
-    container.innerHTML = categories.map(cat => `<button class="category-box category-select-btn" data-category="${cat}">${cat}</button>`).join('');
-    container.querySelectorAll('.category-select-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => showEditCategoryFormScreen(e.currentTarget.getAttribute('data-category')));
+function handleSaveSettings() {
+    const keepForever = document.getElementById('retention-mode').value === 'forever';
+    const months = parseInt(document.getElementById('retention-months').value, 10);
+    const baseCurrency = parseCurrencyCode(document.getElementById('base-currency').value);
+    const errorEl = document.getElementById('retention-months-error');
+    const currencyErrorEl = document.getElementById('base-currency-error');
+    errorEl.textContent = '';
+    currencyErrorEl.textContent = '';
+    const alertThresholds = parseAlertThresholds(document.getElementById('alert-thresholds').value);
+    const remainingText = document.getElementById('remaining-income-alert').value.trim();
+    const remainingPercent = remainingText === '' ? null : parseFloat(remainingText);
+    const thresholdsErrorEl = document.getElementById('alert-thresholds-error');
+    const remainingErrorEl = document.getElementById('remaining-income-alert-error');
+    const periodStartDay = Number(document.getElementById('period-start-day').value);
+    const periodErrorEl = document.getElementById('period-start-day-error');
+    const autoLockText = document.getElementById('auto-lock-minutes').value.trim();
+    const autoLockMinutes = autoLockText === '' ? null : Number(autoLockText);
+    const autoLockErrorEl = document.getElementById('auto-lock-minutes-error');
+    thresholdsErrorEl.textContent = '';
+    remainingErrorEl.textContent = '';
+    periodErrorEl.textContent = '';
+    autoLockErrorEl.textContent = '';
+    if (!keepForever && (isNaN(months) || months < 1)) errorEl.textContent = t('Enter at least 1 month');
+    if (!baseCurrency) currencyErrorEl.textContent = t('Enter a 3-letter currency code');
+    if (alertThresholds === false) thresholdsErrorEl.textContent = t('Enter positive numbers, e.g. 80, 100');
+    if (remainingPercent !== null && (isNaN(remainingPercent) || remainingPercent < 0 || remainingPercent > 100)) remainingErrorEl.textContent = t('Enter a percentage from 0 to 100');
+    if (!Number.isInteger(periodStartDay) || periodStartDay < 1 || periodStartDay > 28) periodErrorEl.textContent = t('Enter a day from 1 to 28');
+    if (autoLockMinutes !== null && (!Number.isInteger(autoLockMinutes) || autoLockMinutes < 1)) autoLockErrorEl.textContent = t('Enter a whole number of minutes, at least 1');
+    if (errorEl.textContent || currencyErrorEl.textContent || thresholdsErrorEl.textContent || remainingErrorEl.textContent || periodErrorEl.textContent || autoLockErrorEl.textContent) return;
+
+    if (expenseTracker.wouldClearExchangeRates(baseCurrency) &&
+        !confirm(t('No exchange rate is entered for {currency}, so the current rates cannot be converted and will be cleared. Change the base currency anyway?', { currency: baseCurrency }))) return;
+
+    expenseTracker.setBaseCurrency(baseCurrency);
+    if (periodStartDay !== expenseTracker.getPeriodStartDay()) expenseTracker.setPeriodStartDay(periodStartDay);
+    expenseTracker.updateSettings({
+        retentionMonths: keepForever ? null : months,
+        carryForwardLimits: document.getElementById('carry-forward-limits').checked,
+        alertThresholds: alertThresholds || [],
+        paceAlerts: document.getElementById('pace-alerts').checked,
+        remainingIncomeAlertPercent: remainingPercent,
+        language: document.getElementById('language').value,
+        numberFormat: document.getElementById('number-format').value,
+        currencySymbol: document.getElementById('currency-symbol').checked,
+        autoLockMinutes
     });
-    showScreen('edit-category-select-screen', addToHistory);
-}
+    applyLocaleSettings();
+    scheduleAutoLock();
+    if (expenseTracker.hasExpiredData()) return showRetentionWarningScreen();
 
-function showEditCategoryFormScreen(categoryName) {
-    window.currentEditingCategory = categoryName;
-    document.getElementById('edit-category-header-text').textContent = `Edit ${categoryName} to`;
-    document.getElementById('edit-category-input').value = categoryName;
-    document.getElementById('edit-category-error').textContent = '';
-    showScreen('edit-category-form-screen');
+    const msg = document.getElementById('settings-message');
+    msg.textContent = t('Settings have been saved');
+    msg.className = 'limits-message success';
 }
 
-function handleUpdateCategory() {
-    const newName = document.getElementById('edit-category-input').value.trim();
-    if (!newName) return (document.getElementById('edit-category-error').textContent = 'Please enter a name.');
-    const categories = expenseTracker.getCategories();
-    if (categories.some(cat => cat.toLowerCase() === newName.toLowerCase() && cat !== window.currentEditingCategory)) {
-        return (document.getElementById('edit-category-error').textContent = 'Category already exists.');
-    }
-    if (expenseTracker.updateCategory(window.currentEditingCategory, newName)) showCategoriesMainScreen();
+// -------- CURRENCY FLOW --------
+const COMMON_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'THB', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'LKR', 'NPR'];
+
+// Normalise a typed currency code; returns null unless it is three letters
+function parseCurrencyCode(value) {
+    const code = (value || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
 }
 
-function showDeleteCategorySelectScreen(addToHistory = true) {
-    const categories = expenseTracker.getCategories();
-    if (categories.length === 0) return alert('No categories available to delete.');
-    const container = document.getElementById('delete-category-list');
-    container.innerHTML = categories.map(cat => `<button class="category-box category-select-btn" data-category="${cat}">${cat}</button>`).join('');
-    container.querySelectorAll('.category-select-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => showDeleteCategoryConfirmationScreen(e.currentTarget.getAttribute('data-category')));
-    });
-    showScreen('delete-category-select-screen', addToHistory);
+// Fill the shared datalist used by every currency input
+function renderCurrencyOptions() {
+    const codes = [...new Set([...expenseTracker.getUsedCurrencies(), ...COMMON_CURRENCIES])];
+    setHtml(document.getElementById('currency-options'), codes.map(code => html`<option value="${code}"></option>`));
 }
 
-function showDeleteCategoryConfirmationScreen(categoryName) {
-    window.currentDeletingCategory = categoryName;
-    document.getElementById('delete-category-confirmation-text').textContent = `Are you sure you want to delete ${categoryName}?`;
-    showScreen('delete-category-confirmation-screen');
+// Show an expense in the currency it was paid in, plus its base value when that differs
+function formatExpenseAmount(expense) {
+    const currency = expenseTracker.getExpenseCurrency(expense);
+    const base = expenseTracker.getBaseCurrency();
+    if (currency === base) return formatCurrency(expense.amount);
+    if (expenseTracker.getSettings().currencySymbol) {
+        return `${formatCurrency(expense.amount, currency)} (${formatCurrency(expenseTracker.getExpenseBaseAmount(expense))})`;
+    }
+    return `${formatCurrency(expense.amount)} ${currency} (${formatCurrency(expenseTracker.getExpenseBaseAmount(expense))} ${base})`;
 }
 
-function handleDeleteCategory(categoryName) {
-    if (expenseTracker.deleteCategory(categoryName)) showCategoriesMainScreen();
+function showExchangeRatesScreen(addToHistory = true) {
+    if (!currentRatesMonth) currentRatesMonth = expenseTracker.getPeriodMonth();
+    const monthKey = expenseTracker.getMonthKey(currentRatesMonth);
+    const base = expenseTracker.getBaseCurrency();
+    const rates = expenseTracker.getExchangeRates(monthKey);
+    const currencies = [...new Set([...expenseTracker.getUsedCurrencies(), ...Object.keys(rates), ...addedRateCurrencies])]
+        .filter(code => code !== base);
+
+    document.getElementById('rates-header-text').textContent = t('Exchange rates for {period}', { period: expenseTracker.getPeriodLabel(monthKey) });
+    document.getElementById('rates-help-text').textContent = t('Enter the value of 1 unit in {base}. Months without a rate use the closest earlier month.', { base });
+    const listEl = document.getElementById('exchange-rates-list');
+    setHtml(listEl, currencies.length ? currencies.map(code => {
+        const fallback = expenseTracker.getExchangeRate(code, monthKey);
+        return html`<div class="exchange-rate-row">
+            <label for="rate-${code}">1 ${code} =</label>
+            <input type="number" id="rate-${code}" class="input exchange-rate-input" data-currency="${code}" value="${rates[code] || ''}"
+                placeholder="${fallback ? fallback : t('Not set')}" min="0" step="any">
+            <span>${base}</span>
+            <div class="field-error" data-error="${code}"></div>
+        </div>`;
+    }) : html`<p class="no-categories">${t('No other currencies yet. Add one below.')}</p>`);
+
+    document.getElementById('new-rate-currency').value = '';
+    document.getElementById('new-rate-currency-error').textContent = '';
+    document.getElementById('rates-message').textContent = '';
+    renderCurrencyOptions();
+    showScreen('exchange-rates-screen', addToHistory);
 }
 
-// -------- LIMITS FLOW --------
-function showLimitsScreen(addToHistory = true) {
-    const categories = expenseTracker.getCategories();
-    const container = document.getElementById('limits-list');
-    const currentMonthKey = expenseTracker.getMonthKey();
-    const limits = expenseTracker.getLimitsForMonth(currentMonthKey);
+function changeRatesMonth(offset) {
+    currentRatesMonth = new Date(currentRatesMonth.getFullYear(), currentRatesMonth.getMonth() + offset, 1);
+    showExchangeRatesScreen(false);
+}
 
-    if (categories.length === 0) {
-        container.innerHTML = '<p class="no-categories">No categories added yet.</p>';
-    } else {
-        container.innerHTML = categories.map(cat => `
-            <div class="limit-row">
-                <div class="limit-category-name">${cat}</div>
-                <div class="limit-input-wrapper">
-                    <input type="number" class="limit-input" data-category="${cat}" value="${limits[cat] || 0}" min="0" step="0.01">
-                    <div class="limit-error-text" data-error="${cat}"></div>
-                </div>
-            </div>
-        `).join('');
+function handleAddRateCurrency() {
+    const code = parseCurrencyCode(document.getElementById('new-rate-currency').value);
+    const errorEl = document.getElementById('new-rate-currency-error');
+    if (!code) {
+        errorEl.textContent = t('Enter a 3-letter currency code');
+        return;
     }
-    document.getElementById('limits-message').textContent = '';
-    showScreen('limits-screen', addToHistory);
+    if (code === expenseTracker.getBaseCurrency()) {
+        errorEl.textContent = t('{code} is the base currency', { code });
+        return;
+    }
+    if (!addedRateCurrencies.includes(code)) addedRateCurrencies.push(code);
+    showExchangeRatesScreen(false);
+    document.getElementById(`rate-${code}`).focus();
 }
 
-function handleSetLimits() {
-    const currentIncome = expenseTracker.getIncome();
-    const categories = expenseTracker.getCategories();
-    const newLimits = {};
+function handleSaveRates() {
+    const rates = {};
     let hasError = false;
-
-    categories.forEach(cat => {
-        const input = document.querySelector(`.limit-input[data-category="${cat}"]`);
-        const errorEl = document.querySelector(`.limit-error-text[data-error="${cat}"]`);
-        const value = parseFloat(input.value);
+    document.querySelectorAll('.exchange-rate-input').forEach(input => {
+        const code = input.getAttribute('data-currency');
+        const errorEl = document.querySelector(`.field-error${attrSelector('data-error', code)}`);
         input.classList.remove('input-error');
         errorEl.textContent = '';
-
-        if (isNaN(value) || value === 0) {
-            errorEl.textContent = 'Limit cannot be 0';
-            input.classList.add('input-error');
-            hasError = true;
-        } else if (value > currentIncome) {
-            errorEl.textContent = 'Higher than income';
+        if (input.value.trim() === '') return;
+        const rate = parseFloat(input.value);
+        if (isNaN(rate) || rate <= 0) {
             input.classList.add('input-error');
+            errorEl.textContent = t('Enter a rate above 0');
             hasError = true;
         } else {
-            newLimits[cat] = value;
+            rates[code] = rate;
         }
     });
+    if (hasError) return;
 
-    if (!hasError) {
-        expenseTracker.setLimitsForMonth(newLimits);
-        const msg = document.getElementById('limits-message');
-        msg.textContent = 'Limits have been set';
-        msg.className = 'limits-message success';
-    }
+    expenseTracker.setExchangeRates(rates, expenseTracker.getMonthKey(currentRatesMonth));
+    const msg = document.getElementById('rates-message');
+    msg.textContent = t('Exchange rates have been saved');
+    msg.className = 'limits-message success';
 }
 
-// -------- EXPENSE FLOW --------
-function showAddExpenseScreen(addToHistory = true) {
-    const today = new Date().toISOString().split('T')[0];
-    document.getElementById('expense-date').value = today;
-    const categories = expenseTracker.getCategories();
-    const select = document.getElementById('expense-category');
-    select.innerHTML = categories.length ? '<option value="" disabled selected>Select a category</option>' + categories.map(c => `<option value="${c}">${c}</option>`).join('') : '<option value="">No categories</option>';
-    select.disabled = !categories.length;
-    document.getElementById('expense-value').value = '';
-    document.getElementById('expense-comment').value = '';
-    document.querySelectorAll('.field-error').forEach(e => e.textContent = '');
-    document.querySelectorAll('.expense-input').forEach(i => i.classList.remove('input-error'));
-    document.getElementById('expense-limit-message').textContent = '';
-    showScreen('add-expense-screen', addToHistory);
+// -------- DATA RETENTION FLOW --------
+
+// Called after the welcome screen: warn before anything is purged
+function showStartupScreen() {
+    if (expenseTracker.hasExpiredData()) showRetentionWarningScreen();
+    else showScreen('main-menu-screen');
 }
 
-function updateExpenseLimitMessage(category) {
-    const msgEl = document.getElementById('expense-limit-message');
-    msgEl.textContent = '';
-    if (!category) return;
-    const limit = expenseTracker.getLimitsForMonth()[category];
-    if (!limit) return;
-    const spent = expenseTracker.getTotalExpensesForCategoryInMonth(category);
-    const percent = Math.round((spent / limit) * 100);
-    if (percent >= 80) {
-        msgEl.textContent = `Expense is at ${percent}% limit for ${expenseTracker.getMonthName()}`;
-        msgEl.className = 'expense-limit-message ' + (percent >= 100 ? 'expense-limit-critical' : 'expense-limit-warning');
+function showRetentionWarningScreen(addToHistory = true) {
+    const { retentionMonths } = expenseTracker.getSettings();
+    const counts = expenseTracker.getDataCounts(expenseTracker.getExpiredData());
+    const cutoff = expenseTracker.getRetentionCutoff();
+    document.getElementById('retention-warning-text').textContent =
+        t('Your retention setting keeps {months} months of data. {expenses} expenses, {incomeMonths} months of income, {limitMonths} months of limits and {settlements} settlements from before {date} will be removed.', {
+            months: retentionMonths, expenses: counts.expenses, incomeMonths: counts.incomeMonths, limitMonths: counts.limitMonths, settlements: counts.settlements,
+            date: formatDate(cutoff, { day: 'numeric', month: 'long', year: 'numeric' })
+        });
+    showScreen('retention-warning-screen', addToHistory);
+}
+
+function handlePurgeExpiredData(archive) {
+    if (archive) {
+        const backup = expenseTracker.createBackup(expenseTracker.getExpiredData());
+        const fileDate = expenseTracker.getDayKey();
+        downloadFile(JSON.stringify(backup, null, 2), `munshiji-archive-${fileDate}.json`, 'application/json');
     }
+    expenseTracker.purgeExpiredData();
+    showScreen('main-menu-screen');
 }
 
-function handleAddExpenseSubmit() {
-    const date = document.getElementById('expense-date').value;
-    const cat = document.getElementById('expense-category').value;
-    const val = parseFloat(document.getElementById('expense-value').value);
-    const comment = document.getElementById('expense-comment').value.trim();
-    let hasError = false;
+// -------- PIN LOCK FLOW --------
+// Time of the last tap or key press, and the timer that locks the app once it
+// has gone unused for the auto-lock delay
+let lastActivityAt = Date.now();
+let autoLockTimeout = null;
+
+function noteActivity() {
+    lastActivityAt = Date.now();
+}
 
-    if (!date) hasError = !!(document.getElementById('expense-date-error').textContent = 'Cannot be blank');
-    if (!cat) hasError = !!(document.getElementById('expense-category-error').textContent = 'Cannot be blank');
-    if (isNaN(val) || val <= 0) hasError = !!(document.getElementById('expense-value-error').textContent = 'Cannot be blank');
-    if (!comment) hasError = !!(document.getElementById('expense-comment-error').textContent = 'Cannot be blank');
+// (Re)start the auto-lock timer; locks straight away when the delay has passed
+function scheduleAutoLock() {
+    clearTimeout(autoLockTimeout);
+    const minutes = expenseTracker.getSettings().autoLockMinutes;
+    if (!expenseTracker.hasPin() || expenseTracker.isLocked() || !minutes) return;
+    const remaining = lastActivityAt + minutes * 60000 - Date.now();
+    if (remaining <= 0) lockApp();
+    else autoLockTimeout = setTimeout(scheduleAutoLock, remaining);
+}
 
-    if (!hasError) {
-        expenseTracker.addExpense({ date: new Date(date).toISOString(), category: cat, amount: val, comment });
-        showScreen('expense-added-screen');
+// Lock once pending changes are written, then reload so nothing decrypted
+// stays in memory or on screen; the reloaded app opens on the unlock screen
+function lockApp() {
+    clearTimeout(autoLockTimeout);
+    expenseTracker.lock().then(() => window.location.reload());
+}
+
+function showUnlockScreen() {
+    const errorEl = document.getElementById('unlock-error');
+    document.getElementById('unlock-pin').value = '';
+    errorEl.textContent = supportsEncryption() ? '' : t('This browser cannot decrypt data. Open the app over HTTPS.');
+    showScreen('unlock-screen', false);
+    document.getElementById('unlock-pin').focus();
+}
+
+function handleUnlock() {
+    const input = document.getElementById('unlock-pin');
+    const errorEl = document.getElementById('unlock-error');
+    const unlockBtn = document.getElementById('unlock-btn');
+    errorEl.textContent = '';
+    if (!input.value) {
+        errorEl.textContent = t('Cannot be blank');
+        return;
     }
+    unlockBtn.disabled = true;
+    expenseTracker.unlock(input.value).then(unlocked => {
+        unlockBtn.disabled = false;
+        if (!unlocked) {
+            errorEl.textContent = t('Wrong PIN');
+            input.select();
+            return;
+        }
+        input.value = '';
+        noteActivity();
+        applyLocaleSettings();
+        scheduleAutoLock();
+        runSync();
+        showStartupScreen();
+    }).catch(error => {
+        unlockBtn.disabled = false;
+        console.error('Error unlocking data:', error);
+        errorEl.textContent = t('Your data could not be loaded. Please reload the app.');
+    });
 }
 
-// -------- VIEW/EDIT FLOW --------
-function showViewEditExpensesScreen(addToHistory = true) { showScreen('view-edit-expenses-screen', addToHistory); }
+// Without the PIN the data cannot be decrypted; the only way on is to start again
+function handleForgotPin() {
+    if (!confirm(t('Without the PIN your data cannot be decrypted. Delete all data on this device and start again?'))) return;
+    expenseTracker.eraseAllData().then(() => window.location.reload());
+}
 
-function showViewExpensesMonthSelectScreen(addToHistory = true) {
-    const container = document.getElementById('month-buttons-container');
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const year = new Date().getFullYear();
-    container.innerHTML = monthNames.map((name, i) => `<button class="btn btn-secondary month-btn" data-month="${i}">${name}</button>`).join('');
-    container.querySelectorAll('.month-btn').forEach(btn => btn.addEventListener('click', (e) => showMonthSummaryScreen(year, parseInt(e.currentTarget.getAttribute('data-month')))));
-    showScreen('view-expenses-month-select-screen', addToHistory);
+// Show the PIN lock state and auto-lock delay on the settings screen
+function renderPinLockSettings(settings) {
+    const hasPin = expenseTracker.hasPin();
+    let status = t('PIN lock is off.');
+    if (!expenseTracker.supportsPin()) status = t('PIN lock needs the app to be opened over HTTPS.');
+    else if (hasPin) status = t('PIN lock is on. Your data is encrypted on this device.');
+    document.getElementById('pin-lock-status').textContent = status;
+    document.getElementById('pin-lock-btn').textContent = hasPin ? t('Change or remove PIN') : t('Set a PIN');
+    document.getElementById('pin-lock-btn').classList.toggle('hidden', !expenseTracker.supportsPin());
+    document.getElementById('auto-lock-group').classList.toggle('hidden', !hasPin);
+    document.getElementById('auto-lock-minutes').value = settings.autoLockMinutes ?? '';
+    document.getElementById('auto-lock-minutes-error').textContent = '';
 }
 
-function showMonthSummaryScreen(year, monthIndex, addToHistory = true) {
-    lastSummaryParams = { year, monthIndex };
-    currentViewYear = year;
-    currentViewMonthIndex = monthIndex;
-    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
-    const totals = expenseTracker.getTotalExpensesForMonth(monthKey);
-    const limitsObj = expenseTracker.getLimitsForMonth(monthKey);
-    const totalLimit = Object.values(limitsObj).reduce((s, v) => s + v, 0);
+function showPinLockScreen(addToHistory = true) {
+    renderPinLockForm();
+    document.getElementById('pin-lock-message').textContent = '';
+    showScreen('pin-lock-screen', addToHistory);
+}
 
-    document.getElementById('month-summary-title').textContent = `${expenseTracker.getMonthName(new Date(year, monthIndex))} ${year} - Summary`;
-    document.getElementById('month-summary-totals').textContent = `Total expenses: ${formatCurrency(totals)} | Total limits: ${formatCurrency(totalLimit)}`;
-    document.getElementById('month-summary-percentage').textContent = totalLimit > 0 ? `Overall usage: ${((totals/totalLimit)*100).toFixed(1)}%` : 'No limits set';
+// Ask for the current PIN only when one is set
+function renderPinLockForm() {
+    const hasPin = expenseTracker.hasPin();
+    ['current-pin', 'new-pin', 'repeat-pin'].forEach(id => {
+        document.getElementById(id).value = '';
+        document.getElementById(`${id}-error`).textContent = '';
+    });
+    document.getElementById('current-pin-group').classList.toggle('hidden', !hasPin);
+    document.getElementById('remove-pin-btn').classList.toggle('hidden', !hasPin);
+    document.getElementById('save-pin-btn').textContent = hasPin ? t('Change PIN') : t('Set PIN');
+}
 
-    const categories = expenseTracker.getCategories();
-    const listEl = document.getElementById('month-summary-list');
-    const rows = categories.map(cat => {
-        const lim = limitsObj[cat] || 0;
-        const tot = expenseTracker.getTotalExpensesForCategoryInMonth(cat, monthKey);
-        if (tot === 0 && lim === 0) return '';
-        const pct = lim > 0 ? (tot / lim) * 100 : 0;
-        const cls = lim > 0 ? (pct > 100 ? ' critical' : (pct >= 80 ? ' warning' : '')) : '';
-        return `<div class="month-summary-row${cls}" data-category="${cat}" data-year="${year}" data-month-index="${monthIndex}">
-            <span>${cat}</span><span>${formatCurrency(tot)}</span><span>${formatCurrency(lim)}</span><span>${lim > 0 ? pct.toFixed(1)+'%' : '-'}</span>
-        </div>`;
-    }).filter(r => r !== '').join('');
-    
-    listEl.innerHTML = rows || '<div class="month-summary-row"><span>No data</span></div>';
-    showScreen('view-expenses-month-summary-screen', addToHistory);
+// Disable the PIN buttons while the data is re-encrypted
+function setPinButtonsDisabled(disabled) {
+    document.getElementById('save-pin-btn').disabled = disabled;
+    document.getElementById('remove-pin-btn').disabled = disabled;
 }
 
-function showCategoryExpensesDetailScreen(year, monthIndex, category, addToHistory = true) {
-    lastCategoryDetailParams = { year, monthIndex, category };
-    currentViewYear = year;
-    currentViewMonthIndex = monthIndex;
-    currentViewCategory = category;
-    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
-    const expenses = expenseTracker.getExpensesForMonth(monthKey).filter(e => e.category === category).sort((a,b) => new Date(a.date) - new Date(b.date));
+// Report a PIN change; changed is false when the current PIN was wrong
+function showPinLockResult(changed, successMessage) {
+    setPinButtonsDisabled(false);
+    if (!changed) {
+        document.getElementById('current-pin-error').textContent = t('Wrong PIN');
+        return;
+    }
+    renderPinLockForm();
+    noteActivity();
+    scheduleAutoLock();
+    const msg = document.getElementById('pin-lock-message');
+    msg.textContent = successMessage;
+    msg.className = 'limits-message success';
+}
 
-    document.getElementById('category-expenses-title').textContent = `${category} - ${expenseTracker.getMonthName(new Date(year, monthIndex))} ${year}`;
-    const listEl = document.getElementById('category-expenses-list');
-    listEl.innerHTML = expenses.length ? expenses.map(e => {
-        const d = new Date(e.date);
-        const dStr = `${String(d.getDate()).padStart(2,'0')}-${['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'][d.getMonth()]}`;
-        return `<div class="category-expense-row">
-            <button class="btn-delete-expense" data-id="${e.id}">-</button>
-            <span>${dStr}</span><span>${formatCurrency(e.amount)}</span><span>${e.comment || ''}</span>
-        </div>`;
-    }).join('') : '<div class="category-expense-row"><span>No expenses</span></div>';
+function showPinLockError(error) {
+    setPinButtonsDisabled(false);
+    console.error('Error changing the PIN:', error);
+    const msg = document.getElementById('pin-lock-message');
+    msg.textContent = t('The PIN could not be changed ({error}).', { error: error && error.message ? error.message : error });
+    msg.className = 'limits-message error';
+}
 
-    listEl.querySelectorAll('.btn-delete-expense').forEach(btn => {
-        btn.addEventListener('click', (e) => showDeleteExpenseConfirmation(e.currentTarget.getAttribute('data-id'), 'category-expenses-detail-screen', { year, monthIndex, category }));
-    });
+// Set a first PIN, or change it after checking the current one
+function handleSavePin() {
+    const hasPin = expenseTracker.hasPin();
+    const currentPin = document.getElementById('current-pin').value;
+    const newPin = document.getElementById('new-pin').value;
+    const currentErrorEl = document.getElementById('current-pin-error');
+    const newErrorEl = document.getElementById('new-pin-error');
+    const repeatErrorEl = document.getElementById('repeat-pin-error');
+    document.getElementById('pin-lock-message').textContent = '';
+    currentErrorEl.textContent = hasPin && !currentPin ? t('Cannot be blank') : '';
+    newErrorEl.textContent = expenseTracker.getPinError(newPin) || '';
+    repeatErrorEl.textContent = newPin !== document.getElementById('repeat-pin').value ? t('The PINs do not match.') : '';
+    if (currentErrorEl.textContent || newErrorEl.textContent || repeatErrorEl.textContent) return;
 
-    showScreen('category-expenses-detail-screen', addToHistory);
+    setPinButtonsDisabled(true);
+    const result = hasPin ? expenseTracker.changePin(currentPin, newPin) : expenseTracker.setPin(newPin);
+    const successMessage = hasPin ? t('Your PIN has been changed') : t('PIN lock is on. Your data is now encrypted.');
+    result.then(changed => showPinLockResult(changed, successMessage), showPinLockError);
 }
 
-function showEditExpensesMonthSelectScreen(addToHistory = true) {
-    const container = document.getElementById('edit-month-buttons-container');
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const year = new Date().getFullYear();
-    container.innerHTML = monthNames.map((name, i) => `<button class="btn btn-secondary month-btn" data-month="${i}">${name}</button>`).join('');
-    container.querySelectorAll('.month-btn').forEach(btn => btn.addEventListener('click', (e) => showEditExpensesListScreen(year, parseInt(e.currentTarget.getAttribute('data-month')))));
-    showScreen('edit-expenses-month-select-screen', addToHistory);
+function handleRemovePin() {
+    const currentPin = document.getElementById('current-pin').value;
+    document.getElementById('pin-lock-message').textContent = '';
+    document.getElementById('current-pin-error').textContent = currentPin ? '' : t('Cannot be blank');
+    if (!currentPin) return;
+
+    setPinButtonsDisabled(true);
+    expenseTracker.removePin(currentPin)
+        .then(changed => showPinLockResult(changed, t('PIN lock is off. Your data is no longer encrypted.')), showPinLockError);
 }
 
-function showEditExpensesListScreen(year, monthIndex, addToHistory = true) {
-    currentEditingYear = year;
-    currentEditingMonthIndex = monthIndex;
-    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
-    const expenses = expenseTracker.getExpenses().filter(e => e.date && expenseTracker.getMonthKey(new Date(e.date)) === monthKey).sort((a,b) => new Date(b.date) - new Date(a.date));
-    
-    document.getElementById('edit-expenses-month-title').textContent = `Edit Expenses - ${expenseTracker.getMonthName(new Date(year, monthIndex))} ${year}`;
-    const listEl = document.getElementById('edit-expenses-list');
-    if (!expenses.length) {
-        listEl.innerHTML = '<div class="edit-expense-row-empty"><p>No expenses found</p></div>';
-    } else {
-        const cats = expenseTracker.getCategories();
-        listEl.innerHTML = expenses.map(e => {
-            const dateStr = new Date(e.date).toISOString().split('T')[0];
-            const catOptions = cats.map(c => `<option value="${c}" ${e.category === c ? 'selected' : ''}>${c}</option>`).join('');
-            return `<div class="edit-expense-row" data-id="${e.id}">
-                <button class="btn-delete-expense" data-id="${e.id}">-</button>
-                <input type="date" class="edit-expense-date" value="${dateStr}">
-                <select class="edit-expense-category">${catOptions}</select>
-                <input type="number" class="edit-expense-value" value="${e.amount || 0}" step="0.01">
-                <input type="text" class="edit-expense-comment" value="${(e.comment || '').replace(/"/g, '&quot;')}">
-            </div>`;
-        }).join('');
-        listEl.querySelectorAll('.btn-delete-expense').forEach(btn => {
-            btn.addEventListener('click', (e) => showDeleteExpenseConfirmation(e.currentTarget.getAttribute('data-id'), 'edit-expenses-list-screen'));
-        });
-    }
-    showScreen('edit-expenses-list-screen', addToHistory);
+// -------- SYNC FLOW --------
+// Sync runs in the background: at start-up, every few minutes, shortly after a
+// change and whenever the app comes back online or into view
+const SYNC_INTERVAL = 5 * 60000;
+const SYNC_CHANGE_DELAY = 10000;
+let syncTimeout = null;
+
+// (Re)start the sync timer
+function scheduleSync(delay = SYNC_INTERVAL) {
+    clearTimeout(syncTimeout);
+    if (expenseTracker.isLocked() || !expenseTracker.getSyncState().enabled) return;
+    syncTimeout = setTimeout(runSync, delay);
 }
 
-function handleSaveExpenses() {
-    const rows = document.querySelectorAll('.edit-expense-row');
-    let hasError = false;
-    rows.forEach(row => {
-        const id = row.getAttribute('data-id');
-        const date = row.querySelector('.edit-expense-date').value;
-        const cat = row.querySelector('.edit-expense-category').value;
-        const amt = parseFloat(row.querySelector('.edit-expense-value').value);
-        const comm = row.querySelector('.edit-expense-comment').value.trim();
-        
-        if (!date || !cat || isNaN(amt) || amt <= 0 || !comm) {
-            row.querySelectorAll('input, select').forEach(i => i.classList.add('input-error'));
-            hasError = true;
-        } else {
-            expenseTracker.updateExpense(id, { date: new Date(date).toISOString(), category: cat, amount: amt, comment: comm });
-        }
+// Sync now; failures show on the sync status button and are retried later
+function runSync() {
+    clearTimeout(syncTimeout);
+    if (expenseTracker.isLocked() || !expenseTracker.getSyncState().enabled || navigator.onLine === false) return;
+    expenseTracker.sync().then(() => {
+        scheduleSync(expenseTracker.getSyncState().pending ? SYNC_CHANGE_DELAY : SYNC_INTERVAL);
+    }, error => {
+        console.error('Error syncing:', error);
+        scheduleSync();
     });
-    if (!hasError) showScreen('expense-modified-screen');
-    else alert('Please fix highlighted fields.');
 }
 
-// -------- DOWNLOAD FLOW --------
-function showDownloadExpensesScreen(addToHistory = true) {
-    const container = document.getElementById('download-month-buttons-container');
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const year = new Date().getFullYear();
-    container.innerHTML = monthNames.map((name, i) => `<button class="btn btn-secondary month-btn" data-month="${i}">${name}</button>`).join('');
-    
-    window.selectedDownloadMonth = null;
-    window.selectedDownloadYear = null;
-    const fromDate = document.getElementById('download-from-date');
-    const toDate = document.getElementById('download-to-date');
-    fromDate.value = ''; toDate.value = '';
+// Called by the tracker whenever the sync state changes. Local changes are
+// pushed after a short delay (but not while the server is failing).
+function handleSyncStatus(state) {
+    updateSyncStatusButton(state);
+    if (document.getElementById('sync-screen').classList.contains('active')) renderSyncStatus(state);
+    if (state.pending && state.state !== 'syncing' && state.state !== 'error') scheduleSync(SYNC_CHANGE_DELAY);
+}
 
-    container.querySelectorAll('.month-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            container.querySelectorAll('.month-btn').forEach(b => b.className = 'btn btn-secondary month-btn');
-            e.currentTarget.className = 'btn btn-primary month-btn';
-            window.selectedDownloadMonth = parseInt(e.currentTarget.getAttribute('data-month'));
-            window.selectedDownloadYear = year;
-            fromDate.value = ''; toDate.value = '';
-        });
-    });
-    showScreen('download-expenses-screen', addToHistory);
+// Describe the sync state in one line
+function getSyncStatusText(state) {
+    if (state.state === 'syncing') return t('Syncing…');
+    if (state.state === 'error') return t('Sync failed: {error}', { error: state.error });
+    if (state.pending) return t(state.pending === 1 ? '{count} change waiting to sync' : '{count} changes waiting to sync', { count: state.pending });
+    if (state.lastSyncAt) return t('Synced {time}', { time: formatDateTime(new Date(state.lastSyncAt)) });
+    return t('Not synced yet');
 }
 
-function handleDownloadExpenses() {
-    const from = document.getElementById('download-from-date').value;
-    const to = document.getElementById('download-to-date').value;
-    let expenses = [];
-    
-    if (from && to) {
-        if (new Date(from) > new Date(to)) return alert('Invalid date range');
-        expenses = expenseTracker.getExpenses().filter(e => {
-            const d = new Date(e.date);
-            return d >= new Date(from) && d <= new Date(to);
-        });
-    } else if (window.selectedDownloadMonth !== null) {
-        const key = `${window.selectedDownloadYear}-${String(window.selectedDownloadMonth + 1).padStart(2, '0')}`;
-        expenses = expenseTracker.getExpenses().filter(e => e.date && expenseTracker.getMonthKey(new Date(e.date)) === key);
-    } else {
-        return alert('Please select a month or range');
-    }
+// Show the sync state on the main menu (hidden while sync is off)
+function updateSyncStatusButton(state = expenseTracker.getSyncState()) {
+    const button = document.getElementById('sync-status-btn');
+    button.classList.toggle('hidden', !state.enabled);
+    button.classList.toggle('sync-status-error', state.state === 'error');
+    button.textContent = state.enabled ? getSyncStatusText(state) : '';
+}
 
-    if (!expenses.length) return alert('No expenses found');
-    expenses.sort((a,b) => new Date(a.date) - new Date(b.date));
-    
-    const csv = ['Date,Category,Expense Value,Item/Comment', ...expenses.map(e => {
-        const d = new Date(e.date);
-        return `"${d.toLocaleDateString()}","${e.category.replace(/"/g,'""')}","${e.amount.toFixed(2)}","${(e.comment||'').replace(/"/g,'""')}"`;
-    })].join('\n');
+// Show whether sync is on on the settings screen
+function renderSyncSettings() {
+    const state = expenseTracker.getSyncState();
+    document.getElementById('sync-settings-status').textContent = state.enabled
+        ? t('Sync is on with {server}.', { server: new URL(state.endpoint).host })
+        : t('Sync is off. Your data stays on this device.');
+}
 
-    const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = 'expenses.csv';
-    link.click();
-    
-    showScreen('download-confirmation-screen');
-    setTimeout(() => showViewEditExpensesScreen(), 2000);
+function renderSyncStatus(state = expenseTracker.getSyncState()) {
+    document.getElementById('sync-screen-status').textContent = state.enabled ? getSyncStatusText(state) : t('Sync is off. Your data stays on this device.');
+    document.getElementById('sync-now-btn').classList.toggle('hidden', !state.enabled);
+    document.getElementById('disable-sync-btn').classList.toggle('hidden', !state.enabled);
 }
 
-// -------- SAVINGS FLOW --------
-function showViewSavingsScreen(addToHistory = true) {
-    const container = document.getElementById('savings-month-buttons-container');
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    const year = new Date().getFullYear();
-    const yearlySavings = expenseTracker.getTotalIncomeForYear(year) - expenseTracker.getTotalExpensesForYear(year);
-    document.getElementById('yearly-savings-total').textContent = formatCurrency(yearlySavings);
+function showSyncScreen(addToHistory = true) {
+    const state = expenseTracker.getSyncState();
+    document.getElementById('sync-endpoint').value = state.endpoint;
+    document.getElementById('sync-token').value = state.token;
+    document.getElementById('sync-endpoint-error').textContent = '';
+    document.getElementById('sync-message').textContent = '';
+    renderSyncStatus(state);
+    showScreen('sync-screen', addToHistory);
+}
+
+// Save the server address and token, then sync straight away
+function handleSaveSync() {
+    const endpoint = document.getElementById('sync-endpoint').value;
+    const errorEl = document.getElementById('sync-endpoint-error');
+    errorEl.textContent = expenseTracker.getSyncEndpointError(endpoint) || '';
+    document.getElementById('sync-message').textContent = '';
+    if (errorEl.textContent) return;
+    expenseTracker.setSyncServer(endpoint, document.getElementById('sync-token').value);
+    renderSyncStatus();
+    handleSyncNow();
+}
 
-    container.innerHTML = monthNames.map((name, i) => `<button class="btn btn-secondary month-btn" data-month="${i}">${name}</button>`).join('');
-    container.querySelectorAll('.month-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => showMonthlySavingsDetailScreen(year, parseInt(e.currentTarget.getAttribute('data-month'))));
+function handleSyncNow() {
+    const msg = document.getElementById('sync-message');
+    const buttons = ['save-sync-btn', 'sync-now-btn'].map(id => document.getElementById(id));
+    msg.textContent = '';
+    buttons.forEach(button => { button.disabled = true; });
+    expenseTracker.sync().then(({ pushed, pulled }) => {
+        msg.textContent = t('Sync finished: {pushed} sent, {pulled} received', { pushed, pulled });
+        msg.className = 'limits-message success';
+    }, error => {
+        console.error('Error syncing:', error);
+        msg.textContent = t('Sync failed: {error}', { error: error && error.message ? error.message : error });
+        msg.className = 'limits-message error';
+    }).then(() => {
+        buttons.forEach(button => { button.disabled = false; });
+        scheduleSync();
     });
-    showScreen('view-savings-screen', addToHistory);
 }
 
-function showMonthlySavingsDetailScreen(year, monthIndex, addToHistory = true) {
-    lastSavingsDetailParams = { year, monthIndex };
-    const monthKey = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
-    const income = expenseTracker.getIncome(monthKey);
-    const expenses = expenseTracker.getTotalExpensesForMonth(monthKey);
-    
-    document.getElementById('monthly-savings-title').textContent = `${expenseTracker.getMonthName(new Date(year, monthIndex))} ${year} - Savings`;
-    document.getElementById('monthly-savings-total').textContent = formatCurrency(income - expenses);
-    
-    const cats = expenseTracker.getCategories();
-    const limits = expenseTracker.getLimitsForMonth(monthKey);
-    const listEl = document.getElementById('category-savings-list');
-    const rows = cats.map(cat => {
-        const lim = parseFloat(limits[cat]) || 0;
-        if (lim <= 0) return '';
-        const exp = expenseTracker.getTotalExpensesForCategoryInMonth(cat, monthKey);
-        return `<div class="month-summary-row">
-            <span>${cat}</span><span>${formatCurrency(lim)}</span><span>${formatCurrency(exp)}</span><span>${formatCurrency(lim - exp)}</span>
-        </div>`;
-    }).filter(r => r !== '').join('');
-    
-    listEl.innerHTML = rows || '<div class="month-summary-row"><span>No limits set</span></div>';
-    showScreen('monthly-savings-detail-screen', addToHistory);
+// Stop syncing this device; its data and the server's copy are left alone
+function handleDisableSync() {
+    if (!confirm(t('Turn off sync on this device? Your data stays here and on the sync server.'))) return;
+    clearTimeout(syncTimeout);
+    expenseTracker.disableSync();
+    renderSyncStatus();
+    const msg = document.getElementById('sync-message');
+    msg.textContent = t('Sync is off on this device');
+    msg.className = 'limits-message success';
 }
 
 // -------- DELETION FLOW --------
@@ -1026,14 +5635,24 @@ function showDeleteExpenseConfirmation(id, sourceScreen, context = null) {
     showScreen('delete-expense-confirmation-screen');
 }
 
+// Go back to the screen the deletion was started from
+function returnToDeletionSource() {
+    if (deletionSourceScreen === 'category-expenses-detail-screen' && deletionContext) {
+        const { year, monthIndex, categoryId } = deletionContext;
+        showCategoryExpensesDetailScreen(year, monthIndex, categoryId, false);
+    } else if (deletionSourceScreen === 'edit-expenses-list-screen') {
+        showEditExpensesListScreen(currentEditingYear, currentEditingMonthIndex, false);
+    } else if (deletionSourceScreen === 'search-expenses-screen') {
+        showSearchExpensesScreen(false);
+    } else {
+        showScreen('main-menu-screen', false);
+    }
+}
+
 function handleDeleteExpense() {
     if (expenseIdToDelete) {
-        expenseTracker.deleteExpense(expenseIdToDelete);
-        if (deletionSourceScreen === 'category-expenses-detail-screen' && deletionContext) {
-            showCategoryExpensesDetailScreen(deletionContext.year, deletionContext.monthIndex, deletionContext.category, false);
-        } else if (deletionSourceScreen === 'edit-expenses-list-screen') {
-            showEditExpensesListScreen(currentEditingYear, currentEditingMonthIndex, false);
-        }
+        runWithUndo(() => expenseTracker.deleteExpense(expenseIdToDelete));
+        returnToDeletionSource();
         expenseIdToDelete = null; deletionSourceScreen = null; deletionContext = null;
     }
 }
@@ -1043,12 +5662,18 @@ function handleMenuAction(action) {
     activeTimeouts.forEach(t => clearTimeout(t));
     activeTimeouts = [];
     switch(action) {
-        case 'income': showIncomeViewScreen(); break;
+        case 'income': currentIncomeMonth = null; showIncomeViewScreen(); break;
         case 'categories': showCategoriesMainScreen(); break;
-        case 'limits': showLimitsScreen(); break;
+        case 'limits': showLimitsScreen(true, expenseTracker.getPeriodMonth()); break;
         case 'add-expense': showAddExpenseScreen(); break;
+        case 'recurring': showRecurringListScreen(); break;
         case 'view-expense': showViewEditExpensesScreen(); break;
         case 'savings': showViewSavingsScreen(); break;
+        case 'alerts': showAlertsScreen(); break;
+        case 'history': showHistoryScreen(); break;
+        case 'household': showHouseholdScreen(); break;
+        case 'backup': showBackupRestoreScreen(); break;
+        case 'settings': showSettingsScreen(); break;
         case 'exit': showExitConfirmation(); break;
     }
 }
@@ -0,0 +1,169 @@
+// Expense Tracker App
+// Dependency-free SVG charts. Each render function draws into a container
+// element and calls options.onSelect(index) when a segment, bar or point is tapped.
+
+const CHART_COLORS = ['#007AFF', '#34C759', '#FF9500', '#AF52DE', '#FF3B30', '#5AC8FA', '#FFCC00', '#FF2D55', '#8E8E93', '#30B0C7'];
+
+// Default value formatter (two decimals, in the chosen number format)
+function formatChartValue(value) {
+    return formatNumber(value);
+}
+
+// Short axis label (1.5k, 2M, ...) so labels fit next to the plot
+function formatChartAxisValue(value) {
+    const abs = Math.abs(value);
+    if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+    return `${+value.toFixed(1)}`;
+}
+
+// Round the axis maximum up to a tidy number (1, 2 or 5 times a power of ten)
+function niceChartMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+// Build the HTML legend shown under a chart
+function renderChartLegend(items) {
+    return html`<div class="chart-legend">${items.map(item => html`
+        <span class="chart-legend-item"><span class="chart-legend-swatch${item.dashed ? ' dashed' : ''}" style="background-color: ${item.color}"></span>${item.label}</span>
+    `)}</div>`;
+}
+
+// Wire tap handlers on every element carrying data-index
+function bindChartSelection(container, onSelect) {
+    if (!onSelect) return;
+    container.classList.add('chart-selectable');
+    bindEach(container, '[data-index]', 'click', el => onSelect(parseInt(el.getAttribute('data-index'), 10)));
+}
+
+// Horizontal grid lines and y-axis labels shared by the bar and line charts
+function renderChartAxes(layout, max) {
+    const { left, top, plotWidth, plotHeight } = layout;
+    return [0, 0.5, 1].map(fraction => {
+        const y = top + plotHeight - fraction * plotHeight;
+        return html`<line class="chart-grid" x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}"></line>
+            <text class="chart-axis-label" x="${left - 6}" y="${y + 4}" text-anchor="end">${formatChartAxisValue(max * fraction)}</text>`;
+    });
+}
+
+// x-axis labels, thinned out so they do not overlap
+function renderChartXLabels(labels, layout, xFor) {
+    const every = Math.ceil(labels.length / 12);
+    return labels.map((label, i) => (i % every === 0 || i === labels.length - 1) &&
+        html`<text class="chart-axis-label" x="${xFor(i)}" y="${layout.top + layout.plotHeight + 16}" text-anchor="middle">${label}</text>`);
+}
+
+function getChartLayout(width, height) {
+    const layout = { width, height, left: 40, right: 12, top: 12, bottom: 24 };
+    layout.plotWidth = width - layout.left - layout.right;
+    layout.plotHeight = height - layout.top - layout.bottom;
+    return layout;
+}
+
+// Donut chart. items: [{ label, value, color }]; zero values are left out and
+// items without a color take one from CHART_COLORS.
+// options: { centerLabel, formatValue, onSelect(index) } - index refers to items
+function renderDonutChart(container, items, options = {}) {
+    const formatValue = options.formatValue || formatChartValue;
+    const segments = items.map((item, index) => ({ ...item, index, color: item.color || CHART_COLORS[index % CHART_COLORS.length] }))
+        .filter(item => item.value > 0);
+    const total = segments.reduce((sum, item) => sum + item.value, 0);
+    if (!segments.length) {
+        setHtml(container, html`<p class="chart-empty">${t('No data to chart')}</p>`);
+        return;
+    }
+
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    const arcs = segments.map(item => {
+        const length = (item.value / total) * circumference;
+        const arc = html`<circle class="chart-segment" data-index="${item.index}" cx="90" cy="90" r="${radius}"
+            stroke="${item.color}" stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}">
+            <title>${item.label}: ${formatValue(item.value)} (${((item.value / total) * 100).toFixed(1)}%)</title>
+        </circle>`;
+        offset += length;
+        return arc;
+    });
+
+    setHtml(container, html`<svg class="chart chart-donut" viewBox="0 0 180 180" role="img">
+            <g transform="rotate(-90 90 90)">${arcs}</g>
+            <text class="chart-donut-total" x="90" y="88" text-anchor="middle">${formatValue(total)}</text>
+            <text class="chart-axis-label" x="90" y="106" text-anchor="middle">${options.centerLabel || t('Total')}</text>
+        </svg>${renderChartLegend(segments)}`);
+    bindChartSelection(container, options.onSelect);
+}
+
+// Grouped bar chart. series: [{ label, values, color }], one value per label.
+// options: { formatValue, onSelect(index) } - index refers to labels
+function renderBarChart(container, labels, series, options = {}) {
+    const formatValue = options.formatValue || formatChartValue;
+    const layout = getChartLayout(320, 180);
+    const max = niceChartMax(Math.max(0, ...series.flatMap(s => s.values)));
+    const groupWidth = layout.plotWidth / labels.length;
+    const barWidth = (groupWidth * 0.7) / series.length;
+    const xFor = i => layout.left + groupWidth * (i + 0.5);
+
+    const groups = labels.map((label, i) => {
+        const bars = series.map((s, si) => {
+            const value = s.values[i] || 0;
+            const height = (value / max) * layout.plotHeight;
+            const x = layout.left + groupWidth * i + groupWidth * 0.15 + barWidth * si;
+            return html`<rect class="chart-bar" x="${x}" y="${layout.top + layout.plotHeight - height}" width="${barWidth}" height="${height}" fill="${s.color}"></rect>`;
+        });
+        const tooltip = series.map(s => `${s.label}: ${formatValue(s.values[i] || 0)}`).join(', ');
+        return html`<g class="chart-group" data-index="${i}">
+            <rect class="chart-hit-area" x="${layout.left + groupWidth * i}" y="${layout.top}" width="${groupWidth}" height="${layout.plotHeight}"></rect>
+            ${bars}<title>${label} - ${tooltip}</title>
+        </g>`;
+    });
+
+    setHtml(container, html`<svg class="chart chart-bars" viewBox="0 0 ${layout.width} ${layout.height}" role="img">
+            ${renderChartAxes(layout, max)}${groups}${renderChartXLabels(labels, layout, xFor)}
+        </svg>${renderChartLegend(series.map(s => ({ label: s.label, color: s.color })))}`);
+    bindChartSelection(container, options.onSelect);
+}
+
+// Line chart. series: [{ label, values, color, dashed }]; null values are not drawn.
+// options: { formatValue, onSelect(index) } - index refers to labels
+function renderLineChart(container, labels, series, options = {}) {
+    const formatValue = options.formatValue || formatChartValue;
+    const layout = getChartLayout(320, 180);
+    const values = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined);
+    const max = niceChartMax(Math.max(0, ...values));
+    const min = Math.min(0, ...values);
+    const range = max - min;
+    const step = labels.length > 1 ? layout.plotWidth / (labels.length - 1) : 0;
+    const xFor = i => layout.left + (labels.length > 1 ? step * i : layout.plotWidth / 2);
+    const yFor = v => layout.top + layout.plotHeight - ((v - min) / range) * layout.plotHeight;
+
+    const lines = series.map(s => {
+        const points = s.values.map((v, i) => (v === null || v === undefined) ? null : `${xFor(i)},${yFor(v)}`).filter(Boolean);
+        const dots = !s.dashed && s.values.map((v, i) => v !== null && v !== undefined &&
+            html`<circle class="chart-point" cx="${xFor(i)}" cy="${yFor(v)}" r="3" fill="${s.color}"></circle>`);
+        return html`<polyline class="chart-line${s.dashed ? ' dashed' : ''}" points="${points.join(' ')}" stroke="${s.color}"></polyline>${dots}`;
+    });
+
+    const hitWidth = labels.length > 1 ? step : layout.plotWidth;
+    const hits = labels.map((label, i) => {
+        const tooltip = series.map(s => s.values[i] === null || s.values[i] === undefined ? '' : `${s.label}: ${formatValue(s.values[i])}`)
+            .filter(Boolean).join(', ');
+        return html`<rect class="chart-hit-area" data-index="${i}" x="${xFor(i) - hitWidth / 2}" y="${layout.top}" width="${hitWidth}" height="${layout.plotHeight}">
+            <title>${label} - ${tooltip}</title>
+        </rect>`;
+    });
+
+    const zeroLine = min < 0 && html`<line class="chart-zero" x1="${layout.left}" y1="${yFor(0)}" x2="${layout.left + layout.plotWidth}" y2="${yFor(0)}"></line>`;
+    const axes = min < 0
+        ? html`<text class="chart-axis-label" x="${layout.left - 6}" y="${layout.top + 4}" text-anchor="end">${formatChartAxisValue(max)}</text>
+           <text class="chart-axis-label" x="${layout.left - 6}" y="${layout.top + layout.plotHeight + 4}" text-anchor="end">${formatChartAxisValue(min)}</text>`
+        : renderChartAxes(layout, max);
+
+    setHtml(container, html`<svg class="chart chart-lines" viewBox="0 0 ${layout.width} ${layout.height}" role="img">
+            ${axes}${zeroLine}${lines}${hits}${renderChartXLabels(labels, layout, xFor)}
+        </svg>${renderChartLegend(series.map(s => ({ label: s.label, color: s.color, dashed: s.dashed })))}`);
+    bindChartSelection(container, options.onSelect);
+}
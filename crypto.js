@@ -0,0 +1,79 @@
+// Expense Tracker App
+// Passphrase encryption with Web Crypto: a key is derived from the PIN or
+// password with PBKDF2 (SHA-256) and JSON values are encrypted with AES-GCM.
+// Encrypted values are kept as envelopes that carry everything but the key:
+//   { cipher: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations, salt, iv, data }
+// with salt, iv and data in base64. Used for the stored data (see
+// EncryptedStorageAdapter) and for password-protected backups.
+
+const PBKDF2_ITERATIONS = 600000;
+
+// Envelopes asking for more work than this are refused rather than derived
+const PBKDF2_MAX_ITERATIONS = 10000000;
+
+// Check whether Web Crypto is available (browsers only offer it over HTTPS or on localhost)
+function supportsEncryption() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+}
+
+// Check the shape of an envelope read from storage or from a file
+function isEnvelope(value) {
+    return !!value && typeof value === 'object' && value.cipher === 'AES-GCM' &&
+        typeof value.salt === 'string' && typeof value.iv === 'string' && typeof value.data === 'string' &&
+        Number.isInteger(value.iterations) && value.iterations > 0 && value.iterations <= PBKDF2_MAX_ITERATIONS;
+}
+
+// Derive an AES-GCM key from a passphrase; resolves to { key, salt, iterations }.
+// The salt (base64) is stored with the data it protects; a new one is made when none is given.
+function derivePassphraseKey(passphrase, salt = null, iterations = PBKDF2_ITERATIONS) {
+    return Promise.resolve().then(() => {
+        const saltBytes = salt ? base64ToBytes(salt) : crypto.getRandomValues(new Uint8Array(16));
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+            .then(material => crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+                material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']))
+            .then(key => ({ key, salt: bytesToBase64(saltBytes), iterations }));
+    });
+}
+
+// Encrypt a JSON value into an envelope (with a fresh IV every time)
+function encryptJson(keyInfo, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keyInfo.key, plain).then(encrypted => ({
+        cipher: 'AES-GCM',
+        kdf: 'PBKDF2-SHA-256',
+        iterations: keyInfo.iterations,
+        salt: keyInfo.salt,
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(encrypted))
+    }));
+}
+
+// Decrypt an envelope; rejects when the key is wrong or the data was altered
+function decryptJson(keyInfo, envelope) {
+    return Promise.resolve()
+        .then(() => crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, keyInfo.key, base64ToBytes(envelope.data)))
+        .then(plain => JSON.parse(new TextDecoder().decode(plain)));
+}
+
+// Derive the key for an envelope from a passphrase and decrypt it. Resolves to
+// { keyInfo, value }, or to null when the passphrase is wrong or the envelope is damaged.
+function openEnvelope(passphrase, envelope) {
+    if (!isEnvelope(envelope)) return Promise.resolve(null);
+    return derivePassphraseKey(passphrase, envelope.salt, envelope.iterations)
+        .then(keyInfo => decryptJson(keyInfo, envelope).then(value => ({ keyInfo, value })))
+        .catch(() => null);
+}
@@ -0,0 +1,1688 @@
+// Expense Tracker App
+// Translations and locale-aware formatting. Text is looked up by its English
+// wording, so anything without a translation is shown in English. Dates and
+// month names come from Intl in the chosen language; numbers follow the
+// number format setting (international or Indian lakh/crore grouping).
+
+// Languages offered in Settings; a null locale keeps the browser's own date format
+const LANGUAGES = {
+    en: { name: 'English', locale: null },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' },
+    mr: { name: 'मराठी', locale: 'mr-IN' },
+    ta: { name: 'தமிழ்', locale: 'ta-IN' }
+};
+
+// Number format setting -> locale used for digit grouping
+const NUMBER_FORMATS = {
+    international: 'en-US',
+    indian: 'en-IN'
+};
+
+// English text -> translated text, one catalogue per language. Placeholders
+// such as {amount} are filled in by t() and must be kept in translations.
+const TRANSLATIONS = {
+    hi: {
+        'Download': 'डाउनलोड करें',
+        'Dismiss': 'बंद करें',
+        'A new version of Munshiji is available.': 'मुंशीजी का नया संस्करण उपलब्ध है।',
+        'Update': 'अपडेट करें',
+        'Later': 'बाद में',
+        'Munshiji': 'मुंशीजी',
+        "Let's track your expenses!": 'आइए अपने खर्चों का हिसाब रखें!',
+        'Ver 1.2': 'संस्करण 1.2',
+        'Main Menu': 'मुख्य मेनू',
+        'Set/View Income': 'आय दर्ज करें/देखें',
+        'Edit Categories': 'श्रेणियाँ बदलें',
+        'Set/View Limits': 'सीमाएँ तय करें/देखें',
+        'Add Expense': 'खर्च जोड़ें',
+        'Recurring Expenses': 'नियमित खर्च',
+        'Household': 'परिवार',
+        'View/Edit Expense': 'खर्च देखें/बदलें',
+        'View Savings': 'बचत देखें',
+        'History': 'इतिहास',
+        'Backup/Restore Data': 'डेटा बैकअप/रिस्टोर',
+        'Settings': 'सेटिंग्स',
+        'Exit App': 'ऐप से बाहर निकलें',
+        'Add Income': 'आय जोड़ें',
+        'Carry over last month': 'पिछले महीने की आय लाएँ',
+        'Back to Main Menu': 'मुख्य मेनू पर वापस',
+        'Date received': 'प्राप्ति की तारीख',
+        'Source': 'स्रोत',
+        'Amount': 'राशि',
+        'Note (optional)': 'टिप्पणी (वैकल्पिक)',
+        'Set': 'सेट करें',
+        'Delete': 'हटाएँ',
+        'Back': 'वापस',
+        'Yes': 'हाँ',
+        'No': 'नहीं',
+        'Add Category': 'श्रेणी जोड़ें',
+        'Edit Category': 'श्रेणी बदलें',
+        'Delete Category': 'श्रेणी हटाएँ',
+        'Add the category': 'श्रेणी जोड़ें',
+        'Parent category': 'मुख्य श्रेणी',
+        'Colour': 'रंग',
+        'Icon (optional)': 'आइकन (वैकल्पिक)',
+        'Alert thresholds in % (blank for the default)': 'अलर्ट सीमाएँ % में (डिफ़ॉल्ट के लिए खाली छोड़ें)',
+        'Your updated list of categories are': 'आपकी श्रेणियों की नई सूची',
+        'Which category would you like to edit?': 'आप कौन-सी श्रेणी बदलना चाहते हैं?',
+        'Which category would you like to delete?': 'आप कौन-सी श्रेणी हटाना चाहते हैं?',
+        'Move them to': 'इन्हें यहाँ ले जाएँ',
+        'Move and delete': 'ले जाएँ और हटाएँ',
+        'Archive and delete': 'संग्रह करें और हटाएँ',
+        'Apply': 'लागू करें',
+        'Save as template': 'टेम्पलेट के रूप में सहेजें',
+        'Add your expense': 'अपना खर्च जोड़ें',
+        'Date': 'तारीख',
+        'Category': 'श्रेणी',
+        'Expense Value': 'खर्च की राशि',
+        'Currency': 'मुद्रा',
+        'Item/Comment': 'वस्तु/टिप्पणी',
+        'Add': 'जोड़ें',
+        'Expense Added!': 'खर्च जुड़ गया!',
+        'Would you like to add another expense?': 'क्या आप एक और खर्च जोड़ना चाहेंगे?',
+        'View/Edit Expenses': 'खर्च देखें/बदलें',
+        'View Month-wise expenses': 'महीनेवार खर्च देखें',
+        'Edit Expense': 'खर्च बदलें',
+        'Import from CSV': 'CSV से आयात करें',
+        'Search Expenses': 'खर्च खोजें',
+        "Which month's expense would you like to view?": 'आप किस महीने का खर्च देखना चाहते हैं?',
+        'Total Expense': 'कुल खर्च',
+        'Total Limit': 'कुल सीमा',
+        '% Used': '% उपयोग',
+        "Which month's expenses would you like to edit?": 'आप किस महीने के खर्च बदलना चाहते हैं?',
+        'Rows marked green were posted by a recurring expense.': 'हरी पंक्तियाँ नियमित खर्च से दर्ज हुई हैं।',
+        'Expense Modified!': 'खर्च बदल गया!',
+        'Do you want to edit more expenses?': 'क्या आप और खर्च बदलना चाहते हैं?',
+        'Do you want to delete this expense?': 'क्या आप यह खर्च हटाना चाहते हैं?',
+        "Which month's expenses would you like to download?": 'आप किस महीने के खर्च डाउनलोड करना चाहते हैं?',
+        'Or enter a date range': 'या तारीखों की अवधि दर्ज करें',
+        'From Date': 'आरंभ तारीख',
+        'To Date': 'अंतिम तारीख',
+        'Data downloaded': 'डेटा डाउनलोड हो गया',
+        'View your Monthly Savings': 'अपनी मासिक बचत देखें',
+        'Total savings for this month': 'इस महीने की कुल बचत',
+        'Limit': 'सीमा',
+        'Expenses': 'खर्च',
+        'Savings': 'बचत',
+        'Are you sure you want to exit?': 'क्या आप सचमुच बाहर निकलना चाहते हैं?',
+        'A backup contains all your expenses, categories, income and limits. Keep it somewhere safe to restore your data later.': 'बैकअप में आपके सभी खर्च, श्रेणियाँ, आय और सीमाएँ होती हैं। बाद में डेटा वापस लाने के लिए इसे सुरक्षित जगह रखें।',
+        'Password for the backup file (optional)': 'बैकअप फ़ाइल का पासवर्ड (वैकल्पिक)',
+        'Repeat the password': 'पासवर्ड दोबारा लिखें',
+        'Backup data': 'डेटा का बैकअप लें',
+        'Restore': 'रिस्टोर करें',
+        'Restore from a backup': 'बैकअप से रिस्टोर करें',
+        'Backup file': 'बैकअप फ़ाइल',
+        'This backup is password protected. Enter its password': 'यह बैकअप पासवर्ड से सुरक्षित है। इसका पासवर्ड लिखें',
+        'Open backup': 'बैकअप खोलें',
+        'Replace current data': 'मौजूदा डेटा बदलें',
+        'Merge into current data': 'मौजूदा डेटा में मिलाएँ',
+        'Import expenses from CSV': 'CSV से खर्च आयात करें',
+        'CSV file': 'CSV फ़ाइल',
+        'Date column': 'तारीख का कॉलम',
+        'Category column': 'श्रेणी का कॉलम',
+        'Expense Value column': 'खर्च की राशि का कॉलम',
+        'Item/Comment column': 'वस्तु/टिप्पणी का कॉलम',
+        'Currency column (optional)': 'मुद्रा का कॉलम (वैकल्पिक)',
+        'Date format': 'तारीख का प्रारूप',
+        'YYYY-MM-DD': 'वर्ष-माह-दिन (YYYY-MM-DD)',
+        'DD/MM/YYYY': 'दिन/माह/वर्ष (DD/MM/YYYY)',
+        'MM/DD/YYYY': 'माह/दिन/वर्ष (MM/DD/YYYY)',
+        'First row is a header': 'पहली पंक्ति शीर्षक है',
+        'Create missing categories': 'जो श्रेणियाँ नहीं हैं, उन्हें बनाएँ',
+        'Value': 'राशि',
+        'Import': 'आयात करें',
+        'Language and numbers': 'भाषा और संख्याएँ',
+        'Language': 'भाषा',
+        'Number format': 'संख्या का प्रारूप',
+        'International (100,000.00)': 'अंतरराष्ट्रीय (100,000.00)',
+        'Indian (1,00,000.00)': 'भारतीय (1,00,000.00)',
+        'Show the currency symbol with amounts': 'राशियों के साथ मुद्रा चिह्न दिखाएँ',
+        'Data retention': 'डेटा कितने समय रखें',
+        'Keep expenses, income and limits': 'खर्च, आय और सीमाएँ रखें',
+        'Forever': 'हमेशा',
+        'For a number of months': 'कुछ महीनों तक',
+        'Number of months': 'महीनों की संख्या',
+        'Base currency (all totals are shown in it)': 'मूल मुद्रा (सभी योग इसी में दिखते हैं)',
+        'Exchange Rates': 'विनिमय दरें',
+        'Budget period': 'बजट अवधि',
+        "Each month's budget starts on day (e.g. your payday)": 'हर महीने का बजट इस दिन से शुरू हो (जैसे वेतन का दिन)',
+        'Limits': 'सीमाएँ',
+        'Carry limits forward to months without their own limits': 'जिन महीनों की अपनी सीमाएँ नहीं हैं, उनमें पिछली सीमाएँ लागू करें',
+        'PIN lock': 'पिन लॉक',
+        'Lock after this many minutes without use (blank for never)': 'इतने मिनट इस्तेमाल न होने पर लॉक करें (कभी नहीं के लिए खाली छोड़ें)',
+        'Sync': 'सिंक',
+        'Sync settings': 'सिंक सेटिंग्स',
+        'Alerts': 'अलर्ट',
+        'Alert at these percentages of a limit': 'सीमा के इन प्रतिशतों पर अलर्ट दें',
+        'Warn when spending runs ahead of the month': 'खर्च महीने की रफ़्तार से आगे निकले तो चेतावनी दें',
+        'Warn when less than this % of income is left (blank for never)': 'आय का इतने % से कम बचे तो चेतावनी दें (कभी नहीं के लिए खाली छोड़ें)',
+        'Old data will be removed': 'पुराना डेटा हटाया जाएगा',
+        'Download archive and remove': 'संग्रह डाउनलोड करें और हटाएँ',
+        'Remove without archive': 'बिना संग्रह के हटाएँ',
+        'Keep for now': 'अभी रहने दें',
+        'Change retention setting': 'डेटा रखने की सेटिंग बदलें',
+        'Add recurring expense': 'नियमित खर्च जोड़ें',
+        'Repeats': 'दोहराव',
+        'Monthly': 'मासिक',
+        'Weekly': 'साप्ताहिक',
+        'Yearly': 'वार्षिक',
+        'Month': 'महीना',
+        'Day of month': 'महीने का दिन',
+        'Day of week': 'सप्ताह का दिन',
+        'Starts on': 'शुरुआत',
+        'Ends on (optional)': 'समाप्ति (वैकल्पिक)',
+        'Item/Comment contains': 'वस्तु/टिप्पणी में शामिल',
+        'Min Amount': 'न्यूनतम राशि',
+        'Max Amount': 'अधिकतम राशि',
+        'Sort by': 'क्रम',
+        'Newest first': 'नए पहले',
+        'Oldest first': 'पुराने पहले',
+        'Highest amount': 'सबसे अधिक राशि',
+        'Lowest amount': 'सबसे कम राशि',
+        'Search': 'खोजें',
+        'Clear': 'साफ़ करें',
+        'Running Total': 'चालू योग',
+        "Tap a row to edit that month's expenses.": 'उस महीने के खर्च बदलने के लिए किसी पंक्ति पर टैप करें।',
+        'Export results': 'परिणाम निर्यात करें',
+        'Add currency': 'मुद्रा जोड़ें',
+        'Repair Categories': 'श्रेणियाँ ठीक करें',
+        'These expenses, limits or recurring expenses point at a category that is no longer in your category list.': 'ये खर्च, सीमाएँ या नियमित खर्च ऐसी श्रेणी से जुड़े हैं जो अब आपकी सूची में नहीं है।',
+        'Clear All': 'सब साफ़ करें',
+        'Changes to expenses, categories, income and limits, newest first. Revert undoes a single change.': 'खर्च, श्रेणियों, आय और सीमाओं में हुए बदलाव, नए पहले। "पलटें" एक बदलाव को वापस लेता है।',
+        'People who share expenses. Choose who paid when adding an expense to share it between them.': 'खर्च बाँटने वाले लोग। खर्च जोड़ते समय चुनें कि भुगतान किसने किया, ताकि वह उनमें बँट सके।',
+        'Add member': 'सदस्य जोड़ें',
+        'Balances': 'हिसाब',
+        'Settle up': 'हिसाब चुकता करें',
+        'Settlements': 'चुकता भुगतान',
+        'Enter your PIN to unlock': 'अनलॉक करने के लिए अपना पिन लिखें',
+        'Unlock': 'अनलॉक करें',
+        'Forgot PIN?': 'पिन भूल गए?',
+        'With a PIN, your data and receipts are encrypted on this device and the app asks for the PIN when it opens. A forgotten PIN cannot be recovered, so keep a backup.': 'पिन होने पर आपका डेटा और रसीदें इस डिवाइस पर एन्क्रिप्ट रहती हैं और ऐप खुलते समय पिन माँगता है। भूला हुआ पिन वापस नहीं मिल सकता, इसलिए बैकअप रखें।',
+        'Current PIN': 'मौजूदा पिन',
+        'New PIN or passphrase': 'नया पिन या पासफ़्रेज़',
+        'Repeat the new PIN': 'नया पिन दोबारा लिखें',
+        'Remove PIN': 'पिन हटाएँ',
+        'Sync keeps expenses, income, categories, limits, recurring expenses and the household the same on all your devices through a sync server. Receipts, the history and the language and lock settings stay on each device.': 'सिंक एक सिंक सर्वर के ज़रिए आपके सभी डिवाइस पर खर्च, आय, श्रेणियाँ, सीमाएँ, आवर्ती खर्च और घर के सदस्य एक जैसे रखता है। रसीदें, इतिहास और भाषा व लॉक सेटिंग्स हर डिवाइस पर अलग रहती हैं।',
+        'Sync server address': 'सिंक सर्वर का पता',
+        'Access token (optional)': 'एक्सेस टोकन (वैकल्पिक)',
+        'Save and sync': 'सहेजें और सिंक करें',
+        'Sync now': 'अभी सिंक करें',
+        'Turn off sync': 'सिंक बंद करें',
+        'Close': 'बंद करें',
+        'Undo': 'पहले जैसा करें',
+        'e.g. Salary, Freelance, Rent': 'जैसे वेतन, फ्रीलांस, किराया',
+        'Enter income amount': 'आय की राशि दर्ज करें',
+        'Enter a note': 'टिप्पणी दर्ज करें',
+        'Enter category name': 'श्रेणी का नाम दर्ज करें',
+        'e.g. 🛒': 'जैसे 🛒',
+        'e.g. 50, 90': 'जैसे 50, 90',
+        'Enter new category name': 'श्रेणी का नया नाम दर्ज करें',
+        'Template name, e.g. Holiday month': 'टेम्पलेट का नाम, जैसे छुट्टियों का महीना',
+        'Enter amount': 'राशि दर्ज करें',
+        'Enter item or comment': 'वस्तु या टिप्पणी दर्ज करें',
+        'e.g. 80, 100': 'जैसे 80, 100',
+        'e.g. Rent, Phone bill': 'जैसे किराया, फ़ोन बिल',
+        'e.g. groceries': 'जैसे किराना',
+        'Code': 'कोड',
+        'Name': 'नाम',
+        'Previous month': 'पिछला महीना',
+        'Next month': 'अगला महीना',
+        'PIN': 'पिन',
+        'Receipt': 'रसीद',
+        'Cannot be blank': 'खाली नहीं हो सकता',
+        'Comments can be at most {max} characters.': 'टिप्पणी अधिकतम {max} अक्षरों की हो सकती है।',
+        'Comments cannot contain line breaks or control characters.': 'टिप्पणी में लाइन ब्रेक या कंट्रोल अक्षर नहीं हो सकते।',
+        'A split needs at least two lines': 'बँटवारे में कम से कम दो पंक्तियाँ चाहिए',
+        'Choose a category for every line': 'हर पंक्ति के लिए श्रेणी चुनें',
+        'Every line needs an amount': 'हर पंक्ति में राशि होनी चाहिए',
+        'Lines add up to {sum}, not {total}': 'पंक्तियों का योग {sum} है, {total} नहीं',
+        'Unknown member': 'अज्ञात सदस्य',
+        'Please enter a name.': 'कृपया नाम दर्ज करें।',
+        'Member already exists.': 'यह सदस्य पहले से मौजूद है।',
+        'Choose who paid': 'चुनें कि भुगतान किसने किया',
+        'Choose who shares the expense': 'चुनें कि खर्च में कौन साझेदार है',
+        'Enter a share for everyone ticked': 'चुने गए हर व्यक्ति का हिस्सा दर्ज करें',
+        'Percentages add up to {sum}%, not 100%': 'प्रतिशतों का योग {sum}% है, 100% नहीं',
+        'Shares add up to {sum}, not {total}': 'हिस्सों का योग {sum} है, {total} नहीं',
+        '{name} has reached {percent}% of its limit ({threshold}% alert)': '{name} अपनी सीमा के {percent}% तक पहुँच गया है ({threshold}% अलर्ट)',
+        '{name} is {percent}% spent with {elapsed}% of the month gone': '{name} में {percent}% खर्च हो चुका है, जबकि महीने का {elapsed}% ही बीता है',
+        'Spending this month is {amount} more than income': 'इस महीने का खर्च आय से {amount} अधिक है',
+        "Only {percent}% of this month's income is left": 'इस महीने की आय का केवल {percent}% बचा है',
+        'This change is no longer in the history.': 'यह बदलाव अब इतिहास में नहीं है।',
+        'This change has already been reverted.': 'यह बदलाव पहले ही पलटा जा चुका है।',
+        'Some of these records have changed since. Revert the later changes first.': 'इनमें से कुछ रिकॉर्ड बाद में बदले गए हैं। पहले बाद के बदलाव पलटें।',
+        'Unknown category': 'अज्ञात श्रेणी',
+        'Names cannot contain ">".': 'नाम में ">" नहीं हो सकता।',
+        'Names can be at most {max} characters.': 'नाम अधिकतम {max} अक्षरों का हो सकता है।',
+        'Names cannot contain line breaks or control characters.': 'नाम में लाइन ब्रेक या कंट्रोल अक्षर नहीं हो सकते।',
+        'Colours must look like #34C759.': 'रंग #34C759 जैसा होना चाहिए।',
+        'Icons can be at most {max} characters.': 'आइकन अधिकतम {max} अक्षरों का हो सकता है।',
+        'Icons cannot contain line breaks or control characters.': 'आइकन में लाइन ब्रेक या कंट्रोल अक्षर नहीं हो सकते।',
+        'Choose a top-level parent category.': 'कोई मुख्य (शीर्ष स्तर की) श्रेणी चुनें।',
+        'A category with subcategories cannot have a parent.': 'जिस श्रेणी की उप-श्रेणियाँ हैं, वह किसी और के अंतर्गत नहीं हो सकती।',
+        'Category already exists.': 'यह श्रेणी पहले से मौजूद है।',
+        'Use at least {min} characters.': 'कम से कम {min} अक्षर इस्तेमाल करें।',
+        'PINs cannot contain line breaks or control characters.': 'पिन में लाइन ब्रेक या कंट्रोल अक्षर नहीं हो सकते।',
+        'Enter an address starting with http:// or https://': 'http:// या https:// से शुरू होने वाला पता लिखें',
+        'The sync server sent an answer this app does not understand.': 'सिंक सर्वर ने ऐसा जवाब भेजा जिसे यह ऐप नहीं समझता।',
+        'This is not a Munshiji backup file.': 'यह मुंशीजी की बैकअप फ़ाइल नहीं है।',
+        'Unsupported backup version: {version}': 'बैकअप का यह संस्करण समर्थित नहीं है: {version}',
+        'Backup contains no data.': 'बैकअप में कोई डेटा नहीं है।',
+        'Checksum mismatch - the file is corrupted or was modified.': 'चेकसम मेल नहीं खाता - फ़ाइल खराब है या उसमें बदलाव किया गया है।',
+        'Expenses are missing or invalid.': 'खर्च नहीं हैं या अमान्य हैं।',
+        'Categories are missing or invalid.': 'श्रेणियाँ नहीं हैं या अमान्य हैं।',
+        'Recurring expenses are invalid.': 'आवर्ती खर्च अमान्य हैं।',
+        'Income is invalid.': 'आय अमान्य है।',
+        'Limits are invalid.': 'सीमाएँ अमान्य हैं।',
+        'Exchange rates are invalid.': 'विनिमय दरें अमान्य हैं।',
+        'Receipt attachments are invalid.': 'रसीदों की फ़ाइलें अमान्य हैं।',
+        'Household members are invalid.': 'परिवार के सदस्य अमान्य हैं।',
+        'Settlements are invalid.': 'चुकता भुगतान अमान्य हैं।',
+        'Limit templates are invalid.': 'सीमा टेम्पलेट अमान्य हैं।',
+        'Data saved by an older version of the app is damaged and could not be loaded, so the app has started without it. Download it to keep a copy.': 'ऐप के पुराने संस्करण में सहेजा गया डेटा खराब है और लोड नहीं हो सका, इसलिए ऐप उसके बिना शुरू हुआ है। उसकी एक प्रति रखने के लिए उसे डाउनलोड करें।',
+        'Thank you for using Munshiji!': 'मुंशीजी का उपयोग करने के लिए धन्यवाद!',
+        'Your last change could not be saved ({error}). Free up space or back up your data.': 'आपका पिछला बदलाव सहेजा नहीं जा सका ({error})। जगह खाली करें या अपने डेटा का बैकअप लें।',
+        'Your data could not be loaded. Please reload the app.': 'आपका डेटा लोड नहीं हो सका। कृपया ऐप फिर से लोड करें।',
+        'Income for {period}': '{period} की आय',
+        'Total income: {amount}': 'कुल आय: {amount}',
+        "Last month's income was {amount}": 'पिछले महीने की आय {amount} थी',
+        'No income entries for this month.': 'इस महीने की कोई आय दर्ज नहीं है।',
+        'Please add an income using the Add Income button.': 'कृपया "आय जोड़ें" बटन से आय जोड़ें।',
+        'Income has been set to {amount}': 'आय {amount} तय कर दी गई है',
+        'Edit income entry': 'आय की प्रविष्टि बदलें',
+        'Add income for {period}': '{period} के लिए आय जोड़ें',
+        'Salary': 'वेतन',
+        'Freelance': 'फ्रीलांस',
+        'Rental': 'किराया आय',
+        'Please enter a valid income amount': 'कृपया आय की सही राशि दर्ज करें',
+        'Income of {amount} from {source} has been set': '{source} से {amount} की आय दर्ज हो गई है',
+        'Are you sure you want to delete this income from {source}?': 'क्या आप सचमुच {source} की यह आय हटाना चाहते हैं?',
+        'None (top-level)': 'कोई नहीं (शीर्ष स्तर)',
+        'Repair Categories ({count})': 'श्रेणियाँ ठीक करें ({count})',
+        'No categories added yet.': 'अभी तक कोई श्रेणी नहीं जोड़ी गई है।',
+        'Alert thresholds must be positive numbers, e.g. 50, 90.': 'अलर्ट सीमाएँ धनात्मक संख्याएँ होनी चाहिए, जैसे 50, 90।',
+        'Your new category "{name}" has been set!': 'आपकी नई श्रेणी "{name}" जुड़ गई है!',
+        'No categories available to edit.': 'बदलने के लिए कोई श्रेणी नहीं है।',
+        'Edit {name}': '{name} बदलें',
+        'No categories available to delete.': 'हटाने के लिए कोई श्रेणी नहीं है।',
+        'Are you sure you want to delete {name}?': 'क्या आप सचमुच {name} हटाना चाहते हैं?',
+        'Its {count} subcategories will become top-level categories.': 'इसकी {count} उप-श्रेणियाँ शीर्ष स्तर की श्रेणियाँ बन जाएँगी।',
+        '{expenses} expenses and {recurring} recurring expenses use this category.': '{expenses} खर्च और {recurring} नियमित खर्च इस श्रेणी में हैं।',
+        'Deleted category': 'हटाई गई श्रेणी',
+        '(no category)': '(कोई श्रेणी नहीं)',
+        '{expenses} expenses, {recurring} recurring, limits in {months} months': '{expenses} खर्च, {recurring} नियमित, {months} महीनों में सीमाएँ',
+        'Move': 'ले जाएँ',
+        'Name for this category': 'इस श्रेणी का नाम',
+        'Add back': 'वापस जोड़ें',
+        'Every expense, limit and recurring expense uses an existing category.': 'हर खर्च, सीमा और नियमित खर्च किसी मौजूदा श्रेणी में है।',
+        'Moved to {name}': '{name} में ले जाया गया',
+        '{name} has been added back': '{name} वापस जोड़ दी गई है',
+        'The category could not be repaired': 'श्रेणी ठीक नहीं की जा सकी',
+        'Limits for {period}': '{period} की सीमाएँ',
+        'Income this month: {amount}': 'इस महीने की आय: {amount}',
+        '{amount} from {period}': '{period} से {amount}',
+        'No limit': 'कोई सीमा नहीं',
+        'Roll over': 'आगे ले जाएँ',
+        'Carried forward from {period} - press Set to keep them for this month': '{period} से आगे लाई गईं - इस महीने के लिए रखने हेतु "सेट करें" दबाएँ',
+        'No templates saved': 'कोई टेम्पलेट सहेजा नहीं गया',
+        '"{name}" applied - press Set to save': '"{name}" लागू किया गया - सहेजने के लिए "सेट करें" दबाएँ',
+        'Enter a template name': 'टेम्पलेट का नाम दर्ज करें',
+        'Template "{name}" saved': 'टेम्पलेट "{name}" सहेजा गया',
+        'Delete the template "{name}"?': 'टेम्पलेट "{name}" हटाएँ?',
+        'Template "{name}" deleted': 'टेम्पलेट "{name}" हटाया गया',
+        'Enter a limit or tick No limit': 'सीमा दर्ज करें या "कोई सीमा नहीं" चुनें',
+        'Higher than income': 'आय से अधिक',
+        'No income recorded for {period} - add income before setting limits': '{period} की कोई आय दर्ज नहीं है - सीमाएँ तय करने से पहले आय जोड़ें',
+        'Limits add up to {total}, more than the {income} income for {period}': 'सीमाओं का योग {total} है, जो {period} की {income} आय से अधिक है',
+        'Limits for {period} have been set': '{period} की सीमाएँ तय हो गई हैं',
+        'Select a category': 'श्रेणी चुनें',
+        'Split across categories...': 'कई श्रेणियों में बाँटें...',
+        'No categories': 'कोई श्रेणी नहीं',
+        'Add line': 'पंक्ति जोड़ें',
+        'Remove line': 'पंक्ति हटाएँ',
+        'Lines match the total': 'पंक्तियाँ कुल राशि से मेल खाती हैं',
+        'Left to assign: {amount}': 'बाँटना बाकी: {amount}',
+        'Over by: {amount}': 'अधिक: {amount}',
+        'Expense is at {percent}% limit for {period}': '{period} के लिए खर्च सीमा के {percent}% पर है',
+        'Enter a 3-letter currency code': '3 अक्षरों का मुद्रा कोड दर्ज करें',
+        'Every {weekday}': 'हर {weekday}',
+        'Every year on {day} {month}': 'हर साल {day} {month} को',
+        'Monthly on day {day}': 'हर महीने {day} तारीख को',
+        'No recurring expenses yet.': 'अभी तक कोई नियमित खर्च नहीं है।',
+        'until {date}': '{date} तक',
+        'Nothing is posted until the comment is fixed.': 'टिप्पणी ठीक होने तक कुछ भी दर्ज नहीं होगा।',
+        'Edit': 'बदलें',
+        'Resume': 'फिर शुरू करें',
+        'Pause': 'रोकें',
+        'End': 'समाप्त करें',
+        'Edit recurring expense': 'नियमित खर्च बदलें',
+        'Add a recurring expense': 'नियमित खर्च जोड़ें',
+        'Enter a day from 1 to 31': '1 से 31 के बीच का दिन दर्ज करें',
+        'Must be after the start date': 'शुरुआत की तारीख के बाद होना चाहिए',
+        'Previous year': 'पिछला वर्ष',
+        'Next year': 'अगला वर्ष',
+        'Income': 'आय',
+        '{period} - Summary': '{period} - सारांश',
+        'Total expenses: {expenses} | Total limits: {limits}': 'कुल खर्च: {expenses} | कुल सीमाएँ: {limits}',
+        'Overall usage: {percent}%': 'कुल उपयोग: {percent}%',
+        'No limits set': 'कोई सीमा तय नहीं है',
+        'No exchange rate for {currencies} - those amounts are counted as {base}': '{currencies} की कोई विनिमय दर नहीं है - वे राशियाँ {base} में गिनी गई हैं',
+        'No data': 'कोई डेटा नहीं',
+        'Spent': 'खर्च हुआ',
+        'Spent so far': 'अब तक खर्च',
+        'Total limit': 'कुल सीमा',
+        'split, {amount} in total': 'बँटा हुआ, कुल {amount}',
+        'No expenses': 'कोई खर्च नहीं',
+        'Edit Expenses - {period}': 'खर्च बदलें - {period}',
+        'No expenses found': 'कोई खर्च नहीं मिला',
+        'Split...': 'बाँटें...',
+        'Posted by a recurring expense': 'नियमित खर्च से दर्ज',
+        'Please fix highlighted fields.': 'कृपया चिह्नित फ़ील्ड ठीक करें।',
+        'All categories': 'सभी श्रेणियाँ',
+        'Invalid date range': 'तारीखों की अवधि अमान्य है',
+        'No matching expenses': 'कोई मिलता-जुलता खर्च नहीं',
+        '{count} expense found | Total: {total}': '{count} खर्च मिला | कुल: {total}',
+        '{count} expenses found | Total: {total}': '{count} खर्च मिले | कुल: {total}',
+        'Please select a month or range': 'कृपया कोई महीना या अवधि चुनें',
+        'Value in {currency}': '{currency} में राशि',
+        'Split': 'बँटवारा',
+        'The file could not be read.': 'फ़ाइल पढ़ी नहीं जा सकी।',
+        'The file contains no rows.': 'फ़ाइल में कोई पंक्ति नहीं है।',
+        'Column {number}': 'कॉलम {number}',
+        '(none - base currency)': '(कोई नहीं - मूल मुद्रा)',
+        'Invalid date': 'अमान्य तारीख',
+        'Invalid amount': 'अमान्य राशि',
+        'Category is blank': 'श्रेणी खाली है',
+        'Invalid category name': 'श्रेणी का नाम अमान्य है',
+        'Comment is blank': 'टिप्पणी खाली है',
+        'Invalid currency': 'अमान्य मुद्रा',
+        '{ready} of {total} rows ready to import': '{total} में से {ready} पंक्तियाँ आयात के लिए तैयार हैं',
+        '{duplicates} duplicates will be skipped, {errors} rows have errors': '{duplicates} दोहराई गई पंक्तियाँ छोड़ी जाएँगी, {errors} पंक्तियों में त्रुटियाँ हैं',
+        'New categories: {names}': 'नई श्रेणियाँ: {names}',
+        'Duplicate - will be skipped': 'दोहराव - छोड़ा जाएगा',
+        'Row {line}: {note}': 'पंक्ति {line}: {note}',
+        'There are no valid rows to import.': 'आयात करने के लिए कोई मान्य पंक्ति नहीं है।',
+        '{imported} expenses imported, {skipped} rows skipped': '{imported} खर्च आयात हुए, {skipped} पंक्तियाँ छोड़ी गईं',
+        'Total savings for {year}': '{year} की कुल बचत',
+        '{period} - Savings': '{period} - बचत',
+        'The passwords do not match.': 'पासवर्ड मेल नहीं खाते।',
+        'Password-protected backup downloaded': 'पासवर्ड से सुरक्षित बैकअप डाउनलोड हो गया',
+        'Backup downloaded': 'बैकअप डाउनलोड हो गया',
+        'Backup failed: {error}': 'बैकअप नहीं हो सका: {error}',
+        'The file is not valid JSON.': 'फ़ाइल मान्य JSON नहीं है।',
+        'This browser cannot decrypt data. Open the app over HTTPS.': 'यह ब्राउज़र डेटा डिक्रिप्ट नहीं कर सकता। ऐप को HTTPS पर खोलें।',
+        'Backup from {date}': '{date} का बैकअप',
+        'Expenses: {incoming} (currently {current})': 'खर्च: {incoming} (अभी {current})',
+        'Categories: {incoming} (currently {current})': 'श्रेणियाँ: {incoming} (अभी {current})',
+        'Income months: {incoming} (currently {current})': 'आय वाले महीने: {incoming} (अभी {current})',
+        'Limit months: {incoming} (currently {current})': 'सीमा वाले महीने: {incoming} (अभी {current})',
+        'Receipt images: {count}': 'रसीद की तस्वीरें: {count}',
+        'Wrong password, or the file is damaged.': 'गलत पासवर्ड, या फ़ाइल खराब है।',
+        'Please choose a valid backup file.': 'कृपया मान्य बैकअप फ़ाइल चुनें।',
+        'Data restored: {expenses} expenses, {categories} categories': 'डेटा रिस्टोर हुआ: {expenses} खर्च, {categories} श्रेणियाँ',
+        'Alerts ({count})': 'अलर्ट ({count})',
+        'No alerts.': 'कोई अलर्ट नहीं।',
+        'This browser does not support notifications.': 'यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।',
+        'Turn Off Notifications': 'सूचनाएँ बंद करें',
+        'Enable Notifications': 'सूचनाएँ चालू करें',
+        'Notifications are blocked in your browser settings.': 'आपके ब्राउज़र की सेटिंग्स में सूचनाएँ रोकी गई हैं।',
+        'New alerts are also shown as notifications.': 'नए अलर्ट सूचनाओं के रूप में भी दिखते हैं।',
+        'New alerts are only shown here.': 'नए अलर्ट केवल यहीं दिखते हैं।',
+        '{name} could not be read as an image': '{name} को तस्वीर के रूप में पढ़ा नहीं जा सका',
+        'Remove receipt': 'रसीद हटाएँ',
+        'Receipts': 'रसीदें',
+        'Add images': 'तस्वीरें जोड़ें',
+        'Take photo': 'फ़ोटो लें',
+        'Adding receipts...': 'रसीदें जोड़ी जा रही हैं...',
+        'The receipt could not be loaded ({error}).': 'रसीद लोड नहीं हो सकी ({error})।',
+        'Paid by': 'भुगतानकर्ता',
+        'Not shared': 'साझा नहीं',
+        'Rename': 'नाम बदलें',
+        'No household members yet.': 'अभी तक परिवार का कोई सदस्य नहीं है।',
+        '{name} has been added': '{name} को जोड़ दिया गया है',
+        '{name} is now {newName}': '{name} अब {newName} है',
+        '{name} paid for or shares expenses, so they cannot be deleted': '{name} ने खर्च चुकाए हैं या खर्चों में साझेदार हैं, इसलिए उन्हें हटाया नहीं जा सकता',
+        '{name} has been deleted': '{name} को हटा दिया गया है',
+        'Balances - {period}': 'हिसाब - {period}',
+        'is owed {amount}': 'को {amount} मिलने हैं',
+        'owes {amount}': 'को {amount} देने हैं',
+        'is settled up': 'का हिसाब बराबर है',
+        '{from} pays {to} {amount}': '{from}, {to} को {amount} दें',
+        'Record': 'दर्ज करें',
+        'Everyone is settled up.': 'सबका हिसाब बराबर है।',
+        '{from} paid {to} {amount}': '{from} ने {to} को {amount} दिए',
+        'No settlements recorded.': 'कोई चुकता भुगतान दर्ज नहीं है।',
+        'Recorded: {from} paid {to} {amount}': 'दर्ज हुआ: {from} ने {to} को {amount} दिए',
+        'paused': 'रुका हुआ',
+        'No limits': 'कोई सीमा नहीं',
+        'Expense': 'खर्च',
+        'Recurring expense': 'नियमित खर्च',
+        'Member': 'सदस्य',
+        'Settlement': 'चुकता भुगतान',
+        '{record} added: {details}': '{record} जोड़ा गया: {details}',
+        '{record} removed: {details}': '{record} हटाया गया: {details}',
+        '...and {count} more': '...और {count} अन्य',
+        'Reverted': 'पलटा गया',
+        'Revert': 'पलटें',
+        'No changes recorded yet.': 'अभी तक कोई बदलाव दर्ज नहीं है।',
+        'The change has been reverted': 'बदलाव पलट दिया गया है',
+        'Enter at least 1 month': 'कम से कम 1 महीना दर्ज करें',
+        'Enter positive numbers, e.g. 80, 100': 'धनात्मक संख्याएँ दर्ज करें, जैसे 80, 100',
+        'Enter a percentage from 0 to 100': '0 से 100 के बीच प्रतिशत दर्ज करें',
+        'Enter a day from 1 to 28': '1 से 28 के बीच का दिन दर्ज करें',
+        'Enter a whole number of minutes, at least 1': 'मिनटों की पूरी संख्या लिखें, कम से कम 1',
+        'No exchange rate is entered for {currency}, so the current rates cannot be converted and will be cleared. Change the base currency anyway?': '{currency} के लिए कोई विनिमय दर दर्ज नहीं है, इसलिए मौजूदा दरें बदली नहीं जा सकतीं और हटा दी जाएंगी। फिर भी मूल मुद्रा बदलें?',
+        'Settings have been saved': 'सेटिंग्स सहेज ली गई हैं',
+        'Exchange rates for {period}': '{period} की विनिमय दरें',
+        'Enter the value of 1 unit in {base}. Months without a rate use the closest earlier month.': '1 इकाई का मूल्य {base} में दर्ज करें। जिन महीनों की दर नहीं है, उनमें पिछले सबसे नज़दीकी महीने की दर लगती है।',
+        'Not set': 'तय नहीं',
+        'No other currencies yet. Add one below.': 'अभी कोई अन्य मुद्रा नहीं है। नीचे जोड़ें।',
+        '{code} is the base currency': '{code} मूल मुद्रा है',
+        'Enter a rate above 0': '0 से अधिक दर दर्ज करें',
+        'Exchange rates have been saved': 'विनिमय दरें सहेज ली गई हैं',
+        'Your retention setting keeps {months} months of data. {expenses} expenses, {incomeMonths} months of income, {limitMonths} months of limits and {settlements} settlements from before {date} will be removed.': 'आपकी सेटिंग के अनुसार {months} महीनों का डेटा रखा जाता है। {date} से पहले के {expenses} खर्च, {incomeMonths} महीनों की आय, {limitMonths} महीनों की सीमाएँ और {settlements} हिसाब चुकता हटा दिए जाएँगे।',
+        'Wrong PIN': 'गलत पिन',
+        'Without the PIN your data cannot be decrypted. Delete all data on this device and start again?': 'पिन के बिना आपका डेटा डिक्रिप्ट नहीं हो सकता। इस डिवाइस का सारा डेटा मिटाकर फिर से शुरू करें?',
+        'PIN lock is off.': 'पिन लॉक बंद है।',
+        'PIN lock needs the app to be opened over HTTPS.': 'पिन लॉक के लिए ऐप को HTTPS पर खोलना ज़रूरी है।',
+        'PIN lock is on. Your data is encrypted on this device.': 'पिन लॉक चालू है। आपका डेटा इस डिवाइस पर एन्क्रिप्ट है।',
+        'Change or remove PIN': 'पिन बदलें या हटाएँ',
+        'Set a PIN': 'पिन सेट करें',
+        'Change PIN': 'पिन बदलें',
+        'Set PIN': 'पिन सेट करें',
+        'The PIN could not be changed ({error}).': 'पिन नहीं बदला जा सका ({error})।',
+        'The PINs do not match.': 'पिन मेल नहीं खाते।',
+        'Your PIN has been changed': 'आपका पिन बदल दिया गया है',
+        'PIN lock is on. Your data is now encrypted.': 'पिन लॉक चालू है। आपका डेटा अब एन्क्रिप्ट है।',
+        'PIN lock is off. Your data is no longer encrypted.': 'पिन लॉक बंद है। आपका डेटा अब एन्क्रिप्ट नहीं है।',
+        'Syncing…': 'सिंक हो रहा है…',
+        'Sync failed: {error}': 'सिंक नहीं हो सका: {error}',
+        '{count} change waiting to sync': '{count} बदलाव सिंक होने की प्रतीक्षा में',
+        '{count} changes waiting to sync': '{count} बदलाव सिंक होने की प्रतीक्षा में',
+        'Synced {time}': '{time} को सिंक हुआ',
+        'Not synced yet': 'अभी तक सिंक नहीं हुआ',
+        'Sync is on with {server}.': '{server} के साथ सिंक चालू है।',
+        'Sync is off. Your data stays on this device.': 'सिंक बंद है। आपका डेटा इसी डिवाइस पर रहता है।',
+        'Sync finished: {pushed} sent, {pulled} received': 'सिंक पूरा हुआ: {pushed} भेजे, {pulled} मिले',
+        'Turn off sync on this device? Your data stays here and on the sync server.': 'इस डिवाइस पर सिंक बंद करें? आपका डेटा यहाँ और सिंक सर्वर पर बना रहेगा।',
+        'Sync is off on this device': 'इस डिवाइस पर सिंक बंद है',
+        'Added expense "{comment}"': 'खर्च "{comment}" जोड़ा',
+        'Added {count} expense': '{count} खर्च जोड़ा',
+        'Added {count} expenses': '{count} खर्च जोड़े',
+        'Deleted expense "{comment}"': 'खर्च "{comment}" हटाया',
+        'Edited expense "{comment}"': 'खर्च "{comment}" बदला',
+        'Added income "{source}" for {date}': '{date} के लिए आय "{source}" जोड़ी',
+        'Edited income "{source}"': 'आय "{source}" बदली',
+        'Deleted income "{source}"': 'आय "{source}" हटाई',
+        'Carried income from {from} to {to}': 'आय {from} से {to} में आगे ले जाई गई',
+        'Posted {count} recurring expense': '{count} आवर्ती खर्च दर्ज किया',
+        'Posted {count} recurring expenses': '{count} आवर्ती खर्च दर्ज किए',
+        'Set limits for {period}': '{period} की सीमाएँ तय कीं',
+        'Added member "{name}"': 'सदस्य "{name}" जोड़ा',
+        'Renamed member "{name}" to "{newName}"': 'सदस्य "{name}" का नाम बदलकर "{newName}" किया',
+        'Deleted member "{name}"': 'सदस्य "{name}" हटाया',
+        'Deleted a settlement': 'एक हिसाब चुकता हटाया',
+        'Reverted: {summary}': 'वापस लिया: {summary}',
+        'Added category "{name}"': 'श्रेणी "{name}" जोड़ी',
+        'Edited category "{name}"': 'श्रेणी "{name}" बदली',
+        'Deleted category "{name}"': 'श्रेणी "{name}" हटाई',
+        'Moved records of a missing category to "{name}"': 'गायब श्रेणी के रिकॉर्ड "{name}" में ले जाए',
+        'Added back missing category "{name}"': 'गायब श्रेणी "{name}" वापस जोड़ी',
+        'Restored a backup, replacing the data': 'बैकअप बहाल किया, डेटा बदल दिया गया',
+        'Merged a backup into the data': 'बैकअप को डेटा में मिलाया',
+        'Edited {count} expense': '{count} खर्च बदला',
+        'Edited {count} expenses': '{count} खर्च बदले',
+        'Imported {count} expense': '{count} खर्च इम्पोर्ट किया',
+        'Imported {count} expenses': '{count} खर्च इम्पोर्ट किए',
+        'No data to chart': 'चार्ट के लिए कोई डेटा नहीं',
+        'Total': 'कुल',
+        'The sync server did not accept the access token.': 'सिंक सर्वर ने एक्सेस टोकन स्वीकार नहीं किया।',
+        'The sync server answered with error {status}.': 'सिंक सर्वर ने त्रुटि {status} लौटाई।',
+        'The sync server did not answer in time.': 'सिंक सर्वर ने समय पर जवाब नहीं दिया।',
+        'Ended': 'समाप्त',
+        'Paused': 'रुका हुआ',
+        'Active': 'चालू',
+        'Split equally': 'बराबर बाँटें',
+        'By percentage': 'प्रतिशत के अनुसार',
+        'Exact amounts': 'सटीक राशियाँ'
+    },
+    mr: {
+        'Download': 'डाउनलोड करा',
+        'Dismiss': 'बंद करा',
+        'A new version of Munshiji is available.': 'मुंशीजीची नवीन आवृत्ती उपलब्ध आहे.',
+        'Update': 'अपडेट करा',
+        'Later': 'नंतर',
+        'Munshiji': 'मुंशीजी',
+        "Let's track your expenses!": 'चला, आपल्या खर्चाचा हिशोब ठेवूया!',
+        'Ver 1.2': 'आवृत्ती 1.2',
+        'Main Menu': 'मुख्य मेनू',
+        'Set/View Income': 'उत्पन्न नोंदवा/पाहा',
+        'Edit Categories': 'वर्ग बदला',
+        'Set/View Limits': 'मर्यादा ठरवा/पाहा',
+        'Add Expense': 'खर्च जोडा',
+        'Recurring Expenses': 'नियमित खर्च',
+        'Household': 'कुटुंब',
+        'View/Edit Expense': 'खर्च पाहा/बदला',
+        'View Savings': 'बचत पाहा',
+        'History': 'इतिहास',
+        'Backup/Restore Data': 'डेटा बॅकअप/रिस्टोअर',
+        'Settings': 'सेटिंग्ज',
+        'Exit App': 'ॲपमधून बाहेर पडा',
+        'Add Income': 'उत्पन्न जोडा',
+        'Carry over last month': 'मागील महिन्याचे उत्पन्न आणा',
+        'Back to Main Menu': 'मुख्य मेनूवर परत',
+        'Date received': 'मिळाल्याची तारीख',
+        'Source': 'स्रोत',
+        'Amount': 'रक्कम',
+        'Note (optional)': 'टीप (ऐच्छिक)',
+        'Set': 'सेट करा',
+        'Delete': 'हटवा',
+        'Back': 'मागे',
+        'Yes': 'होय',
+        'No': 'नाही',
+        'Add Category': 'वर्ग जोडा',
+        'Edit Category': 'वर्ग बदला',
+        'Delete Category': 'वर्ग हटवा',
+        'Add the category': 'वर्ग जोडा',
+        'Parent category': 'मुख्य वर्ग',
+        'Colour': 'रंग',
+        'Icon (optional)': 'आयकॉन (ऐच्छिक)',
+        'Alert thresholds in % (blank for the default)': 'सूचना मर्यादा % मध्ये (डीफॉल्टसाठी रिकामे ठेवा)',
+        'Your updated list of categories are': 'तुमची अद्ययावत वर्ग यादी',
+        'Which category would you like to edit?': 'तुम्हाला कोणता वर्ग बदलायचा आहे?',
+        'Which category would you like to delete?': 'तुम्हाला कोणता वर्ग हटवायचा आहे?',
+        'Move them to': 'त्यांना येथे हलवा',
+        'Move and delete': 'हलवा आणि हटवा',
+        'Archive and delete': 'संग्रहित करा आणि हटवा',
+        'Apply': 'लागू करा',
+        'Save as template': 'टेम्पलेट म्हणून जतन करा',
+        'Add your expense': 'तुमचा खर्च जोडा',
+        'Date': 'तारीख',
+        'Category': 'वर्ग',
+        'Expense Value': 'खर्चाची रक्कम',
+        'Currency': 'चलन',
+        'Item/Comment': 'वस्तू/टिप्पणी',
+        'Add': 'जोडा',
+        'Expense Added!': 'खर्च जोडला!',
+        'Would you like to add another expense?': 'तुम्हाला आणखी एक खर्च जोडायचा आहे का?',
+        'View/Edit Expenses': 'खर्च पाहा/बदला',
+        'View Month-wise expenses': 'महिनानिहाय खर्च पाहा',
+        'Edit Expense': 'खर्च बदला',
+        'Import from CSV': 'CSV मधून आयात करा',
+        'Search Expenses': 'खर्च शोधा',
+        "Which month's expense would you like to view?": 'तुम्हाला कोणत्या महिन्याचा खर्च पाहायचा आहे?',
+        'Total Expense': 'एकूण खर्च',
+        'Total Limit': 'एकूण मर्यादा',
+        '% Used': '% वापर',
+        "Which month's expenses would you like to edit?": 'तुम्हाला कोणत्या महिन्याचे खर्च बदलायचे आहेत?',
+        'Rows marked green were posted by a recurring expense.': 'हिरव्या ओळी नियमित खर्चातून नोंदल्या गेल्या आहेत.',
+        'Expense Modified!': 'खर्च बदलला!',
+        'Do you want to edit more expenses?': 'तुम्हाला आणखी खर्च बदलायचे आहेत का?',
+        'Do you want to delete this expense?': 'तुम्हाला हा खर्च हटवायचा आहे का?',
+        "Which month's expenses would you like to download?": 'तुम्हाला कोणत्या महिन्याचे खर्च डाउनलोड करायचे आहेत?',
+        'Or enter a date range': 'किंवा तारखांचा कालावधी लिहा',
+        'From Date': 'पासून',
+        'To Date': 'पर्यंत',
+        'Data downloaded': 'डेटा डाउनलोड झाला',
+        'View your Monthly Savings': 'तुमची मासिक बचत पाहा',
+        'Total savings for this month': 'या महिन्याची एकूण बचत',
+        'Limit': 'मर्यादा',
+        'Expenses': 'खर्च',
+        'Savings': 'बचत',
+        'Are you sure you want to exit?': 'तुम्हाला खरोखर बाहेर पडायचे आहे का?',
+        'A backup contains all your expenses, categories, income and limits. Keep it somewhere safe to restore your data later.': 'बॅकअपमध्ये तुमचे सर्व खर्च, वर्ग, उत्पन्न आणि मर्यादा असतात. नंतर डेटा परत आणण्यासाठी तो सुरक्षित ठिकाणी ठेवा.',
+        'Password for the backup file (optional)': 'बॅकअप फाइलचा पासवर्ड (ऐच्छिक)',
+        'Repeat the password': 'पासवर्ड पुन्हा लिहा',
+        'Backup data': 'डेटाचा बॅकअप घ्या',
+        'Restore': 'रिस्टोअर करा',
+        'Restore from a backup': 'बॅकअपमधून रिस्टोअर करा',
+        'Backup file': 'बॅकअप फाइल',
+        'This backup is password protected. Enter its password': 'हा बॅकअप पासवर्डने सुरक्षित आहे. त्याचा पासवर्ड लिहा',
+        'Open backup': 'बॅकअप उघडा',
+        'Replace current data': 'सध्याचा डेटा बदला',
+        'Merge into current data': 'सध्याच्या डेटामध्ये मिसळा',
+        'Import expenses from CSV': 'CSV मधून खर्च आयात करा',
+        'CSV file': 'CSV फाइल',
+        'Date column': 'तारखेचा स्तंभ',
+        'Category column': 'वर्गाचा स्तंभ',
+        'Expense Value column': 'खर्चाच्या रकमेचा स्तंभ',
+        'Item/Comment column': 'वस्तू/टिप्पणीचा स्तंभ',
+        'Currency column (optional)': 'चलनाचा स्तंभ (ऐच्छिक)',
+        'Date format': 'तारखेचे स्वरूप',
+        'YYYY-MM-DD': 'वर्ष-महिना-दिवस (YYYY-MM-DD)',
+        'DD/MM/YYYY': 'दिवस/महिना/वर्ष (DD/MM/YYYY)',
+        'MM/DD/YYYY': 'महिना/दिवस/वर्ष (MM/DD/YYYY)',
+        'First row is a header': 'पहिली ओळ शीर्षक आहे',
+        'Create missing categories': 'नसलेले वर्ग तयार करा',
+        'Value': 'रक्कम',
+        'Import': 'आयात करा',
+        'Language and numbers': 'भाषा आणि संख्या',
+        'Language': 'भाषा',
+        'Number format': 'संख्येचे स्वरूप',
+        'International (100,000.00)': 'आंतरराष्ट्रीय (100,000.00)',
+        'Indian (1,00,000.00)': 'भारतीय (1,00,000.00)',
+        'Show the currency symbol with amounts': 'रकमेसोबत चलन चिन्ह दाखवा',
+        'Data retention': 'डेटा किती काळ ठेवायचा',
+        'Keep expenses, income and limits': 'खर्च, उत्पन्न आणि मर्यादा ठेवा',
+        'Forever': 'कायम',
+        'For a number of months': 'काही महिन्यांसाठी',
+        'Number of months': 'महिन्यांची संख्या',
+        'Base currency (all totals are shown in it)': 'मूळ चलन (सर्व बेरजा यातच दाखवल्या जातात)',
+        'Exchange Rates': 'विनिमय दर',
+        'Budget period': 'बजेट कालावधी',
+        "Each month's budget starts on day (e.g. your payday)": 'प्रत्येक महिन्याचे बजेट या दिवसापासून सुरू होते (उदा. पगाराचा दिवस)',
+        'Limits': 'मर्यादा',
+        'Carry limits forward to months without their own limits': 'स्वतःच्या मर्यादा नसलेल्या महिन्यांना मागील मर्यादा लागू करा',
+        'PIN lock': 'पिन लॉक',
+        'Lock after this many minutes without use (blank for never)': 'इतकी मिनिटे वापर न झाल्यास लॉक करा (कधीही नाही साठी रिकामे ठेवा)',
+        'Sync': 'सिंक',
+        'Sync settings': 'सिंक सेटिंग्ज',
+        'Alerts': 'सूचना',
+        'Alert at these percentages of a limit': 'मर्यादेच्या या टक्केवारीवर सूचना द्या',
+        'Warn when spending runs ahead of the month': 'खर्च महिन्याच्या गतीपेक्षा पुढे गेल्यास इशारा द्या',
+        'Warn when less than this % of income is left (blank for never)': 'उत्पन्नाच्या इतक्या % पेक्षा कमी उरल्यास इशारा द्या (कधीच नाही यासाठी रिकामे ठेवा)',
+        'Old data will be removed': 'जुना डेटा हटवला जाईल',
+        'Download archive and remove': 'संग्रह डाउनलोड करा आणि हटवा',
+        'Remove without archive': 'संग्रहाशिवाय हटवा',
+        'Keep for now': 'सध्या ठेवा',
+        'Change retention setting': 'डेटा ठेवण्याची सेटिंग बदला',
+        'Add recurring expense': 'नियमित खर्च जोडा',
+        'Repeats': 'पुनरावृत्ती',
+        'Monthly': 'मासिक',
+        'Weekly': 'साप्ताहिक',
+        'Yearly': 'वार्षिक',
+        'Month': 'महिना',
+        'Day of month': 'महिन्यातील दिवस',
+        'Day of week': 'आठवड्याचा दिवस',
+        'Starts on': 'सुरुवात',
+        'Ends on (optional)': 'शेवट (ऐच्छिक)',
+        'Item/Comment contains': 'वस्तू/टिप्पणीमध्ये',
+        'Min Amount': 'किमान रक्कम',
+        'Max Amount': 'कमाल रक्कम',
+        'Sort by': 'क्रम',
+        'Newest first': 'नवीन आधी',
+        'Oldest first': 'जुने आधी',
+        'Highest amount': 'सर्वाधिक रक्कम',
+        'Lowest amount': 'सर्वात कमी रक्कम',
+        'Search': 'शोधा',
+        'Clear': 'साफ करा',
+        'Running Total': 'चालू बेरीज',
+        "Tap a row to edit that month's expenses.": 'त्या महिन्याचे खर्च बदलण्यासाठी ओळीवर टॅप करा.',
+        'Export results': 'निकाल निर्यात करा',
+        'Add currency': 'चलन जोडा',
+        'Repair Categories': 'वर्ग दुरुस्त करा',
+        'These expenses, limits or recurring expenses point at a category that is no longer in your category list.': 'हे खर्च, मर्यादा किंवा नियमित खर्च अशा वर्गाशी जोडलेले आहेत जो आता तुमच्या यादीत नाही.',
+        'Clear All': 'सर्व साफ करा',
+        'Changes to expenses, categories, income and limits, newest first. Revert undoes a single change.': 'खर्च, वर्ग, उत्पन्न आणि मर्यादांमधील बदल, नवीन आधी. "उलटवा" एक बदल रद्द करते.',
+        'People who share expenses. Choose who paid when adding an expense to share it between them.': 'खर्च वाटून घेणारे लोक. खर्च जोडताना पैसे कोणी दिले ते निवडा, म्हणजे तो त्यांच्यात वाटला जाईल.',
+        'Add member': 'सदस्य जोडा',
+        'Balances': 'हिशोब',
+        'Settle up': 'हिशोब चुकता करा',
+        'Settlements': 'चुकते व्यवहार',
+        'Enter your PIN to unlock': 'अनलॉक करण्यासाठी तुमचा पिन लिहा',
+        'Unlock': 'अनलॉक करा',
+        'Forgot PIN?': 'पिन विसरलात?',
+        'With a PIN, your data and receipts are encrypted on this device and the app asks for the PIN when it opens. A forgotten PIN cannot be recovered, so keep a backup.': 'पिन असल्यास तुमचा डेटा आणि पावत्या या डिव्हाइसवर एन्क्रिप्ट राहतात आणि ॲप उघडताना पिन विचारते. विसरलेला पिन परत मिळू शकत नाही, म्हणून बॅकअप ठेवा.',
+        'Current PIN': 'सध्याचा पिन',
+        'New PIN or passphrase': 'नवीन पिन किंवा पासफ्रेज',
+        'Repeat the new PIN': 'नवीन पिन पुन्हा लिहा',
+        'Remove PIN': 'पिन काढा',
+        'Sync keeps expenses, income, categories, limits, recurring expenses and the household the same on all your devices through a sync server. Receipts, the history and the language and lock settings stay on each device.': 'सिंक सर्व्हरद्वारे सिंक तुमच्या सर्व डिव्हाइसवर खर्च, उत्पन्न, श्रेणी, मर्यादा, आवर्ती खर्च आणि घरातील सदस्य सारखे ठेवते. पावत्या, इतिहास आणि भाषा व लॉक सेटिंग्ज प्रत्येक डिव्हाइसवर वेगळ्या राहतात.',
+        'Sync server address': 'सिंक सर्व्हरचा पत्ता',
+        'Access token (optional)': 'ॲक्सेस टोकन (ऐच्छिक)',
+        'Save and sync': 'जतन करा आणि सिंक करा',
+        'Sync now': 'आता सिंक करा',
+        'Turn off sync': 'सिंक बंद करा',
+        'Close': 'बंद करा',
+        'Undo': 'पूर्ववत करा',
+        'e.g. Salary, Freelance, Rent': 'उदा. पगार, फ्रीलान्स, भाडे',
+        'Enter income amount': 'उत्पन्नाची रक्कम लिहा',
+        'Enter a note': 'टीप लिहा',
+        'Enter category name': 'वर्गाचे नाव लिहा',
+        'e.g. 🛒': 'उदा. 🛒',
+        'e.g. 50, 90': 'उदा. 50, 90',
+        'Enter new category name': 'वर्गाचे नवीन नाव लिहा',
+        'Template name, e.g. Holiday month': 'टेम्पलेटचे नाव, उदा. सुट्टीचा महिना',
+        'Enter amount': 'रक्कम लिहा',
+        'Enter item or comment': 'वस्तू किंवा टिप्पणी लिहा',
+        'e.g. 80, 100': 'उदा. 80, 100',
+        'e.g. Rent, Phone bill': 'उदा. भाडे, फोन बिल',
+        'e.g. groceries': 'उदा. किराणा',
+        'Code': 'कोड',
+        'Name': 'नाव',
+        'Previous month': 'मागील महिना',
+        'Next month': 'पुढील महिना',
+        'PIN': 'पिन',
+        'Receipt': 'पावती',
+        'Cannot be blank': 'रिकामे असू शकत नाही',
+        'Comments can be at most {max} characters.': 'टिप्पणी जास्तीत जास्त {max} अक्षरांची असू शकते.',
+        'Comments cannot contain line breaks or control characters.': 'टिप्पणीमध्ये लाइन ब्रेक किंवा कंट्रोल अक्षरे असू शकत नाहीत.',
+        'A split needs at least two lines': 'विभागणीसाठी किमान दोन ओळी हव्यात',
+        'Choose a category for every line': 'प्रत्येक ओळीसाठी वर्ग निवडा',
+        'Every line needs an amount': 'प्रत्येक ओळीत रक्कम हवी',
+        'Lines add up to {sum}, not {total}': 'ओळींची बेरीज {sum} आहे, {total} नाही',
+        'Unknown member': 'अज्ञात सदस्य',
+        'Please enter a name.': 'कृपया नाव लिहा.',
+        'Member already exists.': 'हा सदस्य आधीच आहे.',
+        'Choose who paid': 'पैसे कोणी दिले ते निवडा',
+        'Choose who shares the expense': 'खर्चात कोण भागीदार आहे ते निवडा',
+        'Enter a share for everyone ticked': 'निवडलेल्या प्रत्येकाचा वाटा लिहा',
+        'Percentages add up to {sum}%, not 100%': 'टक्केवारीची बेरीज {sum}% आहे, 100% नाही',
+        'Shares add up to {sum}, not {total}': 'वाट्यांची बेरीज {sum} आहे, {total} नाही',
+        '{name} has reached {percent}% of its limit ({threshold}% alert)': '{name} ने मर्यादेच्या {percent}% गाठले आहे ({threshold}% सूचना)',
+        '{name} is {percent}% spent with {elapsed}% of the month gone': '{name} मध्ये {percent}% खर्च झाला आहे, तर महिन्याचा फक्त {elapsed}% संपला आहे',
+        'Spending this month is {amount} more than income': 'या महिन्याचा खर्च उत्पन्नापेक्षा {amount} जास्त आहे',
+        "Only {percent}% of this month's income is left": 'या महिन्याच्या उत्पन्नाचा फक्त {percent}% उरला आहे',
+        'This change is no longer in the history.': 'हा बदल आता इतिहासात नाही.',
+        'This change has already been reverted.': 'हा बदल आधीच उलटवला आहे.',
+        'Some of these records have changed since. Revert the later changes first.': 'यातील काही नोंदी नंतर बदलल्या आहेत. आधी नंतरचे बदल उलटवा.',
+        'Unknown category': 'अज्ञात वर्ग',
+        'Names cannot contain ">".': 'नावात ">" असू शकत नाही.',
+        'Names can be at most {max} characters.': 'नाव जास्तीत जास्त {max} अक्षरांचे असू शकते.',
+        'Names cannot contain line breaks or control characters.': 'नावामध्ये लाइन ब्रेक किंवा कंट्रोल अक्षरे असू शकत नाहीत.',
+        'Colours must look like #34C759.': 'रंग #34C759 सारखा असावा.',
+        'Icons can be at most {max} characters.': 'आयकॉन जास्तीत जास्त {max} अक्षरांचा असू शकतो.',
+        'Icons cannot contain line breaks or control characters.': 'आयकॉनमध्ये लाइन ब्रेक किंवा कंट्रोल अक्षरे असू शकत नाहीत.',
+        'Choose a top-level parent category.': 'मुख्य (वरच्या स्तराचा) वर्ग निवडा.',
+        'A category with subcategories cannot have a parent.': 'उपवर्ग असलेला वर्ग दुसऱ्या वर्गाखाली असू शकत नाही.',
+        'Category already exists.': 'हा वर्ग आधीच आहे.',
+        'Use at least {min} characters.': 'किमान {min} अक्षरे वापरा.',
+        'PINs cannot contain line breaks or control characters.': 'पिनमध्ये लाइन ब्रेक किंवा कंट्रोल अक्षरे असू शकत नाहीत.',
+        'Enter an address starting with http:// or https://': 'http:// किंवा https:// ने सुरू होणारा पत्ता लिहा',
+        'The sync server sent an answer this app does not understand.': 'सिंक सर्व्हरने असे उत्तर पाठवले जे हे ॲप समजू शकत नाही.',
+        'This is not a Munshiji backup file.': 'ही मुंशीजीची बॅकअप फाइल नाही.',
+        'Unsupported backup version: {version}': 'बॅकअपची ही आवृत्ती समर्थित नाही: {version}',
+        'Backup contains no data.': 'बॅकअपमध्ये डेटा नाही.',
+        'Checksum mismatch - the file is corrupted or was modified.': 'चेकसम जुळत नाही - फाइल खराब आहे किंवा बदलली आहे.',
+        'Expenses are missing or invalid.': 'खर्च नाहीत किंवा अवैध आहेत.',
+        'Categories are missing or invalid.': 'वर्ग नाहीत किंवा अवैध आहेत.',
+        'Recurring expenses are invalid.': 'आवर्ती खर्च अवैध आहेत.',
+        'Income is invalid.': 'उत्पन्न अवैध आहे.',
+        'Limits are invalid.': 'मर्यादा अवैध आहेत.',
+        'Exchange rates are invalid.': 'विनिमय दर अवैध आहेत.',
+        'Receipt attachments are invalid.': 'पावत्यांच्या फाइल्स अवैध आहेत.',
+        'Household members are invalid.': 'कुटुंबातील सदस्य अवैध आहेत.',
+        'Settlements are invalid.': 'चुकते व्यवहार अवैध आहेत.',
+        'Limit templates are invalid.': 'मर्यादा टेम्पलेट अवैध आहेत.',
+        'Data saved by an older version of the app is damaged and could not be loaded, so the app has started without it. Download it to keep a copy.': 'ॲपच्या जुन्या आवृत्तीत जतन केलेला डेटा खराब झाला आहे आणि लोड होऊ शकला नाही, म्हणून ॲप त्याशिवाय सुरू झाले आहे. त्याची प्रत ठेवण्यासाठी तो डाउनलोड करा.',
+        'Thank you for using Munshiji!': 'मुंशीजी वापरल्याबद्दल धन्यवाद!',
+        'Your last change could not be saved ({error}). Free up space or back up your data.': 'तुमचा शेवटचा बदल जतन करता आला नाही ({error}). जागा मोकळी करा किंवा डेटाचा बॅकअप घ्या.',
+        'Your data could not be loaded. Please reload the app.': 'तुमचा डेटा लोड करता आला नाही. कृपया ॲप पुन्हा लोड करा.',
+        'Income for {period}': '{period} चे उत्पन्न',
+        'Total income: {amount}': 'एकूण उत्पन्न: {amount}',
+        "Last month's income was {amount}": 'मागील महिन्याचे उत्पन्न {amount} होते',
+        'No income entries for this month.': 'या महिन्यात उत्पन्नाची नोंद नाही.',
+        'Please add an income using the Add Income button.': 'कृपया "उत्पन्न जोडा" बटणाने उत्पन्न जोडा.',
+        'Income has been set to {amount}': 'उत्पन्न {amount} ठरवले आहे',
+        'Edit income entry': 'उत्पन्नाची नोंद बदला',
+        'Add income for {period}': '{period} साठी उत्पन्न जोडा',
+        'Salary': 'पगार',
+        'Freelance': 'फ्रीलान्स',
+        'Rental': 'भाडे उत्पन्न',
+        'Please enter a valid income amount': 'कृपया उत्पन्नाची योग्य रक्कम लिहा',
+        'Income of {amount} from {source} has been set': '{source} कडून {amount} उत्पन्नाची नोंद झाली',
+        'Are you sure you want to delete this income from {source}?': '{source} कडील हे उत्पन्न खरोखर हटवायचे आहे का?',
+        'None (top-level)': 'काहीही नाही (वरचा स्तर)',
+        'Repair Categories ({count})': 'वर्ग दुरुस्त करा ({count})',
+        'No categories added yet.': 'अजून कोणताही वर्ग जोडलेला नाही.',
+        'Alert thresholds must be positive numbers, e.g. 50, 90.': 'सूचना मर्यादा धन संख्या असाव्यात, उदा. 50, 90.',
+        'Your new category "{name}" has been set!': 'तुमचा नवीन वर्ग "{name}" जोडला आहे!',
+        'No categories available to edit.': 'बदलण्यासाठी कोणताही वर्ग नाही.',
+        'Edit {name}': '{name} बदला',
+        'No categories available to delete.': 'हटवण्यासाठी कोणताही वर्ग नाही.',
+        'Are you sure you want to delete {name}?': '{name} खरोखर हटवायचा आहे का?',
+        'Its {count} subcategories will become top-level categories.': 'याचे {count} उपवर्ग वरच्या स्तराचे वर्ग होतील.',
+        '{expenses} expenses and {recurring} recurring expenses use this category.': '{expenses} खर्च आणि {recurring} नियमित खर्च या वर्गात आहेत.',
+        'Deleted category': 'हटवलेला वर्ग',
+        '(no category)': '(वर्ग नाही)',
+        '{expenses} expenses, {recurring} recurring, limits in {months} months': '{expenses} खर्च, {recurring} नियमित, {months} महिन्यांत मर्यादा',
+        'Move': 'हलवा',
+        'Name for this category': 'या वर्गाचे नाव',
+        'Add back': 'परत जोडा',
+        'Every expense, limit and recurring expense uses an existing category.': 'प्रत्येक खर्च, मर्यादा आणि नियमित खर्च अस्तित्वात असलेल्या वर्गात आहे.',
+        'Moved to {name}': '{name} मध्ये हलवले',
+        '{name} has been added back': '{name} परत जोडला आहे',
+        'The category could not be repaired': 'वर्ग दुरुस्त करता आला नाही',
+        'Limits for {period}': '{period} च्या मर्यादा',
+        'Income this month: {amount}': 'या महिन्याचे उत्पन्न: {amount}',
+        '{amount} from {period}': '{period} मधून {amount}',
+        'No limit': 'मर्यादा नाही',
+        'Roll over': 'पुढे न्या',
+        'Carried forward from {period} - press Set to keep them for this month': '{period} मधून पुढे आणल्या - या महिन्यासाठी ठेवण्यासाठी "सेट करा" दाबा',
+        'No templates saved': 'कोणतेही टेम्पलेट जतन केलेले नाही',
+        '"{name}" applied - press Set to save': '"{name}" लागू केले - जतन करण्यासाठी "सेट करा" दाबा',
+        'Enter a template name': 'टेम्पलेटचे नाव लिहा',
+        'Template "{name}" saved': 'टेम्पलेट "{name}" जतन केले',
+        'Delete the template "{name}"?': 'टेम्पलेट "{name}" हटवायचे?',
+        'Template "{name}" deleted': 'टेम्पलेट "{name}" हटवले',
+        'Enter a limit or tick No limit': 'मर्यादा लिहा किंवा "मर्यादा नाही" निवडा',
+        'Higher than income': 'उत्पन्नापेक्षा जास्त',
+        'No income recorded for {period} - add income before setting limits': '{period} साठी उत्पन्न नोंदलेले नाही - मर्यादा ठरवण्यापूर्वी उत्पन्न जोडा',
+        'Limits add up to {total}, more than the {income} income for {period}': 'मर्यादांची बेरीज {total} आहे, जी {period} च्या {income} उत्पन्नापेक्षा जास्त आहे',
+        'Limits for {period} have been set': '{period} च्या मर्यादा ठरवल्या आहेत',
+        'Select a category': 'वर्ग निवडा',
+        'Split across categories...': 'अनेक वर्गांत विभागा...',
+        'No categories': 'वर्ग नाहीत',
+        'Add line': 'ओळ जोडा',
+        'Remove line': 'ओळ काढा',
+        'Lines match the total': 'ओळी एकूण रकमेशी जुळतात',
+        'Left to assign: {amount}': 'वाटायचे बाकी: {amount}',
+        'Over by: {amount}': 'जास्त: {amount}',
+        'Expense is at {percent}% limit for {period}': '{period} साठी खर्च मर्यादेच्या {percent}% वर आहे',
+        'Enter a 3-letter currency code': '3 अक्षरी चलन कोड लिहा',
+        'Every {weekday}': 'दर {weekday}',
+        'Every year on {day} {month}': 'दरवर्षी {day} {month} रोजी',
+        'Monthly on day {day}': 'दरमहा {day} तारखेला',
+        'No recurring expenses yet.': 'अजून कोणताही नियमित खर्च नाही.',
+        'until {date}': '{date} पर्यंत',
+        'Nothing is posted until the comment is fixed.': 'टिप्पणी दुरुस्त होईपर्यंत काहीही नोंदवले जाणार नाही.',
+        'Edit': 'बदला',
+        'Resume': 'पुन्हा सुरू करा',
+        'Pause': 'थांबवा',
+        'End': 'संपवा',
+        'Edit recurring expense': 'नियमित खर्च बदला',
+        'Add a recurring expense': 'नियमित खर्च जोडा',
+        'Enter a day from 1 to 31': '1 ते 31 मधील दिवस लिहा',
+        'Must be after the start date': 'सुरुवातीच्या तारखेनंतर असावी',
+        'Previous year': 'मागील वर्ष',
+        'Next year': 'पुढील वर्ष',
+        'Income': 'उत्पन्न',
+        '{period} - Summary': '{period} - सारांश',
+        'Total expenses: {expenses} | Total limits: {limits}': 'एकूण खर्च: {expenses} | एकूण मर्यादा: {limits}',
+        'Overall usage: {percent}%': 'एकूण वापर: {percent}%',
+        'No limits set': 'मर्यादा ठरवलेल्या नाहीत',
+        'No exchange rate for {currencies} - those amounts are counted as {base}': '{currencies} साठी विनिमय दर नाही - त्या रकमा {base} मध्ये मोजल्या आहेत',
+        'No data': 'डेटा नाही',
+        'Spent': 'खर्च झाला',
+        'Spent so far': 'आतापर्यंत खर्च',
+        'Total limit': 'एकूण मर्यादा',
+        'split, {amount} in total': 'विभागलेला, एकूण {amount}',
+        'No expenses': 'खर्च नाहीत',
+        'Edit Expenses - {period}': 'खर्च बदला - {period}',
+        'No expenses found': 'कोणताही खर्च सापडला नाही',
+        'Split...': 'विभागा...',
+        'Posted by a recurring expense': 'नियमित खर्चातून नोंदला',
+        'Please fix highlighted fields.': 'कृपया खूण केलेली फील्ड दुरुस्त करा.',
+        'All categories': 'सर्व वर्ग',
+        'Invalid date range': 'तारखांचा कालावधी अवैध आहे',
+        'No matching expenses': 'जुळणारे खर्च नाहीत',
+        '{count} expense found | Total: {total}': '{count} खर्च सापडला | एकूण: {total}',
+        '{count} expenses found | Total: {total}': '{count} खर्च सापडले | एकूण: {total}',
+        'Please select a month or range': 'कृपया महिना किंवा कालावधी निवडा',
+        'Value in {currency}': '{currency} मध्ये रक्कम',
+        'Split': 'विभागणी',
+        'The file could not be read.': 'फाइल वाचता आली नाही.',
+        'The file contains no rows.': 'फाइलमध्ये एकही ओळ नाही.',
+        'Column {number}': 'स्तंभ {number}',
+        '(none - base currency)': '(काहीही नाही - मूळ चलन)',
+        'Invalid date': 'अवैध तारीख',
+        'Invalid amount': 'अवैध रक्कम',
+        'Category is blank': 'वर्ग रिकामा आहे',
+        'Invalid category name': 'वर्गाचे नाव अवैध आहे',
+        'Comment is blank': 'टिप्पणी रिकामी आहे',
+        'Invalid currency': 'अवैध चलन',
+        '{ready} of {total} rows ready to import': '{total} पैकी {ready} ओळी आयातीसाठी तयार',
+        '{duplicates} duplicates will be skipped, {errors} rows have errors': '{duplicates} दुहेरी ओळी वगळल्या जातील, {errors} ओळींमध्ये त्रुटी आहेत',
+        'New categories: {names}': 'नवीन वर्ग: {names}',
+        'Duplicate - will be skipped': 'दुहेरी - वगळली जाईल',
+        'Row {line}: {note}': 'ओळ {line}: {note}',
+        'There are no valid rows to import.': 'आयात करण्यासाठी वैध ओळ नाही.',
+        '{imported} expenses imported, {skipped} rows skipped': '{imported} खर्च आयात झाले, {skipped} ओळी वगळल्या',
+        'Total savings for {year}': '{year} ची एकूण बचत',
+        '{period} - Savings': '{period} - बचत',
+        'The passwords do not match.': 'पासवर्ड जुळत नाहीत.',
+        'Password-protected backup downloaded': 'पासवर्डने सुरक्षित बॅकअप डाउनलोड झाला',
+        'Backup downloaded': 'बॅकअप डाउनलोड झाला',
+        'Backup failed: {error}': 'बॅकअप अयशस्वी: {error}',
+        'The file is not valid JSON.': 'फाइल वैध JSON नाही.',
+        'This browser cannot decrypt data. Open the app over HTTPS.': 'हा ब्राउझर डेटा डिक्रिप्ट करू शकत नाही. ॲप HTTPS वर उघडा.',
+        'Backup from {date}': '{date} चा बॅकअप',
+        'Expenses: {incoming} (currently {current})': 'खर्च: {incoming} (सध्या {current})',
+        'Categories: {incoming} (currently {current})': 'वर्ग: {incoming} (सध्या {current})',
+        'Income months: {incoming} (currently {current})': 'उत्पन्नाचे महिने: {incoming} (सध्या {current})',
+        'Limit months: {incoming} (currently {current})': 'मर्यादांचे महिने: {incoming} (सध्या {current})',
+        'Receipt images: {count}': 'पावत्यांचे फोटो: {count}',
+        'Wrong password, or the file is damaged.': 'चुकीचा पासवर्ड, किंवा फाइल खराब आहे.',
+        'Please choose a valid backup file.': 'कृपया वैध बॅकअप फाइल निवडा.',
+        'Data restored: {expenses} expenses, {categories} categories': 'डेटा रिस्टोअर झाला: {expenses} खर्च, {categories} वर्ग',
+        'Alerts ({count})': 'सूचना ({count})',
+        'No alerts.': 'सूचना नाहीत.',
+        'This browser does not support notifications.': 'हा ब्राउझर नोटिफिकेशन दाखवू शकत नाही.',
+        'Turn Off Notifications': 'नोटिफिकेशन बंद करा',
+        'Enable Notifications': 'नोटिफिकेशन सुरू करा',
+        'Notifications are blocked in your browser settings.': 'तुमच्या ब्राउझर सेटिंग्जमध्ये नोटिफिकेशन अवरोधित आहेत.',
+        'New alerts are also shown as notifications.': 'नवीन सूचना नोटिफिकेशन म्हणूनही दाखवल्या जातात.',
+        'New alerts are only shown here.': 'नवीन सूचना फक्त येथेच दाखवल्या जातात.',
+        '{name} could not be read as an image': '{name} फोटो म्हणून वाचता आला नाही',
+        'Remove receipt': 'पावती काढा',
+        'Receipts': 'पावत्या',
+        'Add images': 'फोटो जोडा',
+        'Take photo': 'फोटो काढा',
+        'Adding receipts...': 'पावत्या जोडत आहे...',
+        'The receipt could not be loaded ({error}).': 'पावती लोड होऊ शकली नाही ({error}).',
+        'Paid by': 'पैसे दिले',
+        'Not shared': 'वाटलेला नाही',
+        'Rename': 'नाव बदला',
+        'No household members yet.': 'अजून कुटुंबातील कोणताही सदस्य नाही.',
+        '{name} has been added': '{name} जोडले आहे',
+        '{name} is now {newName}': '{name} आता {newName} आहे',
+        '{name} paid for or shares expenses, so they cannot be deleted': '{name} यांनी खर्च भरला आहे किंवा ते खर्चात भागीदार आहेत, त्यामुळे त्यांना हटवता येणार नाही',
+        '{name} has been deleted': '{name} हटवले आहे',
+        'Balances - {period}': 'हिशोब - {period}',
+        'is owed {amount}': 'यांना {amount} येणे आहे',
+        'owes {amount}': 'यांना {amount} देणे आहे',
+        'is settled up': 'यांचा हिशोब पूर्ण आहे',
+        '{from} pays {to} {amount}': '{from} यांनी {to} यांना {amount} द्यावे',
+        'Record': 'नोंदवा',
+        'Everyone is settled up.': 'सर्वांचा हिशोब पूर्ण आहे.',
+        '{from} paid {to} {amount}': '{from} यांनी {to} यांना {amount} दिले',
+        'No settlements recorded.': 'चुकते व्यवहार नोंदलेले नाहीत.',
+        'Recorded: {from} paid {to} {amount}': 'नोंदले: {from} यांनी {to} यांना {amount} दिले',
+        'paused': 'थांबवलेला',
+        'No limits': 'मर्यादा नाहीत',
+        'Expense': 'खर्च',
+        'Recurring expense': 'नियमित खर्च',
+        'Member': 'सदस्य',
+        'Settlement': 'चुकता व्यवहार',
+        '{record} added: {details}': '{record} जोडला: {details}',
+        '{record} removed: {details}': '{record} काढला: {details}',
+        '...and {count} more': '...आणि आणखी {count}',
+        'Reverted': 'उलटवला',
+        'Revert': 'उलटवा',
+        'No changes recorded yet.': 'अजून कोणताही बदल नोंदलेला नाही.',
+        'The change has been reverted': 'बदल उलटवला आहे',
+        'Enter at least 1 month': 'किमान 1 महिना लिहा',
+        'Enter positive numbers, e.g. 80, 100': 'धन संख्या लिहा, उदा. 80, 100',
+        'Enter a percentage from 0 to 100': '0 ते 100 मधील टक्केवारी लिहा',
+        'Enter a day from 1 to 28': '1 ते 28 मधील दिवस लिहा',
+        'Enter a whole number of minutes, at least 1': 'मिनिटांची पूर्ण संख्या लिहा, किमान 1',
+        'No exchange rate is entered for {currency}, so the current rates cannot be converted and will be cleared. Change the base currency anyway?': '{currency} साठी कोणताही विनिमय दर नोंदवलेला नाही, त्यामुळे सध्याचे दर रूपांतरित करता येणार नाहीत आणि ते काढून टाकले जातील. तरीही मूळ चलन बदलायचे?',
+        'Settings have been saved': 'सेटिंग्ज जतन झाल्या',
+        'Exchange rates for {period}': '{period} चे विनिमय दर',
+        'Enter the value of 1 unit in {base}. Months without a rate use the closest earlier month.': '1 एककाचे मूल्य {base} मध्ये लिहा. दर नसलेल्या महिन्यांसाठी आधीच्या सर्वात जवळच्या महिन्याचा दर वापरला जातो.',
+        'Not set': 'ठरवलेले नाही',
+        'No other currencies yet. Add one below.': 'अजून दुसरे चलन नाही. खाली जोडा.',
+        '{code} is the base currency': '{code} हे मूळ चलन आहे',
+        'Enter a rate above 0': '0 पेक्षा जास्त दर लिहा',
+        'Exchange rates have been saved': 'विनिमय दर जतन झाले',
+        'Your retention setting keeps {months} months of data. {expenses} expenses, {incomeMonths} months of income, {limitMonths} months of limits and {settlements} settlements from before {date} will be removed.': 'तुमच्या सेटिंगनुसार {months} महिन्यांचा डेटा ठेवला जातो. {date} पूर्वीचे {expenses} खर्च, {incomeMonths} महिन्यांचे उत्पन्न, {limitMonths} महिन्यांच्या मर्यादा आणि {settlements} हिशेब चुकते हटवले जातील.',
+        'Wrong PIN': 'चुकीचा पिन',
+        'Without the PIN your data cannot be decrypted. Delete all data on this device and start again?': 'पिनशिवाय तुमचा डेटा डिक्रिप्ट होऊ शकत नाही. या डिव्हाइसवरील सर्व डेटा हटवून पुन्हा सुरू करायचे?',
+        'PIN lock is off.': 'पिन लॉक बंद आहे.',
+        'PIN lock needs the app to be opened over HTTPS.': 'पिन लॉकसाठी ॲप HTTPS वर उघडणे आवश्यक आहे.',
+        'PIN lock is on. Your data is encrypted on this device.': 'पिन लॉक चालू आहे. तुमचा डेटा या डिव्हाइसवर एन्क्रिप्ट आहे.',
+        'Change or remove PIN': 'पिन बदला किंवा काढा',
+        'Set a PIN': 'पिन सेट करा',
+        'Change PIN': 'पिन बदला',
+        'Set PIN': 'पिन सेट करा',
+        'The PIN could not be changed ({error}).': 'पिन बदलता आला नाही ({error}).',
+        'The PINs do not match.': 'पिन जुळत नाहीत.',
+        'Your PIN has been changed': 'तुमचा पिन बदलला आहे',
+        'PIN lock is on. Your data is now encrypted.': 'पिन लॉक चालू आहे. तुमचा डेटा आता एन्क्रिप्ट आहे.',
+        'PIN lock is off. Your data is no longer encrypted.': 'पिन लॉक बंद आहे. तुमचा डेटा आता एन्क्रिप्ट नाही.',
+        'Syncing…': 'सिंक होत आहे…',
+        'Sync failed: {error}': 'सिंक झाले नाही: {error}',
+        '{count} change waiting to sync': '{count} बदल सिंक होण्याच्या प्रतीक्षेत',
+        '{count} changes waiting to sync': '{count} बदल सिंक होण्याच्या प्रतीक्षेत',
+        'Synced {time}': '{time} ला सिंक झाले',
+        'Not synced yet': 'अजून सिंक झाले नाही',
+        'Sync is on with {server}.': '{server} सोबत सिंक चालू आहे.',
+        'Sync is off. Your data stays on this device.': 'सिंक बंद आहे. तुमचा डेटा याच डिव्हाइसवर राहतो.',
+        'Sync finished: {pushed} sent, {pulled} received': 'सिंक पूर्ण झाले: {pushed} पाठवले, {pulled} मिळाले',
+        'Turn off sync on this device? Your data stays here and on the sync server.': 'या डिव्हाइसवर सिंक बंद करायचे? तुमचा डेटा इथे आणि सिंक सर्व्हरवर राहील.',
+        'Sync is off on this device': 'या डिव्हाइसवर सिंक बंद आहे',
+        'Added expense "{comment}"': 'खर्च "{comment}" जोडला',
+        'Added {count} expense': '{count} खर्च जोडला',
+        'Added {count} expenses': '{count} खर्च जोडले',
+        'Deleted expense "{comment}"': 'खर्च "{comment}" हटवला',
+        'Edited expense "{comment}"': 'खर्च "{comment}" बदलला',
+        'Added income "{source}" for {date}': '{date} साठी उत्पन्न "{source}" जोडले',
+        'Edited income "{source}"': 'उत्पन्न "{source}" बदलले',
+        'Deleted income "{source}"': 'उत्पन्न "{source}" हटवले',
+        'Carried income from {from} to {to}': 'उत्पन्न {from} मधून {to} मध्ये पुढे नेले',
+        'Posted {count} recurring expense': '{count} आवर्ती खर्च नोंदवला',
+        'Posted {count} recurring expenses': '{count} आवर्ती खर्च नोंदवले',
+        'Set limits for {period}': '{period} साठी मर्यादा ठरवल्या',
+        'Added member "{name}"': 'सदस्य "{name}" जोडला',
+        'Renamed member "{name}" to "{newName}"': 'सदस्य "{name}" चे नाव बदलून "{newName}" केले',
+        'Deleted member "{name}"': 'सदस्य "{name}" हटवला',
+        'Deleted a settlement': 'एक हिशेब चुकता हटवला',
+        'Reverted: {summary}': 'परत घेतले: {summary}',
+        'Added category "{name}"': 'श्रेणी "{name}" जोडली',
+        'Edited category "{name}"': 'श्रेणी "{name}" बदलली',
+        'Deleted category "{name}"': 'श्रेणी "{name}" हटवली',
+        'Moved records of a missing category to "{name}"': 'हरवलेल्या श्रेणीच्या नोंदी "{name}" मध्ये हलवल्या',
+        'Added back missing category "{name}"': 'हरवलेली श्रेणी "{name}" परत जोडली',
+        'Restored a backup, replacing the data': 'बॅकअप पुनर्संचयित केला, डेटा बदलला',
+        'Merged a backup into the data': 'बॅकअप डेटामध्ये विलीन केला',
+        'Edited {count} expense': '{count} खर्च बदलला',
+        'Edited {count} expenses': '{count} खर्च बदलले',
+        'Imported {count} expense': '{count} खर्च आयात केला',
+        'Imported {count} expenses': '{count} खर्च आयात केले',
+        'No data to chart': 'चार्टसाठी डेटा नाही',
+        'Total': 'एकूण',
+        'The sync server did not accept the access token.': 'सिंक सर्व्हरने ॲक्सेस टोकन स्वीकारला नाही.',
+        'The sync server answered with error {status}.': 'सिंक सर्व्हरने त्रुटी {status} परत केली.',
+        'The sync server did not answer in time.': 'सिंक सर्व्हरने वेळेत उत्तर दिले नाही.',
+        'Ended': 'संपला',
+        'Paused': 'थांबवलेला',
+        'Active': 'चालू',
+        'Split equally': 'समान वाटा',
+        'By percentage': 'टक्केवारीनुसार',
+        'Exact amounts': 'नेमक्या रकमा'
+    },
+    ta: {
+        'Download': 'பதிவிறக்கு',
+        'Dismiss': 'மூடு',
+        'A new version of Munshiji is available.': 'முன்ஷிஜியின் புதிய பதிப்பு கிடைக்கிறது.',
+        'Update': 'புதுப்பி',
+        'Later': 'பின்னர்',
+        'Munshiji': 'முன்ஷிஜி',
+        "Let's track your expenses!": 'உங்கள் செலவுகளைக் கணக்கிடுவோம்!',
+        'Ver 1.2': 'பதிப்பு 1.2',
+        'Main Menu': 'முதன்மை மெனு',
+        'Set/View Income': 'வருமானம் பதி/பார்',
+        'Edit Categories': 'வகைகளைத் திருத்து',
+        'Set/View Limits': 'வரம்புகள் அமை/பார்',
+        'Add Expense': 'செலவைச் சேர்',
+        'Recurring Expenses': 'தொடர் செலவுகள்',
+        'Household': 'குடும்பம்',
+        'View/Edit Expense': 'செலவைப் பார்/திருத்து',
+        'View Savings': 'சேமிப்பைப் பார்',
+        'History': 'வரலாறு',
+        'Backup/Restore Data': 'தரவு காப்பு/மீட்பு',
+        'Settings': 'அமைப்புகள்',
+        'Exit App': 'செயலியிலிருந்து வெளியேறு',
+        'Add Income': 'வருமானம் சேர்',
+        'Carry over last month': 'கடந்த மாத வருமானத்தைக் கொண்டு வா',
+        'Back to Main Menu': 'முதன்மை மெனுவுக்குத் திரும்பு',
+        'Date received': 'பெற்ற தேதி',
+        'Source': 'மூலம்',
+        'Amount': 'தொகை',
+        'Note (optional)': 'குறிப்பு (விருப்பம்)',
+        'Set': 'அமை',
+        'Delete': 'நீக்கு',
+        'Back': 'பின்செல்',
+        'Yes': 'ஆம்',
+        'No': 'இல்லை',
+        'Add Category': 'வகையைச் சேர்',
+        'Edit Category': 'வகையைத் திருத்து',
+        'Delete Category': 'வகையை நீக்கு',
+        'Add the category': 'வகையைச் சேர்',
+        'Parent category': 'முதன்மை வகை',
+        'Colour': 'நிறம்',
+        'Icon (optional)': 'ஐகான் (விருப்பம்)',
+        'Alert thresholds in % (blank for the default)': 'எச்சரிக்கை வரம்புகள் % இல் (இயல்புநிலைக்கு காலியாக விடவும்)',
+        'Your updated list of categories are': 'உங்கள் புதுப்பிக்கப்பட்ட வகைப் பட்டியல்',
+        'Which category would you like to edit?': 'எந்த வகையைத் திருத்த விரும்புகிறீர்கள்?',
+        'Which category would you like to delete?': 'எந்த வகையை நீக்க விரும்புகிறீர்கள்?',
+        'Move them to': 'இவற்றை இங்கே நகர்த்து',
+        'Move and delete': 'நகர்த்தி நீக்கு',
+        'Archive and delete': 'காப்பகப்படுத்தி நீக்கு',
+        'Apply': 'பயன்படுத்து',
+        'Save as template': 'வார்ப்புருவாகச் சேமி',
+        'Add your expense': 'உங்கள் செலவைச் சேர்க்கவும்',
+        'Date': 'தேதி',
+        'Category': 'வகை',
+        'Expense Value': 'செலவுத் தொகை',
+        'Currency': 'நாணயம்',
+        'Item/Comment': 'பொருள்/குறிப்பு',
+        'Add': 'சேர்',
+        'Expense Added!': 'செலவு சேர்க்கப்பட்டது!',
+        'Would you like to add another expense?': 'மற்றொரு செலவைச் சேர்க்க விரும்புகிறீர்களா?',
+        'View/Edit Expenses': 'செலவுகளைப் பார்/திருத்து',
+        'View Month-wise expenses': 'மாதவாரியான செலவுகளைப் பார்',
+        'Edit Expense': 'செலவைத் திருத்து',
+        'Import from CSV': 'CSV இலிருந்து இறக்குமதி',
+        'Search Expenses': 'செலவுகளைத் தேடு',
+        "Which month's expense would you like to view?": 'எந்த மாதச் செலவைப் பார்க்க விரும்புகிறீர்கள்?',
+        'Total Expense': 'மொத்தச் செலவு',
+        'Total Limit': 'மொத்த வரம்பு',
+        '% Used': '% பயன்பாடு',
+        "Which month's expenses would you like to edit?": 'எந்த மாதச் செலவுகளைத் திருத்த விரும்புகிறீர்கள்?',
+        'Rows marked green were posted by a recurring expense.': 'பச்சை வரிசைகள் தொடர் செலவால் பதிவானவை.',
+        'Expense Modified!': 'செலவு மாற்றப்பட்டது!',
+        'Do you want to edit more expenses?': 'மேலும் செலவுகளைத் திருத்த வேண்டுமா?',
+        'Do you want to delete this expense?': 'இந்தச் செலவை நீக்க வேண்டுமா?',
+        "Which month's expenses would you like to download?": 'எந்த மாதச் செலவுகளைப் பதிவிறக்க விரும்புகிறீர்கள்?',
+        'Or enter a date range': 'அல்லது தேதி வரம்பை உள்ளிடவும்',
+        'From Date': 'தொடக்கத் தேதி',
+        'To Date': 'இறுதித் தேதி',
+        'Data downloaded': 'தரவு பதிவிறக்கப்பட்டது',
+        'View your Monthly Savings': 'உங்கள் மாதச் சேமிப்பைப் பாருங்கள்',
+        'Total savings for this month': 'இந்த மாத மொத்தச் சேமிப்பு',
+        'Limit': 'வரம்பு',
+        'Expenses': 'செலவுகள்',
+        'Savings': 'சேமிப்பு',
+        'Are you sure you want to exit?': 'நிச்சயமாக வெளியேற விரும்புகிறீர்களா?',
+        'A backup contains all your expenses, categories, income and limits. Keep it somewhere safe to restore your data later.': 'காப்பில் உங்கள் எல்லாச் செலவுகள், வகைகள், வருமானம் மற்றும் வரம்புகள் இருக்கும். பின்னர் தரவை மீட்க அதைப் பாதுகாப்பான இடத்தில் வைத்திருங்கள்.',
+        'Password for the backup file (optional)': 'காப்புப் பிரதி கோப்பின் கடவுச்சொல் (விருப்பத்தேர்வு)',
+        'Repeat the password': 'கடவுச்சொல்லை மீண்டும் உள்ளிடவும்',
+        'Backup data': 'தரவைக் காப்பெடு',
+        'Restore': 'மீட்டமை',
+        'Restore from a backup': 'காப்பிலிருந்து மீட்டமை',
+        'Backup file': 'காப்புக் கோப்பு',
+        'This backup is password protected. Enter its password': 'இந்தக் காப்புப் பிரதி கடவுச்சொல்லால் பாதுகாக்கப்பட்டுள்ளது. அதன் கடவுச்சொல்லை உள்ளிடவும்',
+        'Open backup': 'காப்புப் பிரதியைத் திற',
+        'Replace current data': 'தற்போதைய தரவை மாற்று',
+        'Merge into current data': 'தற்போதைய தரவுடன் இணை',
+        'Import expenses from CSV': 'CSV இலிருந்து செலவுகளை இறக்குமதி செய்',
+        'CSV file': 'CSV கோப்பு',
+        'Date column': 'தேதி நெடுவரிசை',
+        'Category column': 'வகை நெடுவரிசை',
+        'Expense Value column': 'செலவுத் தொகை நெடுவரிசை',
+        'Item/Comment column': 'பொருள்/குறிப்பு நெடுவரிசை',
+        'Currency column (optional)': 'நாணய நெடுவரிசை (விருப்பம்)',
+        'Date format': 'தேதி வடிவம்',
+        'YYYY-MM-DD': 'ஆண்டு-மாதம்-நாள் (YYYY-MM-DD)',
+        'DD/MM/YYYY': 'நாள்/மாதம்/ஆண்டு (DD/MM/YYYY)',
+        'MM/DD/YYYY': 'மாதம்/நாள்/ஆண்டு (MM/DD/YYYY)',
+        'First row is a header': 'முதல் வரிசை தலைப்பு',
+        'Create missing categories': 'இல்லாத வகைகளை உருவாக்கு',
+        'Value': 'தொகை',
+        'Import': 'இறக்குமதி',
+        'Language and numbers': 'மொழி மற்றும் எண்கள்',
+        'Language': 'மொழி',
+        'Number format': 'எண் வடிவம்',
+        'International (100,000.00)': 'சர்வதேச (100,000.00)',
+        'Indian (1,00,000.00)': 'இந்திய (1,00,000.00)',
+        'Show the currency symbol with amounts': 'தொகைகளுடன் நாணயக் குறியைக் காட்டு',
+        'Data retention': 'தரவைத் தக்கவைத்தல்',
+        'Keep expenses, income and limits': 'செலவுகள், வருமானம், வரம்புகளை வைத்திரு',
+        'Forever': 'எப்போதும்',
+        'For a number of months': 'சில மாதங்களுக்கு',
+        'Number of months': 'மாதங்களின் எண்ணிக்கை',
+        'Base currency (all totals are shown in it)': 'அடிப்படை நாணயம் (எல்லா மொத்தங்களும் இதில் காட்டப்படும்)',
+        'Exchange Rates': 'மாற்று விகிதங்கள்',
+        'Budget period': 'பட்ஜெட் காலம்',
+        "Each month's budget starts on day (e.g. your payday)": 'ஒவ்வொரு மாத பட்ஜெட்டும் இந்த நாளில் தொடங்கும் (எ.கா. சம்பள நாள்)',
+        'Limits': 'வரம்புகள்',
+        'Carry limits forward to months without their own limits': 'சொந்த வரம்பு இல்லாத மாதங்களுக்கு முந்தைய வரம்புகளைப் பயன்படுத்து',
+        'PIN lock': 'PIN பூட்டு',
+        'Lock after this many minutes without use (blank for never)': 'இத்தனை நிமிடங்கள் பயன்படுத்தாவிட்டால் பூட்டு (ஒருபோதும் இல்லை என்றால் காலியாக விடவும்)',
+        'Sync': 'ஒத்திசைவு',
+        'Sync settings': 'ஒத்திசைவு அமைப்புகள்',
+        'Alerts': 'எச்சரிக்கைகள்',
+        'Alert at these percentages of a limit': 'வரம்பின் இந்தச் சதவீதங்களில் எச்சரிக்கை',
+        'Warn when spending runs ahead of the month': 'செலவு மாதத்தின் வேகத்தை விட முந்தினால் எச்சரி',
+        'Warn when less than this % of income is left (blank for never)': 'வருமானத்தில் இந்த % க்குக் குறைவாக மீதமிருந்தால் எச்சரி (ஒருபோதும் வேண்டாமெனில் காலியாக விடவும்)',
+        'Old data will be removed': 'பழைய தரவு நீக்கப்படும்',
+        'Download archive and remove': 'காப்பகத்தைப் பதிவிறக்கி நீக்கு',
+        'Remove without archive': 'காப்பகம் இல்லாமல் நீக்கு',
+        'Keep for now': 'இப்போதைக்கு வைத்திரு',
+        'Change retention setting': 'தக்கவைப்பு அமைப்பை மாற்று',
+        'Add recurring expense': 'தொடர் செலவைச் சேர்',
+        'Repeats': 'மீள்நிகழ்வு',
+        'Monthly': 'மாதாந்திரம்',
+        'Weekly': 'வாராந்திரம்',
+        'Yearly': 'ஆண்டுதோறும்',
+        'Month': 'மாதம்',
+        'Day of month': 'மாதத்தின் நாள்',
+        'Day of week': 'வாரத்தின் நாள்',
+        'Starts on': 'தொடக்கம்',
+        'Ends on (optional)': 'முடிவு (விருப்பம்)',
+        'Item/Comment contains': 'பொருள்/குறிப்பில் உள்ளது',
+        'Min Amount': 'குறைந்தபட்சத் தொகை',
+        'Max Amount': 'அதிகபட்சத் தொகை',
+        'Sort by': 'வரிசைப்படுத்து',
+        'Newest first': 'புதியவை முதலில்',
+        'Oldest first': 'பழையவை முதலில்',
+        'Highest amount': 'அதிகத் தொகை',
+        'Lowest amount': 'குறைந்த தொகை',
+        'Search': 'தேடு',
+        'Clear': 'அழி',
+        'Running Total': 'தொடர் மொத்தம்',
+        "Tap a row to edit that month's expenses.": 'அந்த மாதச் செலவுகளைத் திருத்த ஒரு வரிசையைத் தட்டவும்.',
+        'Export results': 'முடிவுகளை ஏற்றுமதி செய்',
+        'Add currency': 'நாணயம் சேர்',
+        'Repair Categories': 'வகைகளைச் சரிசெய்',
+        'These expenses, limits or recurring expenses point at a category that is no longer in your category list.': 'இந்தச் செலவுகள், வரம்புகள் அல்லது தொடர் செலவுகள் உங்கள் பட்டியலில் இப்போது இல்லாத ஒரு வகையைச் சுட்டுகின்றன.',
+        'Clear All': 'அனைத்தையும் அழி',
+        'Changes to expenses, categories, income and limits, newest first. Revert undoes a single change.': 'செலவுகள், வகைகள், வருமானம், வரம்புகளில் செய்த மாற்றங்கள், புதியவை முதலில். "திரும்பப்பெறு" ஒரு மாற்றத்தை ரத்து செய்யும்.',
+        'People who share expenses. Choose who paid when adding an expense to share it between them.': 'செலவுகளைப் பகிர்ந்துகொள்பவர்கள். செலவைச் சேர்க்கும்போது யார் செலுத்தினார் என்பதைத் தேர்ந்தெடுத்தால் அது அவர்களிடையே பகிரப்படும்.',
+        'Add member': 'உறுப்பினரைச் சேர்',
+        'Balances': 'நிலுவைகள்',
+        'Settle up': 'கணக்கைத் தீர்',
+        'Settlements': 'தீர்வுகள்',
+        'Enter your PIN to unlock': 'திறக்க உங்கள் PIN-ஐ உள்ளிடவும்',
+        'Unlock': 'திற',
+        'Forgot PIN?': 'PIN மறந்துவிட்டதா?',
+        'With a PIN, your data and receipts are encrypted on this device and the app asks for the PIN when it opens. A forgotten PIN cannot be recovered, so keep a backup.': 'PIN இருந்தால், உங்கள் தரவும் ரசீதுகளும் இந்தச் சாதனத்தில் மறையாக்கம் செய்யப்படும், செயலி திறக்கும்போது PIN கேட்கும். மறந்த PIN-ஐ மீட்க முடியாது, எனவே காப்புப் பிரதி வைத்திருங்கள்.',
+        'Current PIN': 'தற்போதைய PIN',
+        'New PIN or passphrase': 'புதிய PIN அல்லது கடவுச்சொற்றொடர்',
+        'Repeat the new PIN': 'புதிய PIN-ஐ மீண்டும் உள்ளிடவும்',
+        'Remove PIN': 'PIN-ஐ நீக்கு',
+        'Sync keeps expenses, income, categories, limits, recurring expenses and the household the same on all your devices through a sync server. Receipts, the history and the language and lock settings stay on each device.': 'ஒத்திசைவு சேவையகம் மூலம் உங்கள் எல்லாச் சாதனங்களிலும் செலவுகள், வருமானம், வகைகள், வரம்புகள், தொடர் செலவுகள் மற்றும் குடும்ப உறுப்பினர்களை ஒரே மாதிரி வைத்திருக்கிறது. ரசீதுகள், வரலாறு, மொழி மற்றும் பூட்டு அமைப்புகள் ஒவ்வொரு சாதனத்திலும் தனியாக இருக்கும்.',
+        'Sync server address': 'ஒத்திசைவு சேவையக முகவரி',
+        'Access token (optional)': 'அணுகல் டோக்கன் (விருப்பத்தேர்வு)',
+        'Save and sync': 'சேமித்து ஒத்திசை',
+        'Sync now': 'இப்போது ஒத்திசை',
+        'Turn off sync': 'ஒத்திசைவை அணை',
+        'Close': 'மூடு',
+        'Undo': 'செயல்தவிர்',
+        'e.g. Salary, Freelance, Rent': 'எ.கா. சம்பளம், ஃப்ரீலான்ஸ், வாடகை',
+        'Enter income amount': 'வருமானத் தொகையை உள்ளிடவும்',
+        'Enter a note': 'குறிப்பை உள்ளிடவும்',
+        'Enter category name': 'வகையின் பெயரை உள்ளிடவும்',
+        'e.g. 🛒': 'எ.கா. 🛒',
+        'e.g. 50, 90': 'எ.கா. 50, 90',
+        'Enter new category name': 'வகையின் புதிய பெயரை உள்ளிடவும்',
+        'Template name, e.g. Holiday month': 'வார்ப்புருவின் பெயர், எ.கா. விடுமுறை மாதம்',
+        'Enter amount': 'தொகையை உள்ளிடவும்',
+        'Enter item or comment': 'பொருள் அல்லது குறிப்பை உள்ளிடவும்',
+        'e.g. 80, 100': 'எ.கா. 80, 100',
+        'e.g. Rent, Phone bill': 'எ.கா. வாடகை, தொலைபேசிக் கட்டணம்',
+        'e.g. groceries': 'எ.கா. மளிகை',
+        'Code': 'குறியீடு',
+        'Name': 'பெயர்',
+        'Previous month': 'முந்தைய மாதம்',
+        'Next month': 'அடுத்த மாதம்',
+        'PIN': 'PIN',
+        'Receipt': 'ரசீது',
+        'Cannot be blank': 'காலியாக இருக்கக் கூடாது',
+        'Comments can be at most {max} characters.': 'குறிப்பு அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+        'Comments cannot contain line breaks or control characters.': 'குறிப்பில் வரி முறிவுகள் அல்லது கட்டுப்பாட்டு எழுத்துகள் இருக்கக் கூடாது.',
+        'A split needs at least two lines': 'பிரிப்புக்குக் குறைந்தது இரண்டு வரிகள் தேவை',
+        'Choose a category for every line': 'ஒவ்வொரு வரிக்கும் ஒரு வகையைத் தேர்ந்தெடுக்கவும்',
+        'Every line needs an amount': 'ஒவ்வொரு வரிக்கும் தொகை தேவை',
+        'Lines add up to {sum}, not {total}': 'வரிகளின் கூட்டுத்தொகை {sum}, {total} அல்ல',
+        'Unknown member': 'தெரியாத உறுப்பினர்',
+        'Please enter a name.': 'பெயரை உள்ளிடவும்.',
+        'Member already exists.': 'இந்த உறுப்பினர் ஏற்கனவே உள்ளார்.',
+        'Choose who paid': 'யார் செலுத்தினார் எனத் தேர்ந்தெடுக்கவும்',
+        'Choose who shares the expense': 'செலவை யார் பகிர்கிறார்கள் எனத் தேர்ந்தெடுக்கவும்',
+        'Enter a share for everyone ticked': 'தேர்ந்தெடுத்த ஒவ்வொருவரின் பங்கையும் உள்ளிடவும்',
+        'Percentages add up to {sum}%, not 100%': 'சதவீதங்களின் கூட்டுத்தொகை {sum}%, 100% அல்ல',
+        'Shares add up to {sum}, not {total}': 'பங்குகளின் கூட்டுத்தொகை {sum}, {total} அல்ல',
+        '{name} has reached {percent}% of its limit ({threshold}% alert)': '{name} அதன் வரம்பின் {percent}% ஐ எட்டியுள்ளது ({threshold}% எச்சரிக்கை)',
+        '{name} is {percent}% spent with {elapsed}% of the month gone': '{name} இல் {percent}% செலவாகிவிட்டது, மாதத்தில் {elapsed}% மட்டுமே கடந்துள்ளது',
+        'Spending this month is {amount} more than income': 'இந்த மாதச் செலவு வருமானத்தை விட {amount} அதிகம்',
+        "Only {percent}% of this month's income is left": 'இந்த மாத வருமானத்தில் {percent}% மட்டுமே மீதமுள்ளது',
+        'This change is no longer in the history.': 'இந்த மாற்றம் இப்போது வரலாற்றில் இல்லை.',
+        'This change has already been reverted.': 'இந்த மாற்றம் ஏற்கனவே திரும்பப்பெறப்பட்டது.',
+        'Some of these records have changed since. Revert the later changes first.': 'இவற்றில் சில பதிவுகள் பின்னர் மாறியுள்ளன. முதலில் பிந்தைய மாற்றங்களைத் திரும்பப்பெறவும்.',
+        'Unknown category': 'அறியப்படாத வகை',
+        'Names cannot contain ">".': 'பெயர்களில் ">" இருக்கக் கூடாது.',
+        'Names can be at most {max} characters.': 'பெயர் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+        'Names cannot contain line breaks or control characters.': 'பெயரில் வரி முறிவுகள் அல்லது கட்டுப்பாட்டு எழுத்துகள் இருக்கக் கூடாது.',
+        'Colours must look like #34C759.': 'நிறம் #34C759 போல இருக்க வேண்டும்.',
+        'Icons can be at most {max} characters.': 'ஐகான் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+        'Icons cannot contain line breaks or control characters.': 'ஐகானில் வரி முறிவுகள் அல்லது கட்டுப்பாட்டு எழுத்துகள் இருக்கக் கூடாது.',
+        'Choose a top-level parent category.': 'மேல்நிலை முதன்மை வகையைத் தேர்ந்தெடுக்கவும்.',
+        'A category with subcategories cannot have a parent.': 'துணை வகைகள் உள்ள வகை வேறொரு வகையின் கீழ் இருக்க முடியாது.',
+        'Category already exists.': 'இந்த வகை ஏற்கனவே உள்ளது.',
+        'Use at least {min} characters.': 'குறைந்தது {min} எழுத்துகளைப் பயன்படுத்தவும்.',
+        'PINs cannot contain line breaks or control characters.': 'PIN-இல் வரி முறிவுகள் அல்லது கட்டுப்பாட்டு எழுத்துகள் இருக்கக் கூடாது.',
+        'Enter an address starting with http:// or https://': 'http:// அல்லது https:// எனத் தொடங்கும் முகவரியை உள்ளிடவும்',
+        'The sync server sent an answer this app does not understand.': 'இந்தச் செயலிக்குப் புரியாத பதிலை ஒத்திசைவு சேவையகம் அனுப்பியது.',
+        'This is not a Munshiji backup file.': 'இது முன்ஷிஜி காப்புக் கோப்பு அல்ல.',
+        'Unsupported backup version: {version}': 'ஆதரிக்கப்படாத காப்புப் பதிப்பு: {version}',
+        'Backup contains no data.': 'காப்பில் தரவு இல்லை.',
+        'Checksum mismatch - the file is corrupted or was modified.': 'செக்சம் பொருந்தவில்லை - கோப்பு சேதமடைந்துள்ளது அல்லது மாற்றப்பட்டுள்ளது.',
+        'Expenses are missing or invalid.': 'செலவுகள் இல்லை அல்லது தவறானவை.',
+        'Categories are missing or invalid.': 'வகைகள் இல்லை அல்லது தவறானவை.',
+        'Recurring expenses are invalid.': 'தொடர் செலவுகள் தவறானவை.',
+        'Income is invalid.': 'வருமானம் தவறானது.',
+        'Limits are invalid.': 'வரம்புகள் தவறானவை.',
+        'Exchange rates are invalid.': 'மாற்று விகிதங்கள் தவறானவை.',
+        'Receipt attachments are invalid.': 'ரசீது இணைப்புகள் தவறானவை.',
+        'Household members are invalid.': 'குடும்ப உறுப்பினர்கள் தவறானவர்கள்.',
+        'Settlements are invalid.': 'தீர்வுகள் தவறானவை.',
+        'Limit templates are invalid.': 'வரம்பு வார்ப்புருக்கள் தவறானவை.',
+        'Data saved by an older version of the app is damaged and could not be loaded, so the app has started without it. Download it to keep a copy.': 'செயலியின் பழைய பதிப்பில் சேமிக்கப்பட்ட தரவு சேதமடைந்துள்ளதால் ஏற்ற முடியவில்லை, எனவே செயலி அது இல்லாமல் தொடங்கியுள்ளது. அதன் நகலை வைத்திருக்க அதைப் பதிவிறக்கவும்.',
+        'Thank you for using Munshiji!': 'முன்ஷிஜியைப் பயன்படுத்தியதற்கு நன்றி!',
+        'Your last change could not be saved ({error}). Free up space or back up your data.': 'உங்கள் கடைசி மாற்றத்தைச் சேமிக்க முடியவில்லை ({error}). இடத்தைக் காலி செய்யவும் அல்லது தரவைக் காப்பெடுக்கவும்.',
+        'Your data could not be loaded. Please reload the app.': 'உங்கள் தரவை ஏற்ற முடியவில்லை. செயலியை மீண்டும் ஏற்றவும்.',
+        'Income for {period}': '{period} வருமானம்',
+        'Total income: {amount}': 'மொத்த வருமானம்: {amount}',
+        "Last month's income was {amount}": 'கடந்த மாத வருமானம் {amount}',
+        'No income entries for this month.': 'இந்த மாதத்திற்கு வருமானப் பதிவுகள் இல்லை.',
+        'Please add an income using the Add Income button.': '"வருமானம் சேர்" பொத்தானைப் பயன்படுத்தி வருமானத்தைச் சேர்க்கவும்.',
+        'Income has been set to {amount}': 'வருமானம் {amount} என அமைக்கப்பட்டது',
+        'Edit income entry': 'வருமானப் பதிவைத் திருத்து',
+        'Add income for {period}': '{period} க்கு வருமானம் சேர்',
+        'Salary': 'சம்பளம்',
+        'Freelance': 'ஃப்ரீலான்ஸ்',
+        'Rental': 'வாடகை வருமானம்',
+        'Please enter a valid income amount': 'சரியான வருமானத் தொகையை உள்ளிடவும்',
+        'Income of {amount} from {source} has been set': '{source} இலிருந்து {amount} வருமானம் பதிவானது',
+        'Are you sure you want to delete this income from {source}?': '{source} இலிருந்து வந்த இந்த வருமானத்தை நீக்க வேண்டுமா?',
+        'None (top-level)': 'எதுவுமில்லை (மேல்நிலை)',
+        'Repair Categories ({count})': 'வகைகளைச் சரிசெய் ({count})',
+        'No categories added yet.': 'இன்னும் வகைகள் சேர்க்கப்படவில்லை.',
+        'Alert thresholds must be positive numbers, e.g. 50, 90.': 'எச்சரிக்கை வரம்புகள் நேர்ம எண்களாக இருக்க வேண்டும், எ.கா. 50, 90.',
+        'Your new category "{name}" has been set!': 'உங்கள் புதிய வகை "{name}" சேர்க்கப்பட்டது!',
+        'No categories available to edit.': 'திருத்த வகைகள் இல்லை.',
+        'Edit {name}': '{name} ஐத் திருத்து',
+        'No categories available to delete.': 'நீக்க வகைகள் இல்லை.',
+        'Are you sure you want to delete {name}?': '{name} ஐ நீக்க வேண்டுமா?',
+        'Its {count} subcategories will become top-level categories.': 'இதன் {count} துணை வகைகள் மேல்நிலை வகைகளாகும்.',
+        '{expenses} expenses and {recurring} recurring expenses use this category.': '{expenses} செலவுகளும் {recurring} தொடர் செலவுகளும் இந்த வகையைப் பயன்படுத்துகின்றன.',
+        'Deleted category': 'நீக்கப்பட்ட வகை',
+        '(no category)': '(வகை இல்லை)',
+        '{expenses} expenses, {recurring} recurring, limits in {months} months': '{expenses} செலவுகள், {recurring} தொடர், {months} மாதங்களில் வரம்புகள்',
+        'Move': 'நகர்த்து',
+        'Name for this category': 'இந்த வகையின் பெயர்',
+        'Add back': 'மீண்டும் சேர்',
+        'Every expense, limit and recurring expense uses an existing category.': 'ஒவ்வொரு செலவும், வரம்பும், தொடர் செலவும் உள்ள ஒரு வகையைப் பயன்படுத்துகிறது.',
+        'Moved to {name}': '{name} க்கு நகர்த்தப்பட்டது',
+        '{name} has been added back': '{name} மீண்டும் சேர்க்கப்பட்டது',
+        'The category could not be repaired': 'வகையைச் சரிசெய்ய முடியவில்லை',
+        'Limits for {period}': '{period} வரம்புகள்',
+        'Income this month: {amount}': 'இந்த மாத வருமானம்: {amount}',
+        '{amount} from {period}': '{period} இலிருந்து {amount}',
+        'No limit': 'வரம்பு இல்லை',
+        'Roll over': 'முன்னெடு',
+        'Carried forward from {period} - press Set to keep them for this month': '{period} இலிருந்து கொண்டுவரப்பட்டது - இந்த மாதத்திற்கு வைத்திருக்க "அமை" அழுத்தவும்',
+        'No templates saved': 'வார்ப்புருக்கள் சேமிக்கப்படவில்லை',
+        '"{name}" applied - press Set to save': '"{name}" பயன்படுத்தப்பட்டது - சேமிக்க "அமை" அழுத்தவும்',
+        'Enter a template name': 'வார்ப்புருவின் பெயரை உள்ளிடவும்',
+        'Template "{name}" saved': 'வார்ப்புரு "{name}" சேமிக்கப்பட்டது',
+        'Delete the template "{name}"?': 'வார்ப்புரு "{name}" ஐ நீக்கவா?',
+        'Template "{name}" deleted': 'வார்ப்புரு "{name}" நீக்கப்பட்டது',
+        'Enter a limit or tick No limit': 'வரம்பை உள்ளிடவும் அல்லது "வரம்பு இல்லை" தேர்ந்தெடுக்கவும்',
+        'Higher than income': 'வருமானத்தை விட அதிகம்',
+        'No income recorded for {period} - add income before setting limits': '{period} க்கு வருமானம் பதிவாகவில்லை - வரம்புகளை அமைக்கும் முன் வருமானத்தைச் சேர்க்கவும்',
+        'Limits add up to {total}, more than the {income} income for {period}': 'வரம்புகளின் கூட்டுத்தொகை {total}, இது {period} இன் {income} வருமானத்தை விட அதிகம்',
+        'Limits for {period} have been set': '{period} வரம்புகள் அமைக்கப்பட்டன',
+        'Select a category': 'வகையைத் தேர்ந்தெடுக்கவும்',
+        'Split across categories...': 'பல வகைகளில் பிரி...',
+        'No categories': 'வகைகள் இல்லை',
+        'Add line': 'வரியைச் சேர்',
+        'Remove line': 'வரியை நீக்கு',
+        'Lines match the total': 'வரிகள் மொத்தத்துடன் பொருந்துகின்றன',
+        'Left to assign: {amount}': 'ஒதுக்க மீதம்: {amount}',
+        'Over by: {amount}': 'அதிகம்: {amount}',
+        'Expense is at {percent}% limit for {period}': '{period} க்கான வரம்பில் செலவு {percent}% இல் உள்ளது',
+        'Enter a 3-letter currency code': '3 எழுத்து நாணயக் குறியீட்டை உள்ளிடவும்',
+        'Every {weekday}': 'ஒவ்வொரு {weekday}',
+        'Every year on {day} {month}': 'ஒவ்வொரு ஆண்டும் {month} {day} அன்று',
+        'Monthly on day {day}': 'ஒவ்வொரு மாதமும் {day} ஆம் தேதி',
+        'No recurring expenses yet.': 'இன்னும் தொடர் செலவுகள் இல்லை.',
+        'until {date}': '{date} வரை',
+        'Nothing is posted until the comment is fixed.': 'குறிப்பு சரிசெய்யப்படும் வரை எதுவும் பதிவு செய்யப்படாது.',
+        'Edit': 'திருத்து',
+        'Resume': 'மீண்டும் தொடங்கு',
+        'Pause': 'இடைநிறுத்து',
+        'End': 'முடி',
+        'Edit recurring expense': 'தொடர் செலவைத் திருத்து',
+        'Add a recurring expense': 'தொடர் செலவைச் சேர்',
+        'Enter a day from 1 to 31': '1 முதல் 31 வரையிலான நாளை உள்ளிடவும்',
+        'Must be after the start date': 'தொடக்கத் தேதிக்குப் பிறகு இருக்க வேண்டும்',
+        'Previous year': 'முந்தைய ஆண்டு',
+        'Next year': 'அடுத்த ஆண்டு',
+        'Income': 'வருமானம்',
+        '{period} - Summary': '{period} - சுருக்கம்',
+        'Total expenses: {expenses} | Total limits: {limits}': 'மொத்தச் செலவுகள்: {expenses} | மொத்த வரம்புகள்: {limits}',
+        'Overall usage: {percent}%': 'மொத்தப் பயன்பாடு: {percent}%',
+        'No limits set': 'வரம்புகள் அமைக்கப்படவில்லை',
+        'No exchange rate for {currencies} - those amounts are counted as {base}': '{currencies} க்கு மாற்று விகிதம் இல்லை - அந்தத் தொகைகள் {base} ஆகக் கணக்கிடப்பட்டன',
+        'No data': 'தரவு இல்லை',
+        'Spent': 'செலவானது',
+        'Spent so far': 'இதுவரை செலவு',
+        'Total limit': 'மொத்த வரம்பு',
+        'split, {amount} in total': 'பிரிக்கப்பட்டது, மொத்தம் {amount}',
+        'No expenses': 'செலவுகள் இல்லை',
+        'Edit Expenses - {period}': 'செலவுகளைத் திருத்து - {period}',
+        'No expenses found': 'செலவுகள் எதுவும் இல்லை',
+        'Split...': 'பிரி...',
+        'Posted by a recurring expense': 'தொடர் செலவால் பதிவானது',
+        'Please fix highlighted fields.': 'குறிக்கப்பட்ட புலங்களைச் சரிசெய்யவும்.',
+        'All categories': 'எல்லா வகைகளும்',
+        'Invalid date range': 'தவறான தேதி வரம்பு',
+        'No matching expenses': 'பொருந்தும் செலவுகள் இல்லை',
+        '{count} expense found | Total: {total}': '{count} செலவு கிடைத்தது | மொத்தம்: {total}',
+        '{count} expenses found | Total: {total}': '{count} செலவுகள் கிடைத்தன | மொத்தம்: {total}',
+        'Please select a month or range': 'ஒரு மாதம் அல்லது வரம்பைத் தேர்ந்தெடுக்கவும்',
+        'Value in {currency}': '{currency} இல் மதிப்பு',
+        'Split': 'பிரிப்பு',
+        'The file could not be read.': 'கோப்பைப் படிக்க முடியவில்லை.',
+        'The file contains no rows.': 'கோப்பில் வரிசைகள் இல்லை.',
+        'Column {number}': 'நெடுவரிசை {number}',
+        '(none - base currency)': '(எதுவுமில்லை - அடிப்படை நாணயம்)',
+        'Invalid date': 'தவறான தேதி',
+        'Invalid amount': 'தவறான தொகை',
+        'Category is blank': 'வகை காலியாக உள்ளது',
+        'Invalid category name': 'தவறான வகைப் பெயர்',
+        'Comment is blank': 'குறிப்பு காலியாக உள்ளது',
+        'Invalid currency': 'தவறான நாணயம்',
+        '{ready} of {total} rows ready to import': '{total} இல் {ready} வரிசைகள் இறக்குமதிக்குத் தயார்',
+        '{duplicates} duplicates will be skipped, {errors} rows have errors': '{duplicates} நகல்கள் தவிர்க்கப்படும், {errors} வரிசைகளில் பிழைகள் உள்ளன',
+        'New categories: {names}': 'புதிய வகைகள்: {names}',
+        'Duplicate - will be skipped': 'நகல் - தவிர்க்கப்படும்',
+        'Row {line}: {note}': 'வரிசை {line}: {note}',
+        'There are no valid rows to import.': 'இறக்குமதி செய்யச் சரியான வரிசைகள் இல்லை.',
+        '{imported} expenses imported, {skipped} rows skipped': '{imported} செலவுகள் இறக்குமதியாயின, {skipped} வரிசைகள் தவிர்க்கப்பட்டன',
+        'Total savings for {year}': '{year} மொத்தச் சேமிப்பு',
+        '{period} - Savings': '{period} - சேமிப்பு',
+        'The passwords do not match.': 'கடவுச்சொற்கள் பொருந்தவில்லை.',
+        'Password-protected backup downloaded': 'கடவுச்சொல்லால் பாதுகாக்கப்பட்ட காப்புப் பிரதி பதிவிறக்கப்பட்டது',
+        'Backup downloaded': 'காப்பு பதிவிறக்கப்பட்டது',
+        'Backup failed: {error}': 'காப்பு தோல்வியடைந்தது: {error}',
+        'The file is not valid JSON.': 'கோப்பு சரியான JSON அல்ல.',
+        'This browser cannot decrypt data. Open the app over HTTPS.': 'இந்த உலாவியால் தரவை மறைவிலக்க முடியாது. செயலியை HTTPS வழியாகத் திறக்கவும்.',
+        'Backup from {date}': '{date} காப்பு',
+        'Expenses: {incoming} (currently {current})': 'செலவுகள்: {incoming} (தற்போது {current})',
+        'Categories: {incoming} (currently {current})': 'வகைகள்: {incoming} (தற்போது {current})',
+        'Income months: {incoming} (currently {current})': 'வருமான மாதங்கள்: {incoming} (தற்போது {current})',
+        'Limit months: {incoming} (currently {current})': 'வரம்பு மாதங்கள்: {incoming} (தற்போது {current})',
+        'Receipt images: {count}': 'ரசீதுப் படங்கள்: {count}',
+        'Wrong password, or the file is damaged.': 'தவறான கடவுச்சொல், அல்லது கோப்பு சேதமடைந்துள்ளது.',
+        'Please choose a valid backup file.': 'சரியான காப்புக் கோப்பைத் தேர்ந்தெடுக்கவும்.',
+        'Data restored: {expenses} expenses, {categories} categories': 'தரவு மீட்கப்பட்டது: {expenses} செலவுகள், {categories} வகைகள்',
+        'Alerts ({count})': 'எச்சரிக்கைகள் ({count})',
+        'No alerts.': 'எச்சரிக்கைகள் இல்லை.',
+        'This browser does not support notifications.': 'இந்த உலாவி அறிவிப்புகளை ஆதரிக்கவில்லை.',
+        'Turn Off Notifications': 'அறிவிப்புகளை அணை',
+        'Enable Notifications': 'அறிவிப்புகளை இயக்கு',
+        'Notifications are blocked in your browser settings.': 'உங்கள் உலாவி அமைப்புகளில் அறிவிப்புகள் தடுக்கப்பட்டுள்ளன.',
+        'New alerts are also shown as notifications.': 'புதிய எச்சரிக்கைகள் அறிவிப்புகளாகவும் காட்டப்படும்.',
+        'New alerts are only shown here.': 'புதிய எச்சரிக்கைகள் இங்கே மட்டுமே காட்டப்படும்.',
+        '{name} could not be read as an image': '{name} ஐப் படமாகப் படிக்க முடியவில்லை',
+        'Remove receipt': 'ரசீதை நீக்கு',
+        'Receipts': 'ரசீதுகள்',
+        'Add images': 'படங்களைச் சேர்',
+        'Take photo': 'புகைப்படம் எடு',
+        'Adding receipts...': 'ரசீதுகள் சேர்க்கப்படுகின்றன...',
+        'The receipt could not be loaded ({error}).': 'ரசீதை ஏற்ற முடியவில்லை ({error}).',
+        'Paid by': 'செலுத்தியவர்',
+        'Not shared': 'பகிரப்படவில்லை',
+        'Rename': 'பெயர் மாற்று',
+        'No household members yet.': 'இன்னும் குடும்ப உறுப்பினர்கள் இல்லை.',
+        '{name} has been added': '{name} சேர்க்கப்பட்டார்',
+        '{name} is now {newName}': '{name} இப்போது {newName}',
+        '{name} paid for or shares expenses, so they cannot be deleted': '{name} செலவுகளைச் செலுத்தியுள்ளார் அல்லது பகிர்கிறார், எனவே நீக்க முடியாது',
+        '{name} has been deleted': '{name} நீக்கப்பட்டார்',
+        'Balances - {period}': 'நிலுவைகள் - {period}',
+        'is owed {amount}': '{amount} பெற வேண்டும்',
+        'owes {amount}': '{amount} தர வேண்டும்',
+        'is settled up': 'கணக்கு தீர்ந்தது',
+        '{from} pays {to} {amount}': '{from}, {to} க்கு {amount} தர வேண்டும்',
+        'Record': 'பதிவு செய்',
+        'Everyone is settled up.': 'அனைவரின் கணக்கும் தீர்ந்தது.',
+        '{from} paid {to} {amount}': '{from}, {to} க்கு {amount} செலுத்தினார்',
+        'No settlements recorded.': 'தீர்வுகள் பதிவாகவில்லை.',
+        'Recorded: {from} paid {to} {amount}': 'பதிவானது: {from}, {to} க்கு {amount} செலுத்தினார்',
+        'paused': 'இடைநிறுத்தப்பட்டது',
+        'No limits': 'வரம்புகள் இல்லை',
+        'Expense': 'செலவு',
+        'Recurring expense': 'தொடர் செலவு',
+        'Member': 'உறுப்பினர்',
+        'Settlement': 'தீர்வு',
+        '{record} added: {details}': '{record} சேர்க்கப்பட்டது: {details}',
+        '{record} removed: {details}': '{record} நீக்கப்பட்டது: {details}',
+        '...and {count} more': '...மேலும் {count}',
+        'Reverted': 'திரும்பப்பெறப்பட்டது',
+        'Revert': 'திரும்பப்பெறு',
+        'No changes recorded yet.': 'இன்னும் மாற்றங்கள் பதிவாகவில்லை.',
+        'The change has been reverted': 'மாற்றம் திரும்பப்பெறப்பட்டது',
+        'Enter at least 1 month': 'குறைந்தது 1 மாதம் உள்ளிடவும்',
+        'Enter positive numbers, e.g. 80, 100': 'நேர்ம எண்களை உள்ளிடவும், எ.கா. 80, 100',
+        'Enter a percentage from 0 to 100': '0 முதல் 100 வரையிலான சதவீதத்தை உள்ளிடவும்',
+        'Enter a day from 1 to 28': '1 முதல் 28 வரையிலான நாளை உள்ளிடவும்',
+        'Enter a whole number of minutes, at least 1': 'நிமிடங்களை முழு எண்ணாக உள்ளிடவும், குறைந்தது 1',
+        'No exchange rate is entered for {currency}, so the current rates cannot be converted and will be cleared. Change the base currency anyway?': '{currency} க்கு எந்த மாற்று விகிதமும் உள்ளிடப்படவில்லை, எனவே தற்போதைய விகிதங்களை மாற்ற முடியாது, அவை நீக்கப்படும். இருந்தாலும் அடிப்படை நாணயத்தை மாற்றவா?',
+        'Settings have been saved': 'அமைப்புகள் சேமிக்கப்பட்டன',
+        'Exchange rates for {period}': '{period} மாற்று விகிதங்கள்',
+        'Enter the value of 1 unit in {base}. Months without a rate use the closest earlier month.': '1 அலகின் மதிப்பை {base} இல் உள்ளிடவும். விகிதம் இல்லாத மாதங்கள் அருகிலுள்ள முந்தைய மாதத்தின் விகிதத்தைப் பயன்படுத்தும்.',
+        'Not set': 'அமைக்கப்படவில்லை',
+        'No other currencies yet. Add one below.': 'இன்னும் வேறு நாணயங்கள் இல்லை. கீழே சேர்க்கவும்.',
+        '{code} is the base currency': '{code} அடிப்படை நாணயம்',
+        'Enter a rate above 0': '0 க்கு மேல் விகிதத்தை உள்ளிடவும்',
+        'Exchange rates have been saved': 'மாற்று விகிதங்கள் சேமிக்கப்பட்டன',
+        'Your retention setting keeps {months} months of data. {expenses} expenses, {incomeMonths} months of income, {limitMonths} months of limits and {settlements} settlements from before {date} will be removed.': 'உங்கள் அமைப்பு {months} மாதத் தரவை வைத்திருக்கும். {date} க்கு முந்தைய {expenses} செலவுகள், {incomeMonths} மாத வருமானம், {limitMonths} மாத வரம்புகள், {settlements} கணக்குத் தீர்வுகள் நீக்கப்படும்.',
+        'Wrong PIN': 'தவறான PIN',
+        'Without the PIN your data cannot be decrypted. Delete all data on this device and start again?': 'PIN இல்லாமல் உங்கள் தரவை மறைவிலக்க முடியாது. இந்தச் சாதனத்தில் உள்ள எல்லாத் தரவையும் நீக்கிவிட்டு மீண்டும் தொடங்கவா?',
+        'PIN lock is off.': 'PIN பூட்டு அணைக்கப்பட்டுள்ளது.',
+        'PIN lock needs the app to be opened over HTTPS.': 'PIN பூட்டுக்கு செயலியை HTTPS வழியாகத் திறக்க வேண்டும்.',
+        'PIN lock is on. Your data is encrypted on this device.': 'PIN பூட்டு இயக்கத்தில் உள்ளது. உங்கள் தரவு இந்தச் சாதனத்தில் மறையாக்கம் செய்யப்பட்டுள்ளது.',
+        'Change or remove PIN': 'PIN-ஐ மாற்று அல்லது நீக்கு',
+        'Set a PIN': 'PIN அமை',
+        'Change PIN': 'PIN-ஐ மாற்று',
+        'Set PIN': 'PIN அமை',
+        'The PIN could not be changed ({error}).': 'PIN-ஐ மாற்ற முடியவில்லை ({error}).',
+        'The PINs do not match.': 'PIN-கள் பொருந்தவில்லை.',
+        'Your PIN has been changed': 'உங்கள் PIN மாற்றப்பட்டது',
+        'PIN lock is on. Your data is now encrypted.': 'PIN பூட்டு இயக்கத்தில் உள்ளது. உங்கள் தரவு இப்போது மறையாக்கம் செய்யப்பட்டுள்ளது.',
+        'PIN lock is off. Your data is no longer encrypted.': 'PIN பூட்டு அணைக்கப்பட்டுள்ளது. உங்கள் தரவு இனி மறையாக்கம் செய்யப்படவில்லை.',
+        'Syncing…': 'ஒத்திசைக்கிறது…',
+        'Sync failed: {error}': 'ஒத்திசைவு தோல்வியடைந்தது: {error}',
+        '{count} change waiting to sync': '{count} மாற்றம் ஒத்திசைக்கக் காத்திருக்கிறது',
+        '{count} changes waiting to sync': '{count} மாற்றங்கள் ஒத்திசைக்கக் காத்திருக்கின்றன',
+        'Synced {time}': '{time} அன்று ஒத்திசைக்கப்பட்டது',
+        'Not synced yet': 'இன்னும் ஒத்திசைக்கப்படவில்லை',
+        'Sync is on with {server}.': '{server} உடன் ஒத்திசைவு இயக்கத்தில் உள்ளது.',
+        'Sync is off. Your data stays on this device.': 'ஒத்திசைவு அணைக்கப்பட்டுள்ளது. உங்கள் தரவு இந்தச் சாதனத்திலேயே இருக்கும்.',
+        'Sync finished: {pushed} sent, {pulled} received': 'ஒத்திசைவு முடிந்தது: {pushed} அனுப்பப்பட்டது, {pulled} பெறப்பட்டது',
+        'Turn off sync on this device? Your data stays here and on the sync server.': 'இந்தச் சாதனத்தில் ஒத்திசைவை அணைக்கவா? உங்கள் தரவு இங்கும் ஒத்திசைவு சேவையகத்திலும் இருக்கும்.',
+        'Sync is off on this device': 'இந்தச் சாதனத்தில் ஒத்திசைவு அணைக்கப்பட்டுள்ளது',
+        'Added expense "{comment}"': '"{comment}" செலவு சேர்க்கப்பட்டது',
+        'Added {count} expense': '{count} செலவு சேர்க்கப்பட்டது',
+        'Added {count} expenses': '{count} செலவுகள் சேர்க்கப்பட்டன',
+        'Deleted expense "{comment}"': '"{comment}" செலவு நீக்கப்பட்டது',
+        'Edited expense "{comment}"': '"{comment}" செலவு திருத்தப்பட்டது',
+        'Added income "{source}" for {date}': '{date} க்கான "{source}" வருமானம் சேர்க்கப்பட்டது',
+        'Edited income "{source}"': '"{source}" வருமானம் திருத்தப்பட்டது',
+        'Deleted income "{source}"': '"{source}" வருமானம் நீக்கப்பட்டது',
+        'Carried income from {from} to {to}': 'வருமானம் {from} இலிருந்து {to} க்கு கொண்டு செல்லப்பட்டது',
+        'Posted {count} recurring expense': '{count} தொடர் செலவு பதிவு செய்யப்பட்டது',
+        'Posted {count} recurring expenses': '{count} தொடர் செலவுகள் பதிவு செய்யப்பட்டன',
+        'Set limits for {period}': '{period} க்கான வரம்புகள் அமைக்கப்பட்டன',
+        'Added member "{name}"': '"{name}" உறுப்பினர் சேர்க்கப்பட்டார்',
+        'Renamed member "{name}" to "{newName}"': '"{name}" உறுப்பினரின் பெயர் "{newName}" என மாற்றப்பட்டது',
+        'Deleted member "{name}"': '"{name}" உறுப்பினர் நீக்கப்பட்டார்',
+        'Deleted a settlement': 'ஒரு கணக்குத் தீர்வு நீக்கப்பட்டது',
+        'Reverted: {summary}': 'திரும்பப் பெறப்பட்டது: {summary}',
+        'Added category "{name}"': '"{name}" வகை சேர்க்கப்பட்டது',
+        'Edited category "{name}"': '"{name}" வகை திருத்தப்பட்டது',
+        'Deleted category "{name}"': '"{name}" வகை நீக்கப்பட்டது',
+        'Moved records of a missing category to "{name}"': 'காணாமல் போன வகையின் பதிவுகள் "{name}" க்கு நகர்த்தப்பட்டன',
+        'Added back missing category "{name}"': 'காணாமல் போன "{name}" வகை மீண்டும் சேர்க்கப்பட்டது',
+        'Restored a backup, replacing the data': 'காப்புப்பிரதி மீட்டமைக்கப்பட்டது, தரவு மாற்றப்பட்டது',
+        'Merged a backup into the data': 'காப்புப்பிரதி தரவுடன் இணைக்கப்பட்டது',
+        'Edited {count} expense': '{count} செலவு திருத்தப்பட்டது',
+        'Edited {count} expenses': '{count} செலவுகள் திருத்தப்பட்டன',
+        'Imported {count} expense': '{count} செலவு இறக்குமதி செய்யப்பட்டது',
+        'Imported {count} expenses': '{count} செலவுகள் இறக்குமதி செய்யப்பட்டன',
+        'No data to chart': 'வரைபடத்திற்குத் தரவு இல்லை',
+        'Total': 'மொத்தம்',
+        'The sync server did not accept the access token.': 'ஒத்திசைவு சேவையகம் அணுகல் டோக்கனை ஏற்கவில்லை.',
+        'The sync server answered with error {status}.': 'ஒத்திசைவு சேவையகம் பிழை {status} உடன் பதிலளித்தது.',
+        'The sync server did not answer in time.': 'ஒத்திசைவு சேவையகம் நேரத்தில் பதிலளிக்கவில்லை.',
+        'Ended': 'முடிந்தது',
+        'Paused': 'இடைநிறுத்தப்பட்டது',
+        'Active': 'செயலில்',
+        'Split equally': 'சமமாகப் பிரி',
+        'By percentage': 'சதவீதப்படி',
+        'Exact amounts': 'சரியான தொகைகள்'
+    }
+};
+
+// Current choices, set from the tracker's settings with setLocaleOptions
+const localeOptions = { language: 'en', numberFormat: 'international', currencySymbol: false };
+
+// Update the language, number format and currency symbol choices
+function setLocaleOptions({ language, numberFormat, currencySymbol } = {}) {
+    if (LANGUAGES[language]) localeOptions.language = language;
+    if (NUMBER_FORMATS[numberFormat]) localeOptions.numberFormat = numberFormat;
+    if (currencySymbol !== undefined) localeOptions.currencySymbol = !!currencySymbol;
+    document.documentElement.lang = localeOptions.language;
+}
+
+// Translate English text and fill in {name} placeholders from params
+function t(text, params = {}) {
+    const catalogue = TRANSLATIONS[localeOptions.language] || {};
+    return (catalogue[text] || text).replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+// Attributes that mark translatable attribute values in index.html
+const I18N_ATTRIBUTES = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label',
+    'data-i18n-title': 'title'
+};
+
+// Translate the static text of the page. The English source is kept in the
+// marking attribute the first time, so the page can be translated again later.
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        if (!el.getAttribute('data-i18n')) el.setAttribute('data-i18n', el.textContent.replace(/\s+/g, ' ').trim());
+        el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    for (const [marker, attribute] of Object.entries(I18N_ATTRIBUTES)) {
+        root.querySelectorAll(`[${marker}]`).forEach(el => {
+            if (!el.getAttribute(marker)) el.setAttribute(marker, el.getAttribute(attribute));
+            el.setAttribute(attribute, t(el.getAttribute(marker)));
+        });
+    }
+}
+
+// Locale for dates and month names. Digits stay Latin so exported dates can
+// be read back by the CSV import.
+function getDateLocale() {
+    const { locale } = LANGUAGES[localeOptions.language];
+    return locale ? `${locale}-u-nu-latn` : undefined;
+}
+
+// Format a number with the chosen grouping (100,000.00 or 1,00,000.00)
+function formatNumber(value, decimals = 2) {
+    return (parseFloat(value) || 0).toLocaleString(NUMBER_FORMATS[localeOptions.numberFormat], {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+}
+
+// Format an amount, with the currency's symbol when that setting is on
+function formatMoney(value, currency) {
+    if (!localeOptions.currencySymbol || !currency) return formatNumber(value);
+    try {
+        return (parseFloat(value) || 0).toLocaleString(NUMBER_FORMATS[localeOptions.numberFormat], {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'narrowSymbol'
+        });
+    } catch (error) {
+        // Not a currency Intl knows
+        return `${formatNumber(value)} ${currency}`;
+    }
+}
+
+// Format a date in the current language (numeric date when no options are given)
+function formatDate(date, options = undefined) {
+    return new Intl.DateTimeFormat(getDateLocale(), options).format(date);
+}
+
+// Format a date with its time of day
+function formatDateTime(date) {
+    return formatDate(date, { day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Month names in the current language, January first ('long' or 'short')
+function getMonthNames(width = 'long') {
+    return Array.from({ length: 12 }, (_, i) => formatDate(new Date(2000, i, 1), { month: width }));
+}
+
+// Weekday names in the current language, Sunday first (matching Date.getDay)
+function getWeekdayNames(width = 'long') {
+    return Array.from({ length: 7 }, (_, i) => formatDate(new Date(2000, 0, 2 + i), { weekday: width }));
+}
@@ -0,0 +1,70 @@
+// Expense Tracker App
+// Escape-safe HTML rendering. Markup is built with the html`` tag, which escapes
+// every interpolated value unless it is itself an html`` fragment, and is put on
+// the page with setHtml/appendHtml. Handlers are bound to the rendered elements
+// with bindEach, and records are found again with attrSelector, so user data
+// never ends up in inline handlers or unquoted selectors.
+
+// A fragment of markup that is already safe to insert
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Escape text for use in element content or a quoted attribute value
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Turn an interpolated value into markup: fragments are kept, arrays are joined,
+// null, undefined and false render nothing and anything else is escaped
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// Template tag: html`<span title="${title}">${text}</span>` escapes title and text
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, part, i) => markup + renderHtmlValue(values[i - 1]) + part));
+}
+
+// Mark markup that was built from trusted text only (nothing typed by the user)
+function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// Replace an element's content; plain strings are inserted as text
+function setHtml(element, content) {
+    element.innerHTML = renderHtmlValue(content);
+}
+
+// Add markup at the end of an element
+function appendHtml(element, content) {
+    element.insertAdjacentHTML('beforeend', renderHtmlValue(content));
+}
+
+// Attribute selector that matches a value exactly, whatever characters it holds
+function attrSelector(name, value) {
+    const quoted = String(value ?? '').replace(/["\\]/g, '\\$&').replace(/[\n\r\f]/g, c => `\\${c.charCodeAt(0).toString(16)} `);
+    return `[${name}="${quoted}"]`;
+}
+
+// Bind a handler to every element under container that matches selector; the
+// handler gets the element and the event
+function bindEach(container, selector, type, handler) {
+    container.querySelectorAll(selector).forEach(el => {
+        el.addEventListener(type, (e) => handler(el, e));
+    });
+}
@@ -0,0 +1,444 @@
+// Expense Tracker App
+// Storage adapters: IndexedDB backend with a localStorage fallback.
+// Both expose load() and save(data) returning Promises, so ExpenseTracker
+// can keep the data in memory and persist changes in the background.
+// Only the IndexedDB backend can hold receipt attachments (see putAttachments).
+// Whichever backend is used is wrapped in EncryptedStorageAdapter, which
+// encrypts everything written once a PIN is set.
+
+// localStorage backend (used when IndexedDB is not available)
+class LocalStorageAdapter {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+
+    supportsAttachments() {
+        return false;
+    }
+
+    // There is no older format to migrate from here
+    getUnreadableLegacyData() {
+        return null;
+    }
+
+    // Load the whole dataset (null when nothing is stored yet)
+    load() {
+        return new Promise(resolve => {
+            const stored = localStorage.getItem(this.storageKey);
+            resolve(stored ? JSON.parse(stored) : null);
+        });
+    }
+
+    // Save the whole dataset as one JSON blob
+    save(data) {
+        return new Promise((resolve, reject) => {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(data));
+                resolve();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+// IndexedDB backend with one object store per record type:
+//   expenses - one record per expense, indexed by date and categoryId
+//   income   - { monthKey, value }
+//   limits   - { monthKey, limits }
+//   activity - one record per History log entry, so logging a change writes
+//              only the new entry instead of the whole log
+//   meta     - { key, value } for every other top-level key (categories, settings, ...)
+//   attachments - receipt images { id, expenseId, name, type, dataUrl, thumbnail },
+//                 kept apart from the data object and read one at a time
+class IndexedDBAdapter {
+    constructor(dbName, legacyStorageKey) {
+        this.dbName = dbName;
+        this.dbVersion = 4;
+        this.legacyStorageKey = legacyStorageKey;
+        this.db = null;
+        // JSON of every record as last written, used to persist only changes
+        this.snapshot = null;
+        // The legacy localStorage text when it could not be parsed (see migrateFromLocalStorage)
+        this.unreadableLegacyData = null;
+    }
+
+    // Check whether IndexedDB can be used in this browser
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    supportsAttachments() {
+        return true;
+    }
+
+    // Wrap an IDBRequest in a Promise
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Wrap an IDBTransaction in a Promise that settles when it completes
+    static transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Open the database, creating the object stores on first use.
+    // Version 2 indexes expenses by categoryId instead of the category name;
+    // version 3 adds the attachments store; version 4 the activity store.
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        const req = indexedDB.open(this.dbName, this.dbVersion);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            const expenses = db.objectStoreNames.contains('expenses')
+                ? req.transaction.objectStore('expenses')
+                : db.createObjectStore('expenses', { keyPath: 'id' });
+            if (!expenses.indexNames.contains('date')) expenses.createIndex('date', 'date');
+            if (expenses.indexNames.contains('category')) expenses.deleteIndex('category');
+            if (!expenses.indexNames.contains('categoryId')) expenses.createIndex('categoryId', 'categoryId');
+            if (!db.objectStoreNames.contains('income')) db.createObjectStore('income', { keyPath: 'monthKey' });
+            if (!db.objectStoreNames.contains('limits')) db.createObjectStore('limits', { keyPath: 'monthKey' });
+            if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+            if (!db.objectStoreNames.contains('attachments')) db.createObjectStore('attachments', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('activity')) db.createObjectStore('activity', { keyPath: 'id' });
+        };
+        return IndexedDBAdapter.request(req).then(db => {
+            this.db = db;
+            return db;
+        });
+    }
+
+    // Load the whole dataset, migrating the old localStorage blob the first time
+    load() {
+        return this.open()
+            .then(() => this.migrateFromLocalStorage())
+            .then(() => this.readAll());
+    }
+
+    // One-time copy of the legacy 'expenseTrackerData' blob into IndexedDB.
+    // The localStorage copy is removed only after the write has committed.
+    // A blob that cannot be parsed is left in place and not marked as migrated,
+    // so the app starts without it and can offer the raw text for download.
+    migrateFromLocalStorage() {
+        const tx = this.db.transaction('meta', 'readonly');
+        return IndexedDBAdapter.request(tx.objectStore('meta').get('migratedFromLocalStorage')).then(flag => {
+            if (flag) return;
+            const stored = localStorage.getItem(this.legacyStorageKey);
+            let legacy = null;
+            try {
+                legacy = stored ? JSON.parse(stored) : null;
+            } catch (error) {
+                console.error('Error reading the old localStorage data:', error);
+                this.unreadableLegacyData = stored;
+                return;
+            }
+            const data = legacy || {};
+            (data.expenses || []).forEach((exp, i) => {
+                if (!exp.id) exp.id = `${Date.now()}-migrated-${i}`;
+            });
+            this.snapshot = this.emptySnapshot();
+            return this.write(data, { migratedFromLocalStorage: true }).then(() => {
+                if (legacy) localStorage.removeItem(this.legacyStorageKey);
+            });
+        });
+    }
+
+    // The legacy localStorage text that could not be migrated, or null
+    getUnreadableLegacyData() {
+        return this.unreadableLegacyData;
+    }
+
+    // Read every store back into the single data object used by ExpenseTracker
+    readAll() {
+        const tx = this.db.transaction(['expenses', 'income', 'limits', 'activity', 'meta'], 'readonly');
+        const getAll = name => IndexedDBAdapter.request(tx.objectStore(name).getAll());
+        return Promise.all([getAll('expenses'), getAll('income'), getAll('limits'), getAll('activity'), getAll('meta')])
+            .then(([expenses, income, limits, activity, meta]) => {
+                const data = { expenses, categories: [], income: {}, limits: {} };
+                income.forEach(rec => { data.income[rec.monthKey] = rec.value; });
+                limits.forEach(rec => { data.limits[rec.monthKey] = rec.limits; });
+                meta.forEach(rec => {
+                    if (rec.key !== 'migratedFromLocalStorage') data[rec.key] = rec.value;
+                });
+                const legacyActivity = 'activity' in data;
+                // Records come back in key order; the log is kept oldest first
+                if (activity.length) data.activity = activity.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+                this.snapshot = this.toRecords(data);
+                // A log saved by version 3 as one meta record moves to the
+                // activity store on the next write
+                if (legacyActivity && !activity.length) {
+                    this.snapshot.meta.set('activity', null);
+                    this.snapshot.activity = new Map();
+                }
+                return data;
+            });
+    }
+
+    emptySnapshot() {
+        return { expenses: new Map(), income: new Map(), limits: new Map(), activity: new Map(), meta: new Map() };
+    }
+
+    // Split the data object into per-store maps of key -> record JSON
+    toRecords(data) {
+        const records = this.emptySnapshot();
+        (data.expenses || []).forEach(exp => records.expenses.set(exp.id, JSON.stringify(exp)));
+        for (const [monthKey, value] of Object.entries(data.income || {})) {
+            records.income.set(monthKey, JSON.stringify({ monthKey, value }));
+        }
+        for (const [monthKey, limits] of Object.entries(data.limits || {})) {
+            records.limits.set(monthKey, JSON.stringify({ monthKey, limits }));
+        }
+        (data.activity || []).forEach(entry => records.activity.set(entry.id, JSON.stringify(entry)));
+        for (const [key, value] of Object.entries(data)) {
+            if (['expenses', 'income', 'limits', 'activity'].includes(key) || value === undefined) continue;
+            records.meta.set(key, JSON.stringify({ key, value }));
+        }
+        return records;
+    }
+
+    // Persist only the records that changed since the last successful write
+    save(data) {
+        return this.open().then(() => this.write(data));
+    }
+
+    write(data, extraMeta = {}) {
+        const next = this.toRecords(data);
+        for (const [key, value] of Object.entries(extraMeta)) {
+            next.meta.set(key, JSON.stringify({ key, value }));
+        }
+        const previous = this.snapshot || this.emptySnapshot();
+        const tx = this.db.transaction(['expenses', 'income', 'limits', 'activity', 'meta'], 'readwrite');
+
+        for (const storeName of Object.keys(next)) {
+            const store = tx.objectStore(storeName);
+            for (const [key, json] of next[storeName]) {
+                if (previous[storeName].get(key) !== json) store.put(JSON.parse(json));
+            }
+            for (const key of previous[storeName].keys()) {
+                if (!next[storeName].has(key)) store.delete(key);
+            }
+        }
+
+        return IndexedDBAdapter.transactionDone(tx).then(() => {
+            next.meta.delete('migratedFromLocalStorage');
+            this.snapshot = next;
+        });
+    }
+
+    // Store attachment records (replacing any with the same id)
+    putAttachments(records) {
+        return this.open().then(() => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            records.forEach(record => tx.objectStore('attachments').put(record));
+            return IndexedDBAdapter.transactionDone(tx);
+        });
+    }
+
+    // Get one attachment record (undefined when it does not exist)
+    getAttachment(id) {
+        return this.open().then(() => IndexedDBAdapter.request(this.db.transaction('attachments', 'readonly').objectStore('attachments').get(id)));
+    }
+
+    // Get every attachment record (used for full backups)
+    getAllAttachments() {
+        return this.open().then(() => IndexedDBAdapter.request(this.db.transaction('attachments', 'readonly').objectStore('attachments').getAll()));
+    }
+
+    // Get the ids of every stored attachment
+    getAttachmentIds() {
+        return this.open().then(() => IndexedDBAdapter.request(this.db.transaction('attachments', 'readonly').objectStore('attachments').getAllKeys()));
+    }
+
+    // Delete attachment records by id
+    deleteAttachments(ids) {
+        return this.open().then(() => {
+            const tx = this.db.transaction('attachments', 'readwrite');
+            ids.forEach(id => tx.objectStore('attachments').delete(id));
+            return IndexedDBAdapter.transactionDone(tx);
+        });
+    }
+}
+
+// Wraps another adapter and, while a PIN is set, encrypts everything written
+// through it (see crypto.js). The dataset is then stored as the single record
+// { encrypted: envelope } and each attachment as { id, encrypted: envelope }.
+// Encrypted data found by load() stays locked, and cannot be read or
+// overwritten, until unlock() is given the PIN.
+class EncryptedStorageAdapter {
+    constructor(inner) {
+        this.inner = inner;
+        // { key, salt, iterations } while a PIN is set and the data is unlocked
+        this.keyInfo = null;
+        // Envelope whose PIN is needed before anything can be read
+        this.lockedEnvelope = null;
+        // Small envelope encrypted with the current key, used to check a PIN
+        this.verifier = null;
+        // Reads and writes run one after another, so a PIN change never
+        // overtakes a save or mixes records encrypted with different keys
+        this.queue = Promise.resolve();
+    }
+
+    supportsAttachments() {
+        return this.inner.supportsAttachments();
+    }
+
+    getUnreadableLegacyData() {
+        return this.inner.getUnreadableLegacyData();
+    }
+
+    // Whether a PIN is set (locked or not)
+    isEncrypted() {
+        return !!(this.keyInfo || this.lockedEnvelope);
+    }
+
+    // Whether the data is encrypted and the PIN has not been given yet
+    isLocked() {
+        return !!this.lockedEnvelope && !this.keyInfo;
+    }
+
+    // Run a task after every earlier one has settled
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Load the dataset; resolves to null while the data is locked
+    load() {
+        return this.enqueue(() => this.inner.load().then(stored => {
+            if (!stored || !stored.encrypted) return stored;
+            if (!this.keyInfo) {
+                this.lockedEnvelope = stored.encrypted;
+                return null;
+            }
+            return decryptJson(this.keyInfo, stored.encrypted);
+        }));
+    }
+
+    // Derive the key from the PIN; resolves to false when the PIN is wrong
+    unlock(passphrase) {
+        if (!this.isLocked()) return Promise.resolve(true);
+        return this.enqueue(() => openEnvelope(passphrase, this.lockedEnvelope).then(opened => {
+            if (!opened) return false;
+            return this.useKey(opened.keyInfo).then(() => {
+                this.lockedEnvelope = null;
+                return true;
+            });
+        }));
+    }
+
+    // Forget the key once pending writes have finished
+    lock() {
+        return this.enqueue(() => {
+            if (!this.keyInfo) return;
+            this.lockedEnvelope = this.verifier;
+            this.keyInfo = null;
+            this.verifier = null;
+        });
+    }
+
+    // Check a PIN against the current key without changing anything
+    verifyPassphrase(passphrase) {
+        if (!this.verifier) return Promise.resolve(false);
+        return openEnvelope(passphrase, this.verifier).then(opened => !!opened);
+    }
+
+    useKey(keyInfo) {
+        return encryptJson(keyInfo, 'munshiji').then(verifier => {
+            this.keyInfo = keyInfo;
+            this.verifier = verifier;
+        });
+    }
+
+    // Set, change or (with a null passphrase) remove the PIN. The data and every
+    // attachment are rewritten under the new key, or in plain form.
+    setPassphrase(passphrase, data) {
+        return this.enqueue(() => Promise.all([
+            this.supportsAttachments() ? this.readAllAttachments() : [],
+            passphrase ? derivePassphraseKey(passphrase) : null
+        ]).then(([attachments, keyInfo]) => {
+            const switchKey = keyInfo ? this.useKey(keyInfo) : Promise.resolve().then(() => {
+                this.keyInfo = null;
+                this.verifier = null;
+            });
+            return switchKey
+                .then(() => this.write(data))
+                .then(() => attachments.length && this.writeAttachments(attachments));
+        }));
+    }
+
+    // Delete everything, including data that cannot be unlocked (a forgotten PIN)
+    erase() {
+        return this.enqueue(() => {
+            this.keyInfo = null;
+            this.verifier = null;
+            this.lockedEnvelope = null;
+            const attachments = this.supportsAttachments()
+                ? this.inner.getAttachmentIds().then(ids => this.inner.deleteAttachments(ids))
+                : Promise.resolve();
+            return attachments.then(() => this.inner.save({}));
+        });
+    }
+
+    save(data) {
+        return this.enqueue(() => this.write(data));
+    }
+
+    write(data) {
+        if (this.isLocked()) return Promise.reject(new Error('The data is locked'));
+        if (!this.keyInfo) return this.inner.save(data);
+        return encryptJson(this.keyInfo, data).then(encrypted => this.inner.save({ encrypted }));
+    }
+
+    decryptAttachment(record) {
+        if (!record || !record.encrypted) return Promise.resolve(record);
+        if (!this.keyInfo) return Promise.reject(new Error('The data is locked'));
+        return decryptJson(this.keyInfo, record.encrypted);
+    }
+
+    readAllAttachments() {
+        return this.inner.getAllAttachments().then(records => Promise.all(records.map(record => this.decryptAttachment(record))));
+    }
+
+    writeAttachments(records) {
+        if (this.isLocked()) return Promise.reject(new Error('The data is locked'));
+        if (!this.keyInfo) return this.inner.putAttachments(records);
+        return Promise.all(records.map(record => encryptJson(this.keyInfo, record).then(encrypted => ({ id: record.id, encrypted }))))
+            .then(encrypted => this.inner.putAttachments(encrypted));
+    }
+
+    putAttachments(records) {
+        return this.enqueue(() => this.writeAttachments(records));
+    }
+
+    getAttachment(id) {
+        return this.enqueue(() => this.inner.getAttachment(id).then(record => this.decryptAttachment(record)));
+    }
+
+    getAllAttachments() {
+        return this.enqueue(() => this.readAllAttachments());
+    }
+
+    getAttachmentIds() {
+        return this.enqueue(() => this.inner.getAttachmentIds());
+    }
+
+    deleteAttachments(ids) {
+        return this.enqueue(() => this.inner.deleteAttachments(ids));
+    }
+}
+
+// Pick the best available storage backend, wrapped so it can be encrypted with a PIN
+function createStorageAdapter(storageKey) {
+    const backend = IndexedDBAdapter.isSupported()
+        ? new IndexedDBAdapter('munshiji', storageKey)
+        : new LocalStorageAdapter(storageKey);
+    return new EncryptedStorageAdapter(backend);
+}
@@ -0,0 +1,54 @@
+// Expense Tracker App
+// Service worker: keeps the app shell in a versioned cache so the app loads
+// offline. Bump CACHE_VERSION with every release; the new worker then installs
+// next to the old one and waits until the page asks it to take over
+// (the "update available" prompt in app.js).
+
+const CACHE_VERSION = 'munshiji-v5';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'crypto.js',
+    'storage.js',
+    'sync.js',
+    'i18n.js',
+    'render.js',
+    'charts.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Download the whole app shell before this version can be used
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL)));
+});
+
+// Remove the caches of older versions once this one is in charge
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page sends 'skipWaiting' when the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Serve the app shell from the cache; page loads fall back to the cached
+// index.html when offline. Everything else goes to the network.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE_VERSION).then(cache =>
+        cache.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(error => {
+                if (request.mode === 'navigate') return cache.match('index.html');
+                throw error;
+            });
+        })
+    ));
+});
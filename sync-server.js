@@ -0,0 +1,109 @@
+// Expense Tracker App
+// A small reference sync server for the protocol described under "Sync
+// protocol" in README.md. It needs only Node.js and keeps every record in one
+// JSON file. Usage:
+//   node sync-server.js [port] [data-file]
+// The app's sync server address is then http://<this machine>:<port>/ (the
+// path is not checked). Set SYNC_TOKEN to require that access token.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+const DATA_FILE = path.resolve(process.argv[3] || 'munshiji-sync.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const PROTOCOL = 1;
+const MAX_BODY = 20 * 1024 * 1024;
+
+// { seq, records: { [key]: { key, modifiedAt, deviceId, deleted, value, seq } } }
+// seq counts every stored change; a record's seq is the change that last won
+let store = { seq: 0, records: {} };
+if (fs.existsSync(DATA_FILE)) store = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+
+// Write to a temporary file first so a crash never leaves half a file behind
+function saveStore() {
+    const temp = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(store));
+    fs.renameSync(temp, DATA_FILE);
+}
+
+// The same rule as the app: the later modifiedAt wins, then the higher device id
+function isNewer(a, b) {
+    const diff = Date.parse(a.modifiedAt) - Date.parse(b.modifiedAt);
+    return diff > 0 || (diff === 0 && a.deviceId > b.deviceId);
+}
+
+function isValidChange(change) {
+    return !!change && typeof change.key === 'string' && typeof change.deviceId === 'string' &&
+        !isNaN(Date.parse(change.modifiedAt)) && (change.deleted === true || change.value !== undefined);
+}
+
+// Store the pushed changes that win and answer with everything the device has not seen
+function handleSync(request) {
+    const changes = Array.isArray(request.changes) ? request.changes.filter(isValidChange) : [];
+    let changed = false;
+    changes.forEach(change => {
+        const current = store.records[change.key];
+        if (current && !isNewer(change, current)) return;
+        store.seq += 1;
+        store.records[change.key] = change.deleted
+            ? { key: change.key, modifiedAt: change.modifiedAt, deviceId: change.deviceId, deleted: true, seq: store.seq }
+            : { key: change.key, modifiedAt: change.modifiedAt, deviceId: change.deviceId, deleted: false, value: change.value, seq: store.seq };
+        changed = true;
+    });
+    if (changed) saveStore();
+
+    const cursor = Number(request.cursor) || 0;
+    return {
+        protocol: PROTOCOL,
+        cursor: String(store.seq),
+        changes: Object.values(store.records)
+            .filter(record => record.seq > cursor && record.deviceId !== request.deviceId)
+            .map(({ seq, ...change }) => change)
+    };
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (req.method !== 'POST') return send(res, 405, { error: 'Use POST' });
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Wrong access token' });
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            send(res, 413, { error: 'Request too large' });
+            req.destroy();
+        } else {
+            chunks.push(chunk);
+        }
+    });
+    req.on('end', () => {
+        let request = null;
+        try {
+            request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            return send(res, 400, { error: 'Invalid JSON' });
+        }
+        if (!request || request.protocol !== PROTOCOL || typeof request.deviceId !== 'string') {
+            return send(res, 400, { error: `Expected protocol ${PROTOCOL} with a deviceId` });
+        }
+        send(res, 200, handleSync(request));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Munshiji sync server on http://localhost:${PORT}/ storing ${DATA_FILE}`);
+});
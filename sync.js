@@ -0,0 +1,44 @@
+// Expense Tracker App
+// Sync transports. ExpenseTracker.sync() builds a request, hands it to a
+// transport and merges the response; the JSON protocol is described under
+// "Sync protocol" in README.md. A transport is any object with a
+// sync(request) method returning a Promise of the response, so another
+// backend can be plugged in through expenseTracker.syncTransport.
+
+// Give up on a request that has not been answered after this long
+const SYNC_REQUEST_TIMEOUT = 30000;
+
+// Sends each sync request as a JSON POST to the configured endpoint, with the
+// access token (when one is set) as a bearer token
+class HttpSyncTransport {
+    constructor(endpoint, token = '') {
+        this.endpoint = endpoint;
+        this.token = token;
+    }
+
+    sync(request) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT) : null;
+
+        return fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(request),
+            signal: controller ? controller.signal : undefined
+        }).then(response => {
+            if (response.status === 401 || response.status === 403) throw new Error(t('The sync server did not accept the access token.'));
+            if (!response.ok) throw new Error(t('The sync server answered with error {status}.', { status: response.status }));
+            return response.json();
+        }).catch(error => {
+            if (error && error.name === 'AbortError') throw new Error(t('The sync server did not answer in time.'));
+            throw error;
+        }).finally(() => clearTimeout(timeout));
+    }
+}
+
+// Create the transport for the sync settings ({ endpoint, token })
+function createSyncTransport({ endpoint, token }) {
+    return new HttpSyncTransport(endpoint, token || '');
+}